@@ -0,0 +1,38 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectRedis } = require('../src/config/redis');
+const { startEmailWorker, stopEmailWorker } = require('../src/services/emailOutboxService');
+
+// Usage: npm run worker:email
+// Sends queued email outside the API process; run the API with EMAIL_WORKER=off alongside it.
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/azra-nishat-ecommerce', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  await connectDB();
+  await connectRedis();
+  await startEmailWorker();
+  console.log('Email worker running');
+
+  const shutdown = async () => {
+    console.log('Stopping email worker...');
+    await stopEmailWorker();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+run();
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeDueAccounts } = require('../src/services/personalDataService');
+
+// Usage: npm run purge:accounts [-- <limit>]
+// Meant to be run from cron, e.g. daily, to anonymise accounts whose deletion grace period has passed.
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/azra-nishat-ecommerce', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const limit = parseInt(process.argv[2], 10);
+    const summary = await purgeDueAccounts({ limit: limit || undefined });
+
+    console.log('Account purge completed!');
+    console.log(`${summary.deleted} accounts deleted, ${summary.postponed} postponed, ${summary.failed} failed`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error purging accounts:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { repriceProducts } = require('../src/services/metalRateService');
+
+// Usage: npm run reprice [-- <metalType> [purity]]
+// Meant to be run from cron after the daily rate is published so future-dated rates take effect.
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/azra-nishat-ecommerce', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const [metalType, purity] = process.argv.slice(2);
+    const summary = await repriceProducts({ metalType, purity });
+
+    console.log('Repricing completed!');
+    console.log(`${summary.variantsRepriced} variants repriced across ${summary.productsUpdated} products`);
+    if (summary.variantsSkipped > 0) {
+      console.log(`${summary.variantsSkipped} variants skipped - no rate published for their metal/purity`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error repricing products:', error);
+    process.exit(1);
+  }
+};
+
+run();
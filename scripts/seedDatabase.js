@@ -4,6 +4,8 @@ const User = require('../src/models/User');
 const Category = require('../src/models/Category');
 const Product = require('../src/models/Product');
 const Order = require('../src/models/Order');
+const ShippingZone = require('../src/models/ShippingZone');
+const TaxRate = require('../src/models/TaxRate');
 
 const connectDB = async () => {
   try {
@@ -23,18 +25,21 @@ const sampleCategories = [
   {
     name: 'Jewelry',
     slug: 'jewelry',
+    taxClass: 'jewelry',
     description: 'Beautiful jewelry collection',
     isActive: true
   },
   {
     name: 'Cosmetics',
     slug: 'cosmetics',
+    taxClass: 'cosmetics',
     description: 'Premium beauty products',
     isActive: true
   },
   {
     name: 'Couture',
     slug: 'couture',
+    taxClass: 'couture',
     description: 'Designer clothing and fashion',
     isActive: true
   },
@@ -453,6 +458,62 @@ const sampleOrders = [
   }
 ];
 
+// Example rates to start from; confirm the current rates before going live
+const sampleTaxRates = [
+  { taxClass: 'standard', name: 'GST', country: 'Pakistan', rate: 18 },
+  { taxClass: 'jewelry', name: 'Sales Tax on Jewelry', country: 'Pakistan', rate: 3 },
+  { taxClass: 'cosmetics', name: 'GST', country: 'Pakistan', rate: 18 },
+  { taxClass: 'couture', name: 'GST', country: 'Pakistan', rate: 18 },
+  { taxClass: 'couture', name: 'Punjab Sales Tax', country: 'Pakistan', province: 'Punjab', rate: 16 }
+];
+
+// Weights in grams, prices in PKR
+const sampleShippingZones = [
+  {
+    name: 'Karachi',
+    countries: ['Pakistan'],
+    cities: ['Karachi'],
+    methods: [
+      {
+        code: 'standard',
+        name: 'Same-city delivery',
+        estimatedDays: { min: 1, max: 2 },
+        freeShippingThreshold: 10000,
+        rates: [
+          { maxWeight: 1000, price: 200 },
+          { minWeight: 1000, price: 350 }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'Pakistan',
+    countries: ['Pakistan'],
+    methods: [
+      {
+        code: 'standard',
+        name: 'Standard delivery',
+        estimatedDays: { min: 3, max: 5 },
+        freeShippingThreshold: 20000,
+        rates: [
+          { maxWeight: 500, price: 300 },
+          { minWeight: 500, maxWeight: 2000, price: 500 },
+          { minWeight: 2000, price: 900 }
+        ]
+      },
+      {
+        code: 'express',
+        name: 'Express delivery',
+        estimatedDays: { min: 1, max: 2 },
+        rates: [
+          { maxWeight: 2000, price: 800 },
+          { minWeight: 2000, price: 1500 }
+        ]
+      }
+    ]
+  }
+];
+
 const seedDatabase = async () => {
   try {
     await connectDB();
@@ -463,6 +524,8 @@ const seedDatabase = async () => {
     await Category.deleteMany({});
     await Product.deleteMany({});
     await Order.deleteMany({});
+    await ShippingZone.deleteMany({});
+    await TaxRate.deleteMany({});
 
     // Clear Redis Cache
     console.log('Clearing Redis cache...');
@@ -592,11 +655,19 @@ const seedDatabase = async () => {
 
     await Order.insertMany(updatedSampleOrders);
 
+    console.log('Creating shipping zones...');
+    await ShippingZone.insertMany(sampleShippingZones);
+
+    console.log('Creating tax rates...');
+    await TaxRate.insertMany(sampleTaxRates);
+
     console.log('Database seeded successfully!');
     console.log(`${createdCategories.length} categories created`);
     console.log(`${createdUsers.length} users created`);
     console.log(`${createdProducts.length} products created`);
     console.log(`${sampleOrders.length} orders created`);
+    console.log(`${sampleShippingZones.length} shipping zones created`);
+    console.log(`${sampleTaxRates.length} tax rates created`);
 
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { syncActiveShipments } = require('../src/services/courierService');
+
+// Usage: npm run sync:shipments [-- <limit> [staleMinutes]]
+// Meant to be run from cron, e.g. every 30 minutes, for couriers that do not push tracking webhooks.
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/azra-nishat-ecommerce', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const [limit, staleMinutes] = process.argv.slice(2).map(value => parseInt(value, 10));
+    const summary = await syncActiveShipments({
+      limit: limit || undefined,
+      staleMinutes: Number.isNaN(staleMinutes) ? undefined : staleMinutes
+    });
+
+    console.log('Shipment sync completed!');
+    console.log(`${summary.checked} shipments checked, ${summary.updated} updated, ${summary.failed} failed`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing shipments:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -10,6 +10,7 @@ const xss = require('xss-clean');
 const hpp = require('hpp');
 const mongoSanitize = require('express-mongo-sanitize');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const { connectDB } = require('./config/db');
 const errorHandler = require('./middlewares/errorHandler');
 const passport = require('passport');
@@ -21,6 +22,8 @@ const { requestLogger } = require('./middlewares/logger');
 const swaggerUi = require('swagger-ui-express');
 const specs = require('../swaggerDef');
 const { connectRedis } = require('./config/redis');
+const { startEmailWorker } = require('./services/emailOutboxService');
+const { ensureBuiltInRoles } = require('./services/permissionService');
 
 // Import routes
 const routes = require('./routes');
@@ -38,6 +41,7 @@ app.use(requestLogger);
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
+  exposedHeaders: ['X-Cart-Token', 'X-Request-Id', 'X-Impersonated-By'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -57,10 +61,16 @@ app.use(hpp());
 // Compress responses
 app.use(compression());
 
+// Stripe signs the exact bytes it sends, so the webhook needs the unparsed body
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Cookie parser (guest cart token)
+app.use(cookieParser());
+
 // Session middleware
 app.use(session({
   secret: process.env.SESSION_SECRET || 'fallback_secret_key',
@@ -123,6 +133,14 @@ const PORT = process.env.PORT || 5000;
   // Connect to Redis
   await connectRedis();
 
+  // admin, customer and vendor must exist before anyone can be given a role
+  await ensureBuiltInRoles();
+
+  // Send queued email in this process unless a separate worker (npm run worker:email) does
+  if (process.env.EMAIL_WORKER !== 'off') {
+    await startEmailWorker();
+  }
+
   const server = app.listen(PORT, () => {
     logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     logger.info(`Swagger UI available at http://localhost:${PORT}/api-docs`);
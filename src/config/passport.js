@@ -3,6 +3,8 @@ const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const LocalStrategy = require('passport-local').Strategy;
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { hasPermission } = require('../services/permissionService');
 
 // JWT Strategy
 const jwtOptions = {
@@ -14,10 +16,21 @@ passport.use(
   new JwtStrategy(jwtOptions, async (payload, done) => {
     try {
       const user = await User.findById(payload.id).select('-password');
-      if (user) {
-        return done(null, user);
+      // Access tokens are only honoured while the session they were issued for is active
+      if (!user || !(await isSessionActive(payload.sid, user._id, payload.imp))) {
+        return done(null, false);
+      }
+
+      if (!payload.imp) {
+        return done(null, user, { sessionId: payload.sid });
+      }
+
+      // Impersonation stops as soon as the staff member loses access
+      const impersonator = await User.findById(payload.imp).select('-password');
+      if (!impersonator || !impersonator.isActive || !(await hasPermission(impersonator, 'users:impersonate'))) {
+        return done(null, false);
       }
-      return done(null, false);
+      return done(null, user, { sessionId: payload.sid, impersonator });
     } catch (error) {
       return done(error, false);
     }
@@ -0,0 +1,42 @@
+// Everything a role can grant, as `<area>:<action>`. Routes name the permission they
+// need with requirePermission(); roles bundle them and are managed at /api/admin/roles.
+const PERMISSIONS = {
+  'reports:read': 'View the dashboard and sales, user, product and order analytics',
+  'settings:manage': 'Change site settings',
+  'products:write': 'Create, edit and delete products and upload product images',
+  'prices:write': 'Change product prices and publish or apply metal rates',
+  'categories:write': 'Create, edit and delete categories',
+  'reviews:moderate': 'Edit and delete reviews written by customers',
+  'orders:read': 'View every order, its invoice and packing slip',
+  'orders:update': 'Change order status, mark orders paid or delivered and manage shipments',
+  'orders:delete': 'Delete orders',
+  'returns:read': 'View return requests',
+  'returns:update': 'Approve, reject, receive and refund returns',
+  'coupons:manage': 'Manage coupons',
+  'shipping:manage': 'Manage shipping zones',
+  'tax:manage': 'Manage tax rates',
+  'emails:manage': 'Edit email templates and view or resend sent email',
+  'users:read': 'View user accounts and their login history',
+  'users:write': 'Edit and unlock user accounts',
+  'users:delete': 'Delete user accounts',
+  'users:impersonate': 'Sign in as a customer to see what they see, without changing their password or email or paying',
+  'roles:manage': 'Manage roles and assign them to users',
+  'vendors:manage': 'Approve and suspend vendors, set commission rules and issue vendor payouts',
+  'audit:read': 'View and export the audit log of staff changes'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles every store has. admin always holds every permission and customer none;
+// neither can be changed, and built-in roles cannot be renamed or deleted.
+const BUILT_IN_ROLES = [
+  { name: 'admin', description: 'Full access to the store', permissions: ALL_PERMISSIONS },
+  { name: 'customer', description: 'Shoppers; no staff access', permissions: [] },
+  { name: 'vendor', description: 'Sellers with their own products', permissions: [] }
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES
+};
@@ -0,0 +1,252 @@
+const AuditLog = require('../models/AuditLog');
+const {
+  AppError,
+  ValidationError
+} = require('../errors');
+const {
+  LEGACY_FIELDS,
+  buildAuditQuery,
+  getAuditLog: findAuditLog,
+  toCsvRow,
+  csvHeader
+} = require('../services/auditService');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams,
+  parseSortParams
+} = require('../utils/pagination');
+
+// Exports past this many rows should be narrowed with filters
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS, 10) || 50000;
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError(`Invalid ${error.path === 'actor' ? 'actor' : 'audit log'} ID`));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/audit:
+ *   get:
+ *     summary: Get the audit log
+ *     description: Every successful change made through a staff route, newest first, with who made it, the fields that changed, the IP address and the request ID. Entries cannot be edited or deleted.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         description: User ID of the staff member
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Exact action, or a prefix such as product.* for every product action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated audit log
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Forbidden, requires audit:read
+ */
+// @desc    Get audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['createdAt', 'action', 'entityType']);
+    const query = buildAuditQuery(req.query);
+
+    const totalItems = await AuditLog.countDocuments(query);
+    const logs = await AuditLog.find(query)
+      .select(LEGACY_FIELDS)
+      .populate('actor', 'firstName lastName email')
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: logs,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get audit log failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve audit log');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/audit/export:
+ *   get:
+ *     summary: Export the audit log as CSV
+ *     description: Takes the same filters as the audit log listing. Changes are written as JSON in one column. Exports stop at AUDIT_EXPORT_MAX_ROWS rows (50000 by default); narrow the filters for more.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Forbidden, requires audit:read
+ */
+// @desc    Export audit log as CSV
+// @route   GET /api/admin/audit/export
+// @access  Private (audit:read)
+const exportAuditLogs = async (req, res, next) => {
+  let query;
+  try {
+    query = buildAuditQuery(req.query);
+    // Bad IDs fail here rather than halfway through the download
+    await AuditLog.exists(query);
+  } catch (error) {
+    return handleError(error, next, 'Could not export audit log');
+  }
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.status(200);
+  res.write(`${csvHeader()}\n`);
+
+  let rowCount = 0;
+  try {
+    const cursor = AuditLog.find(query)
+      .select(LEGACY_FIELDS)
+      .populate('actor', 'email')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_MAX_ROWS)
+      .lean()
+      .cursor();
+    for await (const log of cursor) {
+      res.write(`${toCsvRow(log)}\n`);
+      rowCount += 1;
+    }
+    res.end();
+
+    logger.info('Audit log exported', { rowCount, filters: req.query, userId: req.user.id });
+  } catch (error) {
+    logger.error('Export audit log failed', {
+      error: error.message,
+      rowCount,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    // Headers are gone; cut the download short so it is not mistaken for a full file
+    res.destroy(error);
+  }
+};
+
+/**
+ * @swagger
+ * /admin/audit/{id}:
+ *   get:
+ *     summary: Get a single audit log entry
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry
+ *       404:
+ *         description: Audit log entry not found
+ */
+// @desc    Get audit log entry
+// @route   GET /api/admin/audit/:id
+// @access  Private (audit:read)
+const getAuditLog = async (req, res, next) => {
+  try {
+    const log = await findAuditLog(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    logger.error('Get audit log entry failed', {
+      error: error.message,
+      auditId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve audit log entry');
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs,
+  getAuditLog
+};
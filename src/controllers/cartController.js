@@ -1,5 +1,6 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Address = require('../models/Address');
 const { 
   AppError, 
   ValidationError, 
@@ -8,13 +9,49 @@ const {
   ForbiddenError 
 } = require('../errors');
 const logger = require('../utils/logger');
+const { resolveVariant, getUnitPrice, lockPrices, priceOrder } = require('../services/pricingService');
+const { getShippingOptions } = require('../services/shippingService');
+
+/**
+ * Server-side totals for the cart page, including the coupon and sales tax. Tax is
+ * estimated for Settings.taxAddress until the customer gives a shipping address.
+ * Carts that cannot be priced (e.g. a product was deactivated) get null totals.
+ */
+const estimateCartTotals = async (cart) => {
+  if (cart.items.length === 0) {
+    return null;
+  }
+
+  try {
+    const quote = await priceOrder({
+      items: cart.items,
+      couponCode: cart.couponCode,
+      priceLock: cart.priceLock
+    });
+
+    return {
+      subtotal: quote.subtotal,
+      discountAmount: quote.discountAmount,
+      taxAmount: quote.taxAmount,
+      taxInclusive: quote.pricing.tax.inclusive,
+      tax: quote.pricing.tax,
+      totalAmount: quote.totalAmount
+    };
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    logger.warn('Cart totals could not be calculated', { cartId: cart._id, error: error.message });
+    return null;
+  }
+};
 
 /**
  * @swagger
  * /api/v1/cart:
  *   get:
- *     summary: Get user cart
- *     description: Retrieve the authenticated user's shopping cart
+ *     summary: Get cart
+ *     description: Retrieve the authenticated user's shopping cart, or the guest cart named by the cart token (cartToken cookie or X-Cart-Token header). Anonymous requests without a valid token are issued a new one in both the cookie and the X-Cart-Token response header. The cart comes with server-side totals in data.totals, with sales tax estimated for the store's tax address until a shipping address is known.
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -46,14 +83,17 @@ const logger = require('../utils/logger');
  */
 const getCart = async (req, res, next) => {
   try {
-    logger.info('Get user cart request', { userId: req.user.id });
+    logger.info('Get cart request', { cartOwner: req.cartOwner });
 
-    const cart = await Cart.findOne({ user: req.user.id }).populate('items.product', 'name price images');
+    const cart = await Cart.findOne(req.cartOwner).populate('items.product', 'name price images');
 
     if (!cart) {
-      logger.info('Cart not found, creating new cart', { userId: req.user.id });
-      const newCart = new Cart({ user: req.user.id, items: [] });
-      await newCart.save();
+      logger.info('Cart not found, creating new cart', { cartOwner: req.cartOwner });
+      const newCart = new Cart({ ...req.cartOwner, items: [] });
+      // Guest carts are only stored once something is added to them
+      if (!req.cartOwner.guestId) {
+        await newCart.save();
+      }
       return res.status(200).json({
         success: true,
         data: newCart
@@ -61,18 +101,23 @@ const getCart = async (req, res, next) => {
     }
 
     logger.info('Successfully retrieved cart', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemCount: cart.items.length
     });
 
+    const totals = await estimateCartTotals(cart);
+
     res.status(200).json({
       success: true,
-      data: cart
+      data: {
+        ...cart.toObject(),
+        totals
+      }
     });
   } catch (error) {
     logger.error('Get cart failed', {
       error: error.message,
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       stack: error.stack
     });
 
@@ -85,7 +130,7 @@ const getCart = async (req, res, next) => {
  * /api/v1/cart/items:
  *   post:
  *     summary: Add item to cart
- *     description: Add a product to the authenticated user's shopping cart
+ *     description: Add a product to the authenticated user's or guest's shopping cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -103,6 +148,10 @@ const getCart = async (req, res, next) => {
  *                 type: string
  *                 description: ID of the product to add
  *                 example: 507f1f77bcf86cd799439011
+ *               variantId:
+ *                 type: string
+ *                 description: ID of the product variant to add (required when the product has several variants)
+ *                 example: 507f1f77bcf86cd799439012
  *               quantity:
  *                 type: number
  *                 description: Quantity of the product to add
@@ -148,71 +197,78 @@ const getCart = async (req, res, next) => {
 const addToCart = async (req, res, next) => {
   try {
     logger.info('Add item to cart request', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       productId: req.body.productId,
       quantity: req.body.quantity
     });
 
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Validate product exists
     const product = await Product.findById(productId);
     if (!product) {
       logger.warn('Add to cart failed - product not found', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         productId 
       });
       return next(new NotFoundError('Product'));
     }
 
-    // Check stock availability
-    if (product.countInStock < quantity) {
-      logger.warn('Add to cart failed - insufficient stock', { 
-        userId: req.user.id,
-        productId,
-        requestedQty: quantity,
-        availableQty: product.countInStock
+    const variant = resolveVariant(product, variantId);
+    if (!variant) {
+      logger.warn('Add to cart failed - product has no variants', {
+        cartOwner: req.cartOwner,
+        productId
       });
-      return next(new ValidationError(`Only ${product.countInStock} items available`));
+      return next(new ValidationError('This product is currently unavailable'));
     }
+    const availableQty = variant.stockQuantity || 0;
 
-    // Find or create user's cart
-    let cart = await Cart.findOne({ user: req.user.id });
+    // Find or create the user's or guest's cart
+    let cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
-      cart = new Cart({ user: req.user.id, items: [] });
+      cart = new Cart({ ...req.cartOwner, items: [] });
     }
 
-    // Check if item already exists in cart
+    // Check if the same variant already exists in cart
     const existingItemIndex = cart.items.findIndex(item => 
-      item.product.toString() === productId
+      item.product.toString() === productId &&
+      item.variant && item.variant.toString() === variant._id.toString()
     );
+    const existingQty = existingItemIndex > -1 ? cart.items[existingItemIndex].quantity : 0;
+
+    // Check stock availability for the variant, counting what is already in the cart
+    if (existingQty + quantity > availableQty) {
+      logger.warn('Add to cart failed - insufficient stock', { 
+        cartOwner: req.cartOwner,
+        productId,
+        variantId: variant._id,
+        requestedQty: existingQty + quantity,
+        availableQty
+      });
+      return next(new ValidationError(`Only ${availableQty} items available`));
+    }
+
+    const { unitPrice } = getUnitPrice(product, variant);
 
     if (existingItemIndex > -1) {
       // Update quantity
       cart.items[existingItemIndex].quantity += quantity;
-      // Check if new quantity exceeds stock
-      if (cart.items[existingItemIndex].quantity > product.countInStock) {
-        logger.warn('Add to cart failed - exceeds stock after update', { 
-          userId: req.user.id,
-          productId,
-          requestedQty: cart.items[existingItemIndex].quantity,
-          availableQty: product.countInStock
-        });
-        return next(new ValidationError(`Only ${product.countInStock} items available`));
-      }
+      cart.items[existingItemIndex].price = unitPrice;
     } else {
       // Add new item
       cart.items.push({
         product: productId,
+        variant: variant._id,
         quantity,
-        price: product.price
+        price: unitPrice
       });
     }
 
     await cart.save();
 
     logger.info('Item added to cart successfully', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       productId,
       quantity
     });
@@ -224,10 +280,14 @@ const addToCart = async (req, res, next) => {
   } catch (error) {
     logger.error('Add to cart failed', {
       error: error.message,
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       stack: error.stack
     });
 
+    if (error.isOperational) {
+      return next(error);
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
         field: err.path,
@@ -245,7 +305,7 @@ const addToCart = async (req, res, next) => {
  * /api/v1/cart/items/{itemId}:
  *   put:
  *     summary: Update cart item
- *     description: Update the quantity of a specific item in the authenticated user's shopping cart
+ *     description: Update the quantity of a specific item in the authenticated user's or guest's shopping cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -310,17 +370,17 @@ const addToCart = async (req, res, next) => {
 const updateCartItem = async (req, res, next) => {
   try {
     logger.info('Update cart item request', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemId: req.params.itemId,
       quantity: req.body.quantity
     });
 
     const { quantity } = req.body;
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
       logger.warn('Update cart item - cart not found', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         itemId: req.params.itemId
       });
       return next(new NotFoundError('Cart'));
@@ -332,7 +392,7 @@ const updateCartItem = async (req, res, next) => {
 
     if (itemIndex === -1) {
       logger.warn('Update cart item - item not found in cart', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         itemId: req.params.itemId
       });
       return next(new NotFoundError('Cart item'));
@@ -341,21 +401,25 @@ const updateCartItem = async (req, res, next) => {
     const product = await Product.findById(cart.items[itemIndex].product);
     if (!product) {
       logger.warn('Update cart item - product not found', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         productId: cart.items[itemIndex].product
       });
       return next(new NotFoundError('Product'));
     }
 
-    // Check stock availability
-    if (product.countInStock < quantity) {
+    const variant = resolveVariant(product, cart.items[itemIndex].variant);
+    const availableQty = variant ? (variant.stockQuantity || 0) : 0;
+
+    // Check stock availability for the variant
+    if (availableQty < quantity) {
       logger.warn('Update cart item - insufficient stock', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         productId: cart.items[itemIndex].product,
+        variantId: cart.items[itemIndex].variant,
         requestedQty: quantity,
-        availableQty: product.countInStock
+        availableQty
       });
-      return next(new ValidationError(`Only ${product.countInStock} items available`));
+      return next(new ValidationError(`Only ${availableQty} items available`));
     }
 
     // Update quantity
@@ -363,7 +427,7 @@ const updateCartItem = async (req, res, next) => {
     await cart.save();
 
     logger.info('Cart item updated successfully', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemId: req.params.itemId,
       quantity
     });
@@ -375,11 +439,15 @@ const updateCartItem = async (req, res, next) => {
   } catch (error) {
     logger.error('Update cart item failed', {
       error: error.message,
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemId: req.params.itemId,
       stack: error.stack
     });
 
+    if (error.isOperational) {
+      return next(error);
+    }
+
     if (error.name === 'CastError') {
       return next(new ValidationError('Invalid item ID'));
     }
@@ -401,7 +469,7 @@ const updateCartItem = async (req, res, next) => {
  * /api/v1/cart/items/{itemId}:
  *   delete:
  *     summary: Remove item from cart
- *     description: Remove a specific item from the authenticated user's shopping cart
+ *     description: Remove a specific item from the authenticated user's or guest's shopping cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -453,14 +521,14 @@ const updateCartItem = async (req, res, next) => {
 const removeCartItem = async (req, res, next) => {
   try {
     logger.info('Remove cart item request', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemId: req.params.itemId
     });
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
       logger.warn('Remove cart item - cart not found', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         itemId: req.params.itemId
       });
       return next(new NotFoundError('Cart'));
@@ -473,7 +541,7 @@ const removeCartItem = async (req, res, next) => {
 
     if (cart.items.length === initialLength) {
       logger.warn('Remove cart item - item not found in cart', { 
-        userId: req.user.id,
+        cartOwner: req.cartOwner,
         itemId: req.params.itemId
       });
       return next(new NotFoundError('Cart item'));
@@ -482,7 +550,7 @@ const removeCartItem = async (req, res, next) => {
     await cart.save();
 
     logger.info('Cart item removed successfully', { 
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemId: req.params.itemId
     });
 
@@ -493,7 +561,7 @@ const removeCartItem = async (req, res, next) => {
   } catch (error) {
     logger.error('Remove cart item failed', {
       error: error.message,
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       itemId: req.params.itemId,
       stack: error.stack
     });
@@ -511,7 +579,7 @@ const removeCartItem = async (req, res, next) => {
  * /api/v1/cart:
  *   delete:
  *     summary: Clear cart
- *     description: Remove all items from the authenticated user's shopping cart
+ *     description: Remove all items from the authenticated user's or guest's shopping cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
@@ -549,18 +617,18 @@ const removeCartItem = async (req, res, next) => {
  */
 const clearCart = async (req, res, next) => {
   try {
-    logger.info('Clear cart request', { userId: req.user.id });
+    logger.info('Clear cart request', { cartOwner: req.cartOwner });
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
-      logger.warn('Clear cart - cart not found', { userId: req.user.id });
+      logger.warn('Clear cart - cart not found', { cartOwner: req.cartOwner });
       return next(new NotFoundError('Cart'));
     }
 
     cart.items = [];
     await cart.save();
 
-    logger.info('Cart cleared successfully', { userId: req.user.id });
+    logger.info('Cart cleared successfully', { cartOwner: req.cartOwner });
 
     res.status(200).json({
       success: true,
@@ -569,7 +637,7 @@ const clearCart = async (req, res, next) => {
   } catch (error) {
     logger.error('Clear cart failed', {
       error: error.message,
-      userId: req.user.id,
+      cartOwner: req.cartOwner,
       stack: error.stack
     });
 
@@ -577,10 +645,196 @@ const clearCart = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/v1/cart/checkout:
+ *   post:
+ *     summary: Start checkout
+ *     description: Locks the current price of every metal-rate-linked item in the cart for the configured rate lock window, so a rate change during checkout does not change the order total
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prices locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Cart is empty
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const startCheckout = async (req, res, next) => {
+  try {
+    logger.info('Start checkout request', { cartOwner: req.cartOwner });
+
+    const cart = await Cart.findOne(req.cartOwner);
+    if (!cart || cart.items.length === 0) {
+      logger.warn('Start checkout failed - cart is empty', { cartOwner: req.cartOwner });
+      return next(new ValidationError('Cart is empty'));
+    }
+
+    cart.priceLock = await lockPrices(cart.items);
+    await cart.save();
+
+    logger.info('Checkout started', {
+      cartOwner: req.cartOwner,
+      lockedLines: cart.priceLock.lines.length,
+      expiresAt: cart.priceLock.expiresAt
+    });
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    logger.error('Start checkout failed', {
+      error: error.message,
+      cartOwner: req.cartOwner,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    return next(new AppError('Could not start checkout', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/cart/shipping-quote:
+ *   post:
+ *     summary: Get shipping options for the cart
+ *     description: Returns every shipping method available for the address with its price for the current cart, cheapest first. Signed-in users may pass one of their saved addresses instead of an address object.
+ *     tags: [Cart]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *                 description: ID of a saved address
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone, cart weight, sales tax for the address and available methods
+ *       400:
+ *         description: Cart is empty or the address is outside every shipping zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Address not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+const getShippingQuote = async (req, res, next) => {
+  try {
+    logger.info('Shipping quote request', { cartOwner: req.cartOwner });
+
+    const cart = await Cart.findOne(req.cartOwner);
+    if (!cart || cart.items.length === 0) {
+      return next(new ValidationError('Cart is empty'));
+    }
+
+    let address = req.body.address;
+    if (req.body.addressId) {
+      address = req.user
+        ? await Address.findOne({ _id: req.body.addressId, user: req.user.id })
+        : null;
+      if (!address) {
+        return next(new NotFoundError('Address'));
+      }
+    }
+
+    // Free shipping thresholds apply to the order value after the cart's coupon
+    const quote = await priceOrder({
+      items: cart.items,
+      couponCode: cart.couponCode,
+      priceLock: cart.priceLock,
+      taxAddress: address
+    });
+    const couponFreeShipping = Boolean(quote.pricing.coupon && quote.pricing.coupon.freeShipping);
+
+    const options = await getShippingOptions({
+      address,
+      lines: quote.lines,
+      orderValue: quote.subtotal - quote.discountAmount
+    });
+
+    const methods = couponFreeShipping
+      ? options.methods.map(method => ({ ...method, amount: 0, freeShipping: true }))
+      : options.methods;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        zone: options.zone,
+        weight: options.weight,
+        subtotal: quote.subtotal,
+        discountAmount: quote.discountAmount,
+        taxAmount: quote.taxAmount,
+        tax: quote.pricing.tax,
+        methods
+      }
+    });
+  } catch (error) {
+    logger.error('Shipping quote failed', {
+      error: error.message,
+      cartOwner: req.cartOwner,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid address ID'));
+    }
+
+    return next(new AppError('Could not calculate shipping', 500));
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeCartItem,
-  clearCart
+  clearCart,
+  startCheckout,
+  getShippingQuote
 };
\ No newline at end of file
@@ -9,6 +9,7 @@ const {
   DuplicateResourceError
 } = require('../errors');
 const logger = require('../utils/logger');
+const { hasPermission } = require('../services/permissionService');
 
 /**
  * @swagger
@@ -341,8 +342,8 @@ const updateCategory = async (req, res, next) => {
       return next(new NotFoundError('Category'));
     }
 
-    // Make sure user is admin
-    if (req.user.role !== 'admin') {
+    // Make sure user may edit categories
+    if (!(await hasPermission(req.user, 'categories:write'))) {
       logger.warn('Update category - unauthorized access', { 
         categoryId: req.params.id,
         userId: req.user.id,
@@ -490,8 +491,8 @@ const deleteCategory = async (req, res, next) => {
       return next(new NotFoundError('Category'));
     }
 
-    // Make sure user is admin
-    if (req.user.role !== 'admin') {
+    // Make sure user may edit categories
+    if (!(await hasPermission(req.user, 'categories:write'))) {
       logger.warn('Delete category - unauthorized access', { 
         categoryId: req.params.id,
         userId: req.user.id,
@@ -0,0 +1,237 @@
+const {
+  AppError,
+  ValidationError,
+  DuplicateResourceError
+} = require('../errors');
+const commissionService = require('../services/commissionService');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.code === 11000) {
+    return next(new DuplicateResourceError('Commission rule for this vendor and category'));
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid ID'));
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return next(new ValidationError('Validation Error', errors));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/commission-rules:
+ *   get:
+ *     summary: Get commission rules
+ *     description: Rules set the percentage the store keeps from vendor sales. Lines without a matching rule use the vendorCommissionRate setting.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vendor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of commission rules
+ */
+// @desc    Get commission rules
+// @route   GET /api/admin/commission-rules
+// @access  Private (vendors:manage)
+const getRules = async (req, res, next) => {
+  try {
+    const rules = await commissionService.listRules(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Get commission rules failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve commission rules');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/commission-rules:
+ *   post:
+ *     summary: Create a commission rule
+ *     description: A rule for a vendor and a category beats one for the vendor alone, which beats one for the category alone. New rules apply to orders placed from now on.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate]
+ *             properties:
+ *               vendor:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *                 example: 12.5
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Commission rule created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A rule for this vendor and category exists
+ */
+// @desc    Create commission rule
+// @route   POST /api/admin/commission-rules
+// @access  Private (vendors:manage)
+const createRule = async (req, res, next) => {
+  try {
+    const rule = await commissionService.createRule(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Create commission rule failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create commission rule');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/commission-rules/{id}:
+ *   put:
+ *     summary: Update a commission rule
+ *     description: Only the rate and description change; orders already placed keep their commission.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Commission rule updated
+ *       404:
+ *         description: Commission rule not found
+ */
+// @desc    Update commission rule
+// @route   PUT /api/admin/commission-rules/:id
+// @access  Private (vendors:manage)
+const updateRule = async (req, res, next) => {
+  try {
+    const rule = await commissionService.updateRule(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Update commission rule failed', {
+      error: error.message,
+      ruleId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update commission rule');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/commission-rules/{id}:
+ *   delete:
+ *     summary: Delete a commission rule
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Commission rule deleted
+ *       404:
+ *         description: Commission rule not found
+ */
+// @desc    Delete commission rule
+// @route   DELETE /api/admin/commission-rules/:id
+// @access  Private (vendors:manage)
+const deleteRule = async (req, res, next) => {
+  try {
+    await commissionService.deleteRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Delete commission rule failed', {
+      error: error.message,
+      ruleId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not delete commission rule');
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
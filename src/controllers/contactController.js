@@ -1,4 +1,4 @@
-const { sendEmail } = require('../utils/emailService');
+const { sendContactMessageEmail } = require('../utils/emailService');
 const logger = require('../utils/logger');
 const { AppError } = require('../errors');
 
@@ -17,25 +17,7 @@ const submitContactForm = async (req, res, next) => {
 
         logger.info('Contact form submission', { name, email, subject });
 
-        const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; color: #333;">
-        <h2 style="color: #800020; border-bottom: 2px solid #800020; padding-bottom: 10px;">New Contact Message</h2>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Subject:</strong> ${subject}</p>
-        <div style="background-color: #f9f9f9; padding: 15px; border-radius: 8px; margin-top: 20px;">
-          <h4 style="margin-top: 0; color: #800020;">Message:</h4>
-          <p style="white-space: pre-wrap;">${message}</p>
-        </div>
-      </div>
-    `;
-
-        await sendEmail({
-            email: 'ofk079@gmail.com',
-            subject: `Contact Form: ${subject}`,
-            message: `New message from ${name} (${email}):\n\n${message}`,
-            html
-        });
+        await sendContactMessageEmail({ name, email, subject, message });
 
         res.status(200).json({
             success: true,
@@ -0,0 +1,487 @@
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  DuplicateResourceError
+} = require('../errors');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams,
+  parseSortParams
+} = require('../utils/pagination');
+const { priceOrder } = require('../services/pricingService');
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   get:
+ *     summary: Get all coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of coupons
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+const getCoupons = async (req, res, next) => {
+  try {
+    logger.info('Get all coupons request', { userId: req.user.id });
+
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['code', 'startDate', 'endDate', 'usageCount', 'createdAt']);
+
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.code) {
+      query.code = { $regex: req.query.code, $options: 'i' };
+    }
+
+    const totalItems = await Coupon.countDocuments(query);
+    const coupons = await Coupon.find(query)
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: coupons,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get coupons failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve coupons', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   get:
+ *     summary: Get single coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon details
+ *       404:
+ *         description: Coupon not found
+ */
+// @desc    Get single coupon
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+const getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('applicableProducts', 'name')
+      .populate('applicableCategories', 'name');
+
+    if (!coupon) {
+      logger.warn('Coupon not found', { couponId: req.params.id });
+      return next(new NotFoundError('Coupon'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Get coupon failed', {
+      error: error.message,
+      couponId: req.params.id,
+      stack: error.stack
+    });
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid coupon ID'));
+    }
+
+    return next(new AppError('Could not retrieve coupon', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/coupons:
+ *   post:
+ *     summary: Create coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed_amount, free_shipping]
+ *               value:
+ *                 type: number
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       409:
+ *         description: Coupon code already exists
+ */
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+const createCoupon = async (req, res, next) => {
+  try {
+    logger.info('Create coupon request', { userId: req.user.id, code: req.body.code });
+
+    const coupon = await Coupon.create({
+      ...req.body,
+      usageCount: 0,
+      createdBy: req.user.id
+    });
+
+    logger.info('Coupon created successfully', { couponId: coupon._id, code: coupon.code });
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Create coupon failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.code === 11000) {
+      return next(new DuplicateResourceError('Coupon code'));
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return next(new ValidationError('Validation Error', errors));
+    }
+
+    return next(new AppError('Could not create coupon', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   put:
+ *     summary: Update coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       404:
+ *         description: Coupon not found
+ */
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+const updateCoupon = async (req, res, next) => {
+  try {
+    logger.info('Update coupon request', { couponId: req.params.id, userId: req.user.id });
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return next(new NotFoundError('Coupon'));
+    }
+
+    // usageCount is only ever changed by redemptions
+    const { usageCount, createdBy, ...updates } = req.body;
+    coupon.set(updates);
+
+    if (coupon.endDate <= coupon.startDate) {
+      return next(new ValidationError('End date must be after start date'));
+    }
+
+    await coupon.save();
+
+    logger.info('Coupon updated successfully', { couponId: coupon._id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Update coupon failed', {
+      error: error.message,
+      couponId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid coupon ID'));
+    }
+
+    if (error.code === 11000) {
+      return next(new DuplicateResourceError('Coupon code'));
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }));
+      return next(new ValidationError('Validation Error', errors));
+    }
+
+    return next(new AppError('Could not update coupon', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/coupons/{id}:
+ *   delete:
+ *     summary: Delete coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ */
+// @desc    Delete coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = async (req, res, next) => {
+  try {
+    logger.info('Delete coupon request', { couponId: req.params.id, userId: req.user.id });
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return next(new NotFoundError('Coupon'));
+    }
+
+    await coupon.deleteOne();
+
+    logger.info('Coupon deleted successfully', { couponId: req.params.id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Delete coupon failed', {
+      error: error.message,
+      couponId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid coupon ID'));
+    }
+
+    return next(new AppError('Could not delete coupon', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /cart/coupon:
+ *   post:
+ *     summary: Apply a coupon code to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: EID20
+ *     responses:
+ *       200:
+ *         description: Coupon applied
+ *       400:
+ *         description: Coupon is not valid for this cart
+ *       404:
+ *         description: Cart or coupon not found
+ */
+// @desc    Apply coupon to cart
+// @route   POST /api/cart/coupon
+// @access  Private
+const applyCoupon = async (req, res, next) => {
+  try {
+    logger.info('Apply coupon request', { cartOwner: req.cartOwner, code: req.body.code });
+
+    const cart = await Cart.findOne(req.cartOwner);
+    if (!cart || cart.items.length === 0) {
+      return next(new ValidationError('Your cart is empty'));
+    }
+
+    const { coupon, discountAmount, pricing } = await priceOrder({
+      items: cart.items,
+      couponCode: req.body.code
+    });
+    const freeShipping = pricing.coupon.freeShipping;
+
+    cart.couponCode = coupon.code;
+    cart.discountAmount = discountAmount;
+    await cart.save();
+
+    logger.info('Coupon applied to cart', {
+      cartOwner: req.cartOwner,
+      code: coupon.code,
+      discountAmount
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cart,
+        coupon: {
+          code: coupon.code,
+          type: coupon.type,
+          discountAmount,
+          freeShipping
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Apply coupon failed', {
+      error: error.message,
+      cartOwner: req.cartOwner,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    return next(new AppError('Could not apply coupon', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /cart/coupon:
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon removed
+ *       404:
+ *         description: Cart not found
+ */
+// @desc    Remove coupon from cart
+// @route   DELETE /api/cart/coupon
+// @access  Private
+const removeCoupon = async (req, res, next) => {
+  try {
+    logger.info('Remove coupon request', { cartOwner: req.cartOwner });
+
+    const cart = await Cart.findOne(req.cartOwner);
+    if (!cart) {
+      return next(new NotFoundError('Cart'));
+    }
+
+    cart.couponCode = undefined;
+    cart.discountAmount = 0;
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      data: cart
+    });
+  } catch (error) {
+    logger.error('Remove coupon failed', {
+      error: error.message,
+      cartOwner: req.cartOwner,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not remove coupon', 500));
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  applyCoupon,
+  removeCoupon
+};
@@ -0,0 +1,161 @@
+const EmailLog = require('../models/EmailLog');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError
+} = require('../errors');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams,
+  parseSortParams
+} = require('../utils/pagination');
+
+/**
+ * @swagger
+ * /admin/email-logs:
+ *   get:
+ *     summary: Get the email send log
+ *     description: Every email handed to the mail server, with the template and version used and whether the server accepted it.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: order
+ *         description: Order ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated email log
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get email log
+// @route   GET /api/admin/email-logs
+// @access  Private/Admin
+const getEmailLogs = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['createdAt', 'status', 'template', 'to']);
+
+    const query = {};
+    ['status', 'template', 'order'].forEach((field) => {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    });
+    if (req.query.to) {
+      query.to = req.query.to.toLowerCase();
+    }
+
+    const totalItems = await EmailLog.countDocuments(query);
+    const logs = await EmailLog.find(query)
+      .populate('order', 'orderNumber')
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: logs,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get email logs failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid order ID'));
+    }
+
+    return next(new AppError('Could not retrieve email log', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-logs/{id}:
+ *   get:
+ *     summary: Get a single email log entry
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email log entry
+ *       404:
+ *         description: Email log entry not found
+ */
+// @desc    Get email log entry
+// @route   GET /api/admin/email-logs/:id
+// @access  Private/Admin
+const getEmailLog = async (req, res, next) => {
+  try {
+    const log = await EmailLog.findById(req.params.id)
+      .populate('order', 'orderNumber orderStatus')
+      .populate('user', 'firstName lastName email');
+
+    if (!log) {
+      return next(new NotFoundError('Email log entry'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    logger.error('Get email log failed', {
+      error: error.message,
+      emailLogId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid email log ID'));
+    }
+
+    return next(new AppError('Could not retrieve email log entry', 500));
+  }
+};
+
+module.exports = {
+  getEmailLogs,
+  getEmailLog
+};
@@ -0,0 +1,219 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError
+} = require('../errors');
+const { resendMessage } = require('../services/emailOutboxService');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams,
+  parseSortParams
+} = require('../utils/pagination');
+
+// Bodies and attachment bytes stay out of listings
+const SUMMARY_FIELDS = '-html -text -attachments.content';
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid outbox message ID'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/email-outbox:
+ *   get:
+ *     summary: Get queued and dead-lettered emails
+ *     description: Emails are queued in the outbox and sent by the email worker. Failed sends are retried with exponential backoff; after EMAIL_MAX_ATTEMPTS, or on a permanent SMTP rejection, the message is dead.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, retrying, dead]
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated outbox messages, without bodies
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get email outbox
+// @route   GET /api/admin/email-outbox
+// @access  Private/Admin
+const getOutboxMessages = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['createdAt', 'nextAttemptAt', 'attempts', 'status']);
+
+    const query = {};
+    ['status', 'template'].forEach((field) => {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    });
+    if (req.query.to) {
+      query.to = req.query.to.toLowerCase();
+    }
+
+    const totalItems = await EmailOutbox.countDocuments(query);
+    const messages = await EmailOutbox.find(query)
+      .select(SUMMARY_FIELDS)
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: messages,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get email outbox failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve email outbox');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-outbox/{id}:
+ *   get:
+ *     summary: Get an outbox message with its rendered body
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Outbox message
+ *       404:
+ *         description: Outbox message not found
+ */
+// @desc    Get email outbox message
+// @route   GET /api/admin/email-outbox/:id
+// @access  Private/Admin
+const getOutboxMessage = async (req, res, next) => {
+  try {
+    const message = await EmailOutbox.findById(req.params.id)
+      .select('-attachments.content')
+      .populate('order', 'orderNumber');
+
+    if (!message) {
+      return next(new NotFoundError('Outbox message'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error('Get email outbox message failed', {
+      error: error.message,
+      outboxId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve outbox message');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-outbox/{id}/resend:
+ *   post:
+ *     summary: Resend a failed email
+ *     description: Queues a dead or retrying message to be sent again now, with a fresh set of attempts.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message queued
+ *       400:
+ *         description: Message is not dead or retrying
+ *       404:
+ *         description: Outbox message not found
+ */
+// @desc    Resend email outbox message
+// @route   POST /api/admin/email-outbox/:id/resend
+// @access  Private/Admin
+const resendOutboxMessage = async (req, res, next) => {
+  try {
+    logger.info('Resend email request', { outboxId: req.params.id, userId: req.user.id });
+
+    const message = await resendMessage(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: message._id,
+        to: message.to,
+        subject: message.subject,
+        status: message.status,
+        nextAttemptAt: message.nextAttemptAt
+      }
+    });
+  } catch (error) {
+    logger.error('Resend email failed', {
+      error: error.message,
+      outboxId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not resend email');
+  }
+};
+
+module.exports = {
+  getOutboxMessages,
+  getOutboxMessage,
+  resendOutboxMessage
+};
@@ -0,0 +1,340 @@
+const {
+  AppError,
+  DuplicateResourceError
+} = require('../errors');
+const {
+  listTemplates,
+  getTemplate: getTemplateVersions,
+  createTemplateVersion: createVersion,
+  activateTemplateVersion: activateVersion,
+  previewTemplate: renderPreview
+} = require('../services/emailTemplateService');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  // Two versions published at the same moment race for the same number
+  if (error.code === 11000) {
+    return next(new DuplicateResourceError('Email template version'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/email-templates:
+ *   get:
+ *     summary: List email templates
+ *     description: Every transactional email with the version currently sent. Version 1 is the built-in template; later versions are published by admins.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Template list
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    List email templates
+// @route   GET /api/admin/email-templates
+// @access  Private/Admin
+const getTemplates = async (req, res, next) => {
+  try {
+    const templates = await listTemplates();
+
+    res.status(200).json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    logger.error('Get email templates failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve email templates');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-templates/{name}:
+ *   get:
+ *     summary: Get an email template with all its versions
+ *     description: Versions come newest first, ending with the built-in version 1. sampleData lists the variables the template receives.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: order_confirmation
+ *     responses:
+ *       200:
+ *         description: Template versions
+ *       404:
+ *         description: Email template not found
+ */
+// @desc    Get email template versions
+// @route   GET /api/admin/email-templates/:name
+// @access  Private/Admin
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await getTemplateVersions(req.params.name);
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Get email template failed', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve email template');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-templates/{name}/versions:
+ *   post:
+ *     summary: Publish a new version of an email template
+ *     description: Subject, html and text are Handlebars templates rendered inside the shared layout. HTML output is escaped. Helpers are money, eq and capitalize; partials are orderItems and address. Without text, the plain-text body is derived from the HTML. The new version is sent from now on unless activate is false.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - html
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 example: "Thanks for your order #{{order.number}}"
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               activate:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Version published
+ *       400:
+ *         description: Validation error or template syntax error
+ *       404:
+ *         description: Email template not found
+ */
+// @desc    Publish email template version
+// @route   POST /api/admin/email-templates/:name/versions
+// @access  Private/Admin
+const createTemplateVersion = async (req, res, next) => {
+  try {
+    logger.info('Create email template version request', { name: req.params.name, userId: req.user.id });
+
+    const version = await createVersion(req.params.name, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    logger.error('Create email template version failed', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create email template version');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-templates/{name}/versions/{version}/activate:
+ *   put:
+ *     summary: Switch the version of an email template that is sent
+ *     description: Activating version 1 goes back to the built-in template.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version activated
+ *       404:
+ *         description: Email template or version not found
+ */
+// @desc    Activate email template version
+// @route   PUT /api/admin/email-templates/:name/versions/:version/activate
+// @access  Private/Admin
+const activateTemplateVersion = async (req, res, next) => {
+  try {
+    logger.info('Activate email template version request', {
+      name: req.params.name,
+      version: req.params.version,
+      userId: req.user.id
+    });
+
+    const active = await activateVersion(req.params.name, parseInt(req.params.version, 10));
+
+    res.status(200).json({
+      success: true,
+      data: active
+    });
+  } catch (error) {
+    logger.error('Activate email template version failed', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not activate email template version');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/email-templates/{name}/preview:
+ *   get:
+ *     summary: Preview an email template with sample data
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: version
+ *         description: Saved version to render; the active one when omitted
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         description: html or text return the rendered body directly, for viewing in a browser
+ *         schema:
+ *           type: string
+ *           enum: [json, html, text]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text
+ *       404:
+ *         description: Email template or version not found
+ *   post:
+ *     summary: Preview an unsaved draft of an email template
+ *     description: Renders the given subject, html and text in place of the saved version, with the sample data merged with data from the body.
+ *     tags: [Email]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *               data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text
+ *       400:
+ *         description: Template syntax error
+ */
+// @desc    Preview email template
+// @route   GET /api/admin/email-templates/:name/preview
+// @route   POST /api/admin/email-templates/:name/preview
+// @access  Private/Admin
+const previewTemplate = async (req, res, next) => {
+  try {
+    const { version, subject, html, text, data } = req.method === 'POST' ? req.body : {};
+    const draft = subject || html || text !== undefined ? { subject, html, text } : undefined;
+    const savedVersion = req.method === 'POST' ? version : (req.query.version && parseInt(req.query.version, 10));
+
+    const preview = await renderPreview(req.params.name, { version: savedVersion, draft, data });
+
+    if (req.query.format === 'html') {
+      return res.status(200).type('html').send(preview.html);
+    }
+    if (req.query.format === 'text') {
+      return res.status(200).type('text').send(preview.text);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    logger.error('Preview email template failed', {
+      error: error.message,
+      name: req.params.name,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not render email template');
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplateVersion,
+  activateTemplateVersion,
+  previewTemplate
+};
@@ -6,6 +6,22 @@ const cartController = require('./cartController');
 const wishlistController = require('./wishlistController');
 const reviewController = require('./reviewController');
 const paymentController = require('./paymentController');
+const couponController = require('./couponController');
+const metalRateController = require('./metalRateController');
+const returnController = require('./returnController');
+const shippingZoneController = require('./shippingZoneController');
+const shipmentController = require('./shipmentController');
+const taxRateController = require('./taxRateController');
+const invoiceController = require('./invoiceController');
+const emailTemplateController = require('./emailTemplateController');
+const emailLogController = require('./emailLogController');
+const emailOutboxController = require('./emailOutboxController');
+const twoFactorController = require('./twoFactorController');
+const roleController = require('./roleController');
+const vendorController = require('./vendorController');
+const payoutController = require('./payoutController');
+const commissionRuleController = require('./commissionRuleController');
+const auditController = require('./auditController');
 
 module.exports = {
   userController,
@@ -15,5 +31,21 @@ module.exports = {
   cartController,
   wishlistController,
   reviewController,
-  paymentController
+  paymentController,
+  couponController,
+  metalRateController,
+  returnController,
+  shippingZoneController,
+  shipmentController,
+  taxRateController,
+  invoiceController,
+  emailTemplateController,
+  emailLogController,
+  emailOutboxController,
+  twoFactorController,
+  roleController,
+  vendorController,
+  payoutController,
+  commissionRuleController,
+  auditController
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+const Order = require('../models/Order');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError
+} = require('../errors');
+const { generateInvoice, generatePackingSlip } = require('../services/invoiceService');
+const { hasPermission } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid order ID'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+const sendPdf = (res, { filename, content }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': content.length
+  });
+  res.status(200).send(content);
+};
+
+/**
+ * @swagger
+ * /orders/{id}/invoice.pdf:
+ *   get:
+ *     summary: Download order invoice
+ *     description: Renders the invoice as a PDF with store details from Settings, per-line tax and the tax breakdown by class. The invoice number is assigned from a running sequence the first time the invoice is issued and stays the same afterwards.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Get order invoice PDF
+// @route   GET /api/v1/orders/:id/invoice.pdf
+// @access  Private
+const getInvoice = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user');
+    if (!order) {
+      return next(new NotFoundError('Order'));
+    }
+
+    if (String(order.user) !== req.user.id && !(await hasPermission(req.user, 'orders:read'))) {
+      return next(new ForbiddenError('Not authorized to view this order'));
+    }
+
+    const invoice = await generateInvoice(order._id);
+
+    sendPdf(res, invoice);
+  } catch (error) {
+    logger.error('Get invoice failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not generate invoice');
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/packing-slip.pdf:
+ *   get:
+ *     summary: Download order packing slip
+ *     description: Renders a packing slip PDF listing items with SKU, purity and weight, the ship-to address and the booked courier and COD amount. Prices are left off.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Packing slip PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Forbidden, admin only
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Get order packing slip PDF
+// @route   GET /api/v1/orders/:id/packing-slip.pdf
+// @access  Private/Admin
+const getPackingSlip = async (req, res, next) => {
+  try {
+    const packingSlip = await generatePackingSlip(req.params.id);
+
+    sendPdf(res, packingSlip);
+  } catch (error) {
+    logger.error('Get packing slip failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not generate packing slip');
+  }
+};
+
+module.exports = {
+  getInvoice,
+  getPackingSlip
+};
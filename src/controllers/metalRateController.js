@@ -0,0 +1,227 @@
+const { AppError } = require('../errors');
+const logger = require('../utils/logger');
+const { invalidateCache } = require('../middlewares/cache');
+const {
+  getCurrentRates,
+  getRateHistory,
+  publishRate,
+  repriceProducts
+} = require('../services/metalRateService');
+
+/**
+ * @swagger
+ * /admin/metal-rates:
+ *   get:
+ *     summary: Get the metal rates currently in effect
+ *     tags: [Metal Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Latest rate per metal and purity
+ *       401:
+ *         description: Unauthorized
+ */
+// @desc    Get current metal rates
+// @route   GET /api/admin/metal-rates
+// @access  Private/Admin
+const getRates = async (req, res, next) => {
+  try {
+    const rates = await getCurrentRates();
+
+    res.status(200).json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    logger.error('Get metal rates failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve metal rates', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/metal-rates/history:
+ *   get:
+ *     summary: Get metal rate history
+ *     tags: [Metal Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: metalType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: purity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Published rates, newest first
+ */
+// @desc    Get metal rate history
+// @route   GET /api/admin/metal-rates/history
+// @access  Private/Admin
+const getHistory = async (req, res, next) => {
+  try {
+    const { metalType, purity, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const history = await getRateHistory({ metalType, purity, from, to, limit });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Get metal rate history failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve metal rate history', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/metal-rates:
+ *   post:
+ *     summary: Publish a new metal rate
+ *     description: Adds a rate to the history and, unless reprice is false, reprices every rate-linked variant.
+ *     tags: [Metal Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - metalType
+ *               - purity
+ *               - ratePerGram
+ *             properties:
+ *               metalType:
+ *                 type: string
+ *                 example: Gold
+ *               purity:
+ *                 type: string
+ *                 example: 22K
+ *               ratePerGram:
+ *                 type: number
+ *                 example: 21500
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               reprice:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Rate published
+ */
+// @desc    Publish metal rate
+// @route   POST /api/admin/metal-rates
+// @access  Private/Admin
+const createRate = async (req, res, next) => {
+  try {
+    const { reprice = true, ...rateData } = req.body;
+
+    const rate = await publishRate(rateData, req.user.id);
+
+    logger.info('Metal rate published', {
+      rateId: rate._id,
+      metalType: rate.metalType,
+      purity: rate.purity,
+      ratePerGram: rate.ratePerGram,
+      userId: req.user.id
+    });
+
+    // Future-dated rates are picked up by the scheduled repricing job instead
+    let repricing = null;
+    if (reprice && rate.effectiveFrom <= new Date()) {
+      repricing = await repriceProducts({ metalType: rate.metalType, purity: rate.purity });
+      await invalidateCache('cache:*');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        rate,
+        repricing
+      }
+    });
+  } catch (error) {
+    logger.error('Publish metal rate failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not publish metal rate', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/metal-rates/reprice:
+ *   post:
+ *     summary: Reprice rate-linked variants from the current rate table
+ *     tags: [Metal Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Repricing summary
+ */
+// @desc    Reprice rate-linked products
+// @route   POST /api/admin/metal-rates/reprice
+// @access  Private/Admin
+const reprice = async (req, res, next) => {
+  try {
+    const { metalType, purity } = req.body;
+
+    const summary = await repriceProducts({ metalType, purity });
+    await invalidateCache('cache:*');
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Reprice products failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not reprice products', 500));
+  }
+};
+
+module.exports = {
+  getRates,
+  getHistory,
+  createRate,
+  reprice
+};
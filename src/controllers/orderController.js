@@ -1,5 +1,6 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const Cart = require('../models/Cart');
 const {
   AppError,
   ValidationError,
@@ -15,12 +16,23 @@ const {
   parseFilterParams
 } = require('../utils/pagination');
 const {
+  getOrderRecipient,
   sendOrderConfirmationEmail,
   sendOrderShippedEmail,
   sendOrderDeliveredEmail,
   sendOrderStatusUpdateEmail
 } = require('../utils/emailService');
 const User = require('../models/User');
+const { redeemCoupon, releaseCoupon } = require('../services/couponService');
+const { priceOrder, findPriceMismatches } = require('../services/pricingService');
+const { splitOrderByVendor } = require('../services/commissionService');
+const { reserveStock, releaseStock, restockOrder } = require('../services/inventoryService');
+const returnService = require('../services/returnService');
+const { canTransition, transitionStatus } = require('../services/orderStatusService');
+const { hasPermission } = require('../services/permissionService');
+const { createPaymentIntent } = require('../services/paymentService');
+const { generateInvoice } = require('../services/invoiceService');
+const { createOrderLookupToken, getOrderLookupUrl, verifyOrderLookupToken } = require('../utils/orderLookupToken');
 
 /**
  * @swagger
@@ -100,8 +112,8 @@ const getOrders = async (req, res, next) => {
     let orders;
     let totalItems;
 
-    if (req.user.role === 'admin' || req.user.role === 'superadmin') {
-      // Admin can see all orders
+    if (await hasPermission(req.user, 'orders:read')) {
+      // Staff can see all orders
       totalItems = await Order.countDocuments(query);
       orders = await Order.find(query)
         .populate('user', 'id firstName lastName email')
@@ -154,6 +166,7 @@ const getOrders = async (req, res, next) => {
  * /orders/{id}:
  *   get:
  *     summary: Get single order
+ *     description: Includes statusHistory, the timeline of order and payment status changes.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -190,10 +203,19 @@ const getOrder = async (req, res, next) => {
       userId: req.user.id
     });
 
-    const order = await Order.findById(req.params.id)
+    const isAdmin = await hasPermission(req.user, 'orders:read');
+
+    const query = Order.findById(req.params.id)
       .populate('user', 'firstName lastName email')
       .populate('items.product', 'name images price');
 
+    // Staff names in the status timeline are only shown to admins
+    if (isAdmin) {
+      query.populate('statusHistory.actor', 'firstName lastName role');
+    }
+
+    const order = await query;
+
     if (!order) {
       logger.warn('Order not found', {
         orderId: req.params.id,
@@ -204,13 +226,12 @@ const getOrder = async (req, res, next) => {
 
     // Make sure user is order owner or admin
     const isOwner = order.user && order.user._id.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin' || req.user.role === 'superadmin';
 
     if (!isOwner && !isAdmin) {
       logger.warn('Get order - unauthorized access', {
         orderId: req.params.id,
         userId: req.user.id,
-        orderOwner: order.user._id.toString()
+        orderOwner: order.user && order.user._id.toString()
       });
       return next(new ForbiddenError());
     }
@@ -240,6 +261,62 @@ const getOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /orders/lookup/{token}:
+ *   get:
+ *     summary: Track an order through its signed lookup link
+ *     description: Lets guest buyers follow their order without an account. The token comes from the guest checkout response and confirmation email.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order details
+ *       401:
+ *         description: Invalid or expired link
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Track order by lookup token
+// @route   GET /api/v1/orders/lookup/:token
+// @access  Public
+const lookupOrder = async (req, res, next) => {
+  try {
+    const orderId = verifyOrderLookupToken(req.params.token);
+    if (!orderId) {
+      logger.warn('Order lookup failed - invalid token', { ip: req.ip });
+      return next(new UnauthorizedError('Invalid or expired order link'));
+    }
+
+    const order = await Order.findById(orderId)
+      .select('-pricing -paymentIntentId -statusHistory.actor')
+      .populate('items.product', 'name images');
+
+    if (!order) {
+      return next(new NotFoundError('Order'));
+    }
+
+    logger.info('Order looked up by token', { orderId: order._id });
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Order lookup failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve order', 500));
+  }
+};
+
 /**
  * @swagger
  * /orders:
@@ -269,14 +346,59 @@ const getOrder = async (req, res, next) => {
  *       401:
  *         description: Unauthorized
  */
+/**
+ * @swagger
+ * /orders/guest:
+ *   post:
+ *     summary: Place an order without an account
+ *     description: Same body as POST /orders plus contact details. Uses the guest cart named by the cart token for coupons and locked prices. The response includes a signed lookupUrl for tracking; the buyer can later claim the order by verifying the same email through the OTP flow.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Order'
+ *               - type: object
+ *                 required:
+ *                   - contact
+ *                 properties:
+ *                   contact:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Order created, with lookupToken and lookupUrl
+ *       400:
+ *         description: Validation error
+ */
 // @desc    Create new order
 // @route   POST /api/v1/orders
-// @access  Private
+// @route   POST /api/v1/orders/guest
+// @access  Private / Public (guest checkout)
 const createOrder = async (req, res, next) => {
+  // Guest checkout reaches this handler without a user
+  const userId = req.user ? req.user.id : undefined;
+  const isGuest = !req.user;
+
   try {
+    // Identifiers only: the body carries the customer's contact details and addresses
     logger.info('Create order request', {
-      userId: req.user.id,
-      orderData: req.body
+      userId,
+      isGuest,
+      cartOwner: req.cartOwner,
+      items: Array.isArray(req.body.items)
+        ? req.body.items.map(({ product, variant, quantity }) => ({ product, variant, quantity }))
+        : undefined,
+      couponCode: req.body.couponCode,
+      paymentMethod: req.body.paymentMethod
     });
 
     const {
@@ -284,32 +406,60 @@ const createOrder = async (req, res, next) => {
       shippingAddress,
       billingAddress,
       paymentMethod,
-      subtotal,
-      taxAmount,
-      shippingCost,
-      discountAmount,
-      totalAmount
+      contact
     } = req.body;
+    let couponCode = req.body.couponCode;
 
     if (!items || items.length === 0) {
-      logger.warn('Create order failed - no items', { userId: req.user.id });
+      logger.warn('Create order failed - no items', { userId });
       return next(new ValidationError('Order must have at least one item'));
     }
 
-    // Verify products exist and have enough stock
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        logger.warn('Create order failed - product not found', {
-          productId: item.product,
-          userId: req.user.id
-        });
-        return next(new NotFoundError('Product'));
-      }
+    if (isGuest && (!contact || !contact.email)) {
+      return next(new ValidationError('A contact email is required for guest checkout'));
+    }
+
+    // Fall back to a coupon applied on the cart, and honour prices locked when checkout started
+    const cart = await Cart.findOne(req.cartOwner || { user: userId });
+    if (!couponCode) {
+      couponCode = cart && cart.couponCode;
+    }
+    const priceLock = cart ? cart.priceLock : undefined;
 
-      // Check stock if product variants are used or just product
-      // For now, assume simplified stock check on product if variants not specified
-      // In a real app, you'd check the specific variant's stock
+    // Recompute every price and total from the catalogue; client numbers are only compared
+    const quote = await priceOrder({
+      items,
+      couponCode,
+      priceLock,
+      shippingAddress,
+      shippingMethod: req.body.shippingMethod
+    });
+
+    const mismatches = findPriceMismatches(req.body, quote);
+    if (mismatches.length > 0) {
+      logger.warn('Create order failed - client totals do not match server pricing', {
+        userId,
+        mismatches
+      });
+      return next(new ValidationError('Order totals do not match current prices', mismatches));
+    }
+
+    couponCode = quote.coupon ? quote.coupon.code : undefined;
+
+    // Marketplace items are fulfilled and paid out per vendor
+    const { items: orderItems, vendorOrders } = await splitOrderByVendor(quote);
+
+    // Take the stock for every line atomically so two buyers cannot get the last piece
+    await reserveStock(quote.items);
+
+    // Consume the coupon atomically before the order is stored
+    if (couponCode) {
+      try {
+        await redeemCoupon(couponCode);
+      } catch (couponError) {
+        await releaseStock(quote.items, 'reservation_rollback');
+        throw couponError;
+      }
     }
 
     // Generate unique order number
@@ -319,53 +469,106 @@ const createOrder = async (req, res, next) => {
     const orderNumber = `ORD-${dateStr}-${randomStr}`;
 
     // Create order
-    const order = await Order.create({
-      orderNumber,
-      user: req.user.id,
-      items,
-      shippingAddress,
-      billingAddress: billingAddress || shippingAddress,
-      paymentMethod,
-      subtotal,
-      taxAmount: taxAmount || 0,
-      shippingCost: shippingCost || 0,
-      discountAmount: discountAmount || 0,
-      totalAmount
-    });
+    let order;
+    try {
+      order = await Order.create({
+        orderNumber,
+        user: userId,
+        isGuest,
+        contact: isGuest ? contact : undefined,
+        items: orderItems,
+        vendorOrders,
+        shippingAddress,
+        billingAddress: billingAddress || shippingAddress,
+        paymentMethod,
+        shippingMethod: quote.shippingMethod,
+        subtotal: quote.subtotal,
+        taxAmount: quote.taxAmount,
+        shippingCost: quote.shippingCost,
+        discountAmount: quote.discountAmount,
+        totalAmount: quote.totalAmount,
+        couponCode,
+        pricing: quote.pricing
+      });
+    } catch (createError) {
+      await releaseStock(quote.items, 'reservation_rollback');
+      if (couponCode) {
+        await releaseCoupon(couponCode);
+      }
+      throw createError;
+    }
+
+    // The cart has been checked out: empty it and drop its coupon and price lock,
+    // so the next order cannot redeem the coupon again
+    if (cart) {
+      try {
+        cart.items = [];
+        cart.couponCode = undefined;
+        cart.priceLock = undefined;
+        await cart.save();
+      } catch (cartError) {
+        logger.error('Failed to clear cart after order', {
+          error: cartError.message,
+          orderId: order._id,
+          cartId: cart._id
+        });
+      }
+    }
 
     logger.info('Order created successfully', {
       orderId: order._id,
       orderNumber: order.orderNumber,
-      userId: req.user.id,
+      userId,
       itemCount: items.length
     });
 
-    // Send confirmation email
+    // Buyers without an account track the order through a signed link
+    const lookupToken = isGuest ? createOrderLookupToken(order) : undefined;
+    const lookupUrl = isGuest ? getOrderLookupUrl(order) : undefined;
+
+    // A missing invoice should not hold back the confirmation email
+    let invoice;
+    try {
+      invoice = await generateInvoice(order._id);
+    } catch (invoiceError) {
+      logger.error('Failed to generate order invoice', {
+        error: invoiceError.message,
+        orderId: order._id,
+        userId
+      });
+    }
+
+    // Queue confirmation email; the email worker sends it and retries on failure
     try {
       const populatedOrder = await Order.findById(order._id).populate('items.product', 'name price');
-      const user = await User.findById(req.user.id);
+      const user = isGuest ? getOrderRecipient(order) : await User.findById(userId);
       if (user && populatedOrder) {
-        await sendOrderConfirmationEmail(user, populatedOrder);
+        await sendOrderConfirmationEmail(user, populatedOrder, lookupUrl, invoice);
       }
     } catch (emailError) {
-      logger.error('Failed to send order confirmation email', {
+      logger.error('Failed to queue order confirmation email', {
         error: emailError.message,
         orderId: order._id,
-        userId: req.user.id
+        userId
       });
     }
 
     res.status(201).json({
       success: true,
-      data: order
+      data: isGuest ? { ...order.toObject(), lookupToken, lookupUrl } : order
     });
   } catch (error) {
     logger.error('Create order failed', {
       error: error.message,
-      userId: req.user.id,
+      userId,
+      cartOwner: req.cartOwner,
       stack: error.stack
     });
 
+    if (error.isOperational) {
+      return next(error);
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
         field: err.path,
@@ -378,11 +581,100 @@ const createOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /orders/quote:
+ *   post:
+ *     summary: Price an order without placing it
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               couponCode:
+ *                 type: string
+ *               shippingAddress:
+ *                 type: object
+ *                 description: Shipping is only charged when an address is given. Sales tax is worked out for this address, or for the store's tax address without one.
+ *               shippingMethod:
+ *                 type: string
+ *                 description: Shipping method code; the cheapest available when omitted
+ *     responses:
+ *       200:
+ *         description: Server-side totals and pricing breakdown
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+// @desc    Quote order totals
+// @route   POST /api/v1/orders/quote
+// @access  Public (guest cart token) / Private
+const quoteOrder = async (req, res, next) => {
+  try {
+    logger.info('Quote order request', { cartOwner: req.cartOwner });
+
+    const { items, couponCode, shippingAddress, shippingMethod } = req.body;
+
+    const cart = await Cart.findOne(req.cartOwner);
+    const quote = await priceOrder({
+      items,
+      couponCode,
+      priceLock: cart ? cart.priceLock : undefined,
+      shippingAddress,
+      shippingMethod
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: quote.items,
+        subtotal: quote.subtotal,
+        discountAmount: quote.discountAmount,
+        shippingCost: quote.shippingCost,
+        shippingMethod: quote.shippingMethod,
+        taxAmount: quote.taxAmount,
+        totalAmount: quote.totalAmount,
+        pricing: quote.pricing
+      }
+    });
+  } catch (error) {
+    logger.error('Quote order failed', {
+      error: error.message,
+      cartOwner: req.cartOwner,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    return next(new AppError('Could not price order', 500));
+  }
+};
+
 /**
  * @swagger
  * /orders/{id}/pay:
  *   put:
- *     summary: Update order to paid
+ *     summary: Record an order as paid
+ *     description: For payments collected outside Stripe, such as cash on delivery or a bank transfer. Card payments are marked paid by the Stripe webhook.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -392,6 +684,15 @@ const createOrder = async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Kept in the order's statusHistory, e.g. a bank transfer reference
  *     responses:
  *       200:
  *         description: Order updated to paid
@@ -404,14 +705,18 @@ const createOrder = async (req, res, next) => {
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Order is already paid or refunded
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires orders:update
  *       404:
  *         description: Order not found
  */
 // @desc    Update order to paid
 // @route   PUT /api/v1/orders/:id/pay
-// @access  Private
+// @access  Private/Admin
 const updateOrderToPaid = async (req, res, next) => {
   try {
     logger.info('Update order to paid request', {
@@ -429,25 +734,13 @@ const updateOrderToPaid = async (req, res, next) => {
       return next(new NotFoundError('Order'));
     }
 
-    // Make sure user is order owner or admin
-    if (order.user.toString() !== req.user.id && req.user.role !== 'admin' && req.user.role !== 'superadmin') {
-      logger.warn('Update order to paid - unauthorized access', {
-        orderId: req.params.id,
-        userId: req.user.id,
-        orderOwner: order.user.toString()
-      });
-      return next(new ForbiddenError());
-    }
-
-    // Update order status
-    order.isPaid = true;
+    // Goes through the transition graph, so paid or refunded orders are refused,
+    // and the change is kept in statusHistory
+    transitionStatus(order, 'paymentStatus', 'completed', {
+      actor: req.user,
+      note: req.body.note || `Payment received by ${order.paymentMethod}`
+    });
     order.paidAt = Date.now();
-    order.paymentResult = {
-      id: req.body.id,
-      status: req.body.status,
-      update_time: req.body.update_time,
-      email_address: req.body.payer.email_address
-    };
 
     const updatedOrder = await order.save();
 
@@ -468,6 +761,10 @@ const updateOrderToPaid = async (req, res, next) => {
       stack: error.stack
     });
 
+    if (error.isOperational) {
+      return next(error);
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
         field: err.path,
@@ -533,8 +830,8 @@ const updateOrderToDelivered = async (req, res, next) => {
       return next(new NotFoundError('Order'));
     }
 
-    // Make sure user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
+    // Make sure user may update orders
+    if (!(await hasPermission(req.user, 'orders:update'))) {
       logger.warn('Update order to delivered - unauthorized access', {
         orderId: req.params.id,
         userId: req.user.id,
@@ -544,9 +841,8 @@ const updateOrderToDelivered = async (req, res, next) => {
     }
 
     // Update order status
-    order.isDelivered = true;
-    order.deliveredAt = Date.now();
-    order.orderStatus = 'delivered';
+    transitionStatus(order, 'orderStatus', 'delivered', { actor: req.user });
+    order.deliveredDate = Date.now();
 
     const updatedOrder = await (await order.save()).populate('user');
 
@@ -557,7 +853,7 @@ const updateOrderToDelivered = async (req, res, next) => {
 
     // Send email
     try {
-      await sendOrderDeliveredEmail(updatedOrder.user, updatedOrder);
+      await sendOrderDeliveredEmail(getOrderRecipient(updatedOrder), updatedOrder);
     } catch (emailError) {
       logger.error('Failed to send order delivered email', {
         error: emailError.message,
@@ -577,6 +873,10 @@ const updateOrderToDelivered = async (req, res, next) => {
       stack: error.stack
     });
 
+    if (error.isOperational) {
+      return next(error);
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
         field: err.path,
@@ -642,8 +942,8 @@ const deleteOrder = async (req, res, next) => {
       return next(new NotFoundError('Order'));
     }
 
-    // Make sure user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
+    // Make sure user may delete orders
+    if (!(await hasPermission(req.user, 'orders:delete'))) {
       logger.warn('Delete order - unauthorized access', {
         orderId: req.params.id,
         userId: req.user.id,
@@ -684,6 +984,7 @@ const deleteOrder = async (req, res, next) => {
  * /payments/process:
  *   post:
  *     summary: Process payment
+ *     description: Starts payment for an order. Card payments get a Stripe PaymentIntent whose client secret the storefront confirms; the Stripe webhook then marks the order paid. Cash on delivery, bank transfer and PayPal only record the method, and staff mark the order paid once the money arrives.
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -706,7 +1007,7 @@ const deleteOrder = async (req, res, next) => {
  *                 enum: [cash_on_delivery, credit_card, debit_card, bank_transfer, paypal, stripe]
  *     responses:
  *       200:
- *         description: Payment processed
+ *         description: Payment started
  *         content:
  *           application/json:
  *             schema:
@@ -716,6 +1017,11 @@ const deleteOrder = async (req, res, next) => {
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Order'
+ *                 clientSecret:
+ *                   type: string
+ *                   description: Stripe PaymentIntent client secret, for card payments only
+ *       400:
+ *         description: Order is already paid or the amount does not match its total
  *       401:
  *         description: Unauthorized
  */
@@ -743,40 +1049,61 @@ const processPayment = async (req, res, next) => {
     }
 
     // Make sure user is order owner
-    if (order.user.toString() !== req.user.id) {
+    if (String(order.user) !== req.user.id) {
       logger.warn('Process payment - unauthorized access', {
         orderId,
         userId: req.user.id,
-        orderOwner: order.user.toString()
+        orderOwner: order.user && order.user.toString()
       });
       return next(new ForbiddenError());
     }
 
-    // Process payment based on method
+    if (['completed', 'refunded'].includes(order.paymentStatus)) {
+      return next(new ValidationError('Order is already paid'));
+    }
+
+    // Compared in cents, the unit Stripe charges in
+    if (Math.round(amount * 100) !== Math.round(order.totalAmount * 100)) {
+      logger.warn('Process payment failed - amount mismatch', {
+        orderId,
+        userId: req.user.id,
+        amount,
+        totalAmount: order.totalAmount
+      });
+      return next(new ValidationError('Amount does not match the order total'));
+    }
+
+    // Only Stripe marks an order paid; see reconcilePaymentEvent
+    let clientSecret;
     switch (paymentMethod) {
       case 'cash_on_delivery':
-        // For COD, just update order status
-        order.paymentMethod = 'cash_on_delivery';
-        order.isPaid = true;
-        order.paidAt = Date.now();
+      case 'bank_transfer':
+      case 'paypal':
+        // Collected outside Stripe; staff record the payment with PUT /orders/:id/pay
+        order.paymentMethod = paymentMethod;
         break;
 
       case 'credit_card':
       case 'debit_card':
-      case 'paypal':
-      case 'stripe':
-        // For online payments, we would integrate with payment gateway
-        // This is a simplified version - in real app, you'd use Stripe/PayPal SDK
+      case 'stripe': {
+        const paymentIntent = await createPaymentIntent(
+          order.totalAmount,
+          (order.currency || 'PKR').toLowerCase(),
+          `Order ${order.orderNumber}`,
+          { orderId: String(order._id) }
+        );
         order.paymentMethod = paymentMethod;
-        order.isPaid = true;
-        order.paidAt = Date.now();
-        order.paymentResult = {
-          id: `payment_${Date.now()}`,
-          status: 'completed',
-          update_time: new Date().toISOString(),
-          email_address: req.user.email
-        };
+        order.paymentIntentId = paymentIntent.id;
+        clientSecret = paymentIntent.client_secret;
+        // A retry while the earlier intent is still open keeps the order processing
+        if (canTransition('paymentStatus', order.paymentStatus, 'processing')) {
+          transitionStatus(order, 'paymentStatus', 'processing', {
+            actor: req.user,
+            note: `Stripe PaymentIntent ${paymentIntent.id} created`
+          });
+        }
         break;
+      }
 
       default:
         logger.warn('Process payment failed - invalid payment method', {
@@ -796,7 +1123,8 @@ const processPayment = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: order
+      data: order,
+      clientSecret
     });
   } catch (error) {
     logger.error('Process payment failed', {
@@ -805,6 +1133,10 @@ const processPayment = async (req, res, next) => {
       stack: error.stack
     });
 
+    if (error.isOperational) {
+      return next(error);
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
         field: err.path,
@@ -818,13 +1150,49 @@ const processPayment = async (req, res, next) => {
 };
 
 /**
- * @desc    Update order status
- * @route   PUT /api/v1/orders/:id/status
- * @access  Private/Admin
+ * @swagger
+ * /orders/{id}/status:
+ *   put:
+ *     summary: Update order and/or payment status
+ *     description: Moves are checked against the status transition graph; illegal jumps such as delivered back to pending are rejected. Every change is added to the order's statusHistory.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, returned]
+ *               paymentStatus:
+ *                 type: string
+ *                 enum: [pending, processing, completed, failed, refunded]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Transition not allowed
+ *       404:
+ *         description: Order not found
  */
+// @desc    Update order status
+// @route   PUT /api/v1/orders/:id/status
+// @access  Private/Admin
 const updateOrderStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
+    const { status, paymentStatus, note } = req.body;
 
     const order = await Order.findById(req.params.id).populate('user');
 
@@ -833,27 +1201,71 @@ const updateOrderStatus = async (req, res, next) => {
     }
 
     const oldStatus = order.orderStatus;
-    order.orderStatus = status;
 
-    if (status === 'shipped') {
-      order.shippedDate = Date.now();
-    } else if (status === 'delivered') {
-      order.isDelivered = true;
-      order.deliveredDate = Date.now();
+    if (status && status !== oldStatus) {
+      transitionStatus(order, 'orderStatus', status, { actor: req.user, note });
+
+      if (status === 'shipped') {
+        order.shippedDate = Date.now();
+      } else if (status === 'delivered') {
+        order.deliveredDate = Date.now();
+      }
+    }
+
+    if (paymentStatus && paymentStatus !== order.paymentStatus) {
+      transitionStatus(order, 'paymentStatus', paymentStatus, { actor: req.user, note });
+
+      if (paymentStatus === 'completed') {
+        order.paidAt = Date.now();
+      }
     }
 
     const updatedOrder = await order.save();
 
+    logger.info('Order status updated', {
+      orderId: order._id,
+      userId: req.user.id,
+      from: oldStatus,
+      to: updatedOrder.orderStatus,
+      paymentStatus: updatedOrder.paymentStatus
+    });
+
+    // Put the reserved stock back when an order is cancelled or returned
+    if (['cancelled', 'returned'].includes(updatedOrder.orderStatus) && oldStatus !== updatedOrder.orderStatus) {
+      try {
+        await restockOrder(updatedOrder._id, updatedOrder.orderStatus);
+      } catch (stockError) {
+        logger.error('Failed to restock order', {
+          error: stockError.message,
+          orderId: order._id,
+          status
+        });
+      }
+    }
+
+    // A cancelled order gives its coupon use back, as a customer cancellation does
+    if (updatedOrder.orderStatus === 'cancelled' && oldStatus !== 'cancelled' && updatedOrder.couponCode) {
+      try {
+        await releaseCoupon(updatedOrder.couponCode);
+      } catch (couponError) {
+        logger.error('Failed to release coupon', {
+          error: couponError.message,
+          orderId: order._id,
+          couponCode: updatedOrder.couponCode
+        });
+      }
+    }
+
     // Send email notifications based on status
     try {
       const populatedOrder = await Order.findById(updatedOrder._id).populate('items.product', 'name price');
       if (oldStatus !== 'shipped' && status === 'shipped') {
-        await sendOrderShippedEmail(order.user, populatedOrder);
+        await sendOrderShippedEmail(getOrderRecipient(order), populatedOrder);
       } else if (oldStatus !== 'delivered' && status === 'delivered') {
-        await sendOrderDeliveredEmail(order.user, populatedOrder);
-      } else if (oldStatus !== status) {
+        await sendOrderDeliveredEmail(getOrderRecipient(order), populatedOrder);
+      } else if (status && oldStatus !== status) {
         // For other status changes (confirmed, processing, cancelled, etc.)
-        await sendOrderStatusUpdateEmail(order.user, populatedOrder);
+        await sendOrderStatusUpdateEmail(getOrderRecipient(order), populatedOrder);
       }
     } catch (emailError) {
       logger.error('Failed to send status update email', {
@@ -868,18 +1280,104 @@ const updateOrderStatus = async (req, res, next) => {
       data: updatedOrder
     });
   } catch (error) {
-    logger.error('Update order status failed', error);
+    logger.error('Update order status failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid order ID'));
+    }
+
     return next(new AppError('Could not update order status', 500));
   }
 };
 
+/**
+ * @swagger
+ * /orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel own order before it ships
+ *     description: Puts the stock back, releases the coupon and refunds any payment already taken.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *       400:
+ *         description: Order has already shipped
+ *       403:
+ *         description: Not the order owner
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Cancel order
+// @route   POST /api/v1/orders/:id/cancel
+// @access  Private
+const cancelOrder = async (req, res, next) => {
+  try {
+    logger.info('Cancel order request', {
+      orderId: req.params.id,
+      userId: req.user.id
+    });
+
+    const order = await returnService.cancelOrder(req.params.id, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Cancel order failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid order ID'));
+    }
+
+    return next(new AppError('Could not cancel order', 500));
+  }
+};
+
 module.exports = {
   getOrders,
   getOrder,
+  lookupOrder,
   createOrder,
+  quoteOrder,
   updateOrderToPaid,
   updateOrderToDelivered,
   updateOrderStatus,
   deleteOrder,
-  processPayment
+  processPayment,
+  cancelOrder
 };
\ No newline at end of file
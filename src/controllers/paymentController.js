@@ -0,0 +1,64 @@
+const { AppError } = require('../errors');
+const logger = require('../utils/logger');
+const { constructWebhookEvent, handleWebhookEvent } = require('../services/paymentService');
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Stripe webhook
+ *     description: Receives Stripe events signed with STRIPE_WEBHOOK_SECRET and updates the order's paymentStatus. Handles payment_intent.succeeded, payment_intent.payment_failed and charge.refunded; redelivered events are acknowledged without being processed again.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Missing or invalid signature
+ */
+// @desc    Receive Stripe webhook events
+// @route   POST /api/payments/webhook
+// @access  Public (verified by Stripe signature)
+const stripeWebhook = async (req, res, next) => {
+  try {
+    const event = constructWebhookEvent(req.body, req.headers['stripe-signature']);
+
+    const { duplicate, result } = await handleWebhookEvent(event);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        received: true,
+        duplicate,
+        result
+      }
+    });
+  } catch (error) {
+    logger.error('Stripe webhook failed', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    // A 5xx makes Stripe retry the delivery later
+    return next(new AppError('Could not process webhook event', 500));
+  }
+};
+
+module.exports = {
+  stripeWebhook
+};
@@ -0,0 +1,356 @@
+const VendorPayout = require('../models/VendorPayout');
+const {
+  AppError,
+  ValidationError
+} = require('../errors');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams
+} = require('../utils/pagination');
+const payoutService = require('../services/payoutService');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid ID'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+// Statements newest first, without their order lines
+const listPayouts = async (req, query) => {
+  const { page, limit, skip } = parsePaginationParams(req);
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const totalItems = await VendorPayout.countDocuments(query);
+  const payouts = await VendorPayout.find(query)
+    .select('-lines')
+    .populate('vendor', 'storeName slug')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  return {
+    data: payouts,
+    pagination: createPaginationMetadata(totalItems, page, limit)
+  };
+};
+
+/**
+ * @swagger
+ * /admin/vendors/{id}/payouts:
+ *   post:
+ *     summary: Issue a payout statement
+ *     description: Lists the vendor's delivered, paid order shares that are not yet on a statement, with the sales, the store's commission and the amount owed. Each share appears on one statement only.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vendor ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Earliest delivery to include; everything unpaid when omitted
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Latest delivery to include; now when omitted
+ *     responses:
+ *       201:
+ *         description: Payout statement created
+ *       400:
+ *         description: Nothing is due for the period
+ *       404:
+ *         description: Vendor not found
+ */
+// @desc    Create payout statement
+// @route   POST /api/admin/vendors/:id/payouts
+// @access  Private (vendors:manage)
+const createPayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.createPayout(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    logger.error('Create payout failed', {
+      error: error.message,
+      vendorId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create payout statement');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/payouts:
+ *   get:
+ *     summary: Get all payout statements
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vendor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of payout statements
+ */
+// @desc    Get all payout statements
+// @route   GET /api/admin/payouts
+// @access  Private (vendors:manage)
+const getPayouts = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.vendor) {
+      query.vendor = req.query.vendor;
+    }
+
+    const data = await listPayouts(req, query);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Get payouts failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve payout statements');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/payouts/{id}:
+ *   get:
+ *     summary: Get a payout statement
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout statement with its order lines and the vendor's bank details
+ *       404:
+ *         description: Payout statement not found
+ */
+// @desc    Get payout statement
+// @route   GET /api/admin/payouts/:id
+// @access  Private (vendors:manage)
+const getPayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.getPayout(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    logger.error('Get payout failed', {
+      error: error.message,
+      payoutId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve payout statement');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/payouts/{id}/paid:
+ *   put:
+ *     summary: Mark a payout statement paid
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 description: Bank transfer or payment reference
+ *     responses:
+ *       200:
+ *         description: Statement marked paid
+ *       400:
+ *         description: Statement is already paid
+ *       404:
+ *         description: Payout statement not found
+ */
+// @desc    Mark payout statement paid
+// @route   PUT /api/admin/payouts/:id/paid
+// @access  Private (vendors:manage)
+const markPayoutPaid = async (req, res, next) => {
+  try {
+    const payout = await payoutService.markPayoutPaid(req.params.id, req.body.reference, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    logger.error('Mark payout paid failed', {
+      error: error.message,
+      payoutId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update payout statement');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/payouts:
+ *   get:
+ *     summary: Get my payout statements
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid]
+ *     responses:
+ *       200:
+ *         description: The vendor's payout statements
+ *       403:
+ *         description: Not an approved vendor
+ */
+// @desc    Get my payout statements
+// @route   GET /api/v1/vendors/me/payouts
+// @access  Private/Vendor
+const getMyPayouts = async (req, res, next) => {
+  try {
+    const data = await listPayouts(req, { vendor: req.vendor._id });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Get vendor payouts failed', {
+      error: error.message,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve payout statements');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/payouts/{id}:
+ *   get:
+ *     summary: Get one of my payout statements
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout statement with its order lines
+ *       404:
+ *         description: Payout statement not found
+ */
+// @desc    Get my payout statement
+// @route   GET /api/v1/vendors/me/payouts/:id
+// @access  Private/Vendor
+const getMyPayout = async (req, res, next) => {
+  try {
+    const payout = await payoutService.getPayout(req.params.id, req.vendor._id);
+
+    res.status(200).json({
+      success: true,
+      data: payout
+    });
+  } catch (error) {
+    logger.error('Get vendor payout failed', {
+      error: error.message,
+      payoutId: req.params.id,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve payout statement');
+  }
+};
+
+module.exports = {
+  createPayout,
+  getPayouts,
+  getPayout,
+  markPayoutPaid,
+  getMyPayouts,
+  getMyPayout
+};
@@ -10,6 +10,7 @@ const {
 const logger = require('../utils/logger');
 const { generateUniqueSku } = require('../utils/helpers');
 const { invalidateCache } = require('../middlewares/cache');
+const { hasPermission } = require('../services/permissionService');
 const {
   createPaginationMetadata,
   parsePaginationParams,
@@ -17,6 +18,35 @@ const {
   parseFilterParams
 } = require('../utils/pagination');
 
+// Fields that set what customers pay, on the product and on each variant
+const PRICE_FIELDS = ['price', 'salePrice', 'isRateLinked', 'makingCharges', 'gemstoneValue'];
+
+// Whether `next` differs from `current`; objects compare only the keys `next` sets
+const differs = (current, next) => {
+  if (next === undefined) {
+    return false;
+  }
+  if (next !== null && typeof next === 'object') {
+    return Object.keys(next).some(key => differs(current ? current[key] : undefined, next[key]));
+  }
+  return (current == null ? null : current) !== next;
+};
+
+/**
+ * Whether an update changes prices, which also needs the prices:write permission.
+ * Variants are matched by SKU; a new variant always sets a price.
+ */
+const changesPricing = (product, update) => {
+  if (PRICE_FIELDS.some(field => differs(product[field], update[field]))) {
+    return true;
+  }
+
+  return (update.variants || []).some((variant) => {
+    const current = product.variants.find(existing => existing.sku === variant.sku);
+    return !current || PRICE_FIELDS.some(field => differs(current[field], variant[field]));
+  });
+};
+
 /**
  * @swagger
  * /products:
@@ -194,6 +224,7 @@ const getProduct = async (req, res, next) => {
 
     const product = await Product.findById(req.params.id)
       .populate('category', 'name')
+      .populate('vendor', 'storeName slug')
       .populate('reviews', 'rating comment createdAt user');
 
     if (!product) {
@@ -384,8 +415,8 @@ const updateProduct = async (req, res, next) => {
       return next(new NotFoundError('Product'));
     }
 
-    // Make sure user is admin
-    if (req.user.role !== 'admin') {
+    // Make sure user may edit products
+    if (!(await hasPermission(req.user, 'products:write'))) {
       logger.warn('Update product - unauthorized access', {
         productId: req.params.id,
         userId: req.user.id
@@ -393,6 +424,14 @@ const updateProduct = async (req, res, next) => {
       return next(new ForbiddenError());
     }
 
+    if (changesPricing(product, req.body) && !(await hasPermission(req.user, 'prices:write'))) {
+      logger.warn('Update product - price change not allowed', {
+        productId: req.params.id,
+        userId: req.user.id
+      });
+      return next(new ForbiddenError('Changing prices requires the prices:write permission'));
+    }
+
     // Check if category exists
     if (req.body.category) {
       const category = await Category.findById(req.body.category);
@@ -499,8 +538,8 @@ const deleteProduct = async (req, res, next) => {
       return next(new NotFoundError('Product'));
     }
 
-    // Make sure user is admin
-    if (req.user.role !== 'admin') {
+    // Make sure user may edit products
+    if (!(await hasPermission(req.user, 'products:write'))) {
       logger.warn('Delete product - unauthorized access', {
         productId: req.params.id,
         userId: req.user.id
@@ -0,0 +1,493 @@
+const fs = require('fs');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError
+} = require('../errors');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams,
+  parseSortParams
+} = require('../utils/pagination');
+const { uploadImage } = require('../utils/cloudinary');
+const returnService = require('../services/returnService');
+const { hasPermission } = require('../services/permissionService');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid ID'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+const removeTempFiles = (files = []) => {
+  files.forEach((file) => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /orders/{id}/returns:
+ *   post:
+ *     summary: Request a return for a delivered order
+ *     description: Must be sent within the return window configured in settings (returnWindowDays). Leave items empty to return the whole order.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reasonCode
+ *             properties:
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [damaged, defective, wrong_item, not_as_described, size_issue, changed_mind, other]
+ *               comments:
+ *                 type: string
+ *               items:
+ *                 type: string
+ *                 description: JSON array of { product, variant, quantity }
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Order not delivered, return window closed or invalid items
+ */
+// @desc    Request a return
+// @route   POST /api/v1/orders/:id/returns
+// @access  Private
+const requestReturn = async (req, res, next) => {
+  try {
+    logger.info('Request return request', {
+      orderId: req.params.id,
+      userId: req.user.id,
+      reasonCode: req.body.reasonCode
+    });
+
+    const photos = [];
+    for (const file of req.files || []) {
+      const result = await uploadImage(file.path, 'returns');
+      photos.push({ url: result.secure_url, public_id: result.public_id });
+    }
+    removeTempFiles(req.files);
+
+    const items = typeof req.body.items === 'string' ? JSON.parse(req.body.items) : req.body.items;
+
+    const returnRequest = await returnService.requestReturn(req.params.id, req.user.id, {
+      items,
+      reasonCode: req.body.reasonCode,
+      comments: req.body.comments,
+      photos
+    });
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Request return failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    removeTempFiles(req.files);
+
+    return handleError(error, next, 'Could not request return');
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/returns:
+ *   get:
+ *     summary: Get return requests for own order
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return requests for the order
+ */
+// @desc    Get order return requests
+// @route   GET /api/v1/orders/:id/returns
+// @access  Private
+const getOrderReturns = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return next(new NotFoundError('Order'));
+    }
+
+    if (String(order.user) !== req.user.id && !(await hasPermission(req.user, 'orders:read'))) {
+      return next(new ForbiddenError());
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    logger.error('Get order returns failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve return requests');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/returns:
+ *   get:
+ *     summary: Get all return requests
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, refunded]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated return requests
+ */
+// @desc    Get all return requests
+// @route   GET /api/admin/returns
+// @access  Private/Admin
+const getReturns = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['status', 'createdAt', 'rmaNumber']);
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const totalItems = await ReturnRequest.countDocuments(query);
+    const returns = await ReturnRequest.find(query)
+      .populate('order', 'orderNumber totalAmount paymentMethod')
+      .populate('user', 'firstName lastName email')
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: returns,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get returns failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve return requests', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}:
+ *   get:
+ *     summary: Get single return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return request details
+ *       404:
+ *         description: Return request not found
+ */
+// @desc    Get single return request
+// @route   GET /api/admin/returns/:id
+// @access  Private/Admin
+const getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('order')
+      .populate('user', 'firstName lastName email')
+      .populate('items.product', 'name images');
+
+    if (!returnRequest) {
+      return next(new NotFoundError('Return request'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Get return failed', {
+      error: error.message,
+      returnId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve return request');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/approve:
+ *   put:
+ *     summary: Approve a return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved
+ */
+// @desc    Approve return request
+// @route   PUT /api/admin/returns/:id/approve
+// @access  Private/Admin
+const approveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.approveReturn(req.params.id, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Approve return failed', {
+      error: error.message,
+      returnId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not approve return request');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/reject:
+ *   put:
+ *     summary: Reject a return request
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ */
+// @desc    Reject return request
+// @route   PUT /api/admin/returns/:id/reject
+// @access  Private/Admin
+const rejectReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.rejectReturn(req.params.id, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Reject return failed', {
+      error: error.message,
+      returnId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not reject return request');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/receive:
+ *   put:
+ *     summary: Mark returned goods as received and restock them
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return received
+ */
+// @desc    Receive returned goods
+// @route   PUT /api/admin/returns/:id/receive
+// @access  Private/Admin
+const receiveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.receiveReturn(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Receive return failed', {
+      error: error.message,
+      returnId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not receive return');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/returns/{id}/refund:
+ *   post:
+ *     summary: Refund a received return
+ *     description: Refunds card payments through Stripe; other payment methods are recorded as manual refunds. Defaults to the returned items' share of the amount paid.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Return refunded
+ */
+// @desc    Refund return
+// @route   POST /api/admin/returns/:id/refund
+// @access  Private/Admin
+const refundReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.refundReturn(req.params.id, req.user, req.body.amount);
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Refund return failed', {
+      error: error.message,
+      returnId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not refund return');
+  }
+};
+
+module.exports = {
+  requestReturn,
+  getOrderReturns,
+  getReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+};
@@ -8,6 +8,7 @@ const {
   ForbiddenError 
 } = require('../errors');
 const logger = require('../utils/logger');
+const { hasPermission } = require('../services/permissionService');
 
 /**
  * @swagger
@@ -415,7 +416,7 @@ const updateReview = async (req, res, next) => {
     }
 
     // Make sure user is review owner
-    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (review.user.toString() !== req.user.id && !(await hasPermission(req.user, 'reviews:moderate'))) {
       logger.warn('Update review - unauthorized access', { 
         reviewId: req.params.id,
         userId: req.user.id,
@@ -555,8 +556,8 @@ const deleteReview = async (req, res, next) => {
       return next(new NotFoundError('Review'));
     }
 
-    // Make sure user is review owner or admin
-    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Make sure user is review owner or a moderator
+    if (review.user.toString() !== req.user.id && !(await hasPermission(req.user, 'reviews:moderate'))) {
       logger.warn('Delete review - unauthorized access', { 
         reviewId: req.params.id,
         userId: req.user.id,
@@ -0,0 +1,340 @@
+const {
+  AppError,
+  ValidationError,
+  DuplicateResourceError
+} = require('../errors');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  listRoles,
+  getRole: findRole,
+  createRole: addRole,
+  updateRole: changeRole,
+  deleteRole: removeRole
+} = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.code === 11000) {
+    return next(new DuplicateResourceError('Role with this name'));
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid role ID'));
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return next(new ValidationError('Validation Error', errors));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: List every permission a role can grant
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names with what each allows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires roles:manage
+ */
+// @desc    List permissions
+// @route   GET /api/admin/permissions
+// @access  Private (roles:manage)
+const getPermissions = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: Get all roles
+ *     description: Each role lists its permissions and the number of users holding it.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires roles:manage
+ */
+// @desc    Get all roles
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await listRoles();
+
+    res.status(200).json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    logger.error('Get roles failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve roles');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   get:
+ *     summary: Get a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Get single role
+// @route   GET /api/admin/roles/:id
+// @access  Private (roles:manage)
+const getRole = async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    logger.error('Get role failed', {
+      error: error.message,
+      roleId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve role');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 required: true
+ *                 example: warehouse
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [orders:read, orders:update, returns:read, returns:update]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A role with this name exists
+ */
+// @desc    Create role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+const createRole = async (req, res, next) => {
+  try {
+    const role = await addRole(req.body);
+
+    logger.info('Role created', { roleId: role._id, name: role.name, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    logger.error('Create role failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create role');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   put:
+ *     summary: Update a role
+ *     description: Users holding the role get the new permissions within a minute. Renaming a role moves its users to the new name. Built-in roles cannot be renamed, and the permissions of admin and customer are fixed.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error, or a built-in role cannot change this way
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Update role
+// @route   PUT /api/admin/roles/:id
+// @access  Private (roles:manage)
+const updateRole = async (req, res, next) => {
+  try {
+    const role = await changeRole(req.params.id, req.body);
+
+    logger.info('Role updated', { roleId: role._id, name: role.name, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    logger.error('Update role failed', {
+      error: error.message,
+      roleId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update role');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/roles/{id}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Only roles that no user holds can be deleted. Built-in roles cannot be deleted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Role is built in or still assigned
+ *       404:
+ *         description: Role not found
+ */
+// @desc    Delete role
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (roles:manage)
+const deleteRole = async (req, res, next) => {
+  try {
+    await removeRole(req.params.id);
+
+    logger.info('Role deleted', { roleId: req.params.id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Delete role failed', {
+      error: error.message,
+      roleId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not delete role');
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
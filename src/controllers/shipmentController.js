@@ -0,0 +1,387 @@
+const Order = require('../models/Order');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ForbiddenError
+} = require('../errors');
+const {
+  bookShipment: bookOrderShipment,
+  syncOrderShipment,
+  syncActiveShipments,
+  handleCourierWebhook
+} = require('../services/courierService');
+const { listCouriers } = require('../services/couriers');
+const { hasPermission } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid order ID'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/couriers:
+ *   get:
+ *     summary: List courier integrations
+ *     description: Every courier adapter and whether its credentials are configured.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Courier list
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    List couriers
+// @route   GET /api/admin/couriers
+// @access  Private/Admin
+const getCouriers = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: listCouriers()
+    });
+  } catch (error) {
+    logger.error('Get couriers failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve couriers', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/shipment:
+ *   post:
+ *     summary: Book a shipment with a courier
+ *     description: Books the parcel with the courier, stores the consignment number as the order's tracking number and moves a confirmed order to processing. Unpaid cash on delivery orders are booked with the order total as the amount to collect.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               courier:
+ *                 type: string
+ *                 enum: [tcs, leopards, mnp, mock]
+ *                 description: Defaults to COURIER_DEFAULT
+ *               weight:
+ *                 type: number
+ *                 description: Grams; defaults to the weight priced at checkout
+ *               pieces:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment booked
+ *       400:
+ *         description: Order cannot be shipped or courier not configured
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: Courier API unavailable
+ */
+// @desc    Book shipment
+// @route   POST /api/orders/:id/shipment
+// @access  Private/Admin
+const bookShipment = async (req, res, next) => {
+  try {
+    logger.info('Book shipment request', {
+      orderId: req.params.id,
+      courier: req.body.courier,
+      userId: req.user.id
+    });
+
+    const order = await bookOrderShipment(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        orderStatus: order.orderStatus,
+        trackingNumber: order.trackingNumber,
+        shipment: order.shipment
+      }
+    });
+  } catch (error) {
+    logger.error('Book shipment failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not book shipment');
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/shipment/sync:
+ *   post:
+ *     summary: Refresh tracking from the courier
+ *     description: Pulls the latest checkpoints for the order's consignment and moves the order to shipped, delivered or returned when the courier reports it.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tracking refreshed
+ *       400:
+ *         description: Order has no shipment
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Sync shipment tracking
+// @route   POST /api/orders/:id/shipment/sync
+// @access  Private/Admin
+const syncShipment = async (req, res, next) => {
+  try {
+    const { order, added, transitions } = await syncOrderShipment(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        added,
+        transitions,
+        orderStatus: order.orderStatus,
+        shipment: order.shipment
+      }
+    });
+  } catch (error) {
+    logger.error('Sync shipment failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not sync shipment');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/shipments/sync:
+ *   post:
+ *     summary: Refresh tracking for all active shipments
+ *     description: Polls the couriers for shipments that are not delivered, returned or cancelled, least recently synced first. The same job runs from cron with npm run sync:shipments.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 default: 100
+ *               staleMinutes:
+ *                 type: integer
+ *                 default: 30
+ *     responses:
+ *       200:
+ *         description: Sync summary with checked, updated and failed counts
+ */
+// @desc    Sync all active shipments
+// @route   POST /api/admin/shipments/sync
+// @access  Private/Admin
+const syncShipments = async (req, res, next) => {
+  try {
+    logger.info('Sync shipments request', { userId: req.user.id });
+
+    const summary = await syncActiveShipments(req.body);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Sync shipments failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not sync shipments');
+  }
+};
+
+/**
+ * @swagger
+ * /orders/{id}/tracking:
+ *   get:
+ *     summary: Get shipment tracking for own order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Courier, tracking link and checkpoints, or null when nothing is booked yet
+ *       403:
+ *         description: Not authorized to view this order
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Get order tracking
+// @route   GET /api/orders/:id/tracking
+// @access  Private
+const getTracking = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user orderNumber orderStatus trackingNumber shipment');
+    if (!order) {
+      return next(new NotFoundError('Order'));
+    }
+
+    if (String(order.user) !== req.user.id && !(await hasPermission(req.user, 'orders:read'))) {
+      return next(new ForbiddenError('Not authorized to view this order'));
+    }
+
+    const { shipment } = order;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        trackingNumber: order.trackingNumber,
+        shipment: shipment ? {
+          courier: shipment.courierName || shipment.courier,
+          consignmentNumber: shipment.consignmentNumber,
+          trackingUrl: shipment.trackingUrl,
+          status: shipment.status,
+          events: shipment.events
+        } : null
+      }
+    });
+  } catch (error) {
+    logger.error('Get tracking failed', {
+      error: error.message,
+      orderId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve tracking');
+  }
+};
+
+/**
+ * @swagger
+ * /shipping/webhooks/{courier}:
+ *   post:
+ *     summary: Courier tracking webhook
+ *     description: Receives tracking updates pushed by a courier, authenticated with the X-Courier-Secret header against <COURIER>_WEBHOOK_SECRET. Checkpoints already on the order are ignored, so redeliveries are harmless.
+ *     tags: [Shipping]
+ *     parameters:
+ *       - in: path
+ *         name: courier
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tcs, leopards, mnp, mock]
+ *       - in: header
+ *         name: X-Courier-Secret
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               consignmentNumber:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Update received
+ *       400:
+ *         description: Unknown courier
+ *       401:
+ *         description: Missing or invalid secret
+ */
+// @desc    Receive courier tracking webhooks
+// @route   POST /api/shipping/webhooks/:courier
+// @access  Public (verified by shared secret)
+const courierWebhook = async (req, res, next) => {
+  try {
+    const result = await handleCourierWebhook(req.params.courier, req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        received: true,
+        ...result
+      }
+    });
+  } catch (error) {
+    logger.error('Courier webhook failed', {
+      error: error.message,
+      courier: req.params.courier,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    // A 5xx tells the courier to retry the delivery later
+    return next(new AppError('Could not process courier webhook', 500));
+  }
+};
+
+module.exports = {
+  getCouriers,
+  bookShipment,
+  syncShipment,
+  syncShipments,
+  getTracking,
+  courierWebhook
+};
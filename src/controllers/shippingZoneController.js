@@ -0,0 +1,329 @@
+const ShippingZone = require('../models/ShippingZone');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError
+} = require('../errors');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid shipping zone ID'));
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return next(new ValidationError('Validation Error', errors));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/shipping-zones:
+ *   get:
+ *     summary: Get all shipping zones
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of shipping zones
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get all shipping zones
+// @route   GET /api/admin/shipping-zones
+// @access  Private/Admin
+const getZones = async (req, res, next) => {
+  try {
+    logger.info('Get shipping zones request', { userId: req.user.id });
+
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const zones = await ShippingZone.find(query).sort({ priority: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: zones
+    });
+  } catch (error) {
+    logger.error('Get shipping zones failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve shipping zones', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/shipping-zones/{id}:
+ *   get:
+ *     summary: Get single shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone details
+ *       404:
+ *         description: Shipping zone not found
+ */
+// @desc    Get single shipping zone
+// @route   GET /api/admin/shipping-zones/:id
+// @access  Private/Admin
+const getZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return next(new NotFoundError('Shipping zone'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Get shipping zone failed', {
+      error: error.message,
+      zoneId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve shipping zone');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/shipping-zones:
+ *   post:
+ *     summary: Create a shipping zone
+ *     description: A zone covers the listed countries, provinces (address state) and cities; empty lists match anything. The most specific matching zone prices an order. Each method has rate brackets by weight in grams and order value, checked in order.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - methods
+ *             properties:
+ *               name:
+ *                 type: string
+ *               countries:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               provinces:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               cities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               priority:
+ *                 type: integer
+ *               methods:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     freeShippingThreshold:
+ *                       type: number
+ *                     rates:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           minWeight:
+ *                             type: number
+ *                           maxWeight:
+ *                             type: number
+ *                           minOrderValue:
+ *                             type: number
+ *                           maxOrderValue:
+ *                             type: number
+ *                           price:
+ *                             type: number
+ *     responses:
+ *       201:
+ *         description: Shipping zone created
+ *       400:
+ *         description: Validation error
+ */
+// @desc    Create shipping zone
+// @route   POST /api/admin/shipping-zones
+// @access  Private/Admin
+const createZone = async (req, res, next) => {
+  try {
+    logger.info('Create shipping zone request', { userId: req.user.id, name: req.body.name });
+
+    const zone = await ShippingZone.create(req.body);
+
+    logger.info('Shipping zone created successfully', { zoneId: zone._id, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Create shipping zone failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create shipping zone');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/shipping-zones/{id}:
+ *   put:
+ *     summary: Update a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated
+ *       404:
+ *         description: Shipping zone not found
+ */
+// @desc    Update shipping zone
+// @route   PUT /api/admin/shipping-zones/:id
+// @access  Private/Admin
+const updateZone = async (req, res, next) => {
+  try {
+    logger.info('Update shipping zone request', { zoneId: req.params.id, userId: req.user.id });
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return next(new NotFoundError('Shipping zone'));
+    }
+
+    zone.set(req.body);
+    await zone.save();
+
+    logger.info('Shipping zone updated successfully', { zoneId: zone._id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Update shipping zone failed', {
+      error: error.message,
+      zoneId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update shipping zone');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/shipping-zones/{id}:
+ *   delete:
+ *     summary: Delete a shipping zone
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted
+ *       404:
+ *         description: Shipping zone not found
+ */
+// @desc    Delete shipping zone
+// @route   DELETE /api/admin/shipping-zones/:id
+// @access  Private/Admin
+const deleteZone = async (req, res, next) => {
+  try {
+    logger.info('Delete shipping zone request', { zoneId: req.params.id, userId: req.user.id });
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return next(new NotFoundError('Shipping zone'));
+    }
+
+    await zone.deleteOne();
+
+    logger.info('Shipping zone deleted successfully', { zoneId: req.params.id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Delete shipping zone failed', {
+      error: error.message,
+      zoneId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not delete shipping zone');
+  }
+};
+
+module.exports = {
+  getZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone
+};
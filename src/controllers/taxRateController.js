@@ -0,0 +1,268 @@
+const TaxRate = require('../models/TaxRate');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  DuplicateResourceError
+} = require('../errors');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.code === 11000) {
+    return next(new DuplicateResourceError('Tax rate for this class and region'));
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid tax rate ID'));
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return next(new ValidationError('Validation Error', errors));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /admin/tax-rates:
+ *   get:
+ *     summary: Get all tax rates
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: taxClass
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of tax rates
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get all tax rates
+// @route   GET /api/admin/tax-rates
+// @access  Private/Admin
+const getTaxRates = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.taxClass) {
+      query.taxClass = req.query.taxClass.toLowerCase();
+    }
+    if (req.query.country) {
+      query.country = req.query.country;
+    }
+
+    const rates = await TaxRate.find(query).sort({ taxClass: 1, country: 1, province: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    logger.error('Get tax rates failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve tax rates', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/tax-rates:
+ *   post:
+ *     summary: Create a tax rate
+ *     description: Sets the sales tax percentage for a tax class in a country, or in one province when province is given. Province rates override the country-wide rate for the same class. Products take their tax class from the product, then its categories, then Settings.defaultTaxClass.
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - taxClass
+ *               - name
+ *               - rate
+ *             properties:
+ *               taxClass:
+ *                 type: string
+ *                 example: jewelry
+ *               name:
+ *                 type: string
+ *                 example: GST
+ *               country:
+ *                 type: string
+ *                 default: Pakistan
+ *               province:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *                 description: Percentage
+ *     responses:
+ *       201:
+ *         description: Tax rate created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A rate for this class and region already exists
+ */
+// @desc    Create tax rate
+// @route   POST /api/admin/tax-rates
+// @access  Private/Admin
+const createTaxRate = async (req, res, next) => {
+  try {
+    logger.info('Create tax rate request', { userId: req.user.id, taxClass: req.body.taxClass });
+
+    const rate = await TaxRate.create(req.body);
+
+    logger.info('Tax rate created successfully', { taxRateId: rate._id, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Create tax rate failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create tax rate');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/tax-rates/{id}:
+ *   put:
+ *     summary: Update a tax rate
+ *     description: Only affects orders priced from now on; placed orders keep the tax stored on them.
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rate updated
+ *       404:
+ *         description: Tax rate not found
+ */
+// @desc    Update tax rate
+// @route   PUT /api/admin/tax-rates/:id
+// @access  Private/Admin
+const updateTaxRate = async (req, res, next) => {
+  try {
+    logger.info('Update tax rate request', { taxRateId: req.params.id, userId: req.user.id });
+
+    const rate = await TaxRate.findById(req.params.id);
+    if (!rate) {
+      return next(new NotFoundError('Tax rate'));
+    }
+
+    rate.set(req.body);
+    await rate.save();
+
+    logger.info('Tax rate updated successfully', { taxRateId: rate._id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Update tax rate failed', {
+      error: error.message,
+      taxRateId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update tax rate');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/tax-rates/{id}:
+ *   delete:
+ *     summary: Delete a tax rate
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted
+ *       404:
+ *         description: Tax rate not found
+ */
+// @desc    Delete tax rate
+// @route   DELETE /api/admin/tax-rates/:id
+// @access  Private/Admin
+const deleteTaxRate = async (req, res, next) => {
+  try {
+    logger.info('Delete tax rate request', { taxRateId: req.params.id, userId: req.user.id });
+
+    const rate = await TaxRate.findById(req.params.id);
+    if (!rate) {
+      return next(new NotFoundError('Tax rate'));
+    }
+
+    await rate.deleteOne();
+
+    logger.info('Tax rate deleted successfully', { taxRateId: req.params.id, userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Delete tax rate failed', {
+      error: error.message,
+      taxRateId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not delete tax rate');
+  }
+};
+
+module.exports = {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+};
@@ -0,0 +1,310 @@
+const {
+  AppError,
+  ValidationError
+} = require('../errors');
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../services/twoFactorService');
+const { revokeUserSessions } = require('../services/sessionService');
+const logger = require('../utils/logger');
+
+const handleError = (error, next, fallbackMessage) => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid user ID'));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /users/me/2fa:
+ *   get:
+ *     summary: Get my two-factor authentication status
+ *     description: required is true for staff accounts (roles that grant any permission) when Settings.requireAdminTwoFactor is on; such accounts cannot use staff endpoints until 2FA is enabled.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                     required:
+ *                       type: boolean
+ */
+// @desc    Get two-factor status
+// @route   GET /api/users/me/2fa
+// @access  Private
+const getStatus = async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    logger.error('Get two-factor status failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve two-factor status');
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and its otpauth:// URI. Show the URI as a QR code for the authenticator app to scan, then confirm with a code at /users/me/2fa/enable. Starting again replaces a secret that was not confirmed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret to add to an authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+// @desc    Start two-factor enrollment
+// @route   POST /api/users/me/2fa/setup
+// @access  Private
+const setup = async (req, res, next) => {
+  try {
+    const enrollment = await startEnrollment(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    logger.error('Two-factor setup failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not start two-factor setup');
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Enables two-factor authentication with a code from the secret issued by /users/me/2fa/setup. Returns ten single-use recovery codes, which are not shown again. Every other session is signed out.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid code, or setup was not started
+ */
+// @desc    Enable two-factor authentication
+// @route   POST /api/users/me/2fa/enable
+// @access  Private
+const enable = async (req, res, next) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+
+    // Sessions signed in with the password alone end here
+    await revokeUserSessions(req.user.id, { except: req.sessionId, reason: 'two_factor_enabled' });
+
+    logger.info('Two-factor authentication enabled', { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Enable two-factor failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not enable two-factor authentication');
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the account password and a current code or a recovery code. Not allowed for staff accounts while Settings.requireAdminTwoFactor is on.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 required: true
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for this account
+ */
+// @desc    Disable two-factor authentication
+// @route   POST /api/users/me/2fa/disable
+// @access  Private
+const disable = async (req, res, next) => {
+  try {
+    await disableTwoFactor(req.user.id, req.body);
+
+    logger.info('Two-factor authentication disabled', { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Disable two-factor failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not disable two-factor authentication');
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace my recovery codes
+ *     description: Requires the account password and a current code or a recovery code. The old recovery codes stop working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 required: true
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Wrong password or code
+ */
+// @desc    Regenerate recovery codes
+// @route   POST /api/users/me/2fa/recovery-codes
+// @access  Private
+const recoveryCodes = async (req, res, next) => {
+  try {
+    const codes = await regenerateRecoveryCodes(req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not regenerate recovery codes');
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  recoveryCodes
+};
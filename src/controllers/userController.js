@@ -14,12 +14,151 @@ const {
   parseSortParams,
   parseFilterParams
 } = require('../utils/pagination');
+const { mergeGuestCart } = require('../services/cartService');
+const { countClaimableOrders, claimGuestOrders } = require('../services/orderService');
+const { readCartToken, verifyCartToken, clearCartToken } = require('../utils/cartToken');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  endUserSession,
+  createImpersonationSession
+} = require('../services/sessionService');
+const { createChallenge, completeChallenge } = require('../services/twoFactorService');
+const {
+  exportPersonalData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymiseUser
+} = require('../services/personalDataService');
+const { getRolePermissions, hasPermission, assertRoleExists } = require('../services/permissionService');
+const {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  getLoginHistory
+} = require('../services/loginSecurityService');
+const {
+  sendVerificationEmail,
+  sendPasswordReset,
+  sendOrderClaimCode,
+  resendVerificationEmail,
+  markEmailVerified,
+  verifyEmailToken
+} = require('../services/emailVerificationService');
+
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
+const REFRESH_TOKEN_COOKIE_PATH = '/api/auth';
+
+// Browsers keep the refresh token in an httpOnly cookie sent only to the auth routes;
+// native apps store it themselves and send it in the request body
+const readRefreshToken = (req) =>
+  (req.body && req.body.refreshToken) || (req.cookies && req.cookies[REFRESH_TOKEN_COOKIE]) || null;
+
+const setRefreshTokenCookie = (res, tokens) => {
+  res.cookie(REFRESH_TOKEN_COOKIE, tokens.refreshToken, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: REFRESH_TOKEN_COOKIE_PATH,
+    expires: tokens.refreshTokenExpiresAt
+  });
+};
+
+const clearRefreshTokenCookie = (res) => {
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { path: REFRESH_TOKEN_COOKIE_PATH });
+};
+
+const deviceOf = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
+// Sign the user in on this device: a new session with its first refresh token
+const startSession = async (req, res, user) => {
+  const tokens = await createSession(user, deviceOf(req));
+  setRefreshTokenCookie(res, tokens);
+  return tokens;
+};
+
+const tokenFields = (tokens) => ({
+  token: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+});
+
+// After a password reset: the email link or OTP proves the mailbox, not the second
+// factor, so accounts with two-factor get a challenge instead of a session
+const finishPasswordReset = async (req, res, user) => {
+  await revokeUserSessions(user._id, { reason: 'password_change' });
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return { twoFactorRequired: true, twoFactorToken: await createChallenge(user) };
+  }
+
+  return tokenFields(await startSession(req, res, user));
+};
+
+// Last step of every login: record it, merge the guest cart, start the session and send the tokens
+const completeLogin = async (req, res, user, method = 'password') => {
+  await recordSuccessfulLogin(user, deviceOf(req), method);
+
+  const cartMerge = await mergeGuestCartOnLogin(req, res, user._id);
+
+  const tokens = await startSession(req, res, user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        profileImage: user.profileImage,
+        dateOfBirth: user.dateOfBirth,
+        isActive: user.isActive,
+        isVerified: user.isVerified,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      ...tokenFields(tokens),
+      ...(cartMerge && {
+        cart: cartMerge.cart,
+        cartAdjustments: cartMerge.adjustments
+      })
+    }
+  });
+};
+
+// Carry over a cart the shopper filled before signing in. Never blocks the login itself.
+const mergeGuestCartOnLogin = async (req, res, userId) => {
+  const guestId = verifyCartToken(readCartToken(req));
+  if (!guestId) {
+    return null;
+  }
+
+  try {
+    const result = await mergeGuestCart(guestId, userId);
+    clearCartToken(res);
+    return result;
+  } catch (error) {
+    logger.error('Guest cart merge failed', {
+      error: error.message,
+      userId,
+      stack: error.stack
+    });
+    return null;
+  }
+};
 
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Emails a verification link and code to the new address. A guest cart named by the cart token (cartToken cookie or X-Cart-Token header) is merged into the user's cart; lines limited by stock are listed in cartAdjustments.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -37,9 +176,6 @@ const {
  *               password:
  *                 type: string
  *                 required: true
- *               role:
- *                 type: string
- *                 default: user
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -52,6 +188,8 @@ const {
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
  *         description: Validation error
  */
@@ -62,7 +200,7 @@ const register = async (req, res, next) => {
   try {
     logger.info('User registration attempt', { email: req.body.email, ip: req.ip });
 
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -77,13 +215,24 @@ const register = async (req, res, next) => {
       lastName,
       email,
       password,
-      role: role || 'customer'
+      // Self-registration never grants a staff role; staff roles are assigned by admins
+      role: 'customer'
     });
 
     logger.info('User registered successfully', { userId: user._id, email });
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    // The verification email also carries the OTP that claims orders placed as a guest with this email
+    const claimableOrders = await countClaimableOrders(user.email);
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      // The account works without it; the user can ask for another at /auth/verify-email/resend
+      logger.error('Verification email failed', { error: error.message, userId: user._id });
+    }
+
+    const cartMerge = await mergeGuestCartOnLogin(req, res, user._id);
+
+    const tokens = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
@@ -101,7 +250,12 @@ const register = async (req, res, next) => {
           createdAt: user.createdAt,
           updatedAt: user.updatedAt
         },
-        token
+        ...tokenFields(tokens),
+        ...(claimableOrders > 0 && { claimableOrders }),
+        ...(cartMerge && {
+          cart: cartMerge.cart,
+          cartAdjustments: cartMerge.adjustments
+        })
       }
     });
   } catch (error) {
@@ -128,6 +282,7 @@ const register = async (req, res, next) => {
  * /auth/login:
  *   post:
  *     summary: Login user
+ *     description: Starts a session for this device. token is a short-lived access token (JWT_ACCESS_EXPIRE); exchange refreshToken, also set as an httpOnly cookie, at /auth/refresh for new ones. When the account has two-factor authentication the response carries only twoFactorRequired and a twoFactorToken to send with a code to /auth/2fa/verify. A guest cart named by the cart token (cartToken cookie or X-Cart-Token header) is merged into the user's cart; lines limited by stock are listed in cartAdjustments.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -154,6 +309,8 @@ const register = async (req, res, next) => {
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       401:
  *         description: Invalid credentials
  */
@@ -184,39 +341,45 @@ const login = async (req, res, next) => {
         return next(new UnauthorizedError('Invalid credentials'));
       }
 
+      // Accounts are held for a while after repeated failures, whatever the password
+      await assertLoginAllowed(user, deviceOf(req));
+
       // Check if password matches
       const isMatch = await user.matchPassword(password);
       if (!isMatch) {
-        logger.warn('User login failed - invalid password', { email });
+        const retryAfter = await recordFailedLogin(user, deviceOf(req));
+        if (retryAfter > 0) {
+          res.set('Retry-After', String(retryAfter));
+        }
+        logger.warn('User login failed - invalid password', { email, retryAfter });
         return next(new UnauthorizedError('Invalid credentials'));
       }
     }
 
-    logger.info('User login successful', { userId: user._id, email: user.email });
+    // Accounts with two-factor authentication finish signing in at /auth/2fa/verify
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const twoFactorToken = await createChallenge(user);
+      logger.info('User login awaiting two-factor code', { userId: user._id, email: user.email });
 
-    // Create token
-    const token = user.getSignedJwtToken();
+      return res.status(200).json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken
+        }
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          role: user.role,
-          profileImage: user.profileImage,
-          dateOfBirth: user.dateOfBirth,
-          isActive: user.isActive,
-          isVerified: user.isVerified,
-          createdAt: user.createdAt,
-          updatedAt: user.updatedAt
-        },
-        token
-      }
-    });
+    logger.info('User login successful', { userId: user._id, email: user.email });
+
+    await completeLogin(req, res, user);
   } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      logger.warn('User login refused - account held', { email: req.body.email, retryAfter: error.retryAfter });
+      return next(error);
+    }
+
     logger.error('User login failed', {
       error: error.message,
       email: req.body.email,
@@ -227,6 +390,63 @@ const login = async (req, res, next) => {
   }
 };
 
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Finish a two-factor login
+ *     description: Second step of /auth/login for accounts with two-factor authentication. Send the twoFactorToken from the login response with a code from the authenticator app, or with one of the recovery codes. After five wrong codes the login must be started again.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *                 required: true
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, same response as /auth/login
+ *       401:
+ *         description: Invalid code, or the two-factor login expired
+ */
+// @desc    Verify two-factor code to finish login
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const { user, method } = await completeChallenge(twoFactorToken, { code, recoveryCode }, deviceOf(req));
+
+    logger.info('User login successful', { userId: user._id, email: user.email, twoFactor: method });
+
+    await completeLogin(req, res, user, method);
+  } catch (error) {
+    if (error.isOperational) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return next(error);
+    }
+
+    logger.error('Two-factor login failed', {
+      error: error.message,
+      ip: req.ip,
+      stack: error.stack
+    });
+
+    return next(new AppError('Login failed', 500));
+  }
+};
+
 /**
  * @swagger
  * /auth/me:
@@ -270,7 +490,13 @@ const getMe = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        user
+        user,
+        ...(req.impersonator && {
+          impersonatedBy: {
+            id: req.impersonator._id,
+            email: req.impersonator.email
+          }
+        })
       }
     });
   } catch (error) {
@@ -337,6 +563,12 @@ const updateDetails = async (req, res, next) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    // A new address has to be verified again
+    const emailChanged = Boolean(fieldsToUpdate.email) && fieldsToUpdate.email !== req.user.email;
+    if (emailChanged) {
+      fieldsToUpdate.isVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
       new: true,
       runValidators: true
@@ -349,6 +581,14 @@ const updateDetails = async (req, res, next) => {
 
     logger.info('User details updated successfully', { userId: user._id, email: user.email });
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        logger.error('Verification email failed', { error: error.message, userId: user._id });
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: {
@@ -436,10 +676,12 @@ const updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Other devices must sign in again with the new password
+    await revokeUserSessions(user._id, { except: req.sessionId, reason: 'password_change' });
+
     logger.info('User password updated successfully', { userId: user._id });
 
-    // Create token
-    const token = user.getSignedJwtToken();
+    const token = user.getSignedJwtToken(req.sessionId);
 
     res.status(200).json({
       success: true,
@@ -510,22 +752,7 @@ const forgotPassword = async (req, res, next) => {
       });
     }
 
-    // Get reset token
-    const resetToken = user.getResetPasswordToken();
-
-    await user.save({ validateBeforeSave: false });
-
-    logger.info('Password reset token generated', { userId: user._id, email: user.email });
-
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    user.otp = otp;
-    user.otpExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
-
-    await user.save({ validateBeforeSave: false });
-
-    logger.info('OTP generated for password reset', { userId: user._id, email: user.email });
-    console.log(`OTP for ${user.email}: ${otp}`); // Demo: log OTP instead of sending email
+    await sendPasswordReset(user);
 
     res.status(200).json({
       success: true,
@@ -547,6 +774,7 @@ const forgotPassword = async (req, res, next) => {
  * /auth/resetpassword/{resettoken}:
  *   put:
  *     summary: Reset password
+ *     description: Signs the user out everywhere and starts a session for this device. When the account has two-factor authentication the response carries only twoFactorRequired and a twoFactorToken to send with a code to /auth/2fa/verify.
  *     tags: [Auth]
  *     parameters:
  *       - in: path
@@ -576,6 +804,8 @@ const forgotPassword = async (req, res, next) => {
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
  *         description: Invalid token
  */
@@ -606,16 +836,16 @@ const resetPassword = async (req, res, next) => {
     user.password = req.body.password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    // Proving control of the email address lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
     await user.save();
 
     logger.info('Password reset successful', { userId: user._id, email: user.email });
 
-    // Create token
-    const token = user.getSignedJwtToken();
-
     res.status(200).json({
       success: true,
-      token
+      ...(await finishPasswordReset(req, res, user))
     });
   } catch (error) {
     logger.error('Password reset failed', {
@@ -650,15 +880,15 @@ const resetPasswordWithOTP = async (req, res, next) => {
     user.password = password;
     user.otp = undefined;
     user.otpExpire = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
     await user.save();
 
     logger.info('Password reset with OTP successful', { userId: user._id, email });
 
-    const token = user.getSignedJwtToken();
-
     res.status(200).json({
       success: true,
-      data: { token }
+      data: await finishPasswordReset(req, res, user)
     });
   } catch (error) {
     logger.error('Reset password with OTP failed', {
@@ -692,9 +922,16 @@ const verifyOTP = async (req, res, next) => {
 
     logger.info('OTP verified successfully', { userId: user._id, email });
 
+    if (!user.isVerified) {
+      await markEmailVerified(user);
+    }
+
+    // A verified email proves ownership of any guest orders placed with it
+    const claimedOrders = await claimGuestOrders(user);
+
     res.status(200).json({
       success: true,
-      data: { message: 'OTP verified' }
+      data: { message: 'OTP verified', claimedOrders }
     });
   } catch (error) {
     logger.error('Verify OTP failed', {
@@ -709,177 +946,950 @@ const verifyOTP = async (req, res, next) => {
 
 /**
  * @swagger
- * /auth/logout:
- *   get:
- *     summary: Logout user
+ * /auth/claim-orders:
+ *   post:
+ *     summary: Start claiming guest orders placed with the account email
+ *     description: Sends an OTP to the account email when guest orders exist for it. Submitting the OTP to /auth/verify-otp moves those orders into the account.
  *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User logged out successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
+ *         description: Number of claimable orders; an OTP was sent when it is above zero
  *       401:
  *         description: Unauthorized
  */
-// @desc    Logout user
-// @route   GET /api/v1/auth/logout
+// @desc    Request an OTP to claim guest orders
+// @route   POST /api/v1/auth/claim-orders
 // @access  Private
-const logout = async (req, res, next) => {
+const requestOrderClaim = async (req, res, next) => {
   try {
-    logger.info('User logout', { userId: req.user.id });
+    logger.info('Guest order claim request', { userId: req.user.id });
+
+    const user = await User.findById(req.user.id);
+    const claimableOrders = await countClaimableOrders(user.email);
+
+    if (claimableOrders > 0) {
+      await sendOrderClaimCode(user, claimableOrders);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      data: {
+        claimableOrders,
+        message: claimableOrders > 0 ? 'OTP sent to email' : 'No guest orders to claim'
+      }
     });
   } catch (error) {
-    logger.error('Logout failed', {
+    logger.error('Guest order claim request failed', {
       error: error.message,
       userId: req.user.id,
       stack: error.stack
     });
 
-    return next(new AppError('Could not logout user', 500));
+    return next(new AppError('Could not start order claim', 500));
   }
 };
 
 /**
  * @swagger
- * /users:
- *   get:
- *     summary: Get all users
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
+ * /auth/verify-email/{token}:
+ *   put:
+ *     summary: Verify the account email with the link from the verification email
+ *     description: Guest orders placed with the verified email are moved into the account.
+ *     tags: [Auth]
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *         description: Page number
- *       - in: query
- *         name: limit
+ *       - in: path
+ *         name: token
+ *         required: true
  *         schema:
- *           type: integer
- *         description: Number of items per page
+ *           type: string
  *     responses:
  *       200:
- *         description: List of users
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden, admin only
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired verification link
  */
-// @desc    Get all users
-// @route   GET /api/v1/users
-// @access  Private/Admin
-const getUsers = async (req, res, next) => {
+// @desc    Verify email with the link token
+// @route   PUT /api/v1/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res, next) => {
   try {
-    logger.info('Get all users request', { userId: req.user.id, role: req.user.role });
-
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
-      logger.warn('Get all users - unauthorized access', {
-        userId: req.user.id,
-        role: req.user.role
-      });
-      return next(new ForbiddenError());
-    }
-
-    // Parse pagination parameters
-    const { page, limit, skip } = parsePaginationParams(req);
-
-    // Parse sort parameters
-    const sort = parseSortParams(req, ['name', 'email', 'role', 'createdAt', 'updatedAt']);
-
-    // Parse filter parameters
-    const allowedFilters = ['role', 'isActive', 'email'];
-    const filters = parseFilterParams(req, allowedFilters);
-
-    // Build query object
-    let query = {};
-
-    // Apply filters
-    if (req.query.role) {
-      query.role = req.query.role;
-    }
-    if (req.query.isActive !== undefined) {
-      query.isActive = req.query.isActive === 'true';
-    }
-    if (req.query.email) {
-      query.email = { $regex: req.query.email, $options: 'i' };
-    }
-
-    // Count total documents for pagination metadata
-    const totalItems = await User.countDocuments(query);
-
-    // Execute query with pagination and sorting
-    const users = await User.find(query)
-      .select('-password')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    const user = await verifyEmailToken(req.params.token);
 
-    // Create pagination metadata
-    const pagination = createPaginationMetadata(totalItems, page, limit);
+    logger.info('Email verified', { userId: user._id, email: user.email });
 
-    logger.info('Successfully retrieved users', {
-      count: users.length,
-      totalItems,
-      userId: req.user.id
-    });
+    // A verified email proves ownership of any guest orders placed with it
+    const claimedOrders = await claimGuestOrders(user);
 
     res.status(200).json({
       success: true,
-      data: {
-        data: users,
-        pagination
-      }
+      data: { message: 'Email verified', claimedOrders }
     });
   } catch (error) {
-    logger.error('Get all users failed', {
+    if (error.isOperational) {
+      logger.warn('Email verification failed - invalid or expired token');
+      return next(error);
+    }
+
+    logger.error('Email verification failed', {
       error: error.message,
-      userId: req.user.id,
       stack: error.stack
     });
 
-    return next(new AppError('Could not retrieve users', 500));
+    return next(new AppError('Could not verify email', 500));
   }
 };
 
 /**
  * @swagger
- * /users/{id}:
- *   get:
- *     summary: Get user by ID
- *     tags: [Users]
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Send the email verification link again
+ *     description: Earlier links and codes stop working. Limited to one email per EMAIL_VERIFICATION_COOLDOWN_SECONDS; sooner requests get 429 with a Retry-After header.
+ *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Sent too recently
+ */
+// @desc    Resend the email verification link
+// @route   POST /api/v1/auth/verify-email/resend
+// @access  Private
+const resendVerification = async (req, res, next) => {
+  try {
+    await resendVerificationEmail(req.user.id);
+
+    logger.info('Verification email resent', { userId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: { message: 'Verification email sent' }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return next(error);
+    }
+
+    logger.error('Resend verification email failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not send verification email', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: Refresh tokens are single use. Each refresh returns a new access token and a new refresh token for the same session; presenting a refresh token that was already used revokes the session. Browsers may rely on the refreshToken cookie instead of the body.
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Missing, expired, reused or revoked refresh token
+ */
+// @desc    Refresh access token
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+const refreshToken = async (req, res, next) => {
+  try {
+    const tokens = await rotateRefreshToken(readRefreshToken(req), deviceOf(req));
+    setRefreshTokenCookie(res, tokens);
+
+    res.status(200).json({
+      success: true,
+      data: tokenFields(tokens)
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      clearRefreshTokenCookie(res);
+      return next(error);
+    }
+
+    logger.error('Token refresh failed', {
+      error: error.message,
+      ip: req.ip,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not refresh token', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   get:
+ *     summary: Logout user
+ *     description: Revokes the session of this device. Its refresh token stops working and access tokens issued for it are rejected.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ */
+// @desc    Logout user
+// @route   GET /api/v1/auth/logout
+// @access  Private
+const logout = async (req, res, next) => {
+  try {
+    logger.info('User logout', { userId: req.user.id, sessionId: req.sessionId });
+
+    await revokeSession(req.sessionId, 'logout');
+    clearRefreshTokenCookie(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not logout user', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   get:
+ *     summary: Get my active sessions
+ *     description: One session per signed-in device. The session making the request is marked current.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Sign out all other devices
+ *     description: Revokes every active session except the one making the request.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of sessions ended
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+// @desc    Get my sessions
+// @route   GET /api/v1/users/me/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    logger.error('Get sessions failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve sessions', 500));
+  }
+};
+
+// @desc    End all my other sessions
+// @route   DELETE /api/v1/users/me/sessions
+// @access  Private
+const deleteOtherSessions = async (req, res, next) => {
+  try {
+    const ended = await revokeUserSessions(req.user.id, { except: req.sessionId, reason: 'ended_by_user' });
+
+    res.status(200).json({
+      success: true,
+      data: { ended }
+    });
+  } catch (error) {
+    logger.error('End other sessions failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not end sessions', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/sessions/{id}:
+ *   delete:
+ *     summary: End one of my sessions
+ *     description: Signs that device out. Ending the current session is the same as logging out.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: No active session with this ID
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+// @desc    End one of my sessions
+// @route   DELETE /api/v1/users/me/sessions/:id
+// @access  Private
+const deleteSession = async (req, res, next) => {
+  try {
+    const session = await endUserSession(req.user.id, req.params.id);
+
+    if (String(session._id) === String(req.sessionId)) {
+      clearRefreshTokenCookie(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('End session failed', {
+      error: error.message,
+      sessionId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid session ID'));
+    }
+
+    return next(new AppError('Could not end session', 500));
+  }
+};
+
+// Shared by the customer and admin login history endpoints
+const sendLoginHistory = async (req, res, userId) => {
+  const { page, limit, skip } = parsePaginationParams(req);
+  const success = req.query.success === undefined ? undefined : req.query.success === 'true';
+
+  const { entries, totalItems } = await getLoginHistory(userId, { skip, limit, success });
+  const pagination = createPaginationMetadata(totalItems, page, limit);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      data: entries,
+      pagination
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /users/me/login-history:
+ *   get:
+ *     summary: Get my login history
+ *     description: Sign-in attempts on the account with IP address, device and time, newest first. Failed attempts give failureReason (invalid_password, invalid_two_factor, locked); newDevice marks logins from a device the account had not used, which are also emailed to the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Paginated login history
+ *       401:
+ *         description: Unauthorized
+ */
+// @desc    Get my login history
+// @route   GET /api/v1/users/me/login-history
+// @access  Private
+const getMyLoginHistory = async (req, res, next) => {
+  try {
+    await sendLoginHistory(req, res, req.user.id);
+  } catch (error) {
+    logger.error('Get login history failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve login history', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/export:
+ *   get:
+ *     summary: Download my personal data
+ *     description: One JSON file with the account profile, addresses, orders, reviews, wishlist, cart, returns, sessions, login history and any vendor profile. Passwords, one-time codes and two-factor keys are left out.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+// @desc    Export my personal data
+// @route   GET /api/v1/users/me/export
+// @access  Private
+const exportMyData = async (req, res, next) => {
+  try {
+    const data = await exportPersonalData(req.user.id);
+
+    logger.info('Personal data exported', { userId: req.user.id });
+
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="personal-data-${new Date().toISOString().slice(0, 10)}.json"`
+    });
+    res.status(200).send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    logger.error('Export personal data failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    return next(new AppError('Could not export personal data', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/me/deletion:
+ *   post:
+ *     summary: Request deletion of my account
+ *     description: Schedules the account to be deleted after ACCOUNT_DELETION_GRACE_DAYS (30 by default) and emails the date. The account works as usual until then and the request can be cancelled. Deleting removes the profile, addresses, wishlist, cart, sessions and login history; orders, reviews and returns are kept for accounting without the customer's name, contact details or street address. Staff, vendors and accounts with orders or returns in progress cannot be deleted this way.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Wrong password, already requested, or the account cannot be deleted yet
+ *       403:
+ *         description: Not allowed while impersonating
+ *   delete:
+ *     summary: Cancel deletion of my account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: Deletion was not requested
+ *       403:
+ *         description: Not allowed while impersonating
+ */
+// @desc    Request account deletion
+// @route   POST /api/v1/users/me/deletion
+// @access  Private
+const requestDeletion = async (req, res, next) => {
+  try {
+    const user = await requestAccountDeletion(req.user.id, req.body.password);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deletionRequestedAt: user.deletionRequestedAt,
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    logger.error('Request account deletion failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    return next(new AppError('Could not request account deletion', 500));
+  }
+};
+
+// @desc    Cancel account deletion
+// @route   DELETE /api/v1/users/me/deletion
+// @access  Private
+const cancelDeletion = async (req, res, next) => {
+  try {
+    await cancelAccountDeletion(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Cancel account deletion failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    return next(new AppError('Could not cancel account deletion', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/{id}/login-history:
+ *   get:
+ *     summary: Get a user's login history
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Paginated login history
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get login history of a user
+// @route   GET /api/v1/users/:id/login-history
+// @access  Private/Admin
+const getUserLoginHistory = async (req, res, next) => {
+  try {
+    await sendLoginHistory(req, res, req.params.id);
+  } catch (error) {
+    logger.error('Get user login history failed', {
+      error: error.message,
+      userId: req.params.id,
+      requesterId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid user ID'));
+    }
+
+    return next(new AppError('Could not retrieve login history', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account
+ *     description: Clears failed login attempts and any delay or lockout they caused.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+// @desc    Unlock user account
+// @route   POST /api/v1/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await unlockAccount(req.params.id);
+
+    logger.info('User account unlocked', { userId: user._id, requesterId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user._id,
+        email: user.email,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockUntil: user.lockUntil
+      }
+    });
+  } catch (error) {
+    logger.error('Unlock user failed', {
+      error: error.message,
+      userId: req.params.id,
+      requesterId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid user ID'));
+    }
+
+    return next(new AppError('Could not unlock user', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Impersonate a customer
+ *     description: Issues an access token for the customer's account so support staff see exactly what the customer sees. The token lasts IMPERSONATION_TTL_MINUTES (15 by default) and cannot be refreshed. It names the staff member, and responses to it carry an X-Impersonated-By header. It cannot change the password, email address or two-factor settings, place orders, pay, export personal data, sign out the customer's sessions or delete the account. Every request made with it is recorded in the audit log against the staff member. Logging out with the token ends it early. Accounts with any staff permission cannot be impersonated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the account is being used, e.g. the support ticket
+ *     responses:
+ *       201:
+ *         description: Impersonation token issued
+ *       403:
+ *         description: Staff or inactive account
+ *       404:
+ *         description: User not found
+ */
+// @desc    Impersonate customer
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+const impersonateUser = async (req, res, next) => {
+  try {
+    const { accessToken, expiresAt, session, user } = await createImpersonationSession(req.user, req.params.id, {
+      reason: req.body.reason,
+      ...deviceOf(req)
+    });
+
+    logger.warn('Impersonation started', {
+      userId: user._id,
+      requesterId: req.user.id,
+      sessionId: session._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        accessToken,
+        expiresAt,
+        sessionId: session._id,
+        impersonating: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email
+        },
+        impersonatedBy: req.user.id
+      }
+    });
+  } catch (error) {
+    logger.error('Impersonate user failed', {
+      error: error.message,
+      userId: req.params.id,
+      requesterId: req.user.id,
+      stack: error.stack
+    });
+
+    if (error.isOperational) {
+      return next(error);
+    }
+
+    if (error.name === 'CastError') {
+      return next(new ValidationError('Invalid user ID'));
+    }
+
+    return next(new AppError('Could not start impersonation', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Get all users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: List of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, admin only
+ */
+// @desc    Get all users
+// @route   GET /api/v1/users
+// @access  Private/Admin
+const getUsers = async (req, res, next) => {
+  try {
+    logger.info('Get all users request', { userId: req.user.id, role: req.user.role });
+
+    if (!(await hasPermission(req.user, 'users:read'))) {
+      logger.warn('Get all users - unauthorized access', {
+        userId: req.user.id,
+        role: req.user.role
+      });
+      return next(new ForbiddenError());
+    }
+
+    // Parse pagination parameters
+    const { page, limit, skip } = parsePaginationParams(req);
+
+    // Parse sort parameters
+    const sort = parseSortParams(req, ['name', 'email', 'role', 'createdAt', 'updatedAt']);
+
+    // Parse filter parameters
+    const allowedFilters = ['role', 'isActive', 'email'];
+    const filters = parseFilterParams(req, allowedFilters);
+
+    // Build query object
+    let query = {};
+
+    // Apply filters
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.email) {
+      query.email = { $regex: req.query.email, $options: 'i' };
+    }
+
+    // Count total documents for pagination metadata
+    const totalItems = await User.countDocuments(query);
+
+    // Execute query with pagination and sorting
+    const users = await User.find(query)
+      .select('-password')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    // Create pagination metadata
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    logger.info('Successfully retrieved users', {
+      count: users.length,
+      totalItems,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: users,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get all users failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve users', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
  *     responses:
@@ -912,7 +1922,7 @@ const getUserById = async (req, res, next) => {
       role: req.user.role
     });
 
-    if (req.user.role !== 'admin') {
+    if (!(await hasPermission(req.user, 'users:read'))) {
       logger.warn('Get user by ID - unauthorized access', {
         userId: req.params.id,
         requesterId: req.user.id,
@@ -985,10 +1995,12 @@ const getUserById = async (req, res, next) => {
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid data, or the change would leave no active admin
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden, admin only
+ *         description: Forbidden, requires users:write; changing a role or the email of a staff account also requires roles:manage
  *       404:
  *         description: User not found
  */
@@ -1003,7 +2015,7 @@ const updateUserById = async (req, res, next) => {
       role: req.user.role
     });
 
-    if (req.user.role !== 'admin') {
+    if (!(await hasPermission(req.user, 'users:write'))) {
       logger.warn('Update user by ID - unauthorized access', {
         userId: req.params.id,
         requesterId: req.user.id,
@@ -1019,6 +2031,37 @@ const updateUserById = async (req, res, next) => {
       return next(new NotFoundError('User'));
     }
 
+    // Changing a role changes what the user may do, and whoever controls a staff
+    // account's email can reset its password, so both need roles:manage as well
+    const roleChanged = req.body.role !== undefined && req.body.role !== user.role;
+    const emailChanged = req.body.email !== undefined &&
+      String(req.body.email).toLowerCase() !== String(user.email).toLowerCase();
+    const staffEmailChanged = emailChanged && (await getRolePermissions(user.role)).length > 0;
+
+    if ((roleChanged || staffEmailChanged) && !(await hasPermission(req.user, 'roles:manage'))) {
+      logger.warn('Update user by ID - privileged change not allowed', {
+        userId: req.params.id,
+        requesterId: req.user.id,
+        roleChanged,
+        staffEmailChanged
+      });
+      return next(new ForbiddenError(roleChanged
+        ? 'Changing roles requires the roles:manage permission'
+        : 'Changing the email of a staff account requires the roles:manage permission'));
+    }
+
+    if (roleChanged) {
+      await assertRoleExists(req.body.role);
+
+      if (user.role === 'admin') {
+        const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+        if (otherAdmins === 0) {
+          logger.warn('Update user by ID failed - last admin', { userId: req.params.id });
+          return next(new ValidationError('Cannot remove the admin role from the last admin'));
+        }
+      }
+    }
+
     const fieldsToUpdate = {
       name: req.body.name,
       email: req.body.email,
@@ -1049,6 +2092,10 @@ const updateUserById = async (req, res, next) => {
       data: updatedUser
     });
   } catch (error) {
+    if (error.isOperational) {
+      return next(error);
+    }
+
     logger.error('Update user by ID failed', {
       error: error.message,
       userId: req.params.id,
@@ -1077,6 +2124,7 @@ const updateUserById = async (req, res, next) => {
  * /users/{id}:
  *   delete:
  *     summary: Delete user by ID
+ *     description: Anonymises the account at once. Orders, reviews and returns are kept for accounting without the customer's name, contact details or street address; addresses, wishlist, cart, sessions and login history are deleted.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -1116,7 +2164,7 @@ const deleteUser = async (req, res, next) => {
       role: req.user.role
     });
 
-    if (req.user.role !== 'admin') {
+    if (!(await hasPermission(req.user, 'users:delete'))) {
       logger.warn('Delete user by ID - unauthorized access', {
         userId: req.params.id,
         requesterId: req.user.id,
@@ -1127,7 +2175,7 @@ const deleteUser = async (req, res, next) => {
 
     const user = await User.findById(req.params.id);
 
-    if (!user) {
+    if (!user || user.deletedAt) {
       logger.warn('Delete user by ID - user not found', { userId: req.params.id });
       return next(new NotFoundError('User'));
     }
@@ -1141,7 +2189,8 @@ const deleteUser = async (req, res, next) => {
       }
     }
 
-    await user.remove();
+    // Orders, reviews and returns are kept for accounting, without the personal data
+    await anonymiseUser(user._id);
 
     logger.info('User deleted by ID successfully', {
       userId: user._id,
@@ -1171,6 +2220,7 @@ const deleteUser = async (req, res, next) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
   updateDetails,
   updatePassword,
@@ -1178,7 +2228,21 @@ module.exports = {
   resetPassword,
   resetPasswordWithOTP,
   verifyOTP,
+  requestOrderClaim,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
   logout,
+  getSessions,
+  deleteOtherSessions,
+  deleteSession,
+  getMyLoginHistory,
+  exportMyData,
+  requestDeletion,
+  cancelDeletion,
+  getUserLoginHistory,
+  unlockUser,
+  impersonateUser,
   getUsers,
   getUserById,
   updateUserById,
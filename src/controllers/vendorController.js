@@ -0,0 +1,877 @@
+const Vendor = require('../models/Vendor');
+const Product = require('../models/Product');
+const {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  DuplicateResourceError
+} = require('../errors');
+const logger = require('../utils/logger');
+const {
+  createPaginationMetadata,
+  parsePaginationParams,
+  parseSortParams
+} = require('../utils/pagination');
+const { invalidateCache } = require('../middlewares/cache');
+const vendorService = require('../services/vendorService');
+const productService = require('../services/productService');
+const vendorOrderService = require('../services/vendorOrderService');
+
+const handleError = (error, next, fallbackMessage, duplicateResource = 'Vendor with this store name') => {
+  if (error.isOperational) {
+    return next(error);
+  }
+
+  if (error.code === 11000) {
+    return next(new DuplicateResourceError(duplicateResource));
+  }
+
+  if (error.name === 'CastError') {
+    return next(new ValidationError('Invalid ID'));
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message
+    }));
+    return next(new ValidationError('Validation Error', errors));
+  }
+
+  return next(new AppError(fallbackMessage, 500));
+};
+
+/**
+ * @swagger
+ * /vendors/apply:
+ *   post:
+ *     summary: Apply to sell on the store
+ *     description: Opens a vendor application for review. A rejected application can be sent again with new details.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [storeName]
+ *             properties:
+ *               storeName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               address:
+ *                 type: object
+ *               payoutDetails:
+ *                 type: object
+ *                 properties:
+ *                   accountTitle:
+ *                     type: string
+ *                   bankName:
+ *                     type: string
+ *                   accountNumber:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Validation error, or an application or vendor account already exists
+ *       409:
+ *         description: Store name is taken
+ */
+// @desc    Apply as vendor
+// @route   POST /api/v1/vendors/apply
+// @access  Private
+const applyAsVendor = async (req, res, next) => {
+  try {
+    const vendor = await vendorService.applyAsVendor(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: vendor
+    });
+  } catch (error) {
+    logger.error('Vendor application failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not submit vendor application');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me:
+ *   get:
+ *     summary: Get my vendor profile
+ *     description: Includes the application status, so applicants can check on their review.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Vendor profile
+ *       404:
+ *         description: No vendor application
+ */
+// @desc    Get my vendor profile
+// @route   GET /api/v1/vendors/me
+// @access  Private
+const getMyVendor = async (req, res, next) => {
+  try {
+    const vendor = await vendorService.getVendorForUser(req.user.id);
+
+    if (!vendor) {
+      return next(new NotFoundError('Vendor'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: vendor
+    });
+  } catch (error) {
+    logger.error('Get vendor profile failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve vendor profile');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me:
+ *   put:
+ *     summary: Update my vendor profile
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               storeName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               address:
+ *                 type: object
+ *               payoutDetails:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Vendor profile updated
+ *       404:
+ *         description: No vendor application
+ */
+// @desc    Update my vendor profile
+// @route   PUT /api/v1/vendors/me
+// @access  Private
+const updateMyVendor = async (req, res, next) => {
+  try {
+    const vendor = await vendorService.updateVendorProfile(req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: vendor
+    });
+  } catch (error) {
+    logger.error('Update vendor profile failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update vendor profile');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/vendors:
+ *   get:
+ *     summary: Get all vendors
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, suspended]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of vendors
+ *       403:
+ *         description: Requires vendors:manage
+ */
+// @desc    Get all vendors
+// @route   GET /api/admin/vendors
+// @access  Private (vendors:manage)
+const getVendors = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['storeName', 'status', 'createdAt']);
+
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const totalItems = await Vendor.countDocuments(query);
+    const vendors = await Vendor.find(query)
+      .populate('user', 'firstName lastName email')
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: vendors,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get vendors failed', {
+      error: error.message,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve vendors', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /admin/vendors/{id}:
+ *   get:
+ *     summary: Get a vendor
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vendor details with its product count
+ *       404:
+ *         description: Vendor not found
+ */
+// @desc    Get single vendor
+// @route   GET /api/admin/vendors/:id
+// @access  Private (vendors:manage)
+const getVendor = async (req, res, next) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id)
+      .populate('user', 'firstName lastName email role')
+      .populate('reviewedBy', 'firstName lastName');
+
+    if (!vendor) {
+      return next(new NotFoundError('Vendor'));
+    }
+
+    const productCount = await Product.countDocuments({ vendor: vendor._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...vendor.toObject(),
+        productCount
+      }
+    });
+  } catch (error) {
+    logger.error('Get vendor failed', {
+      error: error.message,
+      vendorId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve vendor');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/vendors/{id}/approve:
+ *   put:
+ *     summary: Approve a vendor
+ *     description: Approves a pending application or reinstates a suspended vendor. Customers are given the vendor role.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vendor approved
+ *       400:
+ *         description: Vendor cannot be approved from its current status
+ *       404:
+ *         description: Vendor not found
+ */
+// @desc    Approve vendor
+// @route   PUT /api/admin/vendors/:id/approve
+// @access  Private (vendors:manage)
+const approveVendor = async (req, res, next) => {
+  try {
+    const vendor = await vendorService.approveVendor(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: vendor
+    });
+  } catch (error) {
+    logger.error('Approve vendor failed', {
+      error: error.message,
+      vendorId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not approve vendor');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/vendors/{id}/reject:
+ *   put:
+ *     summary: Reject a vendor application
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Only pending applications can be rejected
+ *       404:
+ *         description: Vendor not found
+ */
+// @desc    Reject vendor application
+// @route   PUT /api/admin/vendors/:id/reject
+// @access  Private (vendors:manage)
+const rejectVendor = async (req, res, next) => {
+  try {
+    const vendor = await vendorService.rejectVendor(req.params.id, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: vendor
+    });
+  } catch (error) {
+    logger.error('Reject vendor failed', {
+      error: error.message,
+      vendorId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not reject vendor');
+  }
+};
+
+/**
+ * @swagger
+ * /admin/vendors/{id}/suspend:
+ *   put:
+ *     summary: Suspend a vendor
+ *     description: Blocks the vendor's access and takes all of its products off sale.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Vendor suspended
+ *       400:
+ *         description: Only approved vendors can be suspended
+ *       404:
+ *         description: Vendor not found
+ */
+// @desc    Suspend vendor
+// @route   PUT /api/admin/vendors/:id/suspend
+// @access  Private (vendors:manage)
+const suspendVendor = async (req, res, next) => {
+  try {
+    const vendor = await vendorService.suspendVendor(req.params.id, req.user, req.body.reason);
+
+    await invalidateCache('cache:*');
+
+    res.status(200).json({
+      success: true,
+      data: vendor
+    });
+  } catch (error) {
+    logger.error('Suspend vendor failed', {
+      error: error.message,
+      vendorId: req.params.id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not suspend vendor');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/products:
+ *   get:
+ *     summary: Get my products
+ *     description: Every product the vendor owns, including inactive ones.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of the vendor's products
+ *       403:
+ *         description: Not an approved vendor
+ */
+// @desc    Get my products
+// @route   GET /api/v1/vendors/me/products
+// @access  Private/Vendor
+const getMyProducts = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+    const sort = parseSortParams(req, ['name', 'price', 'createdAt']);
+
+    const query = { vendor: req.vendor._id };
+    const totalItems = await Product.countDocuments(query);
+    const products = await Product.find(query)
+      .populate('category', 'name')
+      .sort(Object.keys(sort).length ? sort : { createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: products,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get vendor products failed', {
+      error: error.message,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return next(new AppError('Could not retrieve products', 500));
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/products:
+ *   post:
+ *     summary: Create a product in my store
+ *     description: The product belongs to the vendor. Featured and new-arrival flags are set by the store.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       201:
+ *         description: Product created
+ *       403:
+ *         description: Not an approved vendor
+ *       404:
+ *         description: Category not found
+ */
+// @desc    Create my product
+// @route   POST /api/v1/vendors/me/products
+// @access  Private/Vendor
+const createMyProduct = async (req, res, next) => {
+  try {
+    const product = await productService.createProduct(req.body, req.user.id, req.vendor._id);
+
+    await invalidateCache('cache:*');
+
+    res.status(201).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    logger.error('Create vendor product failed', {
+      error: error.message,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not create product', 'Product with this name');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/products/{id}:
+ *   put:
+ *     summary: Update a product in my store
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Product updated
+ *       404:
+ *         description: Product not found in the vendor's store
+ */
+// @desc    Update my product
+// @route   PUT /api/v1/vendors/me/products/:id
+// @access  Private/Vendor
+const updateMyProduct = async (req, res, next) => {
+  try {
+    const product = await productService.updateProduct(req.params.id, req.body, req.user.id, req.vendor._id);
+
+    await invalidateCache('cache:*');
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    logger.error('Update vendor product failed', {
+      error: error.message,
+      productId: req.params.id,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update product', 'Product with this name');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/products/{id}:
+ *   delete:
+ *     summary: Delete a product from my store
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted
+ *       404:
+ *         description: Product not found in the vendor's store
+ */
+// @desc    Delete my product
+// @route   DELETE /api/v1/vendors/me/products/:id
+// @access  Private/Vendor
+const deleteMyProduct = async (req, res, next) => {
+  try {
+    await productService.deleteProduct(req.params.id, req.user.id, req.vendor._id);
+
+    await invalidateCache('cache:*');
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error('Delete vendor product failed', {
+      error: error.message,
+      productId: req.params.id,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not delete product');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/orders:
+ *   get:
+ *     summary: Get orders for my products
+ *     description: Each order lists only the vendor's own items and its fulfilment share (status, sales, commission and payout amount).
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, shipped, delivered, cancelled, returned]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of vendor orders
+ *       403:
+ *         description: Not an approved vendor
+ */
+// @desc    Get my vendor orders
+// @route   GET /api/v1/vendors/me/orders
+// @access  Private/Vendor
+const getMyOrders = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePaginationParams(req);
+
+    const { orders, totalItems } = await vendorOrderService.listVendorOrders(req.vendor._id, {
+      status: req.query.status,
+      skip,
+      limit
+    });
+
+    const pagination = createPaginationMetadata(totalItems, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        data: orders,
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Get vendor orders failed', {
+      error: error.message,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve orders');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/orders/{id}:
+ *   get:
+ *     summary: Get an order for my products
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The vendor's part of the order
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Get my vendor order
+// @route   GET /api/v1/vendors/me/orders/:id
+// @access  Private/Vendor
+const getMyOrder = async (req, res, next) => {
+  try {
+    const order = await vendorOrderService.getVendorOrder(req.vendor._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Get vendor order failed', {
+      error: error.message,
+      orderId: req.params.id,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not retrieve order');
+  }
+};
+
+/**
+ * @swagger
+ * /vendors/me/orders/{id}/status:
+ *   put:
+ *     summary: Update fulfilment of my part of an order
+ *     description: Moves the vendor's share from pending to processing, shipped and delivered. Cancellations and returns follow the order and are handled by the store.
+ *     tags: [Vendors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [processing, shipped, delivered]
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fulfilment status updated
+ *       400:
+ *         description: Status change not allowed
+ *       404:
+ *         description: Order not found
+ */
+// @desc    Update my vendor order status
+// @route   PUT /api/v1/vendors/me/orders/:id/status
+// @access  Private/Vendor
+const updateMyOrderStatus = async (req, res, next) => {
+  try {
+    const order = await vendorOrderService.updateVendorOrderStatus(req.vendor._id, req.params.id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Update vendor order status failed', {
+      error: error.message,
+      orderId: req.params.id,
+      vendorId: req.vendor._id,
+      userId: req.user.id,
+      stack: error.stack
+    });
+
+    return handleError(error, next, 'Could not update order status');
+  }
+};
+
+module.exports = {
+  applyAsVendor,
+  getMyVendor,
+  updateMyVendor,
+  getVendors,
+  getVendor,
+  approveVendor,
+  rejectVendor,
+  suspendVendor,
+  getMyProducts,
+  createMyProduct,
+  updateMyProduct,
+  deleteMyProduct,
+  getMyOrders,
+  getMyOrder,
+  updateMyOrderStatus
+};
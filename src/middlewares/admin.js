@@ -1,13 +0,0 @@
-const admin = (req, res, next) => {
-  // Check if user is admin
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin role required.'
-    });
-  }
-};
-
-module.exports = admin;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const { recordAudit } = require('../services/auditService');
+const { hasPermission } = require('../services/permissionService');
+const logger = require('../utils/logger');
+
+/**
+ * Record a staff change in the audit log once the request succeeds. With a model,
+ * the entity is read before the handler runs and again after the response, and the
+ * entry holds the fields that changed; otherwise it holds the request body.
+ * Writing the entry never fails the request. Use after auth.
+ * @param {string} action - <entity>.<verb>, e.g. product.update
+ * @param {Object} [options]
+ * @param {Object} [options.model] - Mongoose model of the entity changed
+ * @param {string} [options.param='id'] - Route param with the entity ID; created entities are found by the data._id of the response
+ * @param {Function} [options.target] - (req, responseBody) => filter, for entities not addressed by ID or not
+ *   returned as data; responseBody is undefined before the handler runs
+ * @param {string} [options.entityType] - Entity name when there is no model
+ * @param {string} [options.onlyWith] - Record only when the actor holds this permission, for routes owners use as well
+ */
+const audit = (action, { model, param = 'id', target, entityType, onlyWith } = {}) => async (req, res, next) => {
+  const filterFor = (body) => {
+    if (target) {
+      return target(req, body);
+    }
+    const id = req.params[param] || (body && body.data && body.data._id);
+    return id ? { _id: id } : null;
+  };
+
+  const load = async (filter) => {
+    if (!model || !filter) {
+      return null;
+    }
+    try {
+      return await model.findOne(filter).lean();
+    } catch (error) {
+      // Malformed IDs are reported by the handler itself
+      return null;
+    }
+  };
+
+  const before = await load(filterFor());
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) {
+      return;
+    }
+
+    try {
+      if (onlyWith && !(await hasPermission(req.user, onlyWith))) {
+        return;
+      }
+
+      const after = await load(filterFor(responseBody));
+      const entity = after || before;
+
+      await recordAudit({
+        action,
+        req,
+        statusCode: res.statusCode,
+        entityType: entityType || (model && model.modelName),
+        entityId: entity ? entity._id : req.params[param],
+        before,
+        after
+      });
+    } catch (error) {
+      logger.error('Failed to record audit entry', {
+        error: error.message,
+        action,
+        requestId: req.id,
+        userId: req.user && req.user.id
+      });
+    }
+  });
+
+  next();
+};
+
+module.exports = audit;
@@ -1,4 +1,5 @@
 const passport = require('passport');
+const { trackImpersonation } = require('./impersonation');
 
 const auth = (req, res, next) => {
   passport.authenticate('jwt', { session: false }, (err, user, info) => {
@@ -17,6 +18,10 @@ const auth = (req, res, next) => {
     }
     
     req.user = user;
+    req.sessionId = info && info.sessionId;
+    if (info && info.impersonator) {
+      trackImpersonation(req, res, info.impersonator);
+    }
     next();
   })(req, res, next);
 };
@@ -0,0 +1,56 @@
+const passport = require('passport');
+const {
+  createCartToken,
+  verifyCartToken,
+  readCartToken,
+  setCartToken
+} = require('../utils/cartToken');
+const { trackImpersonation } = require('./impersonation');
+
+/**
+ * Resolve whose cart a request works on and expose it as `req.cartOwner`, a Cart filter.
+ * Requests with a bearer token must authenticate and use the user's cart; anonymous
+ * requests use the guest cart named by their cart token, and get a new token if they
+ * have none.
+ */
+const cartOwner = (req, res, next) => {
+  if (!req.headers.authorization) {
+    let token = readCartToken(req);
+    let guestId = verifyCartToken(token);
+
+    if (!guestId) {
+      ({ guestId, token } = createCartToken());
+    }
+
+    // Re-sent on every request so the cookie lives as long as the cart is in use
+    setCartToken(res, token);
+    req.cartOwner = { guestId };
+    return next();
+  }
+
+  passport.authenticate('jwt', { session: false }, (err, user, info) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during authentication'
+      });
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'No token, authorization denied'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = info && info.sessionId;
+    if (info && info.impersonator) {
+      trackImpersonation(req, res, info.impersonator);
+    }
+    req.cartOwner = { user: user.id };
+    next();
+  })(req, res, next);
+};
+
+module.exports = cartOwner;
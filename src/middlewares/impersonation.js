@@ -0,0 +1,69 @@
+const { recordAudit } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+const MESSAGES = {
+  password: 'Passwords cannot be changed while impersonating a customer',
+  email: 'Email addresses cannot be changed while impersonating a customer',
+  twoFactor: 'Two-factor settings cannot be changed while impersonating a customer',
+  payment: 'Orders cannot be placed or paid for while impersonating a customer',
+  personalData: 'Personal data cannot be exported and account deletion cannot be requested or cancelled while impersonating a customer',
+  sessions: 'Sessions cannot be ended while impersonating a customer'
+};
+
+/**
+ * Mark a request authenticated with an impersonation token: expose the staff member
+ * as `req.impersonator`, flag the response with X-Impersonated-By and record the
+ * request in the audit log against the staff member once it finishes.
+ * Called by the middlewares that authenticate bearer tokens.
+ * @param {Object} impersonator - User document of the staff member
+ */
+const trackImpersonation = (req, res, impersonator) => {
+  req.impersonator = impersonator;
+  res.set('X-Impersonated-By', String(impersonator._id));
+
+  res.on('finish', () => {
+    recordAudit({
+      action: 'impersonation.request',
+      req,
+      actor: impersonator,
+      statusCode: res.statusCode,
+      entityType: 'User',
+      entityId: req.user._id
+    }).catch((error) => {
+      logger.error('Failed to record impersonated request', {
+        error: error.message,
+        requestId: req.id,
+        userId: req.user._id,
+        impersonatorId: impersonator._id
+      });
+    });
+  });
+};
+
+/**
+ * Refuse an action to staff impersonating a customer. Other requests pass through.
+ * For 'email', only requests that change the address are refused; use after validate.
+ * @param {string} action - 'password', 'email', 'twoFactor', 'payment', 'personalData' or 'sessions'
+ */
+const blockImpersonation = action => (req, res, next) => {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  if (action === 'email') {
+    const email = req.body && req.body.email;
+    if (!email || email.toLowerCase() === req.user.email) {
+      return next();
+    }
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: MESSAGES[action]
+  });
+};
+
+module.exports = {
+  trackImpersonation,
+  blockImpersonation
+};
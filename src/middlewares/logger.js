@@ -1,10 +1,19 @@
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+// A caller-supplied X-Request-Id is kept so one request can be traced across services
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
 const requestLogger = (req, res, next) => {
   const startTime = Date.now();
+
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
   
   // Log incoming request
   logger.info('Incoming request', {
+    requestId: req.id,
     method: req.method,
     url: req.url,
     ip: req.ip,
@@ -20,6 +29,7 @@ const requestLogger = (req, res, next) => {
     
     // Log response
     logger.info('Request completed', {
+      requestId: req.id,
       method: req.method,
       url: req.url,
       statusCode: res.statusCode,
@@ -35,6 +45,7 @@ const requestLogger = (req, res, next) => {
   res.on('finish', () => {
     if (res.statusCode >= 400) {
       logger.warn('Request finished with error status', {
+        requestId: req.id,
         method: req.method,
         url: req.url,
         statusCode: res.statusCode,
@@ -0,0 +1,41 @@
+const { getRolePermissions, isTwoFactorRequired } = require('../services/permissionService');
+
+/**
+ * Let the request through only when the user's role grants every listed permission.
+ * Use after `auth`. The granted permissions are exposed as `req.permissions`.
+ * @param {...string} permissions - e.g. 'orders:update'
+ */
+const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'No token, authorization denied'
+    });
+  }
+
+  try {
+    const granted = await getRolePermissions(req.user.role);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires the ${missing.join(', ')} permission.`
+      });
+    }
+
+    // Settings.requireAdminTwoFactor: staff without 2FA may only enroll (/api/users/me/2fa)
+    if (!(req.user.twoFactor && req.user.twoFactor.enabled) && await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for staff accounts. Enable it to continue.'
+      });
+    }
+
+    req.permissions = granted;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = requirePermission;
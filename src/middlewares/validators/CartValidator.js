@@ -4,6 +4,7 @@ const BaseValidator = require('./BaseValidator');
 class CartValidator extends BaseValidator {
   static addItemSchema = z.object({
     productId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Product must be a valid MongoDB ObjectId'),
+    variantId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Variant must be a valid MongoDB ObjectId').optional(),
     quantity: z.number().int().positive('Quantity must be a positive integer')
   });
 
@@ -11,6 +12,17 @@ class CartValidator extends BaseValidator {
     quantity: z.number().int().positive('Quantity must be a positive integer')
   });
 
+  static shippingQuoteSchema = z.object({
+    addressId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Address must be a valid MongoDB ObjectId').optional(),
+    address: z.object({
+      city: z.string().min(1, 'City is required'),
+      state: z.string().optional().or(z.literal('')),
+      country: z.string().min(1, 'Country is required')
+    }).passthrough().optional()
+  }).refine(data => data.addressId || data.address, {
+    message: 'Either addressId or address is required'
+  });
+
   static validateAddItem(data) {
     return this.validate(this.addItemSchema, data);
   }
@@ -18,6 +30,10 @@ class CartValidator extends BaseValidator {
   static validateUpdateItem(data) {
     return this.validate(this.updateItemSchema, data);
   }
+
+  static validateShippingQuote(data) {
+    return this.validate(this.shippingQuoteSchema, data);
+  }
 }
 
 module.exports = CartValidator;
\ No newline at end of file
@@ -8,6 +8,7 @@ class CategoryValidator extends BaseValidator {
     description: z.string().max(500, 'Description must be at most 500 characters').optional(),
     parentCategory: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Parent category must be a valid MongoDB ObjectId').nullable().optional(),
     level: z.number().int().min(1).max(10).optional(),
+    taxClass: z.string().regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores').max(30, 'Tax class must be at most 30 characters').nullable().optional(),
     image: z.object({
       url: z.string().url('Image URL must be valid'),
       altText: z.string().optional()
@@ -29,6 +30,7 @@ class CategoryValidator extends BaseValidator {
     description: z.string().max(500, 'Description must be at most 500 characters').optional(),
     parentCategory: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Parent category must be a valid MongoDB ObjectId').nullable().optional(),
     level: z.number().int().min(1).max(10).optional(),
+    taxClass: z.string().regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores').max(30, 'Tax class must be at most 30 characters').nullable().optional(),
     image: z.object({
       url: z.string().url('Image URL must be valid'),
       altText: z.string().optional()
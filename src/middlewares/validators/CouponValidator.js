@@ -0,0 +1,65 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const objectId = (label) => z.string().regex(/^[0-9a-fA-F]{24}$/, `${label} must be a valid MongoDB ObjectId`);
+
+class CouponValidator extends BaseValidator {
+  static createSchema = z.object({
+    code: z.string().min(3, 'Coupon code must be at least 3 characters').max(30, 'Coupon code must be at most 30 characters'),
+    type: z.enum(['percentage', 'fixed_amount', 'free_shipping'], {
+      errorMap: () => ({ message: 'Invalid coupon type' })
+    }),
+    value: z.number().positive('Value must be a positive number').optional(),
+    minimumOrderAmount: z.number().nonnegative('Minimum order amount cannot be negative').optional(),
+    maximumDiscountAmount: z.number().positive('Maximum discount must be a positive number').optional(),
+    usageLimit: z.number().int().nonnegative('Usage limit cannot be negative').optional(),
+    applicableProducts: z.array(objectId('Product')).optional(),
+    applicableCategories: z.array(objectId('Category')).optional(),
+    excludeSaleItems: z.boolean().optional(),
+    startDate: z.string().datetime({ offset: true, message: 'Start date must be an ISO date' }),
+    endDate: z.string().datetime({ offset: true, message: 'End date must be an ISO date' }),
+    isActive: z.boolean().optional()
+  }).refine(data => data.type === 'free_shipping' || data.value !== undefined, {
+    message: 'Value is required for percentage and fixed amount coupons',
+    path: ['value']
+  }).refine(data => data.type !== 'percentage' || data.value === undefined || data.value <= 100, {
+    message: 'Percentage discount cannot exceed 100',
+    path: ['value']
+  }).refine(data => new Date(data.startDate) < new Date(data.endDate), {
+    message: 'End date must be after start date',
+    path: ['endDate']
+  });
+
+  static updateSchema = z.object({
+    code: z.string().min(3, 'Coupon code must be at least 3 characters').max(30, 'Coupon code must be at most 30 characters').optional(),
+    type: z.enum(['percentage', 'fixed_amount', 'free_shipping']).optional(),
+    value: z.number().positive('Value must be a positive number').optional(),
+    minimumOrderAmount: z.number().nonnegative('Minimum order amount cannot be negative').optional(),
+    maximumDiscountAmount: z.number().positive('Maximum discount must be a positive number').optional(),
+    usageLimit: z.number().int().nonnegative('Usage limit cannot be negative').optional(),
+    applicableProducts: z.array(objectId('Product')).optional(),
+    applicableCategories: z.array(objectId('Category')).optional(),
+    excludeSaleItems: z.boolean().optional(),
+    startDate: z.string().datetime({ offset: true, message: 'Start date must be an ISO date' }).optional(),
+    endDate: z.string().datetime({ offset: true, message: 'End date must be an ISO date' }).optional(),
+    isActive: z.boolean().optional()
+  });
+
+  static applySchema = z.object({
+    code: z.string().min(1, 'Coupon code is required')
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateUpdate(data) {
+    return this.validate(this.updateSchema, data);
+  }
+
+  static validateApply(data) {
+    return this.validate(this.applySchema, data);
+  }
+}
+
+module.exports = CouponValidator;
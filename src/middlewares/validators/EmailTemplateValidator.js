@@ -0,0 +1,32 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const subject = z.string().min(1, 'Subject is required').max(200, 'Subject must be at most 200 characters');
+
+class EmailTemplateValidator extends BaseValidator {
+  static versionSchema = z.object({
+    subject,
+    html: z.string().min(1, 'HTML body is required'),
+    text: z.string().optional(),
+    notes: z.string().max(500, 'Notes must be at most 500 characters').optional(),
+    activate: z.boolean().optional()
+  });
+
+  static previewSchema = z.object({
+    version: z.number().int().min(1).optional(),
+    subject: subject.optional(),
+    html: z.string().min(1).optional(),
+    text: z.string().optional(),
+    data: z.record(z.any()).optional()
+  });
+
+  static validateVersion(data) {
+    return this.validate(this.versionSchema, data);
+  }
+
+  static validatePreview(data) {
+    return this.validate(this.previewSchema, data);
+  }
+}
+
+module.exports = EmailTemplateValidator;
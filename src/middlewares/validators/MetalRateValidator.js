@@ -0,0 +1,33 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const metalTypes = ['Gold', 'Silver', 'Platinum', 'Rose Gold', 'White Gold', 'Yellow Gold'];
+
+class MetalRateValidator extends BaseValidator {
+  static createSchema = z.object({
+    metalType: z.enum(metalTypes, {
+      errorMap: () => ({ message: 'Invalid metal type' })
+    }),
+    purity: z.string().min(1, 'Purity is required'),
+    ratePerGram: z.number().positive('Rate per gram must be a positive number'),
+    currency: z.string().optional(),
+    effectiveFrom: z.string().datetime({ offset: true, message: 'Effective date must be an ISO date' }).optional(),
+    source: z.string().optional(),
+    reprice: z.boolean().optional()
+  });
+
+  static repriceSchema = z.object({
+    metalType: z.enum(metalTypes).optional(),
+    purity: z.string().optional()
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateReprice(data) {
+    return this.validate(this.repriceSchema, data);
+  }
+}
+
+module.exports = MetalRateValidator;
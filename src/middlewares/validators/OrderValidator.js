@@ -8,8 +8,8 @@ class OrderValidator extends BaseValidator {
         product: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Product must be a valid MongoDB ObjectId'),
         variant: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Variant must be a valid MongoDB ObjectId').optional().or(z.literal('')).or(z.null()),
         quantity: z.number().int().positive('Quantity must be a positive integer'),
-        price: z.number().positive('Price must be a positive number'),
-        subtotal: z.number().positive('Subtotal must be a positive number')
+        price: z.number().positive('Price must be a positive number').optional(),
+        subtotal: z.number().positive('Subtotal must be a positive number').optional()
       })
     ).min(1, 'At least one item is required'),
     shippingAddress: z.object({
@@ -28,16 +28,44 @@ class OrderValidator extends BaseValidator {
       country: z.string().min(1, 'Country is required'),
       phone: z.string().optional()
     }).optional(),
-    subtotal: z.number().nonnegative(),
+    // Totals are recomputed server-side; when sent they must match the server quote
+    subtotal: z.number().nonnegative().optional(),
     taxAmount: z.number().nonnegative().optional(),
     shippingCost: z.number().nonnegative().optional(),
     discountAmount: z.number().nonnegative().optional(),
-    totalAmount: z.number().positive(),
+    totalAmount: z.number().positive().optional(),
+    couponCode: z.string().optional(),
+    shippingMethod: z.string().optional(),
     paymentMethod: z.enum(['cash_on_delivery', 'credit_card', 'debit_card', 'bank_transfer', 'paypal', 'stripe'], {
       errorMap: () => ({ message: 'Invalid payment method' })
     })
   });
 
+  static guestCreateSchema = this.createSchema.extend({
+    contact: z.object({
+      name: z.string().min(1, 'Name is required').max(100, 'Name cannot be more than 100 characters'),
+      email: z.string().email('Please provide a valid email'),
+      phone: z.string().min(7, 'Please provide a valid phone number').max(20, 'Please provide a valid phone number')
+    })
+  });
+
+  static quoteSchema = z.object({
+    items: z.array(
+      z.object({
+        product: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Product must be a valid MongoDB ObjectId'),
+        variant: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Variant must be a valid MongoDB ObjectId').optional().or(z.literal('')).or(z.null()),
+        quantity: z.number().int().positive('Quantity must be a positive integer')
+      })
+    ).min(1, 'At least one item is required'),
+    couponCode: z.string().optional(),
+    shippingAddress: z.object({
+      city: z.string().min(1, 'City is required'),
+      state: z.string().optional().or(z.literal('')),
+      country: z.string().min(1, 'Country is required')
+    }).passthrough().optional(),
+    shippingMethod: z.string().optional()
+  });
+
   static processPaymentSchema = z.object({
     amount: z.number().positive('Amount must be a positive number'),
     orderId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Valid order ID is required'),
@@ -54,10 +82,26 @@ class OrderValidator extends BaseValidator {
     deliveredDate: z.string().optional()
   });
 
+  static statusSchema = z.object({
+    status: z.enum(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned']).optional(),
+    paymentStatus: z.enum(['pending', 'processing', 'completed', 'failed', 'refunded']).optional(),
+    note: z.string().max(500, 'Note cannot be more than 500 characters').optional()
+  }).refine(data => data.status || data.paymentStatus, {
+    message: 'Either status or paymentStatus is required'
+  });
+
+  static cancelSchema = z.object({
+    reason: z.string().max(500, 'Reason cannot be more than 500 characters').optional()
+  });
+
   static validateCreate(data) {
     return this.validate(this.createSchema, data);
   }
 
+  static validateQuote(data) {
+    return this.validate(this.quoteSchema, data);
+  }
+
   static validateProcessPayment(data) {
     return this.validate(this.processPaymentSchema, data);
   }
@@ -65,6 +109,14 @@ class OrderValidator extends BaseValidator {
   static validateUpdate(data) {
     return this.validate(this.updateSchema, data);
   }
+
+  static validateStatus(data) {
+    return this.validate(this.statusSchema, data);
+  }
+
+  static validateCancel(data) {
+    return this.validate(this.cancelSchema, data);
+  }
 }
 
 module.exports = OrderValidator;
\ No newline at end of file
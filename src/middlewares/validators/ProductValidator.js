@@ -10,6 +10,7 @@ class ProductValidator extends BaseValidator {
     category: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Category must be a valid MongoDB ObjectId'),
     subcategory: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Subcategory must be a valid MongoDB ObjectId').optional(),
     brand: z.string().optional(),
+    taxClass: z.string().regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores').max(30, 'Tax class must be at most 30 characters').optional(),
     tags: z.array(z.string()).optional(),
     variants: z.array(
       z.object({
@@ -22,6 +23,12 @@ class ProductValidator extends BaseValidator {
         price: z.number().positive('Price must be a positive number'),
         salePrice: z.number().positive('Sale price must be greater than 0').optional().or(z.number().nonpositive()).optional(),
         stockQuantity: z.number().nonnegative('Stock quantity cannot be negative').optional(),
+        isRateLinked: z.boolean().optional(),
+        makingCharges: z.object({
+          type: z.enum(['per_gram', 'fixed', 'percentage']).optional(),
+          value: z.number().nonnegative('Making charges cannot be negative').optional()
+        }).optional(),
+        gemstoneValue: z.number().nonnegative('Gemstone value cannot be negative').optional(),
         images: z.array(
           z.object({
             url: z.string().url('Image URL must be valid'),
@@ -69,6 +76,7 @@ class ProductValidator extends BaseValidator {
     category: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Category must be a valid MongoDB ObjectId').optional(),
     subcategory: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Subcategory must be a valid MongoDB ObjectId').optional(),
     brand: z.string().optional(),
+    taxClass: z.string().regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores').max(30, 'Tax class must be at most 30 characters').optional(),
     tags: z.array(z.string()).optional(),
     variants: z.array(
       z.object({
@@ -81,6 +89,12 @@ class ProductValidator extends BaseValidator {
         price: z.number().positive('Price must be a positive number').optional(),
         salePrice: z.number().positive('Sale price must be greater than 0').optional().or(z.number().nonpositive()).optional(),
         stockQuantity: z.number().nonnegative('Stock quantity cannot be negative').optional(),
+        isRateLinked: z.boolean().optional(),
+        makingCharges: z.object({
+          type: z.enum(['per_gram', 'fixed', 'percentage']).optional(),
+          value: z.number().nonnegative('Making charges cannot be negative').optional()
+        }).optional(),
+        gemstoneValue: z.number().nonnegative('Gemstone value cannot be negative').optional(),
         images: z.array(
           z.object({
             url: z.string().url('Image URL must be valid'),
@@ -0,0 +1,53 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const returnItemSchema = z.object({
+  product: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Product must be a valid MongoDB ObjectId'),
+  variant: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Variant must be a valid MongoDB ObjectId').optional(),
+  quantity: z.number().int().positive('Quantity must be a positive integer')
+});
+
+// Return requests are sent as multipart form data so photos can be attached;
+// items then arrive as a JSON string
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+class ReturnValidator extends BaseValidator {
+  static createSchema = z.object({
+    items: z.preprocess(parseJsonField, z.array(returnItemSchema).optional()),
+    reasonCode: z.enum(['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'], {
+      errorMap: () => ({ message: 'Invalid return reason' })
+    }),
+    comments: z.string().max(1000, 'Comments cannot be more than 1000 characters').optional()
+  });
+
+  static reviewSchema = z.object({
+    note: z.string().max(500, 'Note cannot be more than 500 characters').optional()
+  });
+
+  static refundSchema = z.object({
+    amount: z.number().positive('Amount must be a positive number').optional()
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateReview(data) {
+    return this.validate(this.reviewSchema, data);
+  }
+
+  static validateRefund(data) {
+    return this.validate(this.refundSchema, data);
+  }
+}
+
+module.exports = ReturnValidator;
@@ -0,0 +1,33 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+const { ALL_PERMISSIONS } = require('../../config/permissions');
+
+const name = z.string()
+  .regex(/^[a-z][a-z0-9_-]*$/i, 'Role name must start with a letter and may only contain letters, numbers, dashes and underscores')
+  .max(30, 'Role name must be at most 30 characters');
+const description = z.string().max(200, 'Description must be at most 200 characters');
+const permissions = z.array(z.enum(ALL_PERMISSIONS));
+
+class RoleValidator extends BaseValidator {
+  static createSchema = z.object({
+    name,
+    description: description.optional(),
+    permissions: permissions.optional()
+  });
+
+  static updateSchema = z.object({
+    name: name.optional(),
+    description: description.optional(),
+    permissions: permissions.optional()
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateUpdate(data) {
+    return this.validate(this.updateSchema, data);
+  }
+}
+
+module.exports = RoleValidator;
@@ -0,0 +1,28 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+class ShipmentValidator extends BaseValidator {
+  static bookSchema = z.object({
+    courier: z.enum(['tcs', 'leopards', 'mnp', 'mock'], {
+      errorMap: () => ({ message: 'Courier must be one of tcs, leopards, mnp or mock' })
+    }).optional(),
+    weight: z.number().positive('Weight must be a positive number of grams').optional(),
+    pieces: z.number().int().positive('Pieces must be a positive integer').optional(),
+    notes: z.string().max(250, 'Notes cannot be more than 250 characters').optional()
+  });
+
+  static syncSchema = z.object({
+    limit: z.number().int().positive().max(500, 'Limit cannot be more than 500').optional(),
+    staleMinutes: z.number().int().nonnegative().optional()
+  });
+
+  static validateBook(data) {
+    return this.validate(this.bookSchema, data);
+  }
+
+  static validateSync(data) {
+    return this.validate(this.syncSchema, data);
+  }
+}
+
+module.exports = ShipmentValidator;
@@ -0,0 +1,61 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const rateRule = z.object({
+  minWeight: z.number().nonnegative('Minimum weight cannot be negative').optional(),
+  maxWeight: z.number().positive('Maximum weight must be a positive number').optional(),
+  minOrderValue: z.number().nonnegative('Minimum order value cannot be negative').optional(),
+  maxOrderValue: z.number().positive('Maximum order value must be a positive number').optional(),
+  price: z.number().nonnegative('Price cannot be negative')
+}).refine(rate => rate.maxWeight === undefined || rate.maxWeight > (rate.minWeight || 0), {
+  message: 'Maximum weight must be above the minimum weight',
+  path: ['maxWeight']
+}).refine(rate => rate.maxOrderValue === undefined || rate.maxOrderValue > (rate.minOrderValue || 0), {
+  message: 'Maximum order value must be above the minimum order value',
+  path: ['maxOrderValue']
+});
+
+const shippingMethod = z.object({
+  code: z.string().min(1, 'Method code is required').max(30, 'Method code must be at most 30 characters'),
+  name: z.string().min(1, 'Method name is required').max(100, 'Method name must be at most 100 characters'),
+  description: z.string().max(500, 'Description cannot be more than 500 characters').optional(),
+  estimatedDays: z.object({
+    min: z.number().int().nonnegative().optional(),
+    max: z.number().int().nonnegative().optional()
+  }).optional(),
+  rates: z.array(rateRule).min(1, 'A shipping method needs at least one rate'),
+  freeShippingThreshold: z.number().nonnegative('Free shipping threshold cannot be negative').optional(),
+  isActive: z.boolean().optional()
+});
+
+class ShippingZoneValidator extends BaseValidator {
+  static createSchema = z.object({
+    name: z.string().min(1, 'Zone name is required').max(100, 'Zone name must be at most 100 characters'),
+    countries: z.array(z.string().min(1)).optional(),
+    provinces: z.array(z.string().min(1)).optional(),
+    cities: z.array(z.string().min(1)).optional(),
+    methods: z.array(shippingMethod).min(1, 'At least one shipping method is required'),
+    priority: z.number().int().optional(),
+    isActive: z.boolean().optional()
+  });
+
+  static updateSchema = z.object({
+    name: z.string().min(1, 'Zone name is required').max(100, 'Zone name must be at most 100 characters').optional(),
+    countries: z.array(z.string().min(1)).optional(),
+    provinces: z.array(z.string().min(1)).optional(),
+    cities: z.array(z.string().min(1)).optional(),
+    methods: z.array(shippingMethod).min(1, 'At least one shipping method is required').optional(),
+    priority: z.number().int().optional(),
+    isActive: z.boolean().optional()
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateUpdate(data) {
+    return this.validate(this.updateSchema, data);
+  }
+}
+
+module.exports = ShippingZoneValidator;
@@ -0,0 +1,36 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const taxClass = z.string()
+  .regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores')
+  .max(30, 'Tax class must be at most 30 characters');
+
+class TaxRateValidator extends BaseValidator {
+  static createSchema = z.object({
+    taxClass,
+    name: z.string().min(1, 'Tax name is required').max(100, 'Tax name must be at most 100 characters'),
+    country: z.string().min(1, 'Country is required').optional(),
+    province: z.string().min(1).optional(),
+    rate: z.number().min(0, 'Rate cannot be negative').max(100, 'Rate cannot be more than 100'),
+    isActive: z.boolean().optional()
+  });
+
+  static updateSchema = z.object({
+    taxClass: taxClass.optional(),
+    name: z.string().min(1, 'Tax name is required').max(100, 'Tax name must be at most 100 characters').optional(),
+    country: z.string().min(1, 'Country is required').optional(),
+    province: z.string().min(1).nullable().optional(),
+    rate: z.number().min(0, 'Rate cannot be negative').max(100, 'Rate cannot be more than 100').optional(),
+    isActive: z.boolean().optional()
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateUpdate(data) {
+    return this.validate(this.updateSchema, data);
+  }
+}
+
+module.exports = TaxRateValidator;
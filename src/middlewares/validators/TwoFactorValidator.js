@@ -0,0 +1,43 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const code = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+const recoveryCode = z.string().min(1, 'Recovery code is required').max(32);
+
+// Either a code from the authenticator app or a recovery code
+const secondFactor = {
+  code: code.optional(),
+  recoveryCode: recoveryCode.optional()
+};
+const hasSecondFactor = data => Boolean(data.code || data.recoveryCode);
+const secondFactorMessage = { message: 'Provide a code or a recovery code', path: ['code'] };
+
+class TwoFactorValidator extends BaseValidator {
+  static enableSchema = z.object({
+    code
+  });
+
+  static verifySchema = z.object({
+    twoFactorToken: z.string().min(1, 'Two-factor token is required'),
+    ...secondFactor
+  }).refine(hasSecondFactor, secondFactorMessage);
+
+  static reauthenticateSchema = z.object({
+    password: z.string().min(1, 'Password is required'),
+    ...secondFactor
+  }).refine(hasSecondFactor, secondFactorMessage);
+
+  static validateEnable(data) {
+    return this.validate(this.enableSchema, data);
+  }
+
+  static validateVerify(data) {
+    return this.validate(this.verifySchema, data);
+  }
+
+  static validateReauthenticate(data) {
+    return this.validate(this.reauthenticateSchema, data);
+  }
+}
+
+module.exports = TwoFactorValidator;
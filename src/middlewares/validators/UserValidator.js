@@ -49,10 +49,18 @@ class UserValidator extends BaseValidator {
     lastName: z.string().min(2, 'Last name must be at least 2 characters').max(50, 'Last name must be at most 50 characters').optional(),
     email: z.string().email('Please enter a valid email').optional(),
     phone: z.string().optional(),
-    role: z.enum(['customer', 'admin', 'vendor']).optional(),
+    role: z.string().min(1, 'Role is required').max(30, 'Role must be at most 30 characters').optional(),
     isActive: z.boolean().optional(),
   });
 
+  static deletionRequestSchema = z.object({
+    password: z.string().min(1, 'Password is required'),
+  });
+
+  static impersonateSchema = z.object({
+    reason: z.string().trim().min(5, 'Reason must be at least 5 characters').max(500, 'Reason must be at most 500 characters'),
+  });
+
   static validateRegister(data) {
     return this.validate(this.registerSchema, data);
   }
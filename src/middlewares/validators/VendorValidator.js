@@ -0,0 +1,90 @@
+const { z } = require('zod');
+const BaseValidator = require('./BaseValidator');
+
+const objectId = label => z.string().regex(/^[0-9a-fA-F]{24}$/, `${label} must be a valid MongoDB ObjectId`);
+
+const profileFields = {
+  storeName: z.string().min(2, 'Store name must be at least 2 characters').max(100, 'Store name must be at most 100 characters'),
+  description: z.string().max(2000, 'Description must be at most 2000 characters').optional(),
+  phone: z.string().max(30, 'Phone must be at most 30 characters').optional(),
+  email: z.string().email('Please provide a valid email').optional(),
+  address: z.object({
+    street: z.string().optional(),
+    city: z.string().optional(),
+    state: z.string().optional(),
+    zipCode: z.string().optional(),
+    country: z.string().optional()
+  }).optional(),
+  payoutDetails: z.object({
+    accountTitle: z.string().max(100).optional(),
+    bankName: z.string().max(100).optional(),
+    accountNumber: z.string().max(34, 'Account number must be at most 34 characters').optional()
+  }).optional()
+};
+
+class VendorValidator extends BaseValidator {
+  static createSchema = z.object(profileFields);
+
+  static updateSchema = z.object({
+    ...profileFields,
+    storeName: profileFields.storeName.optional()
+  });
+
+  static reviewSchema = z.object({
+    reason: z.string().max(500, 'Reason cannot be more than 500 characters').optional()
+  });
+
+  static orderStatusSchema = z.object({
+    status: z.enum(['processing', 'shipped', 'delivered'], {
+      errorMap: () => ({ message: 'Status must be processing, shipped or delivered' })
+    }),
+    carrier: z.string().max(50).optional(),
+    trackingNumber: z.string().max(100).optional(),
+    note: z.string().max(500, 'Note cannot be more than 500 characters').optional()
+  });
+
+  static payoutSchema = z.object({
+    from: z.string().datetime({ offset: true, message: 'From must be an ISO date' }).optional(),
+    to: z.string().datetime({ offset: true, message: 'To must be an ISO date' }).optional()
+  }).refine(data => !data.from || !data.to || new Date(data.from) < new Date(data.to), {
+    message: 'From must be before to',
+    path: ['to']
+  });
+
+  static payoutPaidSchema = z.object({
+    reference: z.string().max(100, 'Reference must be at most 100 characters').optional()
+  });
+
+  static commissionRuleSchema = z.object({
+    vendor: objectId('Vendor').optional(),
+    category: objectId('Category').optional(),
+    rate: z.number().min(0, 'Rate cannot be negative').max(100, 'Rate cannot be more than 100'),
+    description: z.string().max(200, 'Description must be at most 200 characters').optional()
+  }).refine(data => data.vendor || data.category, {
+    message: 'A commission rule needs a vendor, a category or both',
+    path: ['vendor']
+  });
+
+  static commissionRuleUpdateSchema = z.object({
+    rate: z.number().min(0, 'Rate cannot be negative').max(100, 'Rate cannot be more than 100').optional(),
+    description: z.string().max(200, 'Description must be at most 200 characters').optional()
+  });
+
+  static validateCreate(data) {
+    return this.validate(this.createSchema, data);
+  }
+
+  static validateUpdate(data) {
+    return this.validate(this.updateSchema, data);
+  }
+
+  static validateOrderStatus(data) {
+    return this.validate(this.orderStatusSchema, data);
+  }
+
+  static validatePayout(data) {
+    return this.validate(this.payoutSchema, data);
+  }
+}
+
+module.exports = VendorValidator;
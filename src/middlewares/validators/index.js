@@ -4,6 +4,16 @@ const CartValidator = require('./CartValidator');
 const OrderValidator = require('./OrderValidator');
 const ReviewValidator = require('./ReviewValidator');
 const CategoryValidator = require('./CategoryValidator');
+const CouponValidator = require('./CouponValidator');
+const MetalRateValidator = require('./MetalRateValidator');
+const ReturnValidator = require('./ReturnValidator');
+const ShippingZoneValidator = require('./ShippingZoneValidator');
+const ShipmentValidator = require('./ShipmentValidator');
+const TaxRateValidator = require('./TaxRateValidator');
+const EmailTemplateValidator = require('./EmailTemplateValidator');
+const TwoFactorValidator = require('./TwoFactorValidator');
+const RoleValidator = require('./RoleValidator');
+const VendorValidator = require('./VendorValidator');
 
 module.exports = {
   UserValidator,
@@ -11,5 +21,15 @@ module.exports = {
   CartValidator,
   OrderValidator,
   ReviewValidator,
-  CategoryValidator
+  CategoryValidator,
+  CouponValidator,
+  MetalRateValidator,
+  ReturnValidator,
+  ShippingZoneValidator,
+  ShipmentValidator,
+  TaxRateValidator,
+  EmailTemplateValidator,
+  TwoFactorValidator,
+  RoleValidator,
+  VendorValidator
 };
\ No newline at end of file
@@ -0,0 +1,38 @@
+const { getVendorForUser } = require('../services/vendorService');
+
+const MESSAGES = {
+  pending: 'Your vendor application is still being reviewed',
+  rejected: 'Your vendor application was not approved',
+  suspended: 'Your vendor account is suspended'
+};
+
+/**
+ * Let only users with an approved vendor account through, with their vendor
+ * profile on req.vendor. Use after auth.
+ */
+const requireVendor = async (req, res, next) => {
+  try {
+    const vendor = await getVendorForUser(req.user.id);
+
+    if (!vendor) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. A vendor account is required.'
+      });
+    }
+
+    if (vendor.status !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        message: MESSAGES[vendor.status]
+      });
+    }
+
+    req.vendor = vendor;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = requireVendor;
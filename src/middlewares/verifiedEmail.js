@@ -0,0 +1,32 @@
+const { isVerificationRequired } = require('../services/emailVerificationService');
+
+const MESSAGES = {
+  checkout: 'Please verify your email address before placing an order',
+  reviews: 'Please verify your email address before writing a review'
+};
+
+/**
+ * Stop signed-in users with an unverified email from taking an action listed in
+ * Settings.emailVerificationRequiredFor. Guests and verified users pass through.
+ * @param {string} action - 'checkout' or 'reviews'
+ */
+const requireVerifiedEmail = action => async (req, res, next) => {
+  if (!req.user || req.user.isVerified) {
+    return next();
+  }
+
+  try {
+    if (await isVerificationRequired(action)) {
+      return res.status(403).json({
+        success: false,
+        message: MESSAGES[action]
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = requireVerifiedEmail;
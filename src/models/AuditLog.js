@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const auditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One staff change, written once and never edited or removed
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The role is copied so entries read correctly after it changes. The email is not:
+  // entries cannot be edited, so a copy would outlive the account's anonymisation.
+  // Readers populate it from the actor instead.
+  actorRole: String,
+  action: {
+    type: String, // <entity>.<verb>, e.g. product.update
+    required: true
+  },
+  entityType: String, // model name, e.g. Product
+  entityId: String,
+  changes: [auditChangeSchema],
+  requestBody: mongoose.Schema.Types.Mixed, // for actions without an entity to compare
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  appendOnly
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GUEST_CART_TTL_DAYS } = require('../utils/cartToken');
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -28,12 +29,50 @@ const cartItemSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Unit prices held for the customer from the moment checkout starts
+const priceLockLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  regularPrice: Number,
+  priceSource: String,
+  metalRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MetalRate'
+  },
+  ratePerGram: Number
+}, { _id: false });
+
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: function () {
+      return !this.guestId;
+    },
+    unique: true,
+    sparse: true
+  },
+  // Anonymous carts are keyed by the id inside the shopper's signed cart token
+  guestId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Guest carts are removed by MongoDB once this passes; user carts never expire
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
   },
   items: [cartItemSchema],
   itemCount: {
@@ -43,9 +82,44 @@ const cartSchema = new mongoose.Schema({
   totalAmount: {
     type: Number,
     default: 0
+  },
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  priceLock: {
+    lockedAt: Date,
+    expiresAt: Date,
+    lines: [priceLockLineSchema]
   }
 }, {
   timestamps: true
 });
 
+// Keep line subtotals and cart totals in sync with item quantities
+cartSchema.pre('validate', function (next) {
+  this.items.forEach(item => {
+    item.subtotal = item.price * item.quantity;
+  });
+
+  this.itemCount = this.items.reduce((count, item) => count + item.quantity, 0);
+  this.totalAmount = this.items.reduce((sum, item) => sum + item.subtotal, 0);
+
+  if (this.items.length === 0) {
+    this.couponCode = undefined;
+    this.discountAmount = 0;
+    this.priceLock = undefined;
+  }
+
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
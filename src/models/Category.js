@@ -27,6 +27,11 @@ const categorySchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  taxClass: {
+    type: String, // inherited by products and subcategories without their own
+    lowercase: true,
+    trim: true
+  },
   image: {
     url: String,
     altText: String
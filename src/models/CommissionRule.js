@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Percentage the store keeps from vendor sales. A rule names a vendor, a category or
+// both; the most specific rule for an order line wins, then Settings.vendorCommissionRate.
+const commissionRuleSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    default: null
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.pre('validate', function (next) {
+  if (!this.vendor && !this.category) {
+    this.invalidate('vendor', 'A commission rule needs a vendor, a category or both');
+  }
+  next();
+});
+
+// One rule per vendor/category pair
+commissionRuleSchema.index({ vendor: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
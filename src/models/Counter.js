@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers. Incremented atomically so concurrent
+// requests never get the same value.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Next value of a sequence, starting at 1.
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
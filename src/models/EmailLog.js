@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One document per attempt to hand an email to the mail server, whether or not it was accepted
+const emailLogSchema = new mongoose.Schema({
+  template: {
+    type: String // template name; empty for emails sent without a template
+  },
+  templateVersion: {
+    type: Number
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  attachments: [{
+    type: String // file names
+  }],
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  outbox: {
+    type: mongoose.Schema.Types.ObjectId, // outbox message this attempt delivered
+    ref: 'EmailOutbox'
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+emailLogSchema.index({ createdAt: -1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+emailLogSchema.index({ template: 1, status: 1, createdAt: -1 });
+emailLogSchema.index({ order: 1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  contentType: String,
+  content: Buffer
+}, { _id: false });
+
+// Rendered emails waiting to be sent. The worker claims a message by moving it to
+// `sending`; failures go back to `retrying` with a later nextAttemptAt until
+// maxAttempts is reached, when the message is dead-lettered.
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  replyTo: {
+    type: String
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  attachments: [attachmentSchema],
+  template: {
+    type: String
+  },
+  templateVersion: {
+    type: Number
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'retrying', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date // a claimed message whose worker died becomes claimable again after this
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  deadAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Admin-published versions of a built-in email template. Versions are never edited;
+// a change is a new version, and at most one version per name is active.
+const emailTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    lowercase: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 2 // version 1 is the built-in template
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    maxlength: [200, 'Subject cannot be more than 200 characters']
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required']
+  },
+  text: {
+    type: String // plain-text body; derived from the HTML when empty
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+emailTemplateSchema.index({ name: 1, isActive: 1 });
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 180;
+
+// One entry per sign-in attempt on an existing account
+const loginHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_password', 'locked', 'invalid_two_factor']
+  },
+  method: {
+    type: String,
+    enum: ['password', 'totp', 'recovery_code']
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  device: {
+    type: String // SHA-256 of the user agent, to recognise devices seen before
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, device: 1, success: 1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One document per published rate; the latest effectiveFrom wins, older documents form the history
+const metalRateSchema = new mongoose.Schema({
+  metalType: {
+    type: String,
+    enum: ['Gold', 'Silver', 'Platinum', 'Rose Gold', 'White Gold', 'Yellow Gold'],
+    required: true
+  },
+  purity: {
+    type: String, // e.g., 22K, 24K, 18K
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  ratePerGram: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'PKR'
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String, // e.g., Sarafa Association, manual entry
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+metalRateSchema.index({ metalType: 1, purity: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('MetalRate', metalRateSchema);
@@ -10,6 +10,13 @@ const orderItemSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ProductVariant'
   },
+  // Snapshot of what was sold, so invoices do not change when the catalogue does
+  name: String,
+  sku: String,
+  purity: String,
+  metalType: String,
+  weight: Number, // in grams
+  size: String,
   quantity: {
     type: Number,
     required: true,
@@ -22,7 +29,19 @@ const orderItemSchema = new mongoose.Schema({
   subtotal: {
     type: Number,
     required: true
-  }
+  },
+  taxRate: Number, // percentage charged on this line
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Marketplace lines: who sells the item and what the store keeps from it
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  commissionRate: Number, // percentage
+  commissionAmount: Number
 });
 
 const shippingAddressSchema = new mongoose.Schema({
@@ -49,6 +68,195 @@ const shippingAddressSchema = new mongoose.Schema({
   }
 });
 
+// Snapshot of how the server computed each total when the order was placed
+const pricingLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
+  sku: String,
+  quantity: Number,
+  regularPrice: Number,
+  unitPrice: Number,
+  priceSource: {
+    type: String,
+    enum: ['price', 'salePrice']
+  },
+  metalRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MetalRate'
+  },
+  ratePerGram: Number,
+  rateLocked: {
+    type: Boolean,
+    default: false
+  },
+  subtotal: Number,
+  discountAmount: Number, // share of the coupon discount
+  taxClass: String,
+  taxName: String,
+  taxRate: Number,
+  taxableAmount: Number,
+  taxAmount: Number
+}, { _id: false });
+
+const taxBreakdownSchema = new mongoose.Schema({
+  taxClass: String,
+  name: String,
+  rate: Number,
+  taxableAmount: Number,
+  amount: Number
+}, { _id: false });
+
+const pricingSchema = new mongoose.Schema({
+  computedAt: Date,
+  currency: String,
+  lines: [pricingLineSchema],
+  coupon: {
+    code: String,
+    type: { type: String },
+    value: Number,
+    discountAmount: Number,
+    freeShipping: Boolean
+  },
+  shipping: {
+    rule: String,
+    method: String,
+    zone: String,
+    weight: Number, // in grams
+    amount: Number
+  },
+  tax: {
+    inclusive: Boolean, // prices already contained the tax, so it was not added to the total
+    country: String,
+    province: String,
+    taxableAmount: Number,
+    amount: Number,
+    breakdown: [taxBreakdownSchema]
+  }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['orderStatus', 'paymentStatus'],
+    required: true
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    default: 'system'
+  },
+  note: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const vendorStatusHistorySchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One vendor's share of the order, fulfilled and paid out separately
+const vendorOrderSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    default: 'pending'
+  },
+  itemCount: Number,
+  salesAmount: Number, // line subtotals less their share of the coupon discount
+  commissionAmount: Number,
+  payoutAmount: Number, // salesAmount less commissionAmount
+  carrier: String,
+  trackingNumber: String,
+  shippedAt: Date,
+  deliveredAt: Date,
+  statusHistory: [vendorStatusHistorySchema],
+  payout: {
+    type: mongoose.Schema.Types.ObjectId, // statement that paid this share out
+    ref: 'VendorPayout',
+    default: null
+  }
+});
+
+// Carrier checkpoint, either polled from the courier API or pushed by its webhook
+const trackingEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'],
+    required: true
+  },
+  rawStatus: String, // status text exactly as the courier sent it
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  courier: {
+    type: String, // adapter code: tcs, leopards, mnp, mock
+    required: true
+  },
+  courierName: String,
+  consignmentNumber: {
+    type: String,
+    required: true
+  },
+  trackingUrl: String,
+  labelUrl: String,
+  status: {
+    type: String,
+    enum: ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_failed', 'returned', 'cancelled'],
+    default: 'booked'
+  },
+  weight: Number, // in grams
+  pieces: Number,
+  codAmount: Number,
+  bookedAt: Date,
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastSyncedAt: Date,
+  events: [trackingEventSchema]
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -58,9 +266,27 @@ const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () {
+      return !this.isGuest;
+    }
+  },
+  // Placed without an account; cleared once the buyer claims the order
+  isGuest: {
+    type: Boolean,
+    default: false
   },
+  contact: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: String
+  },
+  claimedAt: Date,
   items: [orderItemSchema],
+  vendorOrders: [vendorOrderSchema],
   subtotal: {
     type: Number,
     required: true
@@ -87,6 +313,7 @@ const orderSchema = new mongoose.Schema({
   },
   shippingAddress: shippingAddressSchema,
   billingAddress: shippingAddressSchema,
+  shippingMethod: String, // code of the shipping zone method chosen at checkout
   paymentMethod: {
     type: String,
     required: true,
@@ -97,14 +324,27 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
+  paymentIntentId: {
+    type: String, // Stripe PaymentIntent reconciled by the payments webhook
+    index: true,
+    sparse: true
+  },
+  paidAt: {
+    type: Date
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   orderStatus: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
     default: 'pending'
   },
   trackingNumber: {
-    type: String
+    type: String // mirrors shipment.consignmentNumber once a shipment is booked
   },
+  shipment: shipmentSchema,
   shippedDate: {
     type: Date
   },
@@ -114,11 +354,53 @@ const orderSchema = new mongoose.Schema({
   notes: {
     type: String
   },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String
+  },
   couponCode: {
     type: String
+  },
+  invoiceNumber: {
+    type: String, // assigned from a sequence the first time an invoice is issued
+    unique: true,
+    sparse: true
+  },
+  invoicedAt: Date,
+  pricing: pricingSchema,
+  statusHistory: [statusHistorySchema],
+  stockReleasedAt: {
+    type: Date, // set once the reserved stock has been put back
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Start the timeline with the status the order was placed in
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      field: 'orderStatus',
+      to: this.orderStatus,
+      actor: this.user,
+      actorType: 'customer',
+      note: 'Order placed'
+    });
+  }
+  next();
+});
+
+// Unclaimed guest orders are looked up by contact email when the buyer proves they own it
+orderSchema.index({ 'contact.email': 1, isGuest: 1 });
+
+// Courier webhooks find the order by consignment number
+orderSchema.index({ 'shipment.courier': 1, 'shipment.consignmentNumber': 1 }, { sparse: true });
+// Tracking sync walks the shipments that are still moving
+orderSchema.index({ 'shipment.status': 1, 'shipment.lastSyncedAt': 1 });
+// Vendor order lists and payout statements
+orderSchema.index({ 'vendorOrders.vendor': 1, createdAt: -1 });
+
 module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
@@ -44,6 +44,36 @@ const productVariantSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Rate-linked variants have price/salePrice recomputed from the metal rate table
+  isRateLinked: {
+    type: Boolean,
+    default: false
+  },
+  makingCharges: {
+    type: {
+      type: String,
+      enum: ['per_gram', 'fixed', 'percentage'], // percentage of the metal value
+      default: 'fixed'
+    },
+    value: {
+      type: Number,
+      default: 0
+    }
+  },
+  gemstoneValue: {
+    type: Number,
+    default: 0
+  },
+  pricedAt: {
+    type: Date
+  },
+  pricedWithRate: {
+    metalRate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MetalRate'
+    },
+    ratePerGram: Number
+  },
   images: [{
     url: String,
     altText: String
@@ -84,6 +114,17 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Marketplace seller; products without one are sold by the store itself
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true
+  },
+  taxClass: {
+    type: String, // overrides the category's tax class
+    lowercase: true,
+    trim: true
+  },
   tags: [{
     type: String,
     trim: true
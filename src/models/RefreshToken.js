@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens are single use: a refresh marks the token used and issues its
+// replacement in the same session. Only a SHA-256 hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Used tokens are kept until they expire so a replayed one is still recognised
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ session: 1 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
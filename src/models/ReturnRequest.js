@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductVariant'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item must be returned']
+  },
+  reasonCode: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_issue', 'changed_mind', 'other'],
+    required: true
+  },
+  comments: {
+    type: String,
+    maxlength: 1000
+  },
+  photos: [{
+    url: String,
+    public_id: String
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  adminNote: {
+    type: String
+  },
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+  refund: {
+    amount: Number,
+    method: {
+      type: String,
+      enum: ['stripe', 'manual']
+    },
+    reference: String, // Stripe refund ID for card payments
+    refundedAt: Date
+  },
+  handledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
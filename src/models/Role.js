@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+// A named bundle of permissions. Users hold one role, by name, in User.role.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String, // e.g. admin, warehouse, editor
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    type: [String],
+    enum: ALL_PERMISSIONS,
+    default: []
+  },
+  isSystem: {
+    type: Boolean, // built-in roles cannot be renamed or deleted
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
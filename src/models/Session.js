@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Every refresh token issued to the device belongs to its session,
+// so revoking the session ends the whole token family and the access tokens that name it.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Staff member using the account through POST /api/admin/users/:id/impersonate
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonationReason: {
+    type: String
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'ended_by_user', 'token_reuse', 'password_change', 'two_factor_enabled']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -22,6 +22,16 @@ const settingsSchema = new mongoose.Schema({
         type: String,
         default: '123 Fashion Street, Karachi, Pakistan'
     },
+    ntn: {
+        type: String // National Tax Number, printed on invoices
+    },
+    strn: {
+        type: String // Sales Tax Registration Number, printed on invoices
+    },
+    invoicePrefix: {
+        type: String,
+        default: 'INV-'
+    },
     currency: {
         type: String,
         default: 'PKR'
@@ -30,6 +40,52 @@ const settingsSchema = new mongoose.Schema({
         type: String,
         default: 'Asia/Karachi'
     },
+    pricesIncludeTax: {
+        type: Boolean, // catalogue prices already contain sales tax
+        default: false
+    },
+    defaultTaxClass: {
+        type: String, // for products whose product and categories have no tax class
+        default: 'standard',
+        lowercase: true,
+        trim: true
+    },
+    taxAddress: {
+        // where tax is estimated for carts before the customer gives a shipping address
+        country: {
+            type: String,
+            default: 'Pakistan'
+        },
+        state: {
+            type: String,
+            default: 'Sindh'
+        }
+    },
+    returnWindowDays: {
+        type: Number, // days after delivery a customer may request a return
+        default: 7,
+        min: 0
+    },
+    emailVerificationRequiredFor: {
+        type: [String], // what accounts with an unverified email may not do
+        enum: ['checkout', 'reviews'],
+        default: []
+    },
+    requireAdminTwoFactor: {
+        type: Boolean, // staff (roles with any permission) must enable two-factor authentication before using staff endpoints
+        default: false
+    },
+    vendorCommissionRate: {
+        type: Number, // percentage the store keeps from vendor sales when no commission rule matches
+        default: 10,
+        min: 0,
+        max: 100
+    },
+    rateLockMinutes: {
+        type: Number, // how long metal-rate prices are held once checkout starts
+        default: 15,
+        min: 1
+    },
     logo: {
         type: String
     },
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// One price bracket of a shipping method. Brackets are checked in order and the
+// first one whose weight and order value ranges contain the order is used.
+const rateRuleSchema = new mongoose.Schema({
+  minWeight: {
+    type: Number, // in grams, inclusive
+    default: 0,
+    min: 0
+  },
+  maxWeight: {
+    type: Number // in grams, exclusive; no upper limit when unset
+  },
+  minOrderValue: {
+    type: Number, // inclusive, after discounts
+    default: 0,
+    min: 0
+  },
+  maxOrderValue: {
+    type: Number // exclusive; no upper limit when unset
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String, // e.g. standard, express; what orders store as shippingMethod
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  estimatedDays: {
+    min: Number,
+    max: Number
+  },
+  rates: {
+    type: [rateRuleSchema],
+    validate: [rates => rates.length > 0, 'A shipping method needs at least one rate']
+  },
+  freeShippingThreshold: {
+    type: Number, // order value from which this method is free; 0 disables
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Empty countries/provinces/cities match any value, so a zone with only a country
+// covers the whole country and a zone with nothing set is a catch-all.
+// Provinces are matched against the address `state` field.
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  countries: [{
+    type: String,
+    trim: true
+  }],
+  provinces: [{
+    type: String,
+    trim: true
+  }],
+  cities: [{
+    type: String,
+    trim: true
+  }],
+  methods: [shippingMethodSchema],
+  priority: {
+    type: Number, // breaks ties between equally specific zones; higher wins
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.pre('validate', function (next) {
+  const codes = this.methods.map(method => method.code);
+  if (new Set(codes).size !== codes.length) {
+    this.invalidate('methods', 'Shipping method codes must be unique within a zone');
+  }
+  next();
+});
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
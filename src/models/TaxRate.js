@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Sales tax for one tax class in a country or a single province of it. A province
+// rate overrides the country-wide rate for the same class; provinces are matched
+// against the address `state` field.
+const taxRateSchema = new mongoose.Schema({
+  taxClass: {
+    type: String, // e.g. standard, jewelry, cosmetics, couture, exempt
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String, // shown in the tax breakdown, e.g. "GST" or "Punjab Sales Tax"
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'Pakistan'
+  },
+  province: {
+    type: String, // empty for the country-wide rate
+    trim: true
+  },
+  rate: {
+    type: Number, // percentage
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ taxClass: 1, country: 1, province: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
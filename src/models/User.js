@@ -48,8 +48,9 @@ const userSchema = new mongoose.Schema({
     country: String
   },
   role: {
-    type: String,
-    enum: ['customer', 'admin', 'vendor'],
+    type: String, // name of a Role, which grants the user's permissions
+    lowercase: true,
+    trim: true,
     default: 'customer'
   },
   profileImage: {
@@ -75,6 +76,48 @@ const userSchema = new mongoose.Schema({
   },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
+  failedLoginAttempts: {
+    type: Number, // wrong passwords or two-factor codes since the last successful login
+    default: 0
+  },
+  lockUntil: {
+    type: Date // no login attempts are accepted before this, see loginSecurityService
+  },
+  // TOTP second factor, see twoFactorService. Secrets are stored encrypted and recovery codes hashed.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String, // issued at setup, becomes the secret once a code from it is confirmed
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number, // time step of the last accepted code, so a code works only once
+      select: false
+    },
+    challengeId: {
+      type: String, // the login waiting for a second factor
+      select: false
+    },
+    challengeAttempts: {
+      type: Number,
+      select: false
+    }
+  },
   wishlist: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
@@ -82,7 +125,15 @@ const userSchema = new mongoose.Schema({
   recentViewed: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
-  }]
+  }],
+  // Self-service deletion, see personalDataService. The account is anonymised once
+  // deletionScheduledFor passes; deletedAt marks the anonymised record.
+  deletionRequestedAt: Date,
+  deletionScheduledFor: {
+    type: Date,
+    index: { sparse: true }
+  },
+  deletedAt: Date
 }, {
   timestamps: true
 });
@@ -97,10 +148,16 @@ userSchema.pre('save', async function (next) {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || process.env.JWT_EXPIRES_IN || '30d'
+// Sign a short-lived access JWT for a session (see sessionService). Impersonation
+// tokens carry the staff member's ID as `imp`.
+userSchema.methods.getSignedJwtToken = function (sessionId, { impersonatedBy, expiresIn } = {}) {
+  const payload = { id: this._id, role: this.role, sid: sessionId };
+  if (impersonatedBy) {
+    payload.imp = impersonatedBy;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: expiresIn || process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
@@ -126,4 +183,19 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+  this.emailVerificationExpire = Date.now() + ttlHours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A user's seller profile. Applications start pending; approved vendors sell their
+// own products and their user gets the vendor role.
+const vendorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  storeName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  phone: String,
+  email: {
+    type: String, // where order and payout notices go
+    lowercase: true,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  payoutDetails: {
+    accountTitle: String,
+    bankName: String,
+    accountNumber: String // IBAN or account number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'suspended'],
+    default: 'pending',
+    index: true
+  },
+  statusReason: String, // why the application was rejected or the vendor suspended
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  approvedAt: Date
+}, {
+  timestamps: true
+});
+
+const { generateSlug } = require('../utils/helpers');
+
+vendorSchema.pre('save', function (next) {
+  if (!this.slug || this.isModified('storeName')) {
+    this.slug = generateSlug(this.storeName);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Vendor', vendorSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One vendor's share of a paid, delivered order, as it stood when the statement was issued
+const payoutLineSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  deliveredAt: Date,
+  itemCount: Number,
+  salesAmount: Number,
+  commissionAmount: Number,
+  payoutAmount: Number
+}, { _id: false });
+
+// Payout statement: what the store owes a vendor for the orders it lists
+const vendorPayoutSchema = new mongoose.Schema({
+  statementNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true,
+    index: true
+  },
+  periodStart: Date, // earliest delivery included; open-ended when unset
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  lines: [payoutLineSchema],
+  orderCount: Number,
+  salesAmount: Number,
+  commissionAmount: Number,
+  payoutAmount: Number,
+  currency: {
+    type: String,
+    default: 'PKR'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  paidAt: Date,
+  paymentReference: String, // bank transfer ID
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('VendorPayout', vendorPayoutSchema);
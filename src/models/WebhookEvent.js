@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One document per delivered provider event; the unique eventId makes redeliveries a no-op
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  result: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing'
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
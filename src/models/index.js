@@ -6,6 +6,23 @@ const Cart = require('./Cart');
 const Wishlist = require('./Wishlist');
 const Review = require('./Review');
 const Coupon = require('./Coupon');
+const MetalRate = require('./MetalRate');
+const WebhookEvent = require('./WebhookEvent');
+const ReturnRequest = require('./ReturnRequest');
+const ShippingZone = require('./ShippingZone');
+const TaxRate = require('./TaxRate');
+const Counter = require('./Counter');
+const EmailTemplate = require('./EmailTemplate');
+const EmailLog = require('./EmailLog');
+const EmailOutbox = require('./EmailOutbox');
+const Session = require('./Session');
+const RefreshToken = require('./RefreshToken');
+const LoginHistory = require('./LoginHistory');
+const Role = require('./Role');
+const Vendor = require('./Vendor');
+const CommissionRule = require('./CommissionRule');
+const VendorPayout = require('./VendorPayout');
+const AuditLog = require('./AuditLog');
 
 module.exports = {
   User,
@@ -15,5 +32,22 @@ module.exports = {
   Cart,
   Wishlist,
   Review,
-  Coupon
+  Coupon,
+  MetalRate,
+  WebhookEvent,
+  ReturnRequest,
+  ShippingZone,
+  TaxRate,
+  Counter,
+  EmailTemplate,
+  EmailLog,
+  EmailOutbox,
+  Session,
+  RefreshToken,
+  LoginHistory,
+  Role,
+  Vendor,
+  CommissionRule,
+  VendorPayout,
+  AuditLog
 };
\ No newline at end of file
@@ -10,10 +10,9 @@ const {
 
 const router = express.Router();
 
-const passport = require('passport');
-const protect = passport.authenticate('jwt', { session: false });
+const auth = require('../middlewares/auth');
 
-router.use(protect);
+router.use(auth);
 
 router
     .route('/')
@@ -7,15 +7,52 @@ const {
   getOrderAnalytics
 } = require('../services/adminService');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const requirePermission = require('../middlewares/permission');
+const audit = require('../middlewares/audit');
 const Settings = require('../models/Settings');
+const Coupon = require('../models/Coupon');
+const MetalRate = require('../models/MetalRate');
+const ReturnRequest = require('../models/ReturnRequest');
+const ShippingZone = require('../models/ShippingZone');
+const TaxRate = require('../models/TaxRate');
+const EmailOutbox = require('../models/EmailOutbox');
+const Role = require('../models/Role');
+const Vendor = require('../models/Vendor');
+const VendorPayout = require('../models/VendorPayout');
+const CommissionRule = require('../models/CommissionRule');
+const CouponValidator = require('../middlewares/validators/CouponValidator');
+const validate = require('../middlewares/validators/zodValidator');
+const couponController = require('../controllers/couponController');
+const MetalRateValidator = require('../middlewares/validators/MetalRateValidator');
+const metalRateController = require('../controllers/metalRateController');
+const ReturnValidator = require('../middlewares/validators/ReturnValidator');
+const returnController = require('../controllers/returnController');
+const ShippingZoneValidator = require('../middlewares/validators/ShippingZoneValidator');
+const shippingZoneController = require('../controllers/shippingZoneController');
+const ShipmentValidator = require('../middlewares/validators/ShipmentValidator');
+const shipmentController = require('../controllers/shipmentController');
+const TaxRateValidator = require('../middlewares/validators/TaxRateValidator');
+const taxRateController = require('../controllers/taxRateController');
+const EmailTemplateValidator = require('../middlewares/validators/EmailTemplateValidator');
+const emailTemplateController = require('../controllers/emailTemplateController');
+const emailLogController = require('../controllers/emailLogController');
+const emailOutboxController = require('../controllers/emailOutboxController');
+const UserValidator = require('../middlewares/validators/UserValidator');
+const userController = require('../controllers/userController');
+const RoleValidator = require('../middlewares/validators/RoleValidator');
+const roleController = require('../controllers/roleController');
+const VendorValidator = require('../middlewares/validators/VendorValidator');
+const vendorController = require('../controllers/vendorController');
+const payoutController = require('../controllers/payoutController');
+const commissionRuleController = require('../controllers/commissionRuleController');
+const auditController = require('../controllers/auditController');
 
 const router = express.Router();
 
 // @desc    Get site settings
 // @route   GET /api/admin/settings
 // @access  Private/Admin
-router.get('/settings', auth, admin, async (req, res) => {
+router.get('/settings', auth, requirePermission('settings:manage'), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings) {
@@ -36,7 +73,7 @@ router.get('/settings', auth, admin, async (req, res) => {
 // @desc    Update site settings
 // @route   PUT /api/admin/settings
 // @access  Private/Admin
-router.put('/settings', auth, admin, async (req, res) => {
+router.put('/settings', auth, requirePermission('settings:manage'), audit('settings.update', { model: Settings, target: () => ({}) }), async (req, res) => {
   try {
     let settings = await Settings.findOne();
     if (!settings) {
@@ -62,16 +99,16 @@ router.put('/settings', auth, admin, async (req, res) => {
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard/stats
 // @access  Private/Admin
-router.get('/dashboard/stats', auth, admin, async (req, res) => {
+router.get('/dashboard/stats', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    const dashboardStats = await getDashboardStats();
+    const dashboardStats = await getDashboardStats(req.query);
 
     res.status(200).json({
       success: true,
       ...dashboardStats
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -81,17 +118,16 @@ router.get('/dashboard/stats', auth, admin, async (req, res) => {
 // @desc    Get sales analytics
 // @route   GET /api/admin/analytics/sales
 // @access  Private/Admin
-router.get('/analytics/sales', auth, admin, async (req, res) => {
+router.get('/analytics/sales', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    const { period = 'monthly' } = req.query;
-    const salesAnalytics = await getSalesAnalytics(period);
+    const salesAnalytics = await getSalesAnalytics(req.query);
 
     res.status(200).json({
       success: true,
       ...salesAnalytics
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -101,16 +137,16 @@ router.get('/analytics/sales', auth, admin, async (req, res) => {
 // @desc    Get user analytics
 // @route   GET /api/admin/analytics/users
 // @access  Private/Admin
-router.get('/analytics/users', auth, admin, async (req, res) => {
+router.get('/analytics/users', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    const userAnalytics = await getUserAnalytics();
+    const userAnalytics = await getUserAnalytics(req.query);
 
     res.status(200).json({
       success: true,
       ...userAnalytics
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -120,16 +156,16 @@ router.get('/analytics/users', auth, admin, async (req, res) => {
 // @desc    Get product analytics
 // @route   GET /api/admin/analytics/products
 // @access  Private/Admin
-router.get('/analytics/products', auth, admin, async (req, res) => {
+router.get('/analytics/products', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    const productAnalytics = await getProductAnalytics();
+    const productAnalytics = await getProductAnalytics(req.query);
 
     res.status(200).json({
       success: true,
       ...productAnalytics
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
@@ -139,20 +175,437 @@ router.get('/analytics/products', auth, admin, async (req, res) => {
 // @desc    Get order analytics
 // @route   GET /api/admin/analytics/orders
 // @access  Private/Admin
-router.get('/analytics/orders', auth, admin, async (req, res) => {
+router.get('/analytics/orders', auth, requirePermission('reports:read'), async (req, res) => {
   try {
-    const orderAnalytics = await getOrderAnalytics();
+    const orderAnalytics = await getOrderAnalytics(req.query);
 
     res.status(200).json({
       success: true,
       ...orderAnalytics
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+router.get('/coupons', auth, requirePermission('coupons:manage'), couponController.getCoupons);
+
+// @desc    Get single coupon
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+router.get('/coupons/:id', auth, requirePermission('coupons:manage'), couponController.getCoupon);
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+router.post('/coupons', [
+  auth,
+  requirePermission('coupons:manage'),
+  audit('coupon.create', { model: Coupon }),
+  validate(CouponValidator.createSchema)
+], couponController.createCoupon);
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+router.put('/coupons/:id', [
+  auth,
+  requirePermission('coupons:manage'),
+  audit('coupon.update', { model: Coupon }),
+  validate(CouponValidator.updateSchema)
+], couponController.updateCoupon);
+
+// @desc    Delete coupon
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+router.delete('/coupons/:id', auth, requirePermission('coupons:manage'), audit('coupon.delete', { model: Coupon }), couponController.deleteCoupon);
+
+// @desc    Get current metal rates
+// @route   GET /api/admin/metal-rates
+// @access  Private/Admin
+router.get('/metal-rates', auth, requirePermission('prices:write'), metalRateController.getRates);
+
+// @desc    Get metal rate history
+// @route   GET /api/admin/metal-rates/history
+// @access  Private/Admin
+router.get('/metal-rates/history', auth, requirePermission('prices:write'), metalRateController.getHistory);
+
+// @desc    Publish metal rate
+// @route   POST /api/admin/metal-rates
+// @access  Private/Admin
+router.post('/metal-rates', [
+  auth,
+  requirePermission('prices:write'),
+  audit('metal_rate.publish', {
+    model: MetalRate,
+    target: (req, body) => (body ? { _id: body.data.rate._id } : null)
+  }),
+  validate(MetalRateValidator.createSchema)
+], metalRateController.createRate);
+
+// @desc    Reprice rate-linked products
+// @route   POST /api/admin/metal-rates/reprice
+// @access  Private/Admin
+router.post('/metal-rates/reprice', [
+  auth,
+  requirePermission('prices:write'),
+  audit('metal_rate.reprice'),
+  validate(MetalRateValidator.repriceSchema)
+], metalRateController.reprice);
+
+// @desc    Get all return requests
+// @route   GET /api/admin/returns
+// @access  Private/Admin
+router.get('/returns', auth, requirePermission('returns:read'), returnController.getReturns);
+
+// @desc    Get single return request
+// @route   GET /api/admin/returns/:id
+// @access  Private/Admin
+router.get('/returns/:id', auth, requirePermission('returns:read'), returnController.getReturn);
+
+// @desc    Approve return request
+// @route   PUT /api/admin/returns/:id/approve
+// @access  Private/Admin
+router.put('/returns/:id/approve', [
+  auth,
+  requirePermission('returns:update'),
+  audit('return.approve', { model: ReturnRequest }),
+  validate(ReturnValidator.reviewSchema)
+], returnController.approveReturn);
+
+// @desc    Reject return request
+// @route   PUT /api/admin/returns/:id/reject
+// @access  Private/Admin
+router.put('/returns/:id/reject', [
+  auth,
+  requirePermission('returns:update'),
+  audit('return.reject', { model: ReturnRequest }),
+  validate(ReturnValidator.reviewSchema)
+], returnController.rejectReturn);
+
+// @desc    Receive returned goods
+// @route   PUT /api/admin/returns/:id/receive
+// @access  Private/Admin
+router.put('/returns/:id/receive', auth, requirePermission('returns:update'), audit('return.receive', { model: ReturnRequest }), returnController.receiveReturn);
+
+// @desc    Refund return
+// @route   POST /api/admin/returns/:id/refund
+// @access  Private/Admin
+router.post('/returns/:id/refund', [
+  auth,
+  requirePermission('returns:update'),
+  audit('return.refund', { model: ReturnRequest }),
+  validate(ReturnValidator.refundSchema)
+], returnController.refundReturn);
+
+// @desc    Get all shipping zones
+// @route   GET /api/admin/shipping-zones
+// @access  Private/Admin
+router.get('/shipping-zones', auth, requirePermission('shipping:manage'), shippingZoneController.getZones);
+
+// @desc    Get single shipping zone
+// @route   GET /api/admin/shipping-zones/:id
+// @access  Private/Admin
+router.get('/shipping-zones/:id', auth, requirePermission('shipping:manage'), shippingZoneController.getZone);
+
+// @desc    Create shipping zone
+// @route   POST /api/admin/shipping-zones
+// @access  Private/Admin
+router.post('/shipping-zones', [
+  auth,
+  requirePermission('shipping:manage'),
+  audit('shipping_zone.create', { model: ShippingZone }),
+  validate(ShippingZoneValidator.createSchema)
+], shippingZoneController.createZone);
+
+// @desc    Update shipping zone
+// @route   PUT /api/admin/shipping-zones/:id
+// @access  Private/Admin
+router.put('/shipping-zones/:id', [
+  auth,
+  requirePermission('shipping:manage'),
+  audit('shipping_zone.update', { model: ShippingZone }),
+  validate(ShippingZoneValidator.updateSchema)
+], shippingZoneController.updateZone);
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/admin/shipping-zones/:id
+// @access  Private/Admin
+router.delete('/shipping-zones/:id', auth, requirePermission('shipping:manage'), audit('shipping_zone.delete', { model: ShippingZone }), shippingZoneController.deleteZone);
+
+// @desc    List couriers
+// @route   GET /api/admin/couriers
+// @access  Private/Admin
+router.get('/couriers', auth, requirePermission('orders:update'), shipmentController.getCouriers);
+
+// @desc    Sync tracking for all active shipments
+// @route   POST /api/admin/shipments/sync
+// @access  Private/Admin
+router.post('/shipments/sync', [
+  auth,
+  requirePermission('orders:update'),
+  audit('shipment.sync_all'),
+  validate(ShipmentValidator.syncSchema)
+], shipmentController.syncShipments);
+
+// @desc    Get all tax rates
+// @route   GET /api/admin/tax-rates
+// @access  Private/Admin
+router.get('/tax-rates', auth, requirePermission('tax:manage'), taxRateController.getTaxRates);
+
+// @desc    Create tax rate
+// @route   POST /api/admin/tax-rates
+// @access  Private/Admin
+router.post('/tax-rates', [
+  auth,
+  requirePermission('tax:manage'),
+  audit('tax_rate.create', { model: TaxRate }),
+  validate(TaxRateValidator.createSchema)
+], taxRateController.createTaxRate);
+
+// @desc    Update tax rate
+// @route   PUT /api/admin/tax-rates/:id
+// @access  Private/Admin
+router.put('/tax-rates/:id', [
+  auth,
+  requirePermission('tax:manage'),
+  audit('tax_rate.update', { model: TaxRate }),
+  validate(TaxRateValidator.updateSchema)
+], taxRateController.updateTaxRate);
+
+// @desc    Delete tax rate
+// @route   DELETE /api/admin/tax-rates/:id
+// @access  Private/Admin
+router.delete('/tax-rates/:id', auth, requirePermission('tax:manage'), audit('tax_rate.delete', { model: TaxRate }), taxRateController.deleteTaxRate);
+
+// @desc    List email templates
+// @route   GET /api/admin/email-templates
+// @access  Private/Admin
+router.get('/email-templates', auth, requirePermission('emails:manage'), emailTemplateController.getTemplates);
+
+// @desc    Get email template versions
+// @route   GET /api/admin/email-templates/:name
+// @access  Private/Admin
+router.get('/email-templates/:name', auth, requirePermission('emails:manage'), emailTemplateController.getTemplate);
+
+// @desc    Publish email template version
+// @route   POST /api/admin/email-templates/:name/versions
+// @access  Private/Admin
+router.post('/email-templates/:name/versions', [
+  auth,
+  requirePermission('emails:manage'),
+  audit('email_template.publish', { entityType: 'EmailTemplate', param: 'name' }),
+  validate(EmailTemplateValidator.versionSchema)
+], emailTemplateController.createTemplateVersion);
+
+// @desc    Activate email template version
+// @route   PUT /api/admin/email-templates/:name/versions/:version/activate
+// @access  Private/Admin
+router.put('/email-templates/:name/versions/:version/activate', auth, requirePermission('emails:manage'), audit('email_template.activate', { entityType: 'EmailTemplate', param: 'name' }), emailTemplateController.activateTemplateVersion);
+
+// @desc    Preview email template with sample data
+// @route   GET /api/admin/email-templates/:name/preview
+// @access  Private/Admin
+router.get('/email-templates/:name/preview', auth, requirePermission('emails:manage'), emailTemplateController.previewTemplate);
+
+// @desc    Preview unsaved email template draft
+// @route   POST /api/admin/email-templates/:name/preview
+// @access  Private/Admin
+router.post('/email-templates/:name/preview', [
+  auth,
+  requirePermission('emails:manage'),
+  validate(EmailTemplateValidator.previewSchema)
+], emailTemplateController.previewTemplate);
+
+// @desc    Get email log
+// @route   GET /api/admin/email-logs
+// @access  Private/Admin
+router.get('/email-logs', auth, requirePermission('emails:manage'), emailLogController.getEmailLogs);
+
+// @desc    Get email log entry
+// @route   GET /api/admin/email-logs/:id
+// @access  Private/Admin
+router.get('/email-logs/:id', auth, requirePermission('emails:manage'), emailLogController.getEmailLog);
+
+// @desc    Get email outbox
+// @route   GET /api/admin/email-outbox
+// @access  Private/Admin
+router.get('/email-outbox', auth, requirePermission('emails:manage'), emailOutboxController.getOutboxMessages);
+
+// @desc    Get email outbox message
+// @route   GET /api/admin/email-outbox/:id
+// @access  Private/Admin
+router.get('/email-outbox/:id', auth, requirePermission('emails:manage'), emailOutboxController.getOutboxMessage);
+
+// @desc    Resend failed email
+// @route   POST /api/admin/email-outbox/:id/resend
+// @access  Private/Admin
+router.post('/email-outbox/:id/resend', auth, requirePermission('emails:manage'), audit('email.resend', { model: EmailOutbox }), emailOutboxController.resendOutboxMessage);
+
+// @desc    Impersonate customer
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private (users:impersonate)
+router.post('/users/:id/impersonate', [
+  auth,
+  requirePermission('users:impersonate'),
+  audit('user.impersonate', { entityType: 'User' }),
+  validate(UserValidator.impersonateSchema)
+], userController.impersonateUser);
+
+// @desc    List permissions
+// @route   GET /api/admin/permissions
+// @access  Private (roles:manage)
+router.get('/permissions', auth, requirePermission('roles:manage'), roleController.getPermissions);
+
+// @desc    Get all roles
+// @route   GET /api/admin/roles
+// @access  Private (roles:manage)
+router.get('/roles', auth, requirePermission('roles:manage'), roleController.getRoles);
+
+// @desc    Get single role
+// @route   GET /api/admin/roles/:id
+// @access  Private (roles:manage)
+router.get('/roles/:id', auth, requirePermission('roles:manage'), roleController.getRole);
+
+// @desc    Create role
+// @route   POST /api/admin/roles
+// @access  Private (roles:manage)
+router.post('/roles', [
+  auth,
+  requirePermission('roles:manage'),
+  audit('role.create', { model: Role }),
+  validate(RoleValidator.createSchema)
+], roleController.createRole);
+
+// @desc    Update role
+// @route   PUT /api/admin/roles/:id
+// @access  Private (roles:manage)
+router.put('/roles/:id', [
+  auth,
+  requirePermission('roles:manage'),
+  audit('role.update', { model: Role }),
+  validate(RoleValidator.updateSchema)
+], roleController.updateRole);
+
+// @desc    Delete role
+// @route   DELETE /api/admin/roles/:id
+// @access  Private (roles:manage)
+router.delete('/roles/:id', auth, requirePermission('roles:manage'), audit('role.delete', { model: Role }), roleController.deleteRole);
+
+// @desc    Get all vendors
+// @route   GET /api/admin/vendors
+// @access  Private (vendors:manage)
+router.get('/vendors', auth, requirePermission('vendors:manage'), vendorController.getVendors);
+
+// @desc    Get single vendor
+// @route   GET /api/admin/vendors/:id
+// @access  Private (vendors:manage)
+router.get('/vendors/:id', auth, requirePermission('vendors:manage'), vendorController.getVendor);
+
+// @desc    Approve vendor
+// @route   PUT /api/admin/vendors/:id/approve
+// @access  Private (vendors:manage)
+router.put('/vendors/:id/approve', auth, requirePermission('vendors:manage'), audit('vendor.approve', { model: Vendor }), vendorController.approveVendor);
+
+// @desc    Reject vendor application
+// @route   PUT /api/admin/vendors/:id/reject
+// @access  Private (vendors:manage)
+router.put('/vendors/:id/reject', [
+  auth,
+  requirePermission('vendors:manage'),
+  audit('vendor.reject', { model: Vendor }),
+  validate(VendorValidator.reviewSchema)
+], vendorController.rejectVendor);
+
+// @desc    Suspend vendor
+// @route   PUT /api/admin/vendors/:id/suspend
+// @access  Private (vendors:manage)
+router.put('/vendors/:id/suspend', [
+  auth,
+  requirePermission('vendors:manage'),
+  audit('vendor.suspend', { model: Vendor }),
+  validate(VendorValidator.reviewSchema)
+], vendorController.suspendVendor);
+
+// @desc    Create payout statement
+// @route   POST /api/admin/vendors/:id/payouts
+// @access  Private (vendors:manage)
+router.post('/vendors/:id/payouts', [
+  auth,
+  requirePermission('vendors:manage'),
+  audit('payout.create', { model: VendorPayout, param: 'payoutId' }),
+  validate(VendorValidator.payoutSchema)
+], payoutController.createPayout);
+
+// @desc    Get all payout statements
+// @route   GET /api/admin/payouts
+// @access  Private (vendors:manage)
+router.get('/payouts', auth, requirePermission('vendors:manage'), payoutController.getPayouts);
+
+// @desc    Get payout statement
+// @route   GET /api/admin/payouts/:id
+// @access  Private (vendors:manage)
+router.get('/payouts/:id', auth, requirePermission('vendors:manage'), payoutController.getPayout);
+
+// @desc    Mark payout statement paid
+// @route   PUT /api/admin/payouts/:id/paid
+// @access  Private (vendors:manage)
+router.put('/payouts/:id/paid', [
+  auth,
+  requirePermission('vendors:manage'),
+  audit('payout.mark_paid', { model: VendorPayout }),
+  validate(VendorValidator.payoutPaidSchema)
+], payoutController.markPayoutPaid);
+
+// @desc    Get commission rules
+// @route   GET /api/admin/commission-rules
+// @access  Private (vendors:manage)
+router.get('/commission-rules', auth, requirePermission('vendors:manage'), commissionRuleController.getRules);
+
+// @desc    Create commission rule
+// @route   POST /api/admin/commission-rules
+// @access  Private (vendors:manage)
+router.post('/commission-rules', [
+  auth,
+  requirePermission('vendors:manage'),
+  audit('commission_rule.create', { model: CommissionRule }),
+  validate(VendorValidator.commissionRuleSchema)
+], commissionRuleController.createRule);
+
+// @desc    Update commission rule
+// @route   PUT /api/admin/commission-rules/:id
+// @access  Private (vendors:manage)
+router.put('/commission-rules/:id', [
+  auth,
+  requirePermission('vendors:manage'),
+  audit('commission_rule.update', { model: CommissionRule }),
+  validate(VendorValidator.commissionRuleUpdateSchema)
+], commissionRuleController.updateRule);
+
+// @desc    Delete commission rule
+// @route   DELETE /api/admin/commission-rules/:id
+// @access  Private (vendors:manage)
+router.delete('/commission-rules/:id', auth, requirePermission('vendors:manage'), audit('commission_rule.delete', { model: CommissionRule }), commissionRuleController.deleteRule);
+
+// @desc    Get audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+router.get('/audit', auth, requirePermission('audit:read'), auditController.getAuditLogs);
+
+// @desc    Export audit log as CSV
+// @route   GET /api/admin/audit/export
+// @access  Private (audit:read)
+router.get('/audit/export', auth, requirePermission('audit:read'), auditController.exportAuditLogs);
+
+// @desc    Get audit log entry
+// @route   GET /api/admin/audit/:id
+// @access  Private (audit:read)
+router.get('/audit/:id', auth, requirePermission('audit:read'), auditController.getAuditLog);
+
+module.exports = router;
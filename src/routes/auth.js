@@ -277,8 +277,10 @@
 const express = require('express');
 const passport = require('passport');
 const { userSchema, loginSchema } = require('../utils/validationSchemas');
+const TwoFactorValidator = require('../middlewares/validators/TwoFactorValidator');
 const validate = require('../middlewares/validators/zodValidator');
 const authController = require('../controllers/userController');
+const auth = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -295,6 +297,14 @@ router.post('/login',
     authController.login
 );
 
+// @desc    Verify two-factor code to finish login
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public
+router.post('/2fa/verify',
+    validate(TwoFactorValidator.verifySchema),
+    authController.verifyTwoFactorLogin
+);
+
 // @desc    Get current logged in user
 // @route   GET /api/v1/auth/me
 // @access  Private
@@ -330,9 +340,29 @@ router.put('/resetpassword-otp', authController.resetPasswordWithOTP);
 // @access  Public
 router.post('/verify-otp', authController.verifyOTP);
 
+// @desc    Request an OTP to claim guest orders
+// @route   POST /api/v1/auth/claim-orders
+// @access  Private
+router.post('/claim-orders', auth, authController.requestOrderClaim);
+
+// @desc    Resend the email verification link
+// @route   POST /api/v1/auth/verify-email/resend
+// @access  Private
+router.post('/verify-email/resend', auth, authController.resendVerification);
+
+// @desc    Verify email with the link token
+// @route   PUT /api/v1/auth/verify-email/:token
+// @access  Public
+router.put('/verify-email/:token', authController.verifyEmail);
+
+// @desc    Refresh access token
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+router.post('/refresh', authController.refreshToken);
+
 // @desc    Logout user
 // @route   GET /api/v1/auth/logout
 // @access  Private
-router.get('/logout', authController.logout);
+router.get('/logout', auth, authController.logout);
 
 module.exports = router;
\ No newline at end of file
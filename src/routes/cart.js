@@ -172,39 +172,67 @@ const express = require('express');
 const CartValidator = require('../middlewares/validators/CartValidator');
 const validate = require('../middlewares/validators/zodValidator');
 const cartController = require('../controllers/cartController');
-const auth = require('../middlewares/auth');
+const CouponValidator = require('../middlewares/validators/CouponValidator');
+const couponController = require('../controllers/couponController');
+const cartOwner = require('../middlewares/cartOwner');
 
 const router = express.Router();
 
-// @desc    Get user's cart
+// @desc    Get user's or guest's cart
 // @route   GET /api/v1/cart
-// @access  Private
-router.get('/', auth, cartController.getCart);
+// @access  Public (guest cart token) / Private
+router.get('/', cartOwner, cartController.getCart);
 
 // @desc    Add item to cart
 // @route   POST /api/v1/cart/items
-// @access  Private
+// @access  Public (guest cart token) / Private
 router.post('/items', [
-  auth,
+  cartOwner,
   validate(CartValidator.addItemSchema)
 ], cartController.addToCart);
 
 // @desc    Update cart item
 // @route   PUT /api/v1/cart/items/:itemId
-// @access  Private
+// @access  Public (guest cart token) / Private
 router.put('/items/:itemId', [
-  auth,
+  cartOwner,
   validate(CartValidator.updateItemSchema)
 ], cartController.updateCartItem);
 
 // @desc    Remove item from cart
 // @route   DELETE /api/v1/cart/items/:itemId
-// @access  Private
-router.delete('/items/:itemId', auth, cartController.removeCartItem);
+// @access  Public (guest cart token) / Private
+router.delete('/items/:itemId', cartOwner, cartController.removeCartItem);
 
 // @desc    Clear cart
 // @route   DELETE /api/v1/cart
-// @access  Private
-router.delete('/', auth, cartController.clearCart);
+// @access  Public (guest cart token) / Private
+router.delete('/', cartOwner, cartController.clearCart);
+
+// @desc    Start checkout and lock metal-rate prices
+// @route   POST /api/v1/cart/checkout
+// @access  Public (guest cart token) / Private
+router.post('/checkout', cartOwner, cartController.startCheckout);
+
+// @desc    Get shipping options for an address
+// @route   POST /api/v1/cart/shipping-quote
+// @access  Public (guest cart token) / Private
+router.post('/shipping-quote', [
+  cartOwner,
+  validate(CartValidator.shippingQuoteSchema)
+], cartController.getShippingQuote);
+
+// @desc    Apply coupon to cart
+// @route   POST /api/v1/cart/coupon
+// @access  Public (guest cart token) / Private
+router.post('/coupon', [
+  cartOwner,
+  validate(CouponValidator.applySchema)
+], couponController.applyCoupon);
+
+// @desc    Remove coupon from cart
+// @route   DELETE /api/v1/cart/coupon
+// @access  Public (guest cart token) / Private
+router.delete('/coupon', cartOwner, couponController.removeCoupon);
 
 module.exports = router;
\ No newline at end of file
@@ -168,7 +168,9 @@ const CategoryValidator = require('../middlewares/validators/CategoryValidator')
 const validate = require('../middlewares/validators/zodValidator');
 const categoryController = require('../controllers/categoryController');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const requirePermission = require('../middlewares/permission');
+const audit = require('../middlewares/audit');
+const Category = require('../models/Category');
 const { cacheWithTTL } = require('../middlewares/cache');
 
 const router = express.Router();
@@ -188,7 +190,8 @@ router.get('/:id', cacheWithTTL(3600), categoryController.getCategory); // Cache
 // @access  Private/Admin
 router.post('/', [
   auth,
-  admin,
+  requirePermission('categories:write'),
+  audit('category.create', { model: Category }),
   validate(CategoryValidator.createSchema)
 ], categoryController.createCategory);
 
@@ -197,13 +200,14 @@ router.post('/', [
 // @access  Private/Admin
 router.put('/:id', [
   auth,
-  admin,
+  requirePermission('categories:write'),
+  audit('category.update', { model: Category }),
   validate(CategoryValidator.updateSchema)
 ], categoryController.updateCategory);
 
 // @desc    Delete category
 // @route   DELETE /api/v1/categories/:id
 // @access  Private/Admin
-router.delete('/:id', auth, admin, categoryController.deleteCategory);
+router.delete('/:id', auth, requirePermission('categories:write'), audit('category.delete', { model: Category }), categoryController.deleteCategory);
 
 module.exports = router;
\ No newline at end of file
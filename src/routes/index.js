@@ -8,11 +8,13 @@ const cartRoutes = require('./cart');
 const wishlistRoutes = require('./wishlist');
 const reviewRoutes = require('./reviews');
 const paymentRoutes = require('./payments');
+const shippingRoutes = require('./shipping');
 const searchRoutes = require('./search');
 const addressRoutes = require('./addresses');
 const adminRoutes = require('./admin');
 const contactRoutes = require('./contact');
 const uploadRoutes = require('./upload');
+const vendorRoutes = require('./vendors');
 
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
@@ -23,10 +25,12 @@ router.use('/cart', cartRoutes);
 router.use('/wishlist', wishlistRoutes);
 router.use('/reviews', reviewRoutes);
 router.use('/payments', paymentRoutes);
+router.use('/shipping', shippingRoutes);
 router.use('/search', searchRoutes);
 router.use('/addresses', addressRoutes);
 router.use('/admin', adminRoutes);
 router.use('/contact', contactRoutes);
 router.use('/upload', uploadRoutes);
+router.use('/vendors', vendorRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -99,7 +99,8 @@
  * @swagger
  * /orders/{id}/pay:
  *   put:
- *     summary: Update order to paid
+ *     summary: Record an order as paid
+ *     description: For payments collected outside Stripe, such as cash on delivery or a bank transfer. Requires orders:update.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -109,6 +110,15 @@
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Kept in the order's statusHistory, e.g. a bank transfer reference
  *     responses:
  *       200:
  *         description: Order updated to paid
@@ -121,8 +131,12 @@
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Order is already paid or refunded
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, requires orders:update
  *       404:
  *         description: Order not found
  */
@@ -199,8 +213,19 @@ const express = require('express');
 const OrderValidator = require('../middlewares/validators/OrderValidator');
 const validate = require('../middlewares/validators/zodValidator');
 const orderController = require('../controllers/orderController');
+const ReturnValidator = require('../middlewares/validators/ReturnValidator');
+const returnController = require('../controllers/returnController');
+const ShipmentValidator = require('../middlewares/validators/ShipmentValidator');
+const shipmentController = require('../controllers/shipmentController');
+const invoiceController = require('../controllers/invoiceController');
+const upload = require('../middlewares/upload');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const cartOwner = require('../middlewares/cartOwner');
+const requireVerifiedEmail = require('../middlewares/verifiedEmail');
+const requirePermission = require('../middlewares/permission');
+const { blockImpersonation } = require('../middlewares/impersonation');
+const audit = require('../middlewares/audit');
+const Order = require('../models/Order');
 
 const router = express.Router();
 
@@ -214,6 +239,11 @@ router.get('/', auth, orderController.getOrders);
 // @access  Private
 router.get('/history', auth, orderController.getOrders);
 
+// @desc    Track an order through its signed lookup link
+// @route   GET /api/v1/orders/lookup/:token
+// @access  Public (lookup token)
+router.get('/lookup/:token', orderController.lookupOrder);
+
 // @desc    Get single order
 // @route   GET /api/v1/orders/:id
 // @access  Private
@@ -224,27 +254,104 @@ router.get('/:id', auth, orderController.getOrder);
 // @access  Private
 router.post('/', [
   auth,
+  blockImpersonation('payment'),
+  requireVerifiedEmail('checkout'),
   validate(OrderValidator.createSchema)
 ], orderController.createOrder);
 
+// @desc    Place an order without an account
+// @route   POST /api/v1/orders/guest
+// @access  Public (guest cart token)
+router.post('/guest', [
+  cartOwner,
+  blockImpersonation('payment'),
+  requireVerifiedEmail('checkout'),
+  validate(OrderValidator.guestCreateSchema)
+], orderController.createOrder);
+
+// @desc    Quote order totals
+// @route   POST /api/v1/orders/quote
+// @access  Public (guest cart token) / Private
+router.post('/quote', [
+  cartOwner,
+  validate(OrderValidator.quoteSchema)
+], orderController.quoteOrder);
+
+// @desc    Cancel order
+// @route   POST /api/v1/orders/:id/cancel
+// @access  Private
+router.post('/:id/cancel', [
+  auth,
+  validate(OrderValidator.cancelSchema)
+], orderController.cancelOrder);
+
+// @desc    Request a return
+// @route   POST /api/v1/orders/:id/returns
+// @access  Private
+router.post('/:id/returns', [
+  auth,
+  upload.array('photos', 5),
+  validate(ReturnValidator.createSchema)
+], returnController.requestReturn);
+
+// @desc    Get order return requests
+// @route   GET /api/v1/orders/:id/returns
+// @access  Private
+router.get('/:id/returns', auth, returnController.getOrderReturns);
+
+// @desc    Get order tracking
+// @route   GET /api/v1/orders/:id/tracking
+// @access  Private
+router.get('/:id/tracking', auth, shipmentController.getTracking);
+
+// @desc    Book shipment with a courier
+// @route   POST /api/v1/orders/:id/shipment
+// @access  Private/Admin
+router.post('/:id/shipment', [
+  auth,
+  requirePermission('orders:update'),
+  audit('order.ship', { model: Order }),
+  validate(ShipmentValidator.bookSchema)
+], shipmentController.bookShipment);
+
+// @desc    Sync shipment tracking from the courier
+// @route   POST /api/v1/orders/:id/shipment/sync
+// @access  Private/Admin
+router.post('/:id/shipment/sync', auth, requirePermission('orders:update'), audit('order.sync_shipment', { model: Order }), shipmentController.syncShipment);
+
+// @desc    Get order invoice PDF
+// @route   GET /api/v1/orders/:id/invoice.pdf
+// @access  Private
+router.get('/:id/invoice.pdf', auth, invoiceController.getInvoice);
+
+// @desc    Get order packing slip PDF
+// @route   GET /api/v1/orders/:id/packing-slip.pdf
+// @access  Private/Admin
+router.get('/:id/packing-slip.pdf', auth, requirePermission('orders:read'), invoiceController.getPackingSlip);
+
 // @desc    Update order to paid
 // @route   PUT /api/v1/orders/:id/pay
-// @access  Private
-router.put('/:id/pay', auth, orderController.updateOrderToPaid);
+// @access  Private/Admin
+router.put('/:id/pay', auth, requirePermission('orders:update'), audit('order.pay', { model: Order }), orderController.updateOrderToPaid);
 
 // @desc    Update order to delivered
 // @route   PUT /api/v1/orders/:id/deliver
 // @access  Private/Admin
-router.put('/:id/deliver', auth, admin, orderController.updateOrderToDelivered);
+router.put('/:id/deliver', auth, requirePermission('orders:update'), audit('order.deliver', { model: Order }), orderController.updateOrderToDelivered);
 
 // @desc    Update order status
 // @route   PUT /api/v1/orders/:id/status
 // @access  Private/Admin
-router.put('/:id/status', auth, admin, orderController.updateOrderStatus);
+router.put('/:id/status', [
+  auth,
+  requirePermission('orders:update'),
+  audit('order.update_status', { model: Order }),
+  validate(OrderValidator.statusSchema)
+], orderController.updateOrderStatus);
 
 // @desc    Delete order
 // @route   DELETE /api/v1/orders/:id
 // @access  Private/Admin
-router.delete('/:id', auth, admin, orderController.deleteOrder);
+router.delete('/:id', auth, requirePermission('orders:delete'), audit('order.delete', { model: Order }), orderController.deleteOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,12 @@ const express = require('express');
 const OrderValidator = require('../middlewares/validators/OrderValidator');
 const validate = require('../middlewares/validators/zodValidator');
 const orderController = require('../controllers/orderController');
+const paymentController = require('../controllers/paymentController');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const requirePermission = require('../middlewares/permission');
+const { blockImpersonation } = require('../middlewares/impersonation');
+const audit = require('../middlewares/audit');
+const Order = require('../models/Order');
 
 const router = express.Router();
 
@@ -12,12 +16,18 @@ const router = express.Router();
 // @access  Private
 router.post('/process', [
   auth,
+  blockImpersonation('payment'),
   validate(OrderValidator.processPaymentSchema)
 ], orderController.processPayment);
 
+// @desc    Receive Stripe webhook events (raw body parsed in app.js)
+// @route   POST /api/v1/payments/webhook
+// @access  Public
+router.post('/webhook', paymentController.stripeWebhook);
+
 // @desc    Update order to paid
 // @route   PUT /api/v1/orders/:id/pay
-// @access  Private
-router.put('/orders/:id/pay', auth, orderController.updateOrderToPaid);
+// @access  Private/Admin
+router.put('/orders/:id/pay', auth, requirePermission('orders:update'), audit('order.pay', { model: Order }), orderController.updateOrderToPaid);
 
 module.exports = router;
\ No newline at end of file
@@ -183,7 +183,9 @@ const express = require('express');
 const { body } = require('express-validator');
 const productController = require('../controllers/productController');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const requirePermission = require('../middlewares/permission');
+const audit = require('../middlewares/audit');
+const Product = require('../models/Product');
 const { cacheWithTTL } = require('../middlewares/cache');
 const { productSchema, updateProductSchema } = require('../utils/productValidationSchemas');
 const validate = require('../middlewares/validators/zodValidator');
@@ -215,7 +217,8 @@ router.get('/:id', cacheWithTTL(3600), productController.getProduct); // Cache f
 // @access  Private/Admin
 router.post('/', [
   auth,
-  admin,
+  requirePermission('products:write', 'prices:write'),
+  audit('product.create', { model: Product }),
   validate(productSchema)
 ], productController.createProduct);
 
@@ -224,13 +227,18 @@ router.post('/', [
 // @access  Private/Admin
 router.put('/:id', [
   auth,
-  admin,
+  requirePermission('products:write'),
+  audit('product.update', { model: Product }),
   validate(updateProductSchema)
 ], productController.updateProduct);
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
-router.delete('/:id', [auth, admin], productController.deleteProduct);
+router.delete('/:id', [
+  auth,
+  requirePermission('products:write'),
+  audit('product.delete', { model: Product })
+], productController.deleteProduct);
 
 module.exports = router;
\ No newline at end of file
@@ -242,6 +242,9 @@ const ReviewValidator = require('../middlewares/validators/ReviewValidator');
 const validate = require('../middlewares/validators/zodValidator');
 const reviewController = require('../controllers/reviewController');
 const auth = require('../middlewares/auth');
+const requireVerifiedEmail = require('../middlewares/verifiedEmail');
+const audit = require('../middlewares/audit');
+const Review = require('../models/Review');
 
 const router = express.Router();
 
@@ -260,6 +263,7 @@ router.get('/:id', reviewController.getReview);
 // @access  Private
 router.post('/products/:productId', [
   auth,
+  requireVerifiedEmail('reviews'),
   validate(ReviewValidator.createSchema)
 ], reviewController.addReview);
 
@@ -268,12 +272,13 @@ router.post('/products/:productId', [
 // @access  Private
 router.put('/:id', [
   auth,
+  audit('review.update', { model: Review, onlyWith: 'reviews:moderate' }),
   validate(ReviewValidator.updateSchema)
 ], reviewController.updateReview);
 
 // @desc    Delete review
 // @route   DELETE /api/v1/reviews/:id
 // @access  Private
-router.delete('/:id', auth, reviewController.deleteReview);
+router.delete('/:id', auth, audit('review.delete', { model: Review, onlyWith: 'reviews:moderate' }), reviewController.deleteReview);
 
 module.exports = router;
\ No newline at end of file
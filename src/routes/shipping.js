@@ -0,0 +1,11 @@
+const express = require('express');
+const shipmentController = require('../controllers/shipmentController');
+
+const router = express.Router();
+
+// @desc    Receive courier tracking webhooks
+// @route   POST /api/v1/shipping/webhooks/:courier
+// @access  Public
+router.post('/webhooks/:courier', shipmentController.courierWebhook);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const upload = require('../middlewares/upload');
 const { uploadImage } = require('../utils/cloudinary');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const requirePermission = require('../middlewares/permission');
+const audit = require('../middlewares/audit');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const { AppError } = require('../errors');
@@ -14,7 +15,7 @@ const router = express.Router();
  * @route   POST /api/v1/upload
  * @access  Private/Admin
  */
-router.post('/', [auth, admin, upload.single('image')], async (req, res, next) => {
+router.post('/', [auth, requirePermission('products:write'), audit('image.upload'), upload.single('image')], async (req, res, next) => {
     try {
         if (!req.file) {
             return next(new AppError('Please upload an image', 400));
@@ -255,9 +255,14 @@
 const express = require('express');
 const UserValidator = require('../middlewares/validators/UserValidator');
 const validate = require('../middlewares/validators/zodValidator');
+const TwoFactorValidator = require('../middlewares/validators/TwoFactorValidator');
 const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
 const auth = require('../middlewares/auth');
-const admin = require('../middlewares/admin');
+const requirePermission = require('../middlewares/permission');
+const { blockImpersonation } = require('../middlewares/impersonation');
+const audit = require('../middlewares/audit');
+const User = require('../models/User');
 
 const router = express.Router();
 
@@ -271,36 +276,124 @@ router.get('/me', auth, userController.getMe);
 // @access  Private
 router.put('/updatedetails', [
   auth,
-  validate(UserValidator.updateDetailsSchema)
+  validate(UserValidator.updateDetailsSchema),
+  blockImpersonation('email')
 ], userController.updateDetails);
 
 // @desc    Update password
 // @route   PUT /api/v1/auth/updatepassword
 // @access  Private
-router.put('/updatepassword', auth, userController.updatePassword);
+router.put('/updatepassword', auth, blockImpersonation('password'), userController.updatePassword);
+
+// @desc    Get my active sessions
+// @route   GET /api/v1/users/me/sessions
+// @access  Private
+router.get('/me/sessions', auth, userController.getSessions);
+
+// @desc    End all my other sessions
+// @route   DELETE /api/v1/users/me/sessions
+// @access  Private
+router.delete('/me/sessions', auth, blockImpersonation('sessions'), userController.deleteOtherSessions);
+
+// @desc    End one of my sessions
+// @route   DELETE /api/v1/users/me/sessions/:id
+// @access  Private
+router.delete('/me/sessions/:id', auth, blockImpersonation('sessions'), userController.deleteSession);
+
+// @desc    Get my login history
+// @route   GET /api/v1/users/me/login-history
+// @access  Private
+router.get('/me/login-history', auth, userController.getMyLoginHistory);
+
+// @desc    Export my personal data
+// @route   GET /api/v1/users/me/export
+// @access  Private
+router.get('/me/export', auth, blockImpersonation('personalData'), userController.exportMyData);
+
+// @desc    Request account deletion
+// @route   POST /api/v1/users/me/deletion
+// @access  Private
+router.post('/me/deletion', [
+  auth,
+  blockImpersonation('personalData'),
+  validate(UserValidator.deletionRequestSchema)
+], userController.requestDeletion);
+
+// @desc    Cancel account deletion
+// @route   DELETE /api/v1/users/me/deletion
+// @access  Private
+router.delete('/me/deletion', auth, blockImpersonation('personalData'), userController.cancelDeletion);
+
+// @desc    Get two-factor status
+// @route   GET /api/v1/users/me/2fa
+// @access  Private
+router.get('/me/2fa', auth, twoFactorController.getStatus);
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/v1/users/me/2fa/setup
+// @access  Private
+router.post('/me/2fa/setup', auth, blockImpersonation('twoFactor'), twoFactorController.setup);
+
+// @desc    Enable two-factor authentication
+// @route   POST /api/v1/users/me/2fa/enable
+// @access  Private
+router.post('/me/2fa/enable', [
+  auth,
+  blockImpersonation('twoFactor'),
+  validate(TwoFactorValidator.enableSchema)
+], twoFactorController.enable);
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/users/me/2fa/disable
+// @access  Private
+router.post('/me/2fa/disable', [
+  auth,
+  blockImpersonation('twoFactor'),
+  validate(TwoFactorValidator.reauthenticateSchema)
+], twoFactorController.disable);
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/v1/users/me/2fa/recovery-codes
+// @access  Private
+router.post('/me/2fa/recovery-codes', [
+  auth,
+  blockImpersonation('twoFactor'),
+  validate(TwoFactorValidator.reauthenticateSchema)
+], twoFactorController.recoveryCodes);
 
 // @desc    Get all users
 // @route   GET /api/v1/users
 // @access  Private/Admin
-router.get('/', auth, admin, userController.getUsers);
+router.get('/', auth, requirePermission('users:read'), userController.getUsers);
 
 // @desc    Get user by ID
 // @route   GET /api/v1/users/:id
 // @access  Private/Admin
-router.get('/:id', auth, admin, userController.getUserById);
+router.get('/:id', auth, requirePermission('users:read'), userController.getUserById);
+
+// @desc    Get login history of a user
+// @route   GET /api/v1/users/:id/login-history
+// @access  Private/Admin
+router.get('/:id/login-history', auth, requirePermission('users:read'), userController.getUserLoginHistory);
+
+// @desc    Unlock user account
+// @route   POST /api/v1/users/:id/unlock
+// @access  Private/Admin
+router.post('/:id/unlock', auth, requirePermission('users:write'), audit('user.unlock', { model: User }), userController.unlockUser);
 
 // @desc    Update user by ID
 // @route   PUT /api/v1/users/:id
 // @access  Private/Admin
 router.put('/:id', [
   auth,
-  admin,
+  requirePermission('users:write'),
+  audit('user.update', { model: User }),
   validate(UserValidator.updateUserSchema)
 ], userController.updateUserById);
 
 // @desc    Delete user by ID
 // @route   DELETE /api/v1/users/:id
 // @access  Private/Admin
-router.delete('/:id', auth, admin, userController.deleteUser);
+router.delete('/:id', auth, requirePermission('users:delete'), audit('user.delete', { model: User }), userController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,99 @@
+/**
+ * @swagger
+ * tags:
+ *   - name: Vendors
+ *     description: Vendor onboarding, vendor products and per-vendor order fulfilment
+ *   - name: Payouts
+ *     description: Vendor commission rules and payout statements
+ */
+
+const express = require('express');
+const vendorController = require('../controllers/vendorController');
+const payoutController = require('../controllers/payoutController');
+const auth = require('../middlewares/auth');
+const requireVendor = require('../middlewares/vendor');
+const VendorValidator = require('../middlewares/validators/VendorValidator');
+const validate = require('../middlewares/validators/zodValidator');
+const { productSchema, updateProductSchema } = require('../utils/productValidationSchemas');
+
+const router = express.Router();
+
+// @desc    Apply as vendor
+// @route   POST /api/vendors/apply
+// @access  Private
+router.post('/apply', [
+  auth,
+  validate(VendorValidator.createSchema)
+], vendorController.applyAsVendor);
+
+// @desc    Get my vendor profile
+// @route   GET /api/vendors/me
+// @access  Private
+router.get('/me', auth, vendorController.getMyVendor);
+
+// @desc    Update my vendor profile
+// @route   PUT /api/vendors/me
+// @access  Private
+router.put('/me', [
+  auth,
+  validate(VendorValidator.updateSchema)
+], vendorController.updateMyVendor);
+
+// @desc    Get my products
+// @route   GET /api/vendors/me/products
+// @access  Private/Vendor
+router.get('/me/products', auth, requireVendor, vendorController.getMyProducts);
+
+// @desc    Create my product
+// @route   POST /api/vendors/me/products
+// @access  Private/Vendor
+router.post('/me/products', [
+  auth,
+  requireVendor,
+  validate(productSchema)
+], vendorController.createMyProduct);
+
+// @desc    Update my product
+// @route   PUT /api/vendors/me/products/:id
+// @access  Private/Vendor
+router.put('/me/products/:id', [
+  auth,
+  requireVendor,
+  validate(updateProductSchema)
+], vendorController.updateMyProduct);
+
+// @desc    Delete my product
+// @route   DELETE /api/vendors/me/products/:id
+// @access  Private/Vendor
+router.delete('/me/products/:id', auth, requireVendor, vendorController.deleteMyProduct);
+
+// @desc    Get my vendor orders
+// @route   GET /api/vendors/me/orders
+// @access  Private/Vendor
+router.get('/me/orders', auth, requireVendor, vendorController.getMyOrders);
+
+// @desc    Get my vendor order
+// @route   GET /api/vendors/me/orders/:id
+// @access  Private/Vendor
+router.get('/me/orders/:id', auth, requireVendor, vendorController.getMyOrder);
+
+// @desc    Update my vendor order status
+// @route   PUT /api/vendors/me/orders/:id/status
+// @access  Private/Vendor
+router.put('/me/orders/:id/status', [
+  auth,
+  requireVendor,
+  validate(VendorValidator.orderStatusSchema)
+], vendorController.updateMyOrderStatus);
+
+// @desc    Get my payout statements
+// @route   GET /api/vendors/me/payouts
+// @access  Private/Vendor
+router.get('/me/payouts', auth, requireVendor, payoutController.getMyPayouts);
+
+// @desc    Get my payout statement
+// @route   GET /api/vendors/me/payouts/:id
+// @access  Private/Vendor
+router.get('/me/payouts/:id', auth, requireVendor, payoutController.getMyPayout);
+
+module.exports = router;
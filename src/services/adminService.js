@@ -1,50 +1,131 @@
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const { ValidationError } = require('../errors');
+const { parseDateRange, startOfZonedMonth } = require('../utils/dateRange');
 const logger = require('../utils/logger');
 
-const getDashboardStats = async () => {
-  try {
-    logger.info('Getting dashboard stats in service');
+// Orders that count as sales: anything not cancelled and not failed at payment.
+// Refunds are netted out so fully returned orders contribute nothing.
+const REVENUE_MATCH = { orderStatus: { $ne: 'cancelled' }, paymentStatus: { $ne: 'failed' } };
+const NET_REVENUE = { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] };
 
-    const totalUsers = await User.countDocuments();
-    const totalProducts = await Product.countDocuments();
-    const totalOrders = await Order.countDocuments();
+// Orders waiting to be handed to the courier
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing'];
 
-    // Get new users this month
-    const firstDayOfMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-    const newUsersThisMonth = await User.countDocuments({ createdAt: { $gte: firstDayOfMonth } });
+const FUNNEL_STAGES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
 
-    // Products out of stock
-    const productsOutOfStock = await Product.countDocuments({
-      'variants.stockQuantity': 0
-    });
+const INTERVALS = {
+  day: 'day',
+  daily: 'day',
+  week: 'week',
+  weekly: 'week',
+  month: 'month',
+  monthly: 'month'
+};
+
+const LABEL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%Y-%m-%d',
+  month: '%Y-%m'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
 
-    // Pending orders
-    const pendingOrders = await Order.countDocuments({ orderStatus: 'shipped' }); // In this system, maybe 'pending' or 'confirmed'
+const percentChange = (current, previous) => (
+  previous ? roundAmount(((current - previous) / previous) * 100) : null
+);
 
-    // Get recent orders
-    const recentOrders = await Order.find()
-      .populate('user', 'firstName lastName email')
-      .sort({ createdAt: -1 })
-      .limit(5);
+/**
+ * Resolve from/to query parameters in the store's timezone (Settings.timezone).
+ */
+const getAnalyticsRange = async (params = {}, defaultDays = 30) => {
+  const settings = (await Settings.findOne()) || new Settings();
+  return parseDateRange(params, settings.timezone, defaultDays);
+};
+
+const describeRange = (range) => ({
+  from: range.from,
+  to: range.to,
+  timezone: range.timeZone
+});
+
+const createdBetween = (from, to) => ({ createdAt: { $gte: from, $lt: to } });
 
-    // Get total revenue
-    const completedOrders = await Order.find({ orderStatus: 'delivered' });
-    const totalRevenue = completedOrders.reduce((sum, order) => sum + (order.totalAmount || 0), 0);
+const summarizeRevenue = async (from, to) => {
+  const [result] = await Order.aggregate([
+    { $match: { ...REVENUE_MATCH, ...createdBetween(from, to) } },
+    {
+      $group: {
+        _id: null,
+        revenue: { $sum: NET_REVENUE },
+        orders: { $sum: 1 }
+      }
+    }
+  ]);
 
-    // Calculate revenue growth (demo: 15%)
-    const revenueGrowth = 15;
+  const revenue = result ? roundAmount(result.revenue) : 0;
+  const orders = result ? result.orders : 0;
+
+  return {
+    revenue,
+    orders,
+    averageOrderValue: orders ? roundAmount(revenue / orders) : 0
+  };
+};
+
+const getDashboardStats = async (params = {}) => {
+  try {
+    logger.info('Getting dashboard stats in service', { from: params.from, to: params.to });
+
+    const settings = (await Settings.findOne()) || new Settings();
+    // Month to date unless a range is given
+    const range = parseDateRange({
+      from: params.from || (params.to ? undefined : startOfZonedMonth(new Date(), settings.timezone).toISOString()),
+      to: params.to
+    }, settings.timezone);
+
+    const [
+      totalUsers,
+      newUsers,
+      totalProducts,
+      productsOutOfStock,
+      totalOrders,
+      pendingOrders,
+      allTime,
+      current,
+      previous,
+      recentOrders
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments(createdBetween(range.from, range.to)),
+      Product.countDocuments(),
+      Product.countDocuments({ 'variants.stockQuantity': { $lte: 0 } }),
+      Order.countDocuments(),
+      Order.countDocuments({ orderStatus: { $in: OPEN_ORDER_STATUSES } }),
+      summarizeRevenue(new Date(0), new Date()),
+      summarizeRevenue(range.from, range.to),
+      summarizeRevenue(range.previousFrom, range.previousTo),
+      Order.find()
+        .populate('user', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(5)
+    ]);
 
     const stats = {
+      range: describeRange(range),
       totalUsers,
-      newUsersThisMonth,
+      newUsers,
       totalProducts,
       productsOutOfStock,
       totalOrders,
       pendingOrders,
-      totalRevenue,
-      revenueGrowth,
+      totalRevenue: allTime.revenue,
+      periodRevenue: current.revenue,
+      periodOrders: current.orders,
+      averageOrderValue: current.averageOrderValue,
+      revenueGrowth: percentChange(current.revenue, previous.revenue),
       recentOrders: recentOrders.map(order => ({
         id: order._id,
         orderNumber: order.orderNumber,
@@ -61,50 +142,311 @@ const getDashboardStats = async () => {
   }
 };
 
-const getSalesAnalytics = async (period = 'monthly') => {
+/**
+ * Revenue, order count and AOV per day, week or month, with growth against the
+ * period of equal length right before the range.
+ * @param {Object} params - { from, to, interval: day|week|month } (period=daily|weekly|monthly is also accepted)
+ */
+const getSalesAnalytics = async (params = {}) => {
   try {
-    // Demo implementation
+    logger.info('Getting sales analytics in service', params);
+
+    const unit = INTERVALS[params.interval || params.period || 'day'];
+    if (!unit) {
+      throw new ValidationError('Interval must be one of day, week or month');
+    }
+
+    const range = await getAnalyticsRange(params);
+
+    const [series, current, previous] = await Promise.all([
+      Order.aggregate([
+        { $match: { ...REVENUE_MATCH, ...createdBetween(range.from, range.to) } },
+        {
+          $group: {
+            _id: {
+              $dateTrunc: { date: '$createdAt', unit, timezone: range.timeZone, startOfWeek: 'monday' }
+            },
+            revenue: { $sum: NET_REVENUE },
+            orders: { $sum: 1 },
+            discounts: { $sum: { $ifNull: ['$discountAmount', 0] } }
+          }
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            periodStart: '$_id',
+            label: { $dateToString: { date: '$_id', format: LABEL_FORMATS[unit], timezone: range.timeZone } },
+            revenue: { $round: ['$revenue', 2] },
+            orders: 1,
+            discounts: { $round: ['$discounts', 2] },
+            averageOrderValue: { $round: [{ $divide: ['$revenue', '$orders'] }, 2] }
+          }
+        }
+      ]),
+      summarizeRevenue(range.from, range.to),
+      summarizeRevenue(range.previousFrom, range.previousTo)
+    ]);
+
     const analytics = {
-      labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
+      range: { ...describeRange(range), interval: unit },
+      totals: current,
+      previousPeriod: previous,
+      growth: {
+        revenue: percentChange(current.revenue, previous.revenue),
+        orders: percentChange(current.orders, previous.orders),
+        averageOrderValue: percentChange(current.averageOrderValue, previous.averageOrderValue)
+      },
+      series,
+      // Chart-ready shape used by the admin dashboard
+      labels: series.map(point => point.label),
       datasets: [
-        { label: 'Revenue', data: [4000, 3000, 5000, 4500, 6000, 5500] },
-        { label: 'Orders', data: [40, 30, 50, 45, 60, 55] }
+        { label: 'Revenue', data: series.map(point => point.revenue) },
+        { label: 'Orders', data: series.map(point => point.orders) }
       ]
     };
+
     return { data: analytics };
   } catch (error) {
+    logger.error('Get sales analytics failed in service', { error: error.message });
     throw error;
   }
 };
 
-const getUserAnalytics = async () => {
+/**
+ * Sign-ups and new vs returning customers. A customer is "new" when their first
+ * order falls inside the range and "returning" when they had ordered before it.
+ */
+const getUserAnalytics = async (params = {}) => {
   try {
-    // Demo implementation
-    const total = await User.countDocuments();
-    const active = await User.countDocuments({ isActive: true });
-    return { data: { total, active, newThisWeek: 5 } };
+    logger.info('Getting user analytics in service', params);
+
+    const range = await getAnalyticsRange(params);
+
+    const [total, active, signups, previousSignups, customerGroups] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments(createdBetween(range.from, range.to)),
+      User.countDocuments(createdBetween(range.previousFrom, range.previousTo)),
+      Order.aggregate([
+        { $match: { ...REVENUE_MATCH, createdAt: { $lt: range.to } } },
+        {
+          $group: {
+            // Guest buyers are told apart by their contact email
+            _id: { $ifNull: ['$user', '$contact.email'] },
+            firstOrderAt: { $min: '$createdAt' },
+            ordersInRange: {
+              $sum: { $cond: [{ $gte: ['$createdAt', range.from] }, 1, 0] }
+            },
+            revenueInRange: {
+              $sum: { $cond: [{ $gte: ['$createdAt', range.from] }, NET_REVENUE, 0] }
+            }
+          }
+        },
+        { $match: { ordersInRange: { $gt: 0 } } },
+        {
+          $group: {
+            _id: { $cond: [{ $gte: ['$firstOrderAt', range.from] }, 'new', 'returning'] },
+            customers: { $sum: 1 },
+            orders: { $sum: '$ordersInRange' },
+            revenue: { $sum: '$revenueInRange' }
+          }
+        }
+      ])
+    ]);
+
+    const customers = { new: { customers: 0, orders: 0, revenue: 0 }, returning: { customers: 0, orders: 0, revenue: 0 } };
+    customerGroups.forEach((group) => {
+      customers[group._id] = {
+        customers: group.customers,
+        orders: group.orders,
+        revenue: roundAmount(group.revenue)
+      };
+    });
+
+    const activeCustomers = customers.new.customers + customers.returning.customers;
+
+    return {
+      data: {
+        range: describeRange(range),
+        total,
+        active,
+        signups,
+        signupGrowth: percentChange(signups, previousSignups),
+        customers,
+        activeCustomers,
+        returningCustomerRate: activeCustomers ? roundAmount((customers.returning.customers / activeCustomers) * 100) : 0
+      }
+    };
   } catch (error) {
+    logger.error('Get user analytics failed in service', { error: error.message });
     throw error;
   }
 };
 
-const getProductAnalytics = async () => {
+/**
+ * Best-selling products and categories by item revenue within the range.
+ * @param {Object} params - { from, to, limit }
+ */
+const getProductAnalytics = async (params = {}) => {
   try {
-    // Demo implementation
-    const total = await Product.countDocuments();
-    return { data: { total, topSelling: [], outOfStock: 2 } };
+    logger.info('Getting product analytics in service', params);
+
+    const range = await getAnalyticsRange(params);
+    const limit = Math.min(parseInt(params.limit) || 10, 50);
+
+    const soldItems = [
+      { $match: { ...REVENUE_MATCH, ...createdBetween(range.from, range.to) } },
+      { $unwind: '$items' }
+    ];
+
+    const [total, outOfStock, topProducts, topCategories] = await Promise.all([
+      Product.countDocuments(),
+      Product.countDocuments({ 'variants.stockQuantity': { $lte: 0 } }),
+      Order.aggregate([
+        ...soldItems,
+        {
+          $group: {
+            _id: '$items.product',
+            quantity: { $sum: '$items.quantity' },
+            revenue: { $sum: '$items.subtotal' },
+            orders: { $sum: 1 }
+          }
+        },
+        { $sort: { revenue: -1 } },
+        { $limit: limit },
+        { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'product' } },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            product: '$_id',
+            name: '$product.name',
+            slug: '$product.slug',
+            quantity: 1,
+            orders: 1,
+            revenue: { $round: ['$revenue', 2] }
+          }
+        }
+      ]),
+      Order.aggregate([
+        ...soldItems,
+        { $lookup: { from: 'products', localField: 'items.product', foreignField: '_id', as: 'product' } },
+        { $unwind: '$product' },
+        {
+          $group: {
+            _id: '$product.category',
+            quantity: { $sum: '$items.quantity' },
+            revenue: { $sum: '$items.subtotal' },
+            orders: { $addToSet: '$_id' }
+          }
+        },
+        { $sort: { revenue: -1 } },
+        { $limit: limit },
+        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+        { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            category: '$_id',
+            name: '$category.name',
+            quantity: 1,
+            orders: { $size: '$orders' },
+            revenue: { $round: ['$revenue', 2] }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      data: {
+        range: describeRange(range),
+        total,
+        outOfStock,
+        topProducts,
+        topCategories
+      }
+    };
   } catch (error) {
+    logger.error('Get product analytics failed in service', { error: error.message });
     throw error;
   }
 };
 
-const getOrderAnalytics = async () => {
+/**
+ * Order and payment status breakdowns plus a fulfilment funnel for orders placed in the range.
+ * An order has reached a funnel stage if its status history shows it, or if its current
+ * status lies at or beyond that stage (for orders placed before history was recorded).
+ */
+const getOrderAnalytics = async (params = {}) => {
   try {
-    // Demo implementation
-    const total = await Order.countDocuments();
-    const delivered = await Order.countDocuments({ orderStatus: 'delivered' });
-    return { data: { total, delivered, statusCounts: {} } };
+    logger.info('Getting order analytics in service', params);
+
+    const range = await getAnalyticsRange(params);
+    const match = createdBetween(range.from, range.to);
+
+    const reachedStage = {};
+    FUNNEL_STAGES.forEach((stage, index) => {
+      const laterStatuses = FUNNEL_STAGES.slice(index);
+      if (stage === 'shipped' || stage === 'delivered') {
+        laterStatuses.push('returned');
+      }
+      reachedStage[stage] = {
+        $sum: {
+          $cond: [
+            {
+              $or: [
+                { $in: ['$orderStatus', laterStatuses] },
+                { $in: [stage, { $ifNull: ['$statusHistory.to', []] }] }
+              ]
+            },
+            1,
+            0
+          ]
+        }
+      };
+    });
+
+    const [statusCounts, paymentStatusCounts, funnelCounts] = await Promise.all([
+      Order.aggregate([
+        { $match: match },
+        { $group: { _id: '$orderStatus', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: match },
+        { $group: { _id: '$paymentStatus', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...reachedStage } }
+      ])
+    ]);
+
+    const toMap = (groups) => groups.reduce((map, group) => ({ ...map, [group._id]: group.count }), {});
+    const byStatus = toMap(statusCounts);
+    const total = statusCounts.reduce((sum, group) => sum + group.count, 0);
+
+    const counts = funnelCounts[0] || {};
+    const funnel = FUNNEL_STAGES.map(stage => ({
+      stage,
+      orders: counts[stage] || 0,
+      rate: total ? roundAmount(((counts[stage] || 0) / total) * 100) : 0
+    }));
+
+    return {
+      data: {
+        range: describeRange(range),
+        total,
+        delivered: byStatus.delivered || 0,
+        statusCounts: byStatus,
+        paymentStatusCounts: toMap(paymentStatusCounts),
+        funnel,
+        cancellationRate: total ? roundAmount(((byStatus.cancelled || 0) / total) * 100) : 0,
+        returnRate: total ? roundAmount(((byStatus.returned || 0) / total) * 100) : 0
+      }
+    };
   } catch (error) {
+    logger.error('Get order analytics failed in service', { error: error.message });
     throw error;
   }
 };
@@ -115,4 +457,4 @@ module.exports = {
   getUserAnalytics,
   getProductAnalytics,
   getOrderAnalytics
-};
\ No newline at end of file
+};
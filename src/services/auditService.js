@@ -0,0 +1,222 @@
+const AuditLog = require('../models/AuditLog');
+const { ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+// Values never written to the log; a change to them is still recorded, masked
+const REDACTED_FIELDS = [
+  'password', 'currentPassword', 'newPassword', 'otp', 'resetPasswordToken',
+  'emailVerificationToken', 'secret', 'pendingSecret', 'recoveryCodes', 'accountNumber',
+  'accessToken', 'refreshToken'
+];
+const REDACTED = '[redacted]';
+
+// Bookkeeping that changes on every write and would drown out the real change.
+// Status history is already a timeline of its own.
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'statusHistory', 'events'];
+
+// Entries written before the email was dropped from the schema still hold a copy
+const LEGACY_FIELDS = '-actorEmail';
+
+const CSV_COLUMNS = [
+  'createdAt', 'actorEmail', 'actorRole', 'action', 'entityType', 'entityId',
+  'changes', 'method', 'path', 'statusCode', 'ip', 'requestId'
+];
+
+const lastSegment = path => path.split('.').pop();
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value._bsontype);
+
+/**
+ * Copy of a request body or document with secret values masked.
+ */
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.keys(value).reduce((copy, key) => {
+    copy[key] = REDACTED_FIELDS.includes(key) ? REDACTED : redact(value[key]);
+    return copy;
+  }, {});
+};
+
+// Nested objects become dotted paths; arrays, dates and IDs are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (!isPlainObject(value)) {
+    if (prefix) {
+      out[prefix] = value;
+    }
+    return out;
+  }
+
+  Object.keys(value).forEach((key) => {
+    if (!IGNORED_FIELDS.includes(key)) {
+      flatten(value[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  });
+  return out;
+};
+
+const comparable = value => (value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Fields that differ between two versions of a document, with secret values masked.
+ * Either side may be null for a created or deleted document.
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffDocuments = (before, after) => {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+  return fields
+    .filter(field => comparable(flatBefore[field]) !== comparable(flatAfter[field]))
+    .map((field) => {
+      const masked = REDACTED_FIELDS.includes(lastSegment(field));
+      const value = version => (version[field] === undefined ? null : redact(version[field]));
+      return {
+        field,
+        before: masked ? REDACTED : value(flatBefore),
+        after: masked ? REDACTED : value(flatAfter)
+      };
+    });
+};
+
+/**
+ * Write an audit entry for a staff request that succeeded.
+ * @param {Object} entry
+ * @param {string} entry.action
+ * @param {Object} entry.req - Express request of the change
+ * @param {Object} [entry.actor] - Staff member responsible, when not req.user
+ * @param {number} entry.statusCode
+ * @param {string} [entry.entityType]
+ * @param {string} [entry.entityId]
+ * @param {Object} [entry.before] - Entity before the change, as a plain object
+ * @param {Object} [entry.after] - Entity after the change, as a plain object
+ */
+const recordAudit = async ({ action, req, actor = req.user || {}, statusCode, entityType, entityId, before, after }) => {
+  const hasEntity = Boolean(before || after);
+
+  const log = await AuditLog.create({
+    actor: actor._id || actor.id,
+    actorRole: actor.role,
+    action,
+    entityType,
+    entityId: entityId ? String(entityId) : undefined,
+    changes: hasEntity ? diffDocuments(before, after) : [],
+    requestBody: hasEntity ? undefined : redact(req.body),
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestId: req.id
+  });
+
+  logger.info('Audit entry recorded in service', { auditId: log._id, action, entityId, requestId: req.id });
+
+  return log;
+};
+
+/**
+ * Mongo filter for audit log queries.
+ * @param {Object} filters - actor, action, entityType, entityId, requestId, ip, from, to
+ * @throws {ValidationError} on an unreadable date
+ */
+const buildAuditQuery = ({ actor, action, entityType, entityId, requestId, ip, from, to } = {}) => {
+  const query = {};
+
+  if (actor) {
+    query.actor = actor;
+  }
+  if (action) {
+    // product.* matches every product action
+    query.action = action.endsWith('.*')
+      ? { $regex: `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (entityType) {
+    query.entityType = entityType;
+  }
+  if (entityId) {
+    query.entityId = entityId;
+  }
+  if (requestId) {
+    query.requestId = requestId;
+  }
+  if (ip) {
+    query.ip = ip;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    [['$gte', from], ['$lte', to]].forEach(([operator, value]) => {
+      if (!value) {
+        return;
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid date: ${value}`);
+      }
+      query.createdAt[operator] = date;
+    });
+  }
+
+  return query;
+};
+
+const getAuditLog = async (auditId) => {
+  const log = await AuditLog.findById(auditId)
+    .select(LEGACY_FIELDS)
+    .populate('actor', 'firstName lastName email role');
+  if (!log) {
+    throw new NotFoundError('Audit log entry');
+  }
+  return log;
+};
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheets from running cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line for an audit entry, with the actor populated; changes are written as JSON.
+ */
+const toCsvRow = log => CSV_COLUMNS.map((column) => {
+  if (column === 'actorEmail') {
+    return escapeCsv(log.actor && log.actor.email);
+  }
+  if (column === 'changes') {
+    const changes = log.changes && log.changes.length ? log.changes : null;
+    return escapeCsv(changes ? JSON.stringify(changes) : (log.requestBody && JSON.stringify(log.requestBody)));
+  }
+  return escapeCsv(log[column]);
+}).join(',');
+
+const csvHeader = () => CSV_COLUMNS.join(',');
+
+module.exports = {
+  REDACTED,
+  LEGACY_FIELDS,
+  redact,
+  diffDocuments,
+  recordAudit,
+  buildAuditQuery,
+  getAuditLog,
+  toCsvRow,
+  csvHeader
+};
@@ -1,6 +1,10 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const logger = require('../utils/logger');
+const { resolveVariant, getUnitPrice } = require('./pricingService');
+
+// Matches the max on cart item quantity in the Cart model
+const MAX_LINE_QUANTITY = 99;
 
 const getCart = async (userId) => {
   try {
@@ -31,11 +35,12 @@ const getCart = async (userId) => {
   }
 };
 
-const addToCart = async (userId, productId, quantity) => {
+const addToCart = async (userId, productId, quantity, variantId = null) => {
   try {
     logger.info('Adding item to cart in service', { 
       userId, 
       productId, 
+      variantId,
       quantity 
     });
 
@@ -49,16 +54,11 @@ const addToCart = async (userId, productId, quantity) => {
       throw new Error('Product not found');
     }
 
-    // Check stock availability
-    if (product.countInStock < quantity) {
-      logger.warn('Add to cart failed - insufficient stock in service', { 
-        userId, 
-        productId,
-        requestedQty: quantity,
-        availableQty: product.countInStock
-      });
-      throw new Error(`Only ${product.countInStock} items available`);
+    const variant = resolveVariant(product, variantId);
+    if (!variant) {
+      throw new Error('This product is currently unavailable');
     }
+    const availableQty = variant.stockQuantity || 0;
 
     // Find or create user's cart
     let cart = await Cart.findOne({ user: userId });
@@ -66,30 +66,38 @@ const addToCart = async (userId, productId, quantity) => {
       cart = new Cart({ user: userId, items: [] });
     }
 
-    // Check if item already exists in cart
+    // Check if the same variant already exists in cart
     const existingItemIndex = cart.items.findIndex(item => 
-      item.product.toString() === productId
+      item.product.toString() === productId.toString() &&
+      item.variant && item.variant.toString() === variant._id.toString()
     );
+    const existingQty = existingItemIndex > -1 ? cart.items[existingItemIndex].quantity : 0;
+
+    // Check stock availability for the variant
+    if (existingQty + quantity > availableQty) {
+      logger.warn('Add to cart failed - insufficient stock in service', { 
+        userId, 
+        productId,
+        variantId: variant._id,
+        requestedQty: existingQty + quantity,
+        availableQty
+      });
+      throw new Error(`Only ${availableQty} items available`);
+    }
+
+    const { unitPrice } = getUnitPrice(product, variant);
 
     if (existingItemIndex > -1) {
       // Update quantity
       cart.items[existingItemIndex].quantity += quantity;
-      // Check if new quantity exceeds stock
-      if (cart.items[existingItemIndex].quantity > product.countInStock) {
-        logger.warn('Add to cart failed - exceeds stock after update in service', { 
-          userId,
-          productId,
-          requestedQty: cart.items[existingItemIndex].quantity,
-          availableQty: product.countInStock
-        });
-        throw new Error(`Only ${product.countInStock} items available`);
-      }
+      cart.items[existingItemIndex].price = unitPrice;
     } else {
       // Add new item
       cart.items.push({
         product: productId,
+        variant: variant._id,
         quantity,
-        price: product.price
+        price: unitPrice
       });
     }
 
@@ -151,15 +159,19 @@ const updateCartItem = async (userId, itemId, quantity) => {
       throw new Error('Product not found');
     }
 
-    // Check stock availability
-    if (product.countInStock < quantity) {
+    const variant = resolveVariant(product, cart.items[itemIndex].variant);
+    const availableQty = variant ? (variant.stockQuantity || 0) : 0;
+
+    // Check stock availability for the variant
+    if (availableQty < quantity) {
       logger.warn('Update cart item - insufficient stock in service', { 
         userId,
         productId: cart.items[itemIndex].product,
+        variantId: cart.items[itemIndex].variant,
         requestedQty: quantity,
-        availableQty: product.countInStock
+        availableQty
       });
-      throw new Error(`Only ${product.countInStock} items available`);
+      throw new Error(`Only ${availableQty} items available`);
     }
 
     // Update quantity
@@ -258,10 +270,116 @@ const clearCart = async (userId) => {
   }
 };
 
+/**
+ * Move a guest cart into a user's cart after they log in or register. Quantities of
+ * lines already in the user's cart are added together, capped at what is in stock;
+ * lines that could not be carried over in full are reported back as adjustments.
+ * The guest cart is deleted afterwards.
+ * @returns {Promise<{cart: Object, adjustments: Array}|null>} null when there was nothing to merge
+ */
+const mergeGuestCart = async (guestId, userId) => {
+  try {
+    logger.info('Merging guest cart in service', { guestId, userId });
+
+    const guestCart = await Cart.findOne({ guestId });
+    if (!guestCart || guestCart.items.length === 0) {
+      if (guestCart) {
+        await Cart.deleteOne({ _id: guestCart._id });
+      }
+      return null;
+    }
+
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+      cart = new Cart({ user: userId, items: [] });
+    }
+
+    const adjustments = [];
+
+    for (const guestItem of guestCart.items) {
+      const product = await Product.findById(guestItem.product);
+      // A variant removed since it was added is reported like a removed product
+      const variant = product && (!guestItem.variant || product.variants.id(guestItem.variant))
+        ? resolveVariant(product, guestItem.variant)
+        : null;
+
+      if (!variant) {
+        adjustments.push({
+          product: guestItem.product,
+          variant: guestItem.variant,
+          requested: guestItem.quantity,
+          added: 0,
+          reason: 'unavailable'
+        });
+        continue;
+      }
+
+      const existing = cart.items.find(item =>
+        item.product.toString() === product._id.toString() &&
+        item.variant && item.variant.toString() === variant._id.toString()
+      );
+      const existingQty = existing ? existing.quantity : 0;
+      const maxQty = Math.min(variant.stockQuantity || 0, MAX_LINE_QUANTITY);
+      const added = Math.max(Math.min(existingQty + guestItem.quantity, maxQty) - existingQty, 0);
+
+      if (added < guestItem.quantity) {
+        adjustments.push({
+          product: product._id,
+          variant: variant._id,
+          requested: guestItem.quantity,
+          added,
+          reason: 'insufficient_stock'
+        });
+      }
+
+      if (added === 0) {
+        continue;
+      }
+
+      const { unitPrice } = getUnitPrice(product, variant);
+
+      if (existing) {
+        existing.quantity += added;
+        existing.price = unitPrice;
+      } else {
+        cart.items.push({
+          product: product._id,
+          variant: variant._id,
+          quantity: added,
+          price: unitPrice
+        });
+      }
+    }
+
+    // The cart contents changed, so any running checkout has to lock prices again
+    cart.priceLock = undefined;
+    await cart.save();
+    await Cart.deleteOne({ _id: guestCart._id });
+
+    logger.info('Guest cart merged in service', {
+      guestId,
+      userId,
+      mergedLines: guestCart.items.length,
+      adjustments: adjustments.length
+    });
+
+    return { cart, adjustments };
+  } catch (error) {
+    logger.error('Merge guest cart failed in service', {
+      error: error.message,
+      guestId,
+      userId,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeCartItem,
-  clearCart
-};
\ No newline at end of file
+  clearCart,
+  mergeGuestCart
+};
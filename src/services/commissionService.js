@@ -0,0 +1,165 @@
+const CommissionRule = require('../models/CommissionRule');
+const Settings = require('../models/Settings');
+const { NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+/**
+ * Commission rate for one vendor line. The most specific rule wins: vendor and
+ * category, then vendor, then category; with none, the store-wide default.
+ * @param {Array} rules - Candidate commission rules
+ * @returns {number} percentage
+ */
+const resolveCommissionRate = (rules, vendorId, categoryId, defaultRate) => {
+  const vendor = idOf(vendorId);
+  const category = idOf(categoryId);
+
+  const match = (ruleVendor, ruleCategory) => rules.find(rule =>
+    idOf(rule.vendor) === ruleVendor && idOf(rule.category) === ruleCategory
+  );
+
+  const rule = match(vendor, category) || match(vendor, null) || match(null, category);
+  return rule ? rule.rate : defaultRate;
+};
+
+/**
+ * Split a priced order between its vendors. Each vendor line gets its commission,
+ * and each vendor a share with its sales, the store's commission and what the vendor
+ * is owed. Sales are line subtotals less their share of the coupon discount;
+ * shipping stays with the store. Lines without a vendor are the store's own.
+ * @param {Object} quote - Result of pricingService.priceOrder
+ * @returns {Promise<{items: Array, vendorOrders: Array}>} order items and vendor shares
+ */
+const splitOrderByVendor = async (quote) => {
+  const vendorLines = quote.lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => line.product.vendor);
+
+  if (vendorLines.length === 0) {
+    return { items: quote.items, vendorOrders: [] };
+  }
+
+  const vendorIds = [...new Set(vendorLines.map(({ line }) => idOf(line.product.vendor)))];
+  const categoryIds = [...new Set(vendorLines.map(({ line }) => idOf(line.product.category)))];
+
+  const [rules, settings] = await Promise.all([
+    CommissionRule.find({
+      $or: [
+        { vendor: { $in: vendorIds } },
+        { vendor: null, category: { $in: categoryIds } }
+      ]
+    }),
+    Settings.findOne()
+  ]);
+  const defaultRate = (settings || new Settings()).vendorCommissionRate;
+
+  const items = quote.items.map(item => ({ ...item }));
+  const shares = new Map();
+
+  vendorLines.forEach(({ line, index }) => {
+    const vendorId = idOf(line.product.vendor);
+    const rate = resolveCommissionRate(rules, vendorId, line.product.category, defaultRate);
+    const pricedLine = quote.pricing.lines[index];
+    const salesAmount = roundAmount(line.subtotal - ((pricedLine && pricedLine.discountAmount) || 0));
+    const commissionAmount = roundAmount(salesAmount * rate / 100);
+
+    items[index].vendor = line.product.vendor;
+    items[index].commissionRate = rate;
+    items[index].commissionAmount = commissionAmount;
+
+    const share = shares.get(vendorId) || {
+      vendor: line.product.vendor,
+      itemCount: 0,
+      salesAmount: 0,
+      commissionAmount: 0
+    };
+    share.itemCount += line.quantity;
+    share.salesAmount += salesAmount;
+    share.commissionAmount += commissionAmount;
+    shares.set(vendorId, share);
+  });
+
+  const vendorOrders = [...shares.values()].map(share => ({
+    vendor: share.vendor,
+    status: 'pending',
+    itemCount: share.itemCount,
+    salesAmount: roundAmount(share.salesAmount),
+    commissionAmount: roundAmount(share.commissionAmount),
+    payoutAmount: roundAmount(share.salesAmount - share.commissionAmount),
+    statusHistory: [{ to: 'pending', note: 'Order placed' }]
+  }));
+
+  logger.info('Order split by vendor in service', { vendorCount: vendorOrders.length });
+
+  return { items, vendorOrders };
+};
+
+const findRule = async (ruleId) => {
+  const rule = await CommissionRule.findById(ruleId);
+  if (!rule) {
+    throw new NotFoundError('Commission rule');
+  }
+  return rule;
+};
+
+/**
+ * Commission rules, optionally for one vendor or category.
+ */
+const listRules = async ({ vendor, category } = {}) => {
+  const query = {};
+  if (vendor) {
+    query.vendor = vendor;
+  }
+  if (category) {
+    query.category = category;
+  }
+
+  return CommissionRule.find(query)
+    .populate('vendor', 'storeName slug')
+    .populate('category', 'name slug')
+    .sort({ createdAt: -1 });
+};
+
+const createRule = async ({ vendor, category, rate, description }) => {
+  const rule = await CommissionRule.create({ vendor, category, rate, description });
+  logger.info('Commission rule created in service', { ruleId: rule._id, rate: rule.rate });
+  return rule;
+};
+
+/**
+ * Change a rule's rate or description; to move it to another vendor or category,
+ * replace it. Orders already placed keep the commission they were split with.
+ */
+const updateRule = async (ruleId, { rate, description }) => {
+  const rule = await findRule(ruleId);
+  if (rate !== undefined) {
+    rule.rate = rate;
+  }
+  if (description !== undefined) {
+    rule.description = description;
+  }
+  await rule.save();
+
+  logger.info('Commission rule updated in service', { ruleId: rule._id, rate: rule.rate });
+
+  return rule;
+};
+
+const deleteRule = async (ruleId) => {
+  const rule = await findRule(ruleId);
+  await rule.deleteOne();
+
+  logger.info('Commission rule deleted in service', { ruleId });
+};
+
+module.exports = {
+  resolveCommissionRate,
+  splitOrderByVendor,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,169 @@
+const Coupon = require('../models/Coupon');
+const { ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// A line is on sale when its variant (or the product itself) carries a sale price below the regular price
+const isSaleLine = (product, variant) => {
+  if (variant) {
+    return variant.salePrice != null && variant.salePrice > 0 && variant.salePrice < variant.price;
+  }
+  return Boolean(product.isOnSale);
+};
+
+const isApplicableLine = (coupon, product) => {
+  const hasProductRule = coupon.applicableProducts && coupon.applicableProducts.length > 0;
+  const hasCategoryRule = coupon.applicableCategories && coupon.applicableCategories.length > 0;
+
+  if (!hasProductRule && !hasCategoryRule) {
+    return true;
+  }
+
+  const productMatch = hasProductRule &&
+    coupon.applicableProducts.some(id => id.toString() === product._id.toString());
+
+  const productCategories = [product.category, product.subcategory]
+    .filter(Boolean)
+    .map(id => id.toString());
+  const categoryMatch = hasCategoryRule &&
+    coupon.applicableCategories.some(id => productCategories.includes(id.toString()));
+
+  return productMatch || categoryMatch;
+};
+
+/**
+ * Check every rule declared on the coupon and work out the discount it grants.
+ * @param {Object} coupon - Coupon document
+ * @param {Array} lines - Priced lines ({ product, variant, quantity, subtotal })
+ * @param {Date} [now] - Reference time for the validity window
+ * @returns {{ discountAmount: number, freeShipping: boolean, eligibleSubtotal: number, eligibleLines: Array }}
+ */
+const calculateDiscount = (coupon, lines, now = new Date()) => {
+  if (!coupon.isActive) {
+    throw new ValidationError('Coupon is not active');
+  }
+
+  if (coupon.startDate && now < coupon.startDate) {
+    throw new ValidationError('Coupon is not valid yet');
+  }
+
+  if (coupon.endDate && now > coupon.endDate) {
+    throw new ValidationError('Coupon has expired');
+  }
+
+  if (coupon.usageLimit > 0 && coupon.usageCount >= coupon.usageLimit) {
+    throw new ValidationError('Coupon usage limit has been reached');
+  }
+
+  const orderSubtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  if (orderSubtotal < (coupon.minimumOrderAmount || 0)) {
+    throw new ValidationError(`A minimum order of ${coupon.minimumOrderAmount} is required for this coupon`);
+  }
+
+  const eligibleLines = lines.filter(line =>
+    isApplicableLine(coupon, line.product) &&
+    !(coupon.excludeSaleItems && isSaleLine(line.product, line.variant))
+  );
+
+  if (eligibleLines.length === 0) {
+    throw new ValidationError('Coupon does not apply to any item in your order');
+  }
+
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.subtotal, 0);
+
+  let discountAmount = 0;
+  switch (coupon.type) {
+    case 'percentage':
+      discountAmount = eligibleSubtotal * (coupon.value / 100);
+      break;
+    case 'fixed_amount':
+      discountAmount = coupon.value;
+      break;
+    case 'free_shipping':
+      discountAmount = 0;
+      break;
+    default:
+      throw new ValidationError('Unsupported coupon type');
+  }
+
+  if (coupon.maximumDiscountAmount) {
+    discountAmount = Math.min(discountAmount, coupon.maximumDiscountAmount);
+  }
+  discountAmount = Math.min(discountAmount, eligibleSubtotal);
+
+  return {
+    discountAmount: roundAmount(discountAmount),
+    freeShipping: coupon.type === 'free_shipping',
+    eligibleSubtotal: roundAmount(eligibleSubtotal),
+    eligibleLines
+  };
+};
+
+const findCouponByCode = async (code) => {
+  if (!code) {
+    throw new ValidationError('Coupon code is required');
+  }
+
+  const coupon = await Coupon.findOne({ code: code.toString().trim().toUpperCase() });
+  if (!coupon) {
+    throw new NotFoundError('Coupon');
+  }
+
+  return coupon;
+};
+
+/**
+ * Atomically consume one use of a coupon. The usage limit is checked inside the
+ * update filter so concurrent checkouts can never push usageCount past usageLimit.
+ * @param {string} code - Coupon code
+ */
+const redeemCoupon = async (code) => {
+  const now = new Date();
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      code: code.toString().trim().toUpperCase(),
+      isActive: true,
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+      $or: [
+        { usageLimit: { $lte: 0 } },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+
+  if (!coupon) {
+    logger.warn('Coupon redemption failed in service', { code });
+    throw new ValidationError('Coupon is no longer available');
+  }
+
+  logger.info('Coupon redeemed in service', {
+    code: coupon.code,
+    usageCount: coupon.usageCount
+  });
+
+  return coupon;
+};
+
+/**
+ * Give back a use consumed by redeemCoupon, e.g. when the order could not be saved.
+ * @param {string} code - Coupon code
+ */
+const releaseCoupon = async (code) => {
+  await Coupon.updateOne(
+    { code: code.toString().trim().toUpperCase(), usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+
+  logger.info('Coupon use released in service', { code });
+};
+
+module.exports = {
+  calculateDiscount,
+  findCouponByCode,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,340 @@
+const Order = require('../models/Order');
+const { NotFoundError, ValidationError } = require('../errors');
+const { getCourier } = require('./couriers');
+const { TERMINAL_SHIPMENT_STATUSES } = require('./couriers/common');
+const { canTransition, transitionStatus } = require('./orderStatusService');
+const { restockOrder } = require('./inventoryService');
+const {
+  getOrderRecipient,
+  sendOrderShippedEmail,
+  sendOrderDeliveredEmail
+} = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const DEFAULT_PARCEL_WEIGHT = 500; // grams, when neither the request nor the order has a weight
+
+// Order status each shipment status implies. booked and cancelled leave the order alone.
+const SHIPMENT_ORDER_STATUS = {
+  picked_up: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'shipped',
+  delivery_failed: 'shipped',
+  delivered: 'delivered',
+  returned: 'returned'
+};
+
+const BOOKABLE_ORDER_STATUSES = ['confirmed', 'processing'];
+
+const eventKey = (event) => `${event.rawStatus || event.status}|${new Date(event.occurredAt).toISOString()}`;
+
+/**
+ * Book a shipment for an order with a courier and store the consignment number.
+ * A confirmed order moves to processing once its parcel is booked.
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {string} [options.courier] - Adapter code, defaults to COURIER_DEFAULT
+ * @param {number} [options.weight] - Parcel weight in grams
+ * @param {number} [options.pieces]
+ * @param {string} [options.notes] - Handling instructions for the rider
+ * @param {Object} [actor] - Admin booking the shipment
+ * @returns {Promise<Object>} the updated order
+ */
+const bookShipment = async (orderId, { courier: courierCode, weight, pieces = 1, notes } = {}, actor) => {
+  const order = await Order.findById(orderId).populate('user', 'firstName lastName email phone');
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+
+  if (!BOOKABLE_ORDER_STATUSES.includes(order.orderStatus)) {
+    throw new ValidationError(`Cannot book a shipment for a ${order.orderStatus} order`);
+  }
+
+  if (order.shipment && order.shipment.status !== 'cancelled') {
+    throw new ValidationError(`Order already has a ${order.shipment.courierName || order.shipment.courier} shipment booked`);
+  }
+
+  const courier = getCourier(courierCode || process.env.COURIER_DEFAULT || 'mock');
+  if (!courier.isConfigured()) {
+    throw new ValidationError(`${courier.name} is not configured`);
+  }
+
+  const parcelWeight = weight || (order.pricing && order.pricing.shipping && order.pricing.shipping.weight) || DEFAULT_PARCEL_WEIGHT;
+  // Cash on delivery orders that have not been paid yet are collected by the rider
+  const codAmount = order.paymentMethod === 'cash_on_delivery' && order.paymentStatus !== 'completed'
+    ? order.totalAmount
+    : 0;
+
+  logger.info('Booking shipment in service', {
+    orderId: order._id,
+    courier: courier.code,
+    weight: parcelWeight,
+    codAmount
+  });
+
+  const booking = await courier.bookShipment({ order, weight: parcelWeight, pieces, codAmount, notes });
+  const bookedAt = new Date();
+
+  order.shipment = {
+    courier: courier.code,
+    courierName: courier.name,
+    consignmentNumber: booking.consignmentNumber,
+    trackingUrl: booking.trackingUrl,
+    labelUrl: booking.labelUrl,
+    status: 'booked',
+    weight: parcelWeight,
+    pieces,
+    codAmount,
+    bookedAt,
+    bookedBy: actor ? (actor._id || actor.id) : undefined,
+    events: [{ status: 'booked', rawStatus: 'booked', description: `Booked with ${courier.name}`, occurredAt: bookedAt }]
+  };
+  order.trackingNumber = booking.consignmentNumber;
+
+  if (order.orderStatus === 'confirmed') {
+    transitionStatus(order, 'orderStatus', 'processing', {
+      actor,
+      note: `Shipment booked with ${courier.name} (${booking.consignmentNumber})`
+    });
+  }
+
+  await order.save();
+
+  logger.info('Shipment booked in service', {
+    orderId: order._id,
+    courier: courier.code,
+    consignmentNumber: booking.consignmentNumber
+  });
+
+  return order;
+};
+
+/**
+ * Move the order along with the courier: shipped once the parcel is picked up,
+ * then delivered or returned. An order still in processing when a delivered event
+ * arrives goes through shipped first so the timeline stays complete.
+ * @returns {Array<string>} order statuses applied, in order
+ */
+const advanceOrderStatus = (order, event) => {
+  const target = SHIPMENT_ORDER_STATUS[event.status];
+  if (!target || order.orderStatus === target) {
+    return [];
+  }
+
+  let steps;
+  if (canTransition('orderStatus', order.orderStatus, target)) {
+    steps = [target];
+  } else if (canTransition('orderStatus', order.orderStatus, 'shipped') && canTransition('orderStatus', 'shipped', target)) {
+    steps = ['shipped', target];
+  } else {
+    logger.info('Courier status change skipped in service', {
+      orderId: order._id,
+      from: order.orderStatus,
+      to: target,
+      shipmentStatus: event.status
+    });
+    return [];
+  }
+
+  const note = `${order.shipment.courierName || order.shipment.courier}: ${event.rawStatus || event.status} (${order.shipment.consignmentNumber})`;
+
+  steps.forEach((step) => {
+    transitionStatus(order, 'orderStatus', step, { note });
+
+    if (step === 'shipped') {
+      const pickup = order.shipment.events.find(e => SHIPMENT_ORDER_STATUS[e.status]);
+      order.shippedDate = pickup ? pickup.occurredAt : event.occurredAt;
+    } else if (step === 'delivered') {
+      order.deliveredDate = event.occurredAt;
+    }
+  });
+
+  return steps;
+};
+
+/**
+ * Merge courier events into the order's shipment and update its status. Events the
+ * order already has (same status text and time) are ignored, so polling and webhooks
+ * can report the same checkpoint without duplicating it. The order is not saved.
+ * @returns {{added: number, transitions: Array<string>}}
+ */
+const applyTrackingEvents = (order, events) => {
+  const known = new Set(order.shipment.events.map(eventKey));
+  const fresh = events.filter(event => !known.has(eventKey(event)));
+
+  if (fresh.length === 0) {
+    return { added: 0, transitions: [] };
+  }
+
+  order.shipment.events = [...order.shipment.events, ...fresh]
+    .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+
+  const latest = order.shipment.events[order.shipment.events.length - 1];
+  order.shipment.status = latest.status;
+
+  return { added: fresh.length, transitions: advanceOrderStatus(order, latest) };
+};
+
+// Emails and restocking for what the courier did; failures are logged, not thrown,
+// because the tracking update itself has already been saved
+const notifyTransitions = async (order, transitions) => {
+  if (transitions.length === 0) {
+    return;
+  }
+
+  try {
+    if (transitions.includes('returned')) {
+      await restockOrder(order._id, 'returned');
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate('user', 'firstName lastName email')
+      .populate('items.product', 'name price');
+
+    if (transitions.includes('delivered')) {
+      await sendOrderDeliveredEmail(getOrderRecipient(populatedOrder), populatedOrder);
+    } else if (transitions.includes('shipped')) {
+      await sendOrderShippedEmail(getOrderRecipient(populatedOrder), populatedOrder);
+    }
+  } catch (error) {
+    logger.error('Shipment notification failed in service', {
+      error: error.message,
+      orderId: order._id,
+      transitions,
+      stack: error.stack
+    });
+  }
+};
+
+/**
+ * Pull the latest tracking from the courier for one order and save it.
+ * @returns {Promise<{order: Object, added: number, transitions: Array<string>}>}
+ */
+const syncShipment = async (order) => {
+  if (!order.shipment || !order.shipment.consignmentNumber) {
+    throw new ValidationError('Order has no shipment to track');
+  }
+
+  const courier = getCourier(order.shipment.courier);
+  const events = await courier.getTracking(order.shipment.consignmentNumber);
+
+  const { added, transitions } = applyTrackingEvents(order, events);
+  order.shipment.lastSyncedAt = new Date();
+  await order.save();
+
+  logger.info('Shipment synced in service', {
+    orderId: order._id,
+    courier: courier.code,
+    consignmentNumber: order.shipment.consignmentNumber,
+    added,
+    shipmentStatus: order.shipment.status,
+    orderStatus: order.orderStatus
+  });
+
+  await notifyTransitions(order, transitions);
+
+  return { order, added, transitions };
+};
+
+const syncOrderShipment = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+
+  return syncShipment(order);
+};
+
+/**
+ * Poll the courier for every shipment still in transit, least recently synced first.
+ * Meant to run from cron (npm run sync:shipments) or the admin endpoint.
+ * @param {Object} [options]
+ * @param {number} [options.limit=100]
+ * @param {number} [options.staleMinutes=30] - Skip shipments synced more recently than this
+ * @returns {Promise<{checked: number, updated: number, failed: number}>}
+ */
+const syncActiveShipments = async ({ limit = 100, staleMinutes = 30 } = {}) => {
+  const staleBefore = new Date(Date.now() - staleMinutes * 60 * 1000);
+
+  const orders = await Order.find({
+    'shipment.consignmentNumber': { $exists: true },
+    'shipment.status': { $nin: TERMINAL_SHIPMENT_STATUSES },
+    $or: [
+      { 'shipment.lastSyncedAt': { $exists: false } },
+      { 'shipment.lastSyncedAt': { $lt: staleBefore } }
+    ]
+  })
+    .sort({ 'shipment.lastSyncedAt': 1 })
+    .limit(limit);
+
+  const summary = { checked: orders.length, updated: 0, failed: 0 };
+
+  for (const order of orders) {
+    try {
+      const { added } = await syncShipment(order);
+      if (added > 0) {
+        summary.updated += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.error('Shipment sync failed in service', {
+        error: error.message,
+        orderId: order._id,
+        courier: order.shipment.courier,
+        consignmentNumber: order.shipment.consignmentNumber
+      });
+    }
+  }
+
+  logger.info('Active shipments synced in service', summary);
+
+  return summary;
+};
+
+/**
+ * Apply a tracking webhook from a courier. The delivery is authenticated by the
+ * adapter before anything is read from it; updates for unknown consignments are ignored.
+ * @returns {Promise<{processed: number, ignored: number}>}
+ */
+const handleCourierWebhook = async (courierCode, req) => {
+  const courier = getCourier(courierCode);
+  courier.verifyWebhook(req);
+
+  const updates = courier.parseWebhook(req.body);
+  const result = { processed: 0, ignored: 0 };
+
+  for (const update of updates) {
+    const order = await Order.findOne({
+      'shipment.courier': courier.code,
+      'shipment.consignmentNumber': update.consignmentNumber
+    });
+
+    if (!order) {
+      logger.warn('Courier webhook for unknown consignment in service', {
+        courier: courier.code,
+        consignmentNumber: update.consignmentNumber
+      });
+      result.ignored += 1;
+      continue;
+    }
+
+    const { transitions } = applyTrackingEvents(order, update.events);
+    await order.save();
+    await notifyTransitions(order, transitions);
+
+    result.processed += 1;
+  }
+
+  logger.info('Courier webhook handled in service', { courier: courier.code, ...result });
+
+  return result;
+};
+
+module.exports = {
+  SHIPMENT_ORDER_STATUS,
+  bookShipment,
+  applyTrackingEvents,
+  syncShipment,
+  syncOrderShipment,
+  syncActiveShipments,
+  handleCourierWebhook
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { AppError, UnauthorizedError } = require('../../errors');
+const logger = require('../../utils/logger');
+
+// Carrier-neutral shipment statuses every adapter maps its own events onto
+const SHIPMENT_STATUSES = [
+  'booked',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'delivery_failed',
+  'returned',
+  'cancelled'
+];
+
+const TERMINAL_SHIPMENT_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.COURIER_TIMEOUT_MS, 10) || 15000;
+
+/**
+ * Call a courier API and return the parsed JSON body.
+ * @throws {AppError} 502 when the courier cannot be reached or answers with an error status
+ */
+const requestJson = async (courier, url, { method = 'GET', headers = {}, body } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    logger.error('Courier request failed in service', { courier, url, error: error.message });
+    throw new AppError(`Could not reach ${courier}`, 502);
+  }
+
+  const text = await response.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (error) {
+    data = { raw: text };
+  }
+
+  if (!response.ok) {
+    logger.error('Courier request rejected in service', { courier, url, status: response.status, body: text });
+    throw new AppError(`${courier} rejected the request`, 502);
+  }
+
+  return data;
+};
+
+/**
+ * Map a carrier's free-text status onto a shipment status using keyword rules.
+ * Rules are checked in order so more specific phrases must come first.
+ * @param {Array<[RegExp, string]>} rules
+ * @returns {string} shipment status, in_transit when nothing matches
+ */
+const mapByKeywords = (rules, rawStatus) => {
+  const text = (rawStatus || '').toString();
+  const rule = rules.find(([pattern]) => pattern.test(text));
+  return rule ? rule[1] : 'in_transit';
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * Who the parcel goes to. Works for guest orders and for orders with `user` populated.
+ */
+const getConsignee = (order) => {
+  const user = order.user && order.user.email ? order.user : {};
+  const contact = order.contact || {};
+  const address = order.shippingAddress || {};
+
+  return {
+    name: contact.name || [user.firstName, user.lastName].filter(Boolean).join(' '),
+    email: contact.email || user.email,
+    phone: address.phone || contact.phone || user.phone,
+    address: [address.street, address.city, address.state].filter(Boolean).join(', '),
+    city: address.city
+  };
+};
+
+/**
+ * Check the shared secret a courier sends with tracking webhooks.
+ * @throws {UnauthorizedError} when no secret is configured or it does not match
+ */
+const verifyWebhookSecret = (courier, secret, provided) => {
+  if (!secret || !provided) {
+    throw new UnauthorizedError(`Invalid ${courier} webhook secret`);
+  }
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(String(provided));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new UnauthorizedError(`Invalid ${courier} webhook secret`);
+  }
+};
+
+/**
+ * Webhook body in our own format, for carriers or middleware that can post it:
+ * { consignmentNumber, status, description, location, occurredAt } or
+ * { consignmentNumber, events: [{ status, description, location, occurredAt }] }
+ */
+const parseGenericWebhook = (body, mapStatus) => {
+  const updates = Array.isArray(body) ? body : [body];
+
+  return updates
+    .filter(update => update && update.consignmentNumber)
+    .map(update => ({
+      consignmentNumber: String(update.consignmentNumber),
+      events: (update.events || [update]).map(event => ({
+        status: mapStatus(event.status),
+        rawStatus: event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt: toDate(event.occurredAt)
+      }))
+    }));
+};
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  TERMINAL_SHIPMENT_STATUSES,
+  requestJson,
+  mapByKeywords,
+  toDate,
+  getConsignee,
+  verifyWebhookSecret,
+  parseGenericWebhook
+};
@@ -0,0 +1,47 @@
+const { ValidationError } = require('../../errors');
+const tcs = require('./tcs');
+const leopards = require('./leopards');
+const mnp = require('./mnp');
+const mock = require('./mock');
+
+/**
+ * Courier adapters by code. Every adapter exposes:
+ *   code, name
+ *   isConfigured()                          -> boolean, credentials present
+ *   trackingUrl(consignmentNumber)          -> public tracking page
+ *   bookShipment({ order, weight, pieces, codAmount, notes })
+ *                                           -> { consignmentNumber, trackingUrl, labelUrl?, raw }
+ *   getTracking(consignmentNumber)          -> [{ status, rawStatus, description, location, occurredAt }]
+ *   mapStatus(rawStatus)                    -> one of SHIPMENT_STATUSES
+ *   verifyWebhook(req)                      -> throws UnauthorizedError when the delivery is not genuine
+ *   parseWebhook(body)                      -> [{ consignmentNumber, events }]
+ * Weights are in grams; adapters convert to whatever unit the carrier expects.
+ */
+const couriers = {
+  [tcs.code]: tcs,
+  [leopards.code]: leopards,
+  [mnp.code]: mnp,
+  [mock.code]: mock
+};
+
+/**
+ * @throws {ValidationError} for an unknown courier code
+ */
+const getCourier = (code) => {
+  const courier = couriers[(code || '').toString().toLowerCase()];
+  if (!courier) {
+    throw new ValidationError(`Unknown courier: ${code}`);
+  }
+  return courier;
+};
+
+const listCouriers = () => Object.values(couriers).map(courier => ({
+  code: courier.code,
+  name: courier.name,
+  configured: courier.isConfigured()
+}));
+
+module.exports = {
+  getCourier,
+  listCouriers
+};
@@ -0,0 +1,104 @@
+const { ValidationError } = require('../../errors');
+const {
+  requestJson,
+  mapByKeywords,
+  toDate,
+  getConsignee,
+  verifyWebhookSecret,
+  parseGenericWebhook
+} = require('./common');
+
+const API_URL = process.env.LEOPARDS_API_URL || 'https://merchantapi.leopardscourier.com/api';
+
+const STATUS_RULES = [
+  [/return(ed)? to shipper|being return|returned/i, 'returned'],
+  [/pending|refused|undelivered|consignee not available/i, 'delivery_failed'],
+  [/delivered/i, 'delivered'],
+  [/out for delivery|assigned to courier/i, 'out_for_delivery'],
+  [/cancel/i, 'cancelled'],
+  [/dispatched|picked|arrived at origin/i, 'picked_up'],
+  [/pickup request|booked/i, 'booked']
+];
+
+const mapStatus = (rawStatus) => mapByKeywords(STATUS_RULES, rawStatus);
+
+const isConfigured = () => Boolean(process.env.LEOPARDS_API_KEY && process.env.LEOPARDS_API_PASSWORD);
+
+const credentials = () => ({
+  api_key: process.env.LEOPARDS_API_KEY,
+  api_password: process.env.LEOPARDS_API_PASSWORD
+});
+
+const trackingUrl = (consignmentNumber) =>
+  `https://www.leopardscourier.com/leopards-tracking?cn=${encodeURIComponent(consignmentNumber)}`;
+
+const bookShipment = async ({ order, weight, pieces, codAmount, notes }) => {
+  const consignee = getConsignee(order);
+
+  const data = await requestJson('Leopards', `${API_URL}/bookPacket/format/json/`, {
+    method: 'POST',
+    body: {
+      ...credentials(),
+      booked_packet_weight: weight, // grams
+      booked_packet_no_piece: pieces,
+      booked_packet_collect_amount: codAmount,
+      booked_packet_order_id: order.orderNumber,
+      origin_city: 'self',
+      destination_city: consignee.city,
+      shipment_name_eng: 'self',
+      shipment_email: 'self',
+      shipment_phone: 'self',
+      shipment_address: 'self',
+      consignment_name_eng: consignee.name,
+      consignment_email: consignee.email,
+      consignment_phone: consignee.phone,
+      consignment_address: consignee.address,
+      special_instructions: notes || `Order ${order.orderNumber}`
+    }
+  });
+
+  if (Number(data.status) !== 1 || !data.track_number) {
+    throw new ValidationError(`Leopards booking failed: ${data.error || 'no tracking number returned'}`);
+  }
+
+  return {
+    consignmentNumber: String(data.track_number),
+    trackingUrl: trackingUrl(data.track_number),
+    labelUrl: data.slip_link,
+    raw: data
+  };
+};
+
+const getTracking = async (consignmentNumber) => {
+  const data = await requestJson('Leopards', `${API_URL}/trackBookedPacket/format/json/`, {
+    method: 'POST',
+    body: {
+      ...credentials(),
+      track_numbers: consignmentNumber
+    }
+  });
+
+  const packet = (data.packet_list || [])[0];
+  const details = (packet && packet['Tracking Detail']) || [];
+
+  return details.map(detail => ({
+    status: mapStatus(detail.Status),
+    rawStatus: detail.Status,
+    description: detail.Reason || detail.Status,
+    location: detail.Location,
+    occurredAt: toDate(detail.Activity_datetime)
+  }));
+};
+
+module.exports = {
+  code: 'leopards',
+  name: 'Leopards Courier',
+  isConfigured,
+  trackingUrl,
+  bookShipment,
+  getTracking,
+  mapStatus,
+  verifyWebhook: (req) =>
+    verifyWebhookSecret('Leopards', process.env.LEOPARDS_WEBHOOK_SECRET, req.get('X-Courier-Secret')),
+  parseWebhook: (body) => parseGenericWebhook(body, mapStatus)
+};
@@ -0,0 +1,98 @@
+const { ValidationError } = require('../../errors');
+const {
+  requestJson,
+  mapByKeywords,
+  toDate,
+  getConsignee,
+  verifyWebhookSecret,
+  parseGenericWebhook
+} = require('./common');
+
+const API_URL = process.env.MNP_API_URL || 'https://mnpcourier.com/mycodapi/api';
+
+const STATUS_RULES = [
+  [/return(ed)?|rts/i, 'returned'],
+  [/undelivered|refused|hold/i, 'delivery_failed'],
+  [/delivered/i, 'delivered'],
+  [/out for delivery|on delivery/i, 'out_for_delivery'],
+  [/cancel/i, 'cancelled'],
+  [/picked|arrival at origin|shipment received/i, 'picked_up'],
+  [/booked|booking/i, 'booked']
+];
+
+const mapStatus = (rawStatus) => mapByKeywords(STATUS_RULES, rawStatus);
+
+const isConfigured = () => Boolean(process.env.MNP_USERNAME && process.env.MNP_PASSWORD);
+
+const trackingUrl = (consignmentNumber) =>
+  `https://www.mulphilog.com/tracking?cn=${encodeURIComponent(consignmentNumber)}`;
+
+const bookShipment = async ({ order, weight, pieces, codAmount, notes }) => {
+  const consignee = getConsignee(order);
+
+  const data = await requestJson('M&P', `${API_URL}/Booking/InsertBookingData`, {
+    method: 'POST',
+    body: {
+      username: process.env.MNP_USERNAME,
+      password: process.env.MNP_PASSWORD,
+      locationID: process.env.MNP_LOCATION_ID,
+      consigneeName: consignee.name,
+      consigneeAddress: consignee.address,
+      consigneeMobNo: consignee.phone,
+      consigneeEmail: consignee.email,
+      destinationCityName: consignee.city,
+      pieces,
+      weight: weight / 1000, // M&P takes kilograms
+      codAmount,
+      custRefNo: order.orderNumber,
+      productDetails: `Order ${order.orderNumber}`,
+      service: 'Overnight',
+      remarks: notes || ''
+    }
+  });
+
+  const result = Array.isArray(data) ? data[0] : data;
+  if (!result || String(result.isSuccess) !== 'true' || !result.orderReferenceId) {
+    throw new ValidationError(`M&P booking failed: ${(result && result.message) || 'no consignment number returned'}`);
+  }
+
+  return {
+    consignmentNumber: String(result.orderReferenceId),
+    trackingUrl: trackingUrl(result.orderReferenceId),
+    raw: data
+  };
+};
+
+const getTracking = async (consignmentNumber) => {
+  const query = new URLSearchParams({
+    username: process.env.MNP_USERNAME,
+    password: process.env.MNP_PASSWORD,
+    consignment: consignmentNumber
+  });
+
+  const data = await requestJson('M&P', `${API_URL}/Tracking/Tracking?${query}`);
+
+  const result = Array.isArray(data) ? data[0] : data;
+  const tracking = ((result && result.tracking_Details) || [])[0];
+  const details = (tracking && tracking.Details) || [];
+
+  return details.map(detail => ({
+    status: mapStatus(detail.Status),
+    rawStatus: detail.Status,
+    description: detail.Detail || detail.Status,
+    location: detail.Location,
+    occurredAt: toDate(detail.DateTime)
+  }));
+};
+
+module.exports = {
+  code: 'mnp',
+  name: 'M&P',
+  isConfigured,
+  trackingUrl,
+  bookShipment,
+  getTracking,
+  mapStatus,
+  verifyWebhook: (req) => verifyWebhookSecret('M&P', process.env.MNP_WEBHOOK_SECRET, req.get('X-Courier-Secret')),
+  parseWebhook: (body) => parseGenericWebhook(body, mapStatus)
+};
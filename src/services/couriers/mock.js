@@ -0,0 +1,70 @@
+const { SHIPMENT_STATUSES, toDate, verifyWebhookSecret, parseGenericWebhook } = require('./common');
+
+// Local courier for development and tests. Bookings and tracking events live in memory;
+// call addEvent() to move a parcel along and syncShipment() to pick the change up.
+const shipments = new Map();
+
+const mapStatus = (rawStatus) => (SHIPMENT_STATUSES.includes(rawStatus) ? rawStatus : 'in_transit');
+
+const trackingUrl = (consignmentNumber) =>
+  `http://localhost/mock-courier/track/${encodeURIComponent(consignmentNumber)}`;
+
+const bookShipment = async ({ order, weight, pieces, codAmount }) => {
+  const consignmentNumber = `MOCK-${order.orderNumber}`;
+
+  shipments.set(consignmentNumber, {
+    weight,
+    pieces,
+    codAmount,
+    events: [{ status: 'booked', rawStatus: 'booked', description: 'Shipment booked', occurredAt: new Date() }]
+  });
+
+  return {
+    consignmentNumber,
+    trackingUrl: trackingUrl(consignmentNumber),
+    raw: { consignmentNumber }
+  };
+};
+
+const getTracking = async (consignmentNumber) => {
+  const shipment = shipments.get(consignmentNumber);
+  return shipment ? shipment.events.slice() : [];
+};
+
+/**
+ * Record a tracking event for a mock consignment.
+ * @param {string} status - One of SHIPMENT_STATUSES
+ */
+const addEvent = (consignmentNumber, status, { description, location, occurredAt } = {}) => {
+  if (!shipments.has(consignmentNumber)) {
+    shipments.set(consignmentNumber, { events: [] });
+  }
+
+  const event = {
+    status: mapStatus(status),
+    rawStatus: status,
+    description: description || status,
+    location,
+    occurredAt: toDate(occurredAt)
+  };
+  shipments.get(consignmentNumber).events.push(event);
+
+  return event;
+};
+
+const reset = () => shipments.clear();
+
+module.exports = {
+  code: 'mock',
+  name: 'Mock Courier',
+  isConfigured: () => process.env.NODE_ENV !== 'production',
+  trackingUrl,
+  bookShipment,
+  getTracking,
+  mapStatus,
+  verifyWebhook: (req) =>
+    verifyWebhookSecret('Mock Courier', process.env.MOCK_COURIER_WEBHOOK_SECRET, req.get('X-Courier-Secret')),
+  parseWebhook: (body) => parseGenericWebhook(body, mapStatus),
+  addEvent,
+  reset
+};
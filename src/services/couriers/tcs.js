@@ -0,0 +1,103 @@
+const { ValidationError } = require('../../errors');
+const {
+  requestJson,
+  mapByKeywords,
+  toDate,
+  getConsignee,
+  verifyWebhookSecret,
+  parseGenericWebhook
+} = require('./common');
+
+const API_URL = process.env.TCS_API_URL || 'https://ociconnect.tcscourier.com/ecom/api';
+
+const STATUS_RULES = [
+  [/return(ed)? to (shipper|origin)|rto/i, 'returned'],
+  [/undelivered|refused|not available|incomplete address|attempt/i, 'delivery_failed'],
+  [/delivered/i, 'delivered'],
+  [/out for delivery|on route/i, 'out_for_delivery'],
+  [/cancel/i, 'cancelled'],
+  [/picked|received at origin|arrival at origin/i, 'picked_up'],
+  [/booked|booking/i, 'booked']
+];
+
+const mapStatus = (rawStatus) => mapByKeywords(STATUS_RULES, rawStatus);
+
+const isConfigured = () => Boolean(
+  process.env.TCS_CLIENT_ID && process.env.TCS_USERNAME && process.env.TCS_PASSWORD
+);
+
+const headers = () => ({ 'X-IBM-Client-Id': process.env.TCS_CLIENT_ID });
+
+const trackingUrl = (consignmentNumber) =>
+  `https://www.tcsexpress.com/track/${encodeURIComponent(consignmentNumber)}`;
+
+const bookShipment = async ({ order, weight, pieces, codAmount, notes }) => {
+  const consignee = getConsignee(order);
+
+  const data = await requestJson('TCS', `${API_URL}/cod/create-order`, {
+    method: 'POST',
+    headers: headers(),
+    body: {
+      userName: process.env.TCS_USERNAME,
+      password: process.env.TCS_PASSWORD,
+      costCenterCode: process.env.TCS_COST_CENTER_CODE,
+      originCityName: process.env.TCS_ORIGIN_CITY || 'Karachi',
+      consigneeName: consignee.name,
+      consigneeAddress: consignee.address,
+      consigneeMobNo: consignee.phone,
+      consigneeEmail: consignee.email,
+      destinationCityName: consignee.city,
+      pieces,
+      weight: weight / 1000, // TCS takes kilograms
+      codAmount,
+      customerReferenceNo: order.orderNumber,
+      services: 'O', // overnight
+      productDetails: `Order ${order.orderNumber}`,
+      fragile: 'YES',
+      remarks: notes || '',
+      insuranceValue: 0
+    }
+  });
+
+  const reply = (data.bookingReply && data.bookingReply.result) || '';
+  const match = reply.match(/(\d{6,})/);
+  if (!data.returnStatus || data.returnStatus.status !== 'SUCCESS' || !match) {
+    throw new ValidationError(`TCS booking failed: ${(data.returnStatus && data.returnStatus.message) || 'no consignment number returned'}`);
+  }
+
+  return {
+    consignmentNumber: match[1],
+    trackingUrl: trackingUrl(match[1]),
+    raw: data
+  };
+};
+
+const getTracking = async (consignmentNumber) => {
+  const data = await requestJson(
+    'TCS',
+    `${API_URL}/track/v1/shipments/detail?consignmentNo=${encodeURIComponent(consignmentNumber)}`,
+    { headers: headers() }
+  );
+
+  const checkpoints = (data.TrackDetailReply && data.TrackDetailReply.Checkpoints) || [];
+
+  return checkpoints.map(checkpoint => ({
+    status: mapStatus(checkpoint.status),
+    rawStatus: checkpoint.status,
+    description: checkpoint.status,
+    location: checkpoint.recievedBy || checkpoint.receivedBy,
+    occurredAt: toDate(checkpoint.dateTime)
+  }));
+};
+
+module.exports = {
+  code: 'tcs',
+  name: 'TCS',
+  isConfigured,
+  trackingUrl,
+  bookShipment,
+  getTracking,
+  mapStatus,
+  verifyWebhook: (req) => verifyWebhookSecret('TCS', process.env.TCS_WEBHOOK_SECRET, req.get('X-Courier-Secret')),
+  parseWebhook: (body) => parseGenericWebhook(body, mapStatus)
+};
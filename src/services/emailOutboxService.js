@@ -0,0 +1,261 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { client } = require('../config/redis');
+const { sendEmail } = require('../utils/emailService');
+const { pushReady, scheduleRetry, promoteDue, popReady, isConnected } = require('../utils/emailQueue');
+const { ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// A worker that dies mid-send leaves its claim; another may take the message after this
+const LOCK_MS = 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_BATCH = 50;
+const POP_TIMEOUT_SECONDS = 5;
+
+/**
+ * Seconds to wait before the next attempt: doubles with every failed attempt, up to six hours
+ * @param {number} attempts - Attempts made so far
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+
+/**
+ * SMTP 5xx replies (unknown mailbox, rejected message) will not succeed on a retry
+ */
+const isPermanentFailure = (error) =>
+  Boolean(error.responseCode) && error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Claim an outbox message and send it. Messages that are not due, already sent or
+ * claimed by another worker are left alone.
+ * @param {string} id - Outbox message ID
+ * @returns {Promise<Object|null>} the message after the attempt, or null when it was not claimed
+ */
+const deliverMessage = async (id) => {
+  const now = new Date();
+  const message = await EmailOutbox.findOneAndUpdate(
+    {
+      _id: id,
+      nextAttemptAt: { $lte: now },
+      $or: [
+        { status: { $in: ['pending', 'retrying'] } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'sending',
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!message) {
+    return null;
+  }
+
+  try {
+    const info = await sendEmail({
+      email: message.to,
+      replyTo: message.replyTo,
+      subject: message.subject,
+      message: message.text,
+      html: message.html,
+      attachments: message.attachments.map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: attachment.content
+      })),
+      template: message.template,
+      templateVersion: message.templateVersion,
+      order: message.order,
+      user: message.user,
+      outbox: message._id
+    });
+
+    message.status = 'sent';
+    message.messageId = info.messageId;
+    message.sentAt = new Date();
+    message.lastError = undefined;
+    message.lockedUntil = undefined;
+    await message.save();
+
+    logger.info('Outbox email sent in service', { outboxId: message._id, attempts: message.attempts });
+    return message;
+  } catch (error) {
+    message.lastError = error.message;
+    message.lockedUntil = undefined;
+
+    if (isPermanentFailure(error) || message.attempts >= message.maxAttempts) {
+      message.status = 'dead';
+      message.deadAt = new Date();
+      await message.save();
+
+      logger.error('Outbox email dead-lettered in service', {
+        outboxId: message._id,
+        attempts: message.attempts,
+        error: error.message
+      });
+      return message;
+    }
+
+    message.status = 'retrying';
+    message.nextAttemptAt = new Date(Date.now() + getRetryDelay(message.attempts) * 1000);
+    await message.save();
+    await scheduleRetry(message._id, message.nextAttemptAt);
+
+    logger.warn('Outbox email send failed, will retry in service', {
+      outboxId: message._id,
+      attempts: message.attempts,
+      nextAttemptAt: message.nextAttemptAt,
+      error: error.message
+    });
+    return message;
+  }
+};
+
+/**
+ * Send every message that is due according to the outbox collection. Covers messages
+ * whose Redis entry was lost or never written, e.g. queued while Redis was down.
+ * @returns {Promise<{checked: number, sent: number, failed: number}>}
+ */
+const processDueMessages = async ({ limit = SWEEP_BATCH } = {}) => {
+  const now = new Date();
+  const due = await EmailOutbox.find({
+    nextAttemptAt: { $lte: now },
+    $or: [
+      { status: { $in: ['pending', 'retrying'] } },
+      { status: 'sending', lockedUntil: { $lte: now } }
+    ]
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  const summary = { checked: due.length, sent: 0, failed: 0 };
+  for (const { _id } of due) {
+    const message = await deliverMessage(_id);
+    if (message && message.status === 'sent') {
+      summary.sent += 1;
+    } else if (message) {
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Queue a dead-lettered or retrying message to be sent again now, with a fresh set of attempts
+ * @param {string} id - Outbox message ID
+ */
+const resendMessage = async (id) => {
+  const message = await EmailOutbox.findById(id);
+  if (!message) {
+    throw new NotFoundError('Outbox message');
+  }
+
+  if (!['dead', 'retrying'].includes(message.status)) {
+    throw new ValidationError(`Cannot resend a message that is ${message.status}`);
+  }
+
+  message.status = 'pending';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date();
+  message.deadAt = undefined;
+  await message.save();
+  await pushReady(message._id);
+
+  logger.info('Outbox email queued for resend in service', { outboxId: message._id });
+  return message;
+};
+
+let worker = null;
+
+/**
+ * Start sending queued email in the background: ready IDs from Redis as they arrive,
+ * retries as they fall due, and a sweep of the outbox collection every minute.
+ * Needs the shared Redis client to be connected; without it only the sweep runs.
+ */
+const startEmailWorker = async () => {
+  if (worker) {
+    return worker;
+  }
+
+  worker = { running: true, connection: null, sweepTimer: null, loop: null };
+  const current = worker;
+
+  const sweep = async () => {
+    try {
+      const summary = await processDueMessages();
+      if (summary.checked > 0) {
+        logger.info('Email outbox sweep completed in service', summary);
+      }
+    } catch (error) {
+      logger.error('Email outbox sweep failed in service', { error: error.message });
+    }
+  };
+  current.sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  current.sweepTimer.unref();
+  sweep();
+
+  if (isConnected()) {
+    current.connection = client.duplicate();
+    current.connection.on('error', error => logger.error('Email worker Redis error', { error: error.message }));
+    await current.connection.connect();
+
+    current.loop = (async () => {
+      while (current.running) {
+        try {
+          await promoteDue();
+          const id = await popReady(current.connection, POP_TIMEOUT_SECONDS);
+          if (id) {
+            await deliverMessage(id);
+          }
+        } catch (error) {
+          if (current.running) {
+            logger.error('Email worker iteration failed in service', { error: error.message });
+            await new Promise(resolve => setTimeout(resolve, 1000));
+          }
+        }
+      }
+    })();
+  } else {
+    logger.warn('Email worker started without Redis; relying on the outbox sweep');
+  }
+
+  logger.info('Email worker started');
+  return current;
+};
+
+/**
+ * Stop the background worker, letting a send in progress finish
+ */
+const stopEmailWorker = async () => {
+  if (!worker) {
+    return;
+  }
+
+  const current = worker;
+  worker = null;
+  current.running = false;
+  clearInterval(current.sweepTimer);
+
+  if (current.connection) {
+    // Closing the connection ends a blocking pop that is still waiting
+    await current.connection.disconnect().catch(() => {});
+    await current.loop;
+  }
+
+  logger.info('Email worker stopped');
+};
+
+module.exports = {
+  getRetryDelay,
+  isPermanentFailure,
+  deliverMessage,
+  processDueMessages,
+  resendMessage,
+  startEmailWorker,
+  stopEmailWorker
+};
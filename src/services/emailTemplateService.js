@@ -0,0 +1,320 @@
+const Handlebars = require('handlebars');
+const EmailTemplate = require('../models/EmailTemplate');
+const Settings = require('../models/Settings');
+const { templates, layout, partials } = require('../templates/email');
+const { ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+const BUILT_IN_VERSION = 1;
+
+// HTML output is escaped; subjects and plain-text bodies are not
+const createEnvironment = (partialSources) => {
+  const env = Handlebars.create();
+
+  env.registerHelper('money', (amount, options) =>
+    `${options.data.root.currency || 'PKR'} ${(amount || 0).toLocaleString()}`
+  );
+  env.registerHelper('eq', (a, b) => a === b);
+  env.registerHelper('capitalize', value =>
+    (value ? String(value).charAt(0).toUpperCase() + String(value).slice(1) : '')
+  );
+
+  Object.entries(partialSources).forEach(([name, source]) => env.registerPartial(name, source));
+  return env;
+};
+
+const htmlEnv = createEnvironment(partials.html);
+const textEnv = createEnvironment(partials.text);
+
+// Versions never change once saved, so compiled templates are cached by source.
+// Previewed drafts land here too, hence the cap.
+const MAX_COMPILED = 200;
+const compiled = new Map();
+
+const compile = (env, source, options = {}) => {
+  const key = `${env === htmlEnv ? 'html' : 'text'}:${options.noEscape ? 1 : 0}:${source}`;
+  if (!compiled.has(key)) {
+    if (compiled.size >= MAX_COMPILED) {
+      compiled.clear();
+    }
+    compiled.set(key, env.compile(source, options));
+  }
+  return compiled.get(key);
+};
+
+/**
+ * Rough plain-text version of an HTML body for templates saved without one
+ */
+const htmlToText = (html) => html
+  .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|tr|li)>/gi, '\n')
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;|&#39;/g, '\'')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/^ +| +$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const getBuiltIn = (name) => {
+  const template = templates[name];
+  if (!template) {
+    throw new NotFoundError('Email template');
+  }
+  return template;
+};
+
+const toVersion = (template, source) => ({
+  name: template.name,
+  version: template.version,
+  subject: template.subject,
+  html: template.html,
+  text: template.text,
+  notes: template.notes,
+  isActive: template.isActive,
+  createdBy: template.createdBy,
+  createdAt: template.createdAt,
+  source
+});
+
+/**
+ * Version of a template to send: the given version, else the active published
+ * version, else the built-in one.
+ */
+const resolveTemplate = async (name, version) => {
+  const builtIn = getBuiltIn(name);
+
+  if (version !== undefined && version !== null && Number(version) !== BUILT_IN_VERSION) {
+    const published = await EmailTemplate.findOne({ name, version: Number(version) });
+    if (!published) {
+      throw new NotFoundError('Email template version');
+    }
+    return toVersion(published, 'custom');
+  }
+
+  if (version === undefined || version === null) {
+    const active = await EmailTemplate.findOne({ name, isActive: true });
+    if (active) {
+      return toVersion(active, 'custom');
+    }
+  }
+
+  return toVersion({ ...builtIn, isActive: true }, 'built_in');
+};
+
+/**
+ * Check a template compiles before it is saved
+ * @throws {ValidationError} listing the fields with syntax errors
+ */
+const assertCompiles = ({ subject, html, text }) => {
+  const errors = [];
+  [['subject', subject], ['html', html], ['text', text]].forEach(([field, source]) => {
+    if (!source) {
+      return;
+    }
+    try {
+      Handlebars.precompile(source);
+    } catch (error) {
+      // Parse errors span several lines: position, source excerpt, then what was expected
+      const lines = error.message.split('\n').filter(Boolean);
+      errors.push({ field, message: lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0] });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('Template has syntax errors', errors);
+  }
+};
+
+/**
+ * Render a template with the shared layout
+ * @param {Object} template - { name, version, subject, html, text }
+ * @param {Object} data - Template variables
+ * @returns {Promise<{name: string, version: number, subject: string, html: string, text: string}>}
+ */
+const renderVersion = async (template, data) => {
+  const settings = (await Settings.findOne()) || new Settings();
+  const context = {
+    ...data,
+    currency: settings.currency,
+    site: {
+      name: settings.siteName,
+      tagline: settings.siteDescription,
+      email: settings.contactEmail,
+      year: new Date().getFullYear()
+    }
+  };
+
+  const htmlBody = compile(htmlEnv, template.html)(context);
+  const textBody = template.text
+    ? compile(textEnv, template.text, { noEscape: true })(context)
+    : htmlToText(htmlBody);
+
+  return {
+    name: template.name,
+    version: template.version,
+    subject: compile(textEnv, template.subject, { noEscape: true })(context).replace(/\s+/g, ' ').trim(),
+    html: compile(htmlEnv, layout.html)({ ...context, body: htmlBody }),
+    text: compile(textEnv, layout.text, { noEscape: true })({ ...context, body: textBody.trim() })
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+  };
+};
+
+/**
+ * Render the version of a template that is currently in use
+ * @param {string} name - Template name, e.g. 'order_confirmation'
+ * @param {Object} data - Template variables
+ */
+const renderTemplate = async (name, data) => {
+  const template = await resolveTemplate(name);
+  return renderVersion(template, data);
+};
+
+/**
+ * Render a template with its sample data, or with the given data. A draft
+ * (subject, html and/or text) is rendered in place of the saved version.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {number} [options.version] - Saved version; the active one when omitted
+ * @param {Object} [options.draft] - Unsaved { subject, html, text }
+ * @param {Object} [options.data] - Variables merged over the sample data
+ */
+const previewTemplate = async (name, { version, draft, data } = {}) => {
+  const builtIn = getBuiltIn(name);
+  let template = await resolveTemplate(name, version);
+
+  if (draft) {
+    assertCompiles(draft);
+    template = {
+      ...template,
+      version: null,
+      subject: draft.subject || template.subject,
+      html: draft.html || template.html,
+      // A draft with new HTML but no text gets its text derived from that HTML
+      text: draft.text !== undefined ? draft.text : (draft.html ? null : template.text)
+    };
+  }
+
+  return renderVersion(template, { ...builtIn.sampleData, ...data });
+};
+
+/**
+ * Built-in templates with the version in use for each
+ */
+const listTemplates = async () => {
+  const active = await EmailTemplate.find({ isActive: true }).select('name version updatedAt');
+  const counts = await EmailTemplate.aggregate([
+    { $group: { _id: '$name', versions: { $sum: 1 }, latestVersion: { $max: '$version' } } }
+  ]);
+  const activeByName = new Map(active.map(template => [template.name, template]));
+  const countsByName = new Map(counts.map(entry => [entry._id, entry]));
+
+  return Object.values(templates).map((template) => {
+    const published = activeByName.get(template.name);
+    const count = countsByName.get(template.name);
+    return {
+      name: template.name,
+      description: template.description,
+      activeVersion: published ? published.version : BUILT_IN_VERSION,
+      source: published ? 'custom' : 'built_in',
+      latestVersion: count ? count.latestVersion : BUILT_IN_VERSION,
+      versions: (count ? count.versions : 0) + 1,
+      variables: Object.keys(template.sampleData)
+    };
+  });
+};
+
+/**
+ * A template with every version, newest first, ending with the built-in one
+ */
+const getTemplate = async (name) => {
+  const builtIn = getBuiltIn(name);
+  const published = await EmailTemplate.find({ name })
+    .populate('createdBy', 'firstName lastName email')
+    .sort({ version: -1 });
+  const hasActive = published.some(template => template.isActive);
+
+  return {
+    name,
+    description: builtIn.description,
+    sampleData: builtIn.sampleData,
+    versions: [
+      ...published.map(template => toVersion(template, 'custom')),
+      toVersion({ ...builtIn, isActive: !hasActive }, 'built_in')
+    ]
+  };
+};
+
+/**
+ * Publish a new version of a template
+ * @param {string} name
+ * @param {Object} body - { subject, html, text, notes, activate }
+ * @param {string} userId - Admin publishing the version
+ */
+const createTemplateVersion = async (name, { subject, html, text, notes, activate = true }, userId) => {
+  getBuiltIn(name);
+  assertCompiles({ subject, html, text });
+
+  const latest = await EmailTemplate.findOne({ name }).sort({ version: -1 }).select('version');
+  const version = latest ? latest.version + 1 : BUILT_IN_VERSION + 1;
+
+  const template = await EmailTemplate.create({
+    name,
+    version,
+    subject,
+    html,
+    text,
+    notes,
+    createdBy: userId
+  });
+
+  if (activate) {
+    await activateTemplateVersion(name, version);
+    template.isActive = true;
+  }
+
+  logger.info('Email template version created in service', { name, version, activate, userId });
+
+  return toVersion(template, 'custom');
+};
+
+/**
+ * Make a version the one that is sent. Activating version 1 goes back to the built-in template.
+ */
+const activateTemplateVersion = async (name, version) => {
+  getBuiltIn(name);
+  const target = Number(version);
+
+  if (target !== BUILT_IN_VERSION) {
+    const exists = await EmailTemplate.exists({ name, version: target });
+    if (!exists) {
+      throw new NotFoundError('Email template version');
+    }
+  }
+
+  await EmailTemplate.updateMany({ name, isActive: true, version: { $ne: target } }, { isActive: false });
+  if (target !== BUILT_IN_VERSION) {
+    await EmailTemplate.updateOne({ name, version: target }, { isActive: true });
+  }
+
+  logger.info('Email template version activated in service', { name, version: target });
+
+  return resolveTemplate(name);
+};
+
+module.exports = {
+  htmlToText,
+  renderTemplate,
+  previewTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplateVersion,
+  activateTemplateVersion
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const {
+  sendEmailVerificationEmail,
+  sendPasswordResetEmail,
+  sendOrderClaimEmail
+} = require('../utils/emailService');
+const { AppError, ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+const OTP_TTL_MINUTES = 10;
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS, 10) || 60;
+
+// Storefront page that calls PUT /api/auth/verify-email/:token
+const getVerificationUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${clientUrl}/verify-email/${token}`;
+};
+
+// Storefront page that calls PUT /api/auth/resetpassword/:resettoken
+const getResetPasswordUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${clientUrl}/reset-password/${token}`;
+};
+
+/**
+ * One-time code used to reset passwords and to prove ownership of an email address.
+ * Saves the user.
+ * @param {Object} user - User document
+ * @param {string} purpose - For the log, e.g. 'password reset'
+ * @returns {Promise<string>} the code
+ */
+const issueOtp = async (user, purpose) => {
+  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  user.otp = otp;
+  user.otpExpire = Date.now() + OTP_TTL_MINUTES * 60 * 1000;
+
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`OTP generated for ${purpose}`, { userId: user._id, email: user.email });
+  return otp;
+};
+
+/**
+ * Email a verification link and code to the user's current address. Earlier links stop working.
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.getEmailVerificationToken();
+  user.emailVerificationSentAt = new Date();
+  // The code is the same OTP that /auth/verify-otp checks, so it also claims guest orders
+  const code = await issueOtp(user, 'email verification');
+
+  await sendEmailVerificationEmail(user, {
+    url: getVerificationUrl(token),
+    expiresInHours: VERIFICATION_TTL_HOURS,
+    code,
+    codeExpiresInMinutes: OTP_TTL_MINUTES
+  });
+
+  logger.info('Verification email queued in service', { userId: user._id, email: user.email });
+};
+
+/**
+ * Email a password reset link and code. The code is what /auth/resetpassword-otp
+ * checks; both last ten minutes. Saves the user.
+ * @param {Object} user - User document
+ */
+const sendPasswordReset = async (user) => {
+  const token = user.getResetPasswordToken();
+  const code = await issueOtp(user, 'password reset');
+
+  await sendPasswordResetEmail(user, {
+    url: getResetPasswordUrl(token),
+    code,
+    expiresInMinutes: OTP_TTL_MINUTES
+  });
+
+  logger.info('Password reset email queued in service', { userId: user._id, email: user.email });
+};
+
+/**
+ * Email a code that claims the guest orders placed with the user's address, for
+ * /auth/verify-otp. Saves the user.
+ * @param {Object} user - User document
+ * @param {number} orderCount - Claimable orders, for the email
+ */
+const sendOrderClaimCode = async (user, orderCount) => {
+  const code = await issueOtp(user, 'guest order claim');
+
+  await sendOrderClaimEmail(user, { code, codeExpiresInMinutes: OTP_TTL_MINUTES, orderCount });
+
+  logger.info('Order claim email queued in service', { userId: user._id, email: user.email, orderCount });
+};
+
+/**
+ * Send the verification email again, at most once per EMAIL_VERIFICATION_COOLDOWN_SECONDS
+ * @throws {AppError} 429 with `retryAfter` seconds during the cooldown
+ */
+const resendVerificationEmail = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  if (user.isVerified) {
+    throw new ValidationError('Email is already verified');
+  }
+
+  if (user.emailVerificationSentAt) {
+    const waited = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+    if (waited < RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(RESEND_COOLDOWN_SECONDS - waited);
+      const error = new AppError(`Please wait ${retryAfter} seconds before requesting another verification email`, 429);
+      error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  await sendVerificationEmail(user);
+  return user;
+};
+
+/**
+ * Mark the user's email as verified and retire the verification link. Saves the user.
+ */
+const markEmailVerified = async (user) => {
+  user.isVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Email verified in service', { userId: user._id, email: user.email });
+  return user;
+};
+
+/**
+ * Verify an email address with the token from a verification link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} the verified user
+ */
+const verifyEmailToken = async (token) => {
+  const emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    throw new ValidationError('Invalid or expired verification link');
+  }
+
+  return markEmailVerified(user);
+};
+
+/**
+ * Whether Settings.emailVerificationRequiredFor stops unverified accounts taking an action
+ * @param {string} action - 'checkout' or 'reviews'
+ */
+const isVerificationRequired = async (action) => {
+  const settings = await Settings.findOne().select('emailVerificationRequiredFor');
+  return Boolean(settings && settings.emailVerificationRequiredFor.includes(action));
+};
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  issueOtp,
+  sendVerificationEmail,
+  sendPasswordReset,
+  sendOrderClaimCode,
+  resendVerificationEmail,
+  markEmailVerified,
+  verifyEmailToken,
+  isVerificationRequired
+};
@@ -1,25 +1,69 @@
 const adminService = require('./adminService');
+const auditService = require('./auditService');
 const authService = require('./authService');
 const cartService = require('./cartService');
 const categoryService = require('./categoryService');
+const commissionService = require('./commissionService');
+const couponService = require('./couponService');
+const courierService = require('./courierService');
+const emailOutboxService = require('./emailOutboxService');
+const emailTemplateService = require('./emailTemplateService');
+const emailVerificationService = require('./emailVerificationService');
 const inventoryService = require('./inventoryService');
+const invoiceService = require('./invoiceService');
+const loginSecurityService = require('./loginSecurityService');
+const metalRateService = require('./metalRateService');
 const orderService = require('./orderService');
+const orderStatusService = require('./orderStatusService');
 const paymentService = require('./paymentService');
+const payoutService = require('./payoutService');
+const permissionService = require('./permissionService');
+const personalDataService = require('./personalDataService');
+const pricingService = require('./pricingService');
 const productService = require('./productService');
+const returnService = require('./returnService');
 const reviewService = require('./reviewService');
 const searchService = require('./searchService');
+const sessionService = require('./sessionService');
+const shippingService = require('./shippingService');
+const taxService = require('./taxService');
+const twoFactorService = require('./twoFactorService');
+const vendorOrderService = require('./vendorOrderService');
+const vendorService = require('./vendorService');
 const wishlistService = require('./wishlistService');
 
 module.exports = {
   adminService,
+  auditService,
   authService,
   cartService,
   categoryService,
+  commissionService,
+  couponService,
+  courierService,
+  emailOutboxService,
+  emailTemplateService,
+  emailVerificationService,
   inventoryService,
+  invoiceService,
+  loginSecurityService,
+  metalRateService,
   orderService,
+  orderStatusService,
   paymentService,
+  payoutService,
+  permissionService,
+  personalDataService,
+  pricingService,
   productService,
+  returnService,
   reviewService,
   searchService,
+  sessionService,
+  shippingService,
+  taxService,
+  twoFactorService,
+  vendorOrderService,
+  vendorService,
   wishlistService
 };
\ No newline at end of file
@@ -1,47 +1,65 @@
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { ValidationError, NotFoundError } = require('../errors');
 const logger = require('../utils/logger');
 
-const updateStock = async (productId, quantityChange, type = 'adjustment') => {
+const findVariant = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product) {
+    throw new NotFoundError('Product');
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (!variant) {
+    throw new NotFoundError('Product variant');
+  }
+
+  return { product, variant };
+};
+
+/**
+ * Atomically apply a stock change to one variant. Decrements only succeed while
+ * enough stock is left, so concurrent checkouts can never oversell a variant.
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant subdocument ID
+ * @param {number} quantityChange - Positive to add stock, negative to remove it
+ * @param {string} type - Reason for the change, used for logging
+ */
+const updateStock = async (productId, variantId, quantityChange, type = 'adjustment') => {
   try {
-    logger.info('Updating stock in service', { 
-      productId, 
+    logger.info('Updating stock in service', {
+      productId,
+      variantId,
       quantityChange,
       type
     });
 
-    const product = await Product.findById(productId);
-    if (!product) {
-      logger.warn('Update stock failed - product not found in service', { 
-        productId,
-        quantityChange
-      });
-      throw new Error('Product not found');
+    const variantFilter = { _id: variantId };
+    if (quantityChange < 0) {
+      variantFilter.stockQuantity = { $gte: -quantityChange };
     }
 
-    // Calculate new stock level
-    const newStock = product.countInStock + quantityChange;
+    const updatedProduct = await Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: variantFilter } },
+      { $inc: { 'variants.$.stockQuantity': quantityChange } },
+      { new: true }
+    );
 
-    // Ensure stock doesn't go negative
-    if (newStock < 0) {
-      logger.warn('Update stock failed - would result in negative stock in service', { 
+    if (!updatedProduct) {
+      const { variant } = await findVariant(productId, variantId);
+      logger.warn('Update stock failed - would result in negative stock in service', {
         productId,
-        currentStock: product.countInStock,
-        quantityChange,
-        newStock
+        variantId,
+        currentStock: variant.stockQuantity,
+        quantityChange
       });
-      throw new Error('Cannot reduce stock below 0');
+      throw new ValidationError(`Only ${variant.stockQuantity} items available`);
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      { countInStock: newStock },
-      { new: true, runValidators: true }
-    );
-
-    logger.info('Stock updated successfully in service', { 
+    logger.info('Stock updated successfully in service', {
       productId,
-      oldStock: product.countInStock,
-      newStock,
+      variantId,
+      newStock: updatedProduct.variants.id(variantId).stockQuantity,
       type
     });
 
@@ -50,6 +68,7 @@ const updateStock = async (productId, quantityChange, type = 'adjustment') => {
     logger.error('Update stock failed in service', {
       error: error.message,
       productId,
+      variantId,
       quantityChange,
       stack: error.stack
     });
@@ -57,42 +76,55 @@ const updateStock = async (productId, quantityChange, type = 'adjustment') => {
   }
 };
 
-const checkStockAvailability = async (productId, quantity) => {
+const checkStockAvailability = async (productId, variantId, quantity) => {
   try {
-    logger.info('Checking stock availability in service', { 
-      productId, 
-      quantity 
+    logger.info('Checking stock availability in service', {
+      productId,
+      variantId,
+      quantity
     });
 
     const product = await Product.findById(productId);
 
     if (!product) {
-      logger.warn('Check stock availability failed - product not found in service', { 
+      logger.warn('Check stock availability failed - product not found in service', {
         productId,
         quantity
       });
       return { available: false, message: 'Product not found' };
     }
 
-    const isAvailable = product.countInStock >= quantity;
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (!variant) {
+      logger.warn('Check stock availability failed - variant not found in service', {
+        productId,
+        variantId
+      });
+      return { available: false, message: 'Product variant not found' };
+    }
 
-    logger.info('Stock availability checked in service', { 
+    const currentStock = variant.stockQuantity || 0;
+    const isAvailable = currentStock >= quantity;
+
+    logger.info('Stock availability checked in service', {
       productId,
+      variantId,
       requestedQuantity: quantity,
-      availableQuantity: product.countInStock,
+      availableQuantity: currentStock,
       available: isAvailable
     });
 
     return {
       available: isAvailable,
-      currentStock: product.countInStock,
+      currentStock,
       requestedQuantity: quantity,
-      message: isAvailable ? 'Sufficient stock available' : `Only ${product.countInStock} items available`
+      message: isAvailable ? 'Sufficient stock available' : `Only ${currentStock} items available`
     };
   } catch (error) {
     logger.error('Check stock availability failed in service', {
       error: error.message,
       productId,
+      variantId,
       quantity,
       stack: error.stack
     });
@@ -100,25 +132,90 @@ const checkStockAvailability = async (productId, quantity) => {
   }
 };
 
-const restockProduct = async (productId, quantity) => {
+/**
+ * Reserve stock for every order item. If any line cannot be reserved, the lines
+ * already taken are put back before the error is rethrown. Stock is counted per
+ * variant, so every line must name one; priceOrder refuses products without variants.
+ * @param {Array<{product: string, variant: string, quantity: number}>} items
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+
   try {
-    logger.info('Restocking product in service', { 
-      productId, 
-      quantity 
+    for (const item of items) {
+      if (!item.variant) {
+        throw new ValidationError('A product variant is required to reserve stock');
+      }
+      await updateStock(item.product, item.variant, -item.quantity, 'reservation');
+      reserved.push(item);
+    }
+
+    logger.info('Stock reserved in service', { itemCount: items.length });
+  } catch (error) {
+    await Promise.all(reserved.map(item =>
+      updateStock(item.product, item.variant, item.quantity, 'reservation_rollback')
+    ));
+    throw error;
+  }
+};
+
+const releaseStock = async (items, type = 'release') => {
+  for (const item of items) {
+    if (item.variant) {
+      await updateStock(item.product, item.variant, item.quantity, type);
+    }
+  }
+
+  logger.info('Stock released in service', { itemCount: items.length, type });
+};
+
+/**
+ * Return the stock held by an order, e.g. after cancellation or return.
+ * The stockReleasedAt flag is claimed atomically so an order is only restocked once.
+ * @param {string} orderId - Order ID
+ * @param {string} reason - Why the stock is returned (cancelled, returned, ...)
+ * @returns {Promise<boolean>} true when stock was returned by this call
+ */
+const restockOrder = async (orderId, reason = 'cancelled') => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, stockReleasedAt: null },
+    { stockReleasedAt: new Date() },
+    { new: true }
+  );
+
+  if (!order) {
+    logger.info('Order stock already released in service', { orderId });
+    return false;
+  }
+
+  await releaseStock(order.items, reason);
+
+  logger.info('Order restocked in service', { orderId, reason });
+
+  return true;
+};
+
+const restockProduct = async (productId, variantId, quantity) => {
+  try {
+    logger.info('Restocking product in service', {
+      productId,
+      variantId,
+      quantity
     });
 
     if (quantity <= 0) {
-      logger.warn('Restock failed - invalid quantity in service', { 
+      logger.warn('Restock failed - invalid quantity in service', {
         productId,
         quantity
       });
-      throw new Error('Quantity must be greater than 0');
+      throw new ValidationError('Quantity must be greater than 0');
     }
 
-    const result = await updateStock(productId, quantity, 'restock');
+    const result = await updateStock(productId, variantId, quantity, 'restock');
 
-    logger.info('Product restocked successfully in service', { 
+    logger.info('Product restocked successfully in service', {
       productId,
+      variantId,
       quantityAdded: quantity
     });
 
@@ -139,10 +236,10 @@ const getLowStockProducts = async (threshold = 10) => {
     logger.info('Getting low stock products in service', { threshold });
 
     const lowStockProducts = await Product.find({
-      countInStock: { $lte: threshold, $gt: 0 }
-    }).sort({ countInStock: 1 });
+      variants: { $elemMatch: { stockQuantity: { $lte: threshold, $gt: 0 } } }
+    }).sort({ 'variants.stockQuantity': 1 });
 
-    logger.info('Low stock products retrieved in service', { 
+    logger.info('Low stock products retrieved in service', {
       count: lowStockProducts.length,
       threshold
     });
@@ -163,10 +260,10 @@ const getOutOfStockProducts = async () => {
     logger.info('Getting out of stock products in service');
 
     const outOfStockProducts = await Product.find({
-      countInStock: 0
+      variants: { $elemMatch: { stockQuantity: { $lte: 0 } } }
     });
 
-    logger.info('Out of stock products retrieved in service', { 
+    logger.info('Out of stock products retrieved in service', {
       count: outOfStockProducts.length
     });
 
@@ -183,7 +280,10 @@ const getOutOfStockProducts = async () => {
 module.exports = {
   updateStock,
   checkStockAvailability,
+  reserveStock,
+  releaseStock,
+  restockOrder,
   restockProduct,
   getLowStockProducts,
   getOutOfStockProducts
-};
\ No newline at end of file
+};
@@ -0,0 +1,353 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const { NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#800020';
+const MUTED_COLOR = '#666666';
+
+// Table cells pass an empty currency and get the bare amount
+const formatMoney = (amount, currency = 'PKR') => [
+  currency,
+  (amount || 0).toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+].filter(Boolean).join(' ');
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone });
+
+const formatAddressLines = (address) => {
+  if (!address) {
+    return [];
+  }
+  return [
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    address.phone
+  ].filter(Boolean);
+};
+
+const customerName = (order) => {
+  if (order.user && order.user.firstName) {
+    return [order.user.firstName, order.user.lastName].filter(Boolean).join(' ');
+  }
+  return (order.contact && order.contact.name) || 'Customer';
+};
+
+/**
+ * Variant detail line for an order item, e.g. "SKU GR-22-01 · 22K Gold · 5.2 g · Size 7".
+ * Uses the snapshot on the order, falling back to the product for orders placed before
+ * items carried one.
+ */
+const describeItem = (item) => {
+  const product = item.product && item.product.variants ? item.product : null;
+  const variant = product && item.variant ? product.variants.id(item.variant) : null;
+  const source = item.sku ? item : (variant || {});
+
+  const details = [
+    source.sku && `SKU ${source.sku}`,
+    [source.purity, source.metalType].filter(Boolean).join(' '),
+    source.weight && `${source.weight} g`,
+    source.size && `Size ${source.size}`
+  ].filter(Boolean);
+
+  return {
+    name: item.name || (item.product && item.product.name) || 'Item',
+    details: details.join(' · ')
+  };
+};
+
+/**
+ * Give an order its invoice number the first time an invoice is issued. Numbers come
+ * from a single sequence so they run without repeats across all orders.
+ * @returns {Promise<Object>} the order with invoiceNumber and invoicedAt set
+ */
+const ensureInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) {
+    return order;
+  }
+
+  const settings = (await Settings.findOne()) || new Settings();
+  const seq = await Counter.next('invoice');
+  const invoiceNumber = `${settings.invoicePrefix}${String(seq).padStart(6, '0')}`;
+  const invoicedAt = new Date();
+
+  // Only the first caller sets the number; a concurrent one re-reads what was stored
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, invoiceNumber: { $exists: false } },
+    { invoiceNumber, invoicedAt },
+    { new: true }
+  );
+
+  if (updated) {
+    logger.info('Invoice number assigned in service', { orderId: order._id, invoiceNumber });
+    order.invoiceNumber = invoiceNumber;
+    order.invoicedAt = invoicedAt;
+  } else {
+    const stored = await Order.findById(order._id).select('invoiceNumber invoicedAt');
+    order.invoiceNumber = stored.invoiceNumber;
+    order.invoicedAt = stored.invoicedAt;
+  }
+
+  return order;
+};
+
+const renderToBuffer = (build) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    build(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const drawStoreHeader = (doc, settings, title) => {
+  doc.fillColor(BRAND_COLOR).fontSize(20).font('Helvetica-Bold').text(settings.siteName, PAGE_MARGIN, PAGE_MARGIN);
+  doc.fillColor(MUTED_COLOR).fontSize(9).font('Helvetica');
+  [
+    settings.address,
+    [settings.contactPhone, settings.contactEmail].filter(Boolean).join(' · '),
+    settings.ntn && `NTN: ${settings.ntn}`,
+    settings.strn && `STRN: ${settings.strn}`
+  ].filter(Boolean).forEach(line => doc.text(line));
+
+  doc.fillColor('#000000').fontSize(16).font('Helvetica-Bold')
+    .text(title, PAGE_MARGIN, PAGE_MARGIN, { align: 'right' });
+};
+
+const drawKeyValues = (doc, pairs, y) => {
+  doc.fontSize(9).font('Helvetica');
+  pairs.forEach(([label, value], index) => {
+    doc.fillColor(MUTED_COLOR).text(label, 350, y + index * 14, { width: 90 });
+    doc.fillColor('#000000').text(value, 440, y + index * 14, { width: 105, align: 'right' });
+  });
+};
+
+const drawAddressBlock = (doc, heading, lines, x, y) => {
+  doc.fillColor(BRAND_COLOR).fontSize(10).font('Helvetica-Bold').text(heading, x, y);
+  doc.fillColor('#000000').fontSize(9).font('Helvetica');
+  lines.forEach(line => doc.text(line, x, doc.y, { width: 230 }));
+};
+
+const drawTableHeader = (doc, columns, y) => {
+  doc.rect(PAGE_MARGIN, y - 4, doc.page.width - PAGE_MARGIN * 2, 18).fill('#f3e6e9');
+  doc.fillColor(BRAND_COLOR).fontSize(9).font('Helvetica-Bold');
+  columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align || 'left' }));
+  doc.fillColor('#000000').font('Helvetica');
+  return y + 20;
+};
+
+// Start a new page when the next row would run into the bottom margin
+const ensureRoom = (doc, y, needed, columns) => {
+  if (y + needed < doc.page.height - PAGE_MARGIN) {
+    return y;
+  }
+  doc.addPage();
+  return drawTableHeader(doc, columns, PAGE_MARGIN);
+};
+
+const INVOICE_COLUMNS = [
+  { key: 'item', label: 'Item', x: 50, width: 210 },
+  { key: 'quantity', label: 'Qty', x: 260, width: 30, align: 'right' },
+  { key: 'price', label: 'Unit price', x: 295, width: 75, align: 'right' },
+  { key: 'taxRate', label: 'Tax', x: 375, width: 40, align: 'right' },
+  { key: 'taxAmount', label: 'Tax amount', x: 415, width: 60, align: 'right' },
+  { key: 'subtotal', label: 'Amount', x: 475, width: 70, align: 'right' }
+];
+
+const buildInvoice = (doc, order, settings) => {
+  const currency = order.currency || settings.currency;
+  const tax = (order.pricing && order.pricing.tax) || {};
+  const timeZone = settings.timezone;
+
+  drawStoreHeader(doc, settings, tax.amount > 0 ? 'TAX INVOICE' : 'INVOICE');
+
+  drawKeyValues(doc, [
+    ['Invoice no.', order.invoiceNumber],
+    ['Invoice date', formatDate(order.invoicedAt || new Date(), timeZone)],
+    ['Order no.', order.orderNumber],
+    ['Order date', formatDate(order.createdAt, timeZone)],
+    ['Payment', `${order.paymentMethod.replace(/_/g, ' ')} (${order.paymentStatus})`]
+  ], 80);
+
+  const addressY = 170;
+  drawAddressBlock(doc, 'Bill to', [
+    customerName(order),
+    (order.user && order.user.email) || (order.contact && order.contact.email),
+    ...formatAddressLines(order.billingAddress || order.shippingAddress)
+  ].filter(Boolean), PAGE_MARGIN, addressY);
+  drawAddressBlock(doc, 'Ship to', formatAddressLines(order.shippingAddress), 315, addressY);
+
+  if (order.orderStatus === 'cancelled') {
+    doc.fillColor('#b00020').fontSize(11).font('Helvetica-Bold')
+      .text('This order was cancelled.', PAGE_MARGIN, 260);
+  }
+
+  let y = drawTableHeader(doc, INVOICE_COLUMNS, 285);
+
+  order.items.forEach((item) => {
+    const { name, details } = describeItem(item);
+    y = ensureRoom(doc, y, 30, INVOICE_COLUMNS);
+
+    doc.fontSize(9).font('Helvetica-Bold').fillColor('#000000').text(name, 50, y, { width: 210 });
+    const nameBottom = doc.y;
+    if (details) {
+      doc.font('Helvetica').fillColor(MUTED_COLOR).fontSize(8).text(details, 50, nameBottom, { width: 210 });
+    }
+    const rowBottom = doc.y;
+
+    doc.font('Helvetica').fillColor('#000000').fontSize(9);
+    doc.text(String(item.quantity), 260, y, { width: 30, align: 'right' });
+    doc.text(formatMoney(item.price, ''), 295, y, { width: 75, align: 'right' });
+    doc.text(item.taxRate != null ? `${item.taxRate}%` : '-', 375, y, { width: 40, align: 'right' });
+    doc.text(formatMoney(item.taxAmount, ''), 415, y, { width: 60, align: 'right' });
+    doc.text(formatMoney(item.subtotal, ''), 475, y, { width: 70, align: 'right' });
+
+    y = rowBottom + 8;
+    doc.moveTo(PAGE_MARGIN, y - 4).lineTo(doc.page.width - PAGE_MARGIN, y - 4).strokeColor('#eeeeee').stroke();
+  });
+
+  const totals = [
+    ['Subtotal', formatMoney(order.subtotal, currency)],
+    order.discountAmount > 0 && [`Discount${order.couponCode ? ` (${order.couponCode})` : ''}`, `- ${formatMoney(order.discountAmount, currency)}`],
+    ['Shipping', order.shippingCost > 0 ? formatMoney(order.shippingCost, currency) : 'Free'],
+    ...(tax.breakdown || [])
+      .filter(entry => entry.amount > 0)
+      .map(entry => [
+        `${entry.name || entry.taxClass} ${entry.rate}% on ${formatMoney(entry.taxableAmount, '')}`,
+        formatMoney(entry.amount, currency)
+      ]),
+    [tax.inclusive ? 'Total tax (included)' : 'Total tax', formatMoney(order.taxAmount, currency)]
+  ].filter(Boolean);
+
+  y = ensureRoom(doc, y + 6, totals.length * 14 + 40, INVOICE_COLUMNS);
+  doc.fontSize(9).font('Helvetica');
+  totals.forEach(([label, value]) => {
+    doc.fillColor(MUTED_COLOR).text(label, 270, y, { width: 185, align: 'right' });
+    doc.fillColor('#000000').text(value, 455, y, { width: 90, align: 'right' });
+    y += 14;
+  });
+
+  doc.fontSize(11).font('Helvetica-Bold').fillColor(BRAND_COLOR);
+  doc.text('Total', 270, y + 4, { width: 185, align: 'right' });
+  doc.text(formatMoney(order.totalAmount, currency), 435, y + 4, { width: 110, align: 'right' });
+
+  if (tax.inclusive) {
+    doc.fontSize(8).font('Helvetica').fillColor(MUTED_COLOR)
+      .text('Prices include sales tax.', PAGE_MARGIN, y + 30);
+  }
+
+  doc.fontSize(8).font('Helvetica').fillColor(MUTED_COLOR)
+    .text(`Thank you for shopping with ${settings.siteName}.`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 10, {
+      align: 'center',
+      lineBreak: false
+    });
+};
+
+const PACKING_COLUMNS = [
+  { key: 'item', label: 'Item', x: 50, width: 330 },
+  { key: 'quantity', label: 'Qty', x: 385, width: 40, align: 'right' },
+  { key: 'check', label: 'Packed', x: 440, width: 105, align: 'center' }
+];
+
+const buildPackingSlip = (doc, order, settings) => {
+  drawStoreHeader(doc, settings, 'PACKING SLIP');
+
+  const shipment = order.shipment || {};
+  drawKeyValues(doc, [
+    ['Order no.', order.orderNumber],
+    ['Order date', formatDate(order.createdAt, settings.timezone)],
+    ['Shipping', order.shippingMethod || '-'],
+    ['Courier', shipment.courierName || shipment.courier || '-'],
+    ['Consignment', order.trackingNumber || '-'],
+    ['Cash to collect', shipment.codAmount > 0 ? formatMoney(shipment.codAmount, order.currency) : '-']
+  ], 80);
+
+  drawAddressBlock(doc, 'Ship to', [
+    customerName(order),
+    ...formatAddressLines(order.shippingAddress)
+  ], PAGE_MARGIN, 180);
+
+  let y = drawTableHeader(doc, PACKING_COLUMNS, 280);
+
+  order.items.forEach((item) => {
+    const { name, details } = describeItem(item);
+    y = ensureRoom(doc, y, 30, PACKING_COLUMNS);
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000').text(name, 50, y, { width: 330 });
+    if (details) {
+      doc.font('Helvetica').fillColor(MUTED_COLOR).fontSize(8).text(details, 50, doc.y, { width: 330 });
+    }
+    const rowBottom = doc.y;
+
+    doc.font('Helvetica').fillColor('#000000').fontSize(10);
+    doc.text(String(item.quantity), 385, y, { width: 40, align: 'right' });
+    doc.rect(487, y, 10, 10).strokeColor('#999999').stroke();
+
+    y = rowBottom + 10;
+  });
+
+  const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000')
+    .text(`${itemCount} item${itemCount === 1 ? '' : 's'} in ${order.items.length} line${order.items.length === 1 ? '' : 's'}`, PAGE_MARGIN, y + 10);
+
+  if (order.notes) {
+    doc.moveDown().fontSize(9).font('Helvetica').fillColor(MUTED_COLOR).text(`Notes: ${order.notes}`, PAGE_MARGIN);
+  }
+};
+
+const loadOrder = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .populate('user', 'firstName lastName email')
+    .populate('items.product', 'name variants');
+
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+  return order;
+};
+
+/**
+ * Render the invoice PDF for an order, assigning its invoice number on first use.
+ * @returns {Promise<{order: Object, filename: string, content: Buffer}>}
+ */
+const generateInvoice = async (orderId) => {
+  const order = await loadOrder(orderId);
+  const settings = (await Settings.findOne()) || new Settings();
+
+  await ensureInvoiceNumber(order);
+  const content = await renderToBuffer(doc => buildInvoice(doc, order, settings));
+
+  logger.info('Invoice generated in service', { orderId: order._id, invoiceNumber: order.invoiceNumber });
+
+  return { order, filename: `${order.invoiceNumber}.pdf`, content };
+};
+
+/**
+ * Render the packing slip PDF for an order: items and variant details without prices.
+ * @returns {Promise<{order: Object, filename: string, content: Buffer}>}
+ */
+const generatePackingSlip = async (orderId) => {
+  const order = await loadOrder(orderId);
+  const settings = (await Settings.findOne()) || new Settings();
+
+  const content = await renderToBuffer(doc => buildPackingSlip(doc, order, settings));
+
+  return { order, filename: `packing-slip-${order.orderNumber}.pdf`, content };
+};
+
+module.exports = {
+  ensureInvoiceNumber,
+  generateInvoice,
+  generatePackingSlip
+};
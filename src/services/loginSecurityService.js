@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const Settings = require('../models/Settings');
+const { sendNewDeviceLoginEmail } = require('../utils/emailService');
+const { describeDevice } = require('../utils/userAgent');
+const { AppError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+// Failures allowed before each further attempt has to wait
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+const deviceHash = userAgent => crypto.createHash('sha256').update(userAgent || '').digest('hex');
+
+/**
+ * How long an account must wait after this many failures: nothing for the first few,
+ * then doubling delays, then LOGIN_LOCK_MINUTES from LOGIN_MAX_ATTEMPTS on
+ * @param {number} failures - Failed attempts so far
+ * @returns {number} seconds
+ */
+const getLockSeconds = (failures) => {
+  if (failures >= MAX_ATTEMPTS) {
+    return LOCK_MINUTES * 60;
+  }
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+/**
+ * @returns {number} seconds until the account accepts login attempts again, 0 when it does now
+ */
+const getLockRemaining = (user) => {
+  if (!user.lockUntil) {
+    return 0;
+  }
+  return Math.max(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+const isLockedOut = user => (user.failedLoginAttempts || 0) >= MAX_ATTEMPTS && getLockRemaining(user) > 0;
+
+// 429 with the wait in seconds, for the Retry-After header
+const accountHeldError = (user, seconds) => {
+  const error = new AppError(
+    isLockedOut(user)
+      ? `Account is locked after too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minutes`
+      : `Too many failed login attempts. Try again in ${seconds} seconds`,
+    429
+  );
+  error.retryAfter = seconds;
+  return error;
+};
+
+const recordAttempt = async (entry) => {
+  try {
+    await LoginHistory.create(entry);
+  } catch (error) {
+    logger.error('Login history write failed in service', { error: error.message, userId: entry.user });
+  }
+};
+
+/**
+ * Count a wrong password or two-factor code against the account and hold it for the
+ * resulting delay. Attempts made while the account is held are recorded but not counted,
+ * and the first failure after a lockout has expired counts from one again.
+ * @param {Object} user - User document
+ * @param {Object} device - { userAgent, ip }
+ * @param {string} reason - 'invalid_password', 'invalid_two_factor' or 'locked'
+ * @returns {Promise<number>} seconds before the next attempt is accepted
+ */
+const recordFailedLogin = async (user, { userAgent, ip } = {}, reason = 'invalid_password') => {
+  await recordAttempt({
+    user: user._id,
+    success: false,
+    failureReason: reason,
+    ip,
+    userAgent,
+    device: deviceHash(userAgent)
+  });
+
+  if (reason === 'locked') {
+    return getLockRemaining(user);
+  }
+
+  // Once a lockout has run its course the count starts again, or the next mistake would lock it straight back
+  const lockExpired = (user.failedLoginAttempts || 0) >= MAX_ATTEMPTS && Boolean(user.lockUntil) && getLockRemaining(user) === 0;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    lockExpired
+      ? { failedLoginAttempts: 1, $unset: { lockUntil: 1 } }
+      : { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  const failures = updated ? updated.failedLoginAttempts : (lockExpired ? 0 : user.failedLoginAttempts || 0) + 1;
+  const lockSeconds = getLockSeconds(failures);
+  if (lockSeconds > 0) {
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date(Date.now() + lockSeconds * 1000) });
+  }
+
+  if (failures === MAX_ATTEMPTS) {
+    logger.warn('Account locked after failed logins in service', { userId: user._id, failures, ip });
+  }
+  return lockSeconds;
+};
+
+/**
+ * Refuse a login attempt while the account is held after failed attempts
+ * @throws {AppError} 429 with `retryAfter` seconds
+ */
+const assertLoginAllowed = async (user, device) => {
+  const seconds = getLockRemaining(user);
+  if (seconds > 0) {
+    await recordFailedLogin(user, device, 'locked');
+    throw accountHeldError(user, seconds);
+  }
+};
+
+const formatLoginTime = async (date) => {
+  const settings = await Settings.findOne().select('timezone');
+  return date.toLocaleString('en-GB', {
+    timeZone: (settings && settings.timezone) || 'Asia/Karachi',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+};
+
+/**
+ * Record a completed login, clear failed attempts and email the user when the device
+ * has not signed in to the account before. The first login of an account is not alerted.
+ * @param {Object} user - User document
+ * @param {Object} device - { userAgent, ip }
+ * @param {string} [method] - 'password', 'totp' or 'recovery_code'
+ * @returns {Promise<{newDevice: boolean}>}
+ */
+const recordSuccessfulLogin = async (user, { userAgent, ip } = {}, method = 'password') => {
+  const device = deviceHash(userAgent);
+
+  if (user.failedLoginAttempts || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+  }
+
+  const [seenBefore, hasLoggedIn] = await Promise.all([
+    LoginHistory.exists({ user: user._id, device, success: true }),
+    LoginHistory.exists({ user: user._id, success: true })
+  ]);
+  const newDevice = Boolean(hasLoggedIn) && !seenBefore;
+
+  await recordAttempt({ user: user._id, success: true, method, ip, userAgent, device, newDevice });
+
+  if (newDevice) {
+    try {
+      await sendNewDeviceLoginEmail(user, {
+        time: await formatLoginTime(new Date()),
+        device: describeDevice(userAgent),
+        ip: ip || 'Unknown'
+      });
+      logger.info('New device login alert queued in service', { userId: user._id, ip });
+    } catch (error) {
+      logger.error('New device login alert failed in service', { error: error.message, userId: user._id });
+    }
+  }
+
+  return { newDevice };
+};
+
+/**
+ * Clear failed attempts and any lock on an account
+ */
+const unlockAccount = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  logger.info('Account unlocked in service', { userId });
+  return user;
+};
+
+/**
+ * Login attempts on an account, newest first
+ * @returns {Promise<{entries: Object[], totalItems: number}>}
+ */
+const getLoginHistory = async (userId, { skip = 0, limit = 20, success } = {}) => {
+  const query = { user: userId };
+  if (typeof success === 'boolean') {
+    query.success = success;
+  }
+
+  const [entries, totalItems] = await Promise.all([
+    LoginHistory.find(query).select('-device').sort({ createdAt: -1 }).skip(skip).limit(limit),
+    LoginHistory.countDocuments(query)
+  ]);
+
+  return {
+    entries: entries.map(entry => ({
+      ...entry.toObject(),
+      deviceName: describeDevice(entry.userAgent)
+    })),
+    totalItems
+  };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  LOCK_MINUTES,
+  getLockSeconds,
+  getLockRemaining,
+  isLockedOut,
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  getLoginHistory
+};
@@ -0,0 +1,178 @@
+const MetalRate = require('../models/MetalRate');
+const Product = require('../models/Product');
+const logger = require('../utils/logger');
+
+const rateKey = (metalType, purity) => `${metalType}:${(purity || '').toUpperCase()}`;
+
+/**
+ * Rate in effect for a metal and purity at a given time.
+ * @returns {Promise<Object|null>} MetalRate document or null when none has been published
+ */
+const getCurrentRate = async (metalType, purity, at = new Date()) => {
+  return MetalRate.findOne({
+    metalType,
+    purity: (purity || '').toUpperCase(),
+    effectiveFrom: { $lte: at }
+  }).sort({ effectiveFrom: -1 });
+};
+
+/**
+ * Latest rate for every metal/purity pair at a given time.
+ */
+const getCurrentRates = async (at = new Date()) => {
+  return MetalRate.aggregate([
+    { $match: { effectiveFrom: { $lte: at } } },
+    { $sort: { effectiveFrom: -1 } },
+    {
+      $group: {
+        _id: { metalType: '$metalType', purity: '$purity' },
+        rate: { $first: '$$ROOT' }
+      }
+    },
+    { $replaceRoot: { newRoot: '$rate' } },
+    { $sort: { metalType: 1, purity: 1 } }
+  ]);
+};
+
+const getRateHistory = async ({ metalType, purity, from, to, limit = 100 }) => {
+  const query = {};
+  if (metalType) {
+    query.metalType = metalType;
+  }
+  if (purity) {
+    query.purity = purity.toUpperCase();
+  }
+  if (from || to) {
+    query.effectiveFrom = {};
+    if (from) query.effectiveFrom.$gte = new Date(from);
+    if (to) query.effectiveFrom.$lte = new Date(to);
+  }
+
+  return MetalRate.find(query)
+    .sort({ effectiveFrom: -1 })
+    .limit(limit)
+    .populate('createdBy', 'firstName lastName email');
+};
+
+const publishRate = async (rateData, userId) => {
+  logger.info('Publishing metal rate in service', {
+    metalType: rateData.metalType,
+    purity: rateData.purity,
+    ratePerGram: rateData.ratePerGram,
+    userId
+  });
+
+  return MetalRate.create({
+    ...rateData,
+    createdBy: userId
+  });
+};
+
+/**
+ * Price of a rate-linked variant: metal value plus making charges plus gemstone value.
+ * The sale price follows the product's discountPercentage when one is set.
+ * @param {Object} variant - Product variant
+ * @param {number} ratePerGram - Metal rate for the variant's metal and purity
+ * @param {number} [discountPercentage] - Product discount percentage
+ * @returns {{ price: number, salePrice: (number|undefined), metalValue: number, makingCharges: number }}
+ */
+const calculateVariantPrice = (variant, ratePerGram, discountPercentage = 0) => {
+  const metalValue = variant.weight * ratePerGram;
+  const making = variant.makingCharges || {};
+
+  let makingCharges = 0;
+  switch (making.type) {
+    case 'per_gram':
+      makingCharges = variant.weight * (making.value || 0);
+      break;
+    case 'percentage':
+      makingCharges = metalValue * ((making.value || 0) / 100);
+      break;
+    default:
+      makingCharges = making.value || 0;
+  }
+
+  const price = Math.round(metalValue + makingCharges + (variant.gemstoneValue || 0));
+  const salePrice = discountPercentage > 0
+    ? Math.round(price * (1 - discountPercentage / 100))
+    : undefined;
+
+  return {
+    price,
+    salePrice,
+    metalValue: Math.round(metalValue),
+    makingCharges: Math.round(makingCharges)
+  };
+};
+
+/**
+ * Recompute price/salePrice of every rate-linked variant from the current rate table.
+ * Products are saved one by one so the pre('save') hook rolls the new prices up to the product.
+ * @param {Object} [filter]
+ * @param {string} [filter.metalType] - Only reprice variants of this metal
+ * @param {string} [filter.purity] - Only reprice variants of this purity
+ */
+const repriceProducts = async ({ metalType, purity } = {}) => {
+  logger.info('Repricing rate-linked products in service', { metalType, purity });
+
+  const variantMatch = { isRateLinked: true };
+  if (metalType) {
+    variantMatch.metalType = metalType;
+  }
+
+  const rates = new Map((await getCurrentRates()).map(rate => [rateKey(rate.metalType, rate.purity), rate]));
+  const summary = { productsUpdated: 0, variantsRepriced: 0, variantsSkipped: 0 };
+
+  const cursor = Product.find({ variants: { $elemMatch: variantMatch } }).cursor();
+
+  for await (const product of cursor) {
+    let changed = false;
+
+    product.variants.forEach((variant) => {
+      if (!variant.isRateLinked) return;
+      if (metalType && variant.metalType !== metalType) return;
+      if (purity && (variant.purity || '').toUpperCase() !== purity.toUpperCase()) return;
+
+      const rate = rates.get(rateKey(variant.metalType, variant.purity));
+      if (!rate) {
+        summary.variantsSkipped += 1;
+        logger.warn('Reprice skipped - no metal rate published in service', {
+          productId: product._id,
+          sku: variant.sku,
+          metalType: variant.metalType,
+          purity: variant.purity
+        });
+        return;
+      }
+
+      const { price, salePrice } = calculateVariantPrice(variant, rate.ratePerGram, product.discountPercentage);
+      variant.price = price;
+      variant.salePrice = salePrice;
+      variant.pricedAt = new Date();
+      variant.pricedWithRate = {
+        metalRate: rate._id,
+        ratePerGram: rate.ratePerGram
+      };
+      summary.variantsRepriced += 1;
+      changed = true;
+    });
+
+    if (changed) {
+      await product.save();
+      summary.productsUpdated += 1;
+    }
+  }
+
+  logger.info('Repricing completed in service', summary);
+
+  return summary;
+};
+
+module.exports = {
+  getCurrentRate,
+  getCurrentRates,
+  getRateHistory,
+  publishRate,
+  calculateVariantPrice,
+  repriceProducts
+};
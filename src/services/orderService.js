@@ -1,6 +1,8 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const logger = require('../utils/logger');
+const { transitionStatus } = require('./orderStatusService');
+const { hasPermission } = require('./permissionService');
 
 const createOrder = async (orderData) => {
   try {
@@ -51,15 +53,21 @@ const getOrderById = async (orderId) => {
   }
 };
 
-const getAllOrders = async (userId, role) => {
+/**
+ * Every order for users holding orders:read, otherwise the user's own orders.
+ * @param {Object} user - User document or req.user
+ */
+const getAllOrders = async (user) => {
+  const userId = user.id;
+
   try {
     logger.info('Fetching all orders in service', { 
       userId, 
-      role 
+      role: user.role 
     });
 
     let orders;
-    if (role === 'admin') {
+    if (await hasPermission(user, 'orders:read')) {
       orders = await Order.find()
         .populate('user', 'id name email')
         .populate('orderItems.product', 'name price')
@@ -86,7 +94,12 @@ const getAllOrders = async (userId, role) => {
   }
 };
 
-const updateOrderStatus = async (orderId, statusField, statusValue) => {
+/**
+ * Update a status field of an order. orderStatus and paymentStatus changes are checked
+ * against the transition graph and recorded in statusHistory.
+ * @param {Object} [options] - { actor, note } recorded with the history entry
+ */
+const updateOrderStatus = async (orderId, statusField, statusValue, options = {}) => {
   try {
     logger.info('Updating order status in service', { 
       orderId, 
@@ -100,7 +113,12 @@ const updateOrderStatus = async (orderId, statusField, statusValue) => {
       return null;
     }
 
-    order[statusField] = statusValue;
+    if (['orderStatus', 'paymentStatus'].includes(statusField)) {
+      transitionStatus(order, statusField, statusValue, options);
+    } else {
+      order[statusField] = statusValue;
+    }
+
     if (statusField === 'isPaid') {
       order.paidAt = Date.now();
     } else if (statusField === 'isDelivered') {
@@ -152,10 +170,46 @@ const deleteOrder = async (orderId) => {
   }
 };
 
+const countClaimableOrders = async (email) => {
+  if (!email) {
+    return 0;
+  }
+  return Order.countDocuments({ isGuest: true, 'contact.email': email.toLowerCase() });
+};
+
+/**
+ * Attach guest orders placed with the user's email to their account. Only call this
+ * once the user has proven they own the address (OTP verification).
+ * @returns {Promise<number>} Number of orders claimed
+ */
+const claimGuestOrders = async (user) => {
+  try {
+    logger.info('Claiming guest orders in service', { userId: user._id });
+
+    const result = await Order.updateMany(
+      { isGuest: true, 'contact.email': user.email.toLowerCase() },
+      { $set: { user: user._id, isGuest: false, claimedAt: new Date() } }
+    );
+
+    logger.info('Guest orders claimed in service', { userId: user._id, claimed: result.modifiedCount });
+
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error('Claim guest orders failed in service', {
+      error: error.message,
+      userId: user._id,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
 module.exports = {
   createOrder,
   getOrderById,
   getAllOrders,
   updateOrderStatus,
-  deleteOrder
+  deleteOrder,
+  countClaimableOrders,
+  claimGuestOrders
 };
\ No newline at end of file
@@ -0,0 +1,149 @@
+const { ValidationError } = require('../errors');
+const logger = require('../utils/logger');
+
+// Allowed moves for each status field. Terminal statuses map to an empty list.
+const STATUS_TRANSITIONS = {
+  orderStatus: {
+    pending: ['confirmed', 'processing', 'cancelled'],
+    confirmed: ['processing', 'shipped', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'returned'], // returned: refused or undeliverable
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+  },
+  paymentStatus: {
+    pending: ['processing', 'completed', 'failed'],
+    processing: ['completed', 'failed'],
+    failed: ['processing', 'completed'],
+    completed: ['refunded'],
+    refunded: []
+  },
+  // Moves a vendor makes on its share of an order (order.vendorOrders[].status).
+  // Cancelled and returned only follow the order; see syncVendorOrders.
+  vendorStatus: {
+    pending: ['processing', 'shipped'],
+    processing: ['shipped'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: [],
+    returned: []
+  }
+};
+
+// Order statuses the vendor shares follow, and the shares each one moves
+const VENDOR_STATUS_SYNC = {
+  delivered: ['pending', 'processing', 'shipped'],
+  cancelled: ['pending', 'processing', 'shipped'],
+  returned: ['pending', 'processing', 'shipped', 'delivered']
+};
+
+const canTransition = (field, from, to) => {
+  const graph = STATUS_TRANSITIONS[field];
+  return Boolean(graph && graph[from] && graph[from].includes(to));
+};
+
+/**
+ * Statuses an order can move to next; used to drive admin UIs.
+ */
+const getAllowedTransitions = (order) => ({
+  orderStatus: STATUS_TRANSITIONS.orderStatus[order.orderStatus] || [],
+  paymentStatus: STATUS_TRANSITIONS.paymentStatus[order.paymentStatus] || []
+});
+
+/**
+ * Build a statusHistory entry.
+ * @param {Object} options
+ * @param {Object} [options.actor] - User making the change; omit for system changes
+ * @param {string} [options.note]
+ */
+const buildHistoryEntry = (field, from, to, { actor, note } = {}) => {
+  let actorType = 'system';
+  if (actor) {
+    // Vendors buy like customers; any other role is staff acting from the admin API
+    actorType = ['customer', 'vendor'].includes(actor.role) ? 'customer' : 'admin';
+  }
+
+  return {
+    field,
+    from,
+    to,
+    actor: actor ? (actor._id || actor.id) : undefined,
+    actorType,
+    note,
+    changedAt: new Date()
+  };
+};
+
+/**
+ * Bring the vendor shares of an order in line with its orderStatus: delivering,
+ * cancelling or returning the order does the same to every share still open.
+ * The order is modified but not saved.
+ * @returns {boolean} whether any share changed
+ */
+const syncVendorOrders = (order, { actor, note } = {}) => {
+  const to = order.orderStatus;
+  const open = VENDOR_STATUS_SYNC[to];
+  if (!open || !order.vendorOrders) {
+    return false;
+  }
+
+  let changed = false;
+  order.vendorOrders.forEach((vendorOrder) => {
+    if (!open.includes(vendorOrder.status)) {
+      return;
+    }
+
+    vendorOrder.statusHistory.push({
+      from: vendorOrder.status,
+      to,
+      actor: actor ? (actor._id || actor.id) : undefined,
+      note: note || `Order ${to}`,
+      changedAt: new Date()
+    });
+    vendorOrder.status = to;
+    if (to === 'delivered') {
+      vendorOrder.deliveredAt = new Date();
+    }
+    changed = true;
+  });
+
+  return changed;
+};
+
+/**
+ * Move an order's orderStatus or paymentStatus along the transition graph and record
+ * it in statusHistory. The order is modified but not saved.
+ * @throws {ValidationError} when the move is not allowed
+ */
+const transitionStatus = (order, field, to, options = {}) => {
+  const from = order[field];
+
+  if (!canTransition(field, from, to)) {
+    logger.warn('Illegal status transition rejected in service', {
+      orderId: order._id,
+      field,
+      from,
+      to
+    });
+    throw new ValidationError(`Cannot change ${field} from ${from} to ${to}`);
+  }
+
+  order[field] = to;
+  order.statusHistory.push(buildHistoryEntry(field, from, to, options));
+
+  if (field === 'orderStatus') {
+    syncVendorOrders(order, options);
+  }
+
+  return order;
+};
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  canTransition,
+  getAllowedTransitions,
+  buildHistoryEntry,
+  syncVendorOrders,
+  transitionStatus
+};
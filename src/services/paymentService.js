@@ -1,7 +1,11 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { BadRequestError } = require('../errors');
+const { canTransition, transitionStatus } = require('./orderStatusService');
 const logger = require('../utils/logger');
 
-const createPaymentIntent = async (amount, currency = 'usd', description = 'E-commerce purchase') => {
+const createPaymentIntent = async (amount, currency = 'usd', description = 'E-commerce purchase', metadata = {}) => {
   try {
     logger.info('Creating payment intent in service', { 
       amount, 
@@ -15,6 +19,7 @@ const createPaymentIntent = async (amount, currency = 'usd', description = 'E-co
       description,
       metadata: {
         integration_check: 'accept_a_payment',
+        ...metadata
       },
     });
 
@@ -114,9 +119,151 @@ const getPaymentDetails = async (paymentIntentId) => {
   }
 };
 
+/**
+ * Verify a webhook delivery against the raw request body and return the Stripe event.
+ * @param {Buffer|string} rawBody - Body exactly as Stripe sent it
+ * @param {string} signature - Value of the Stripe-Signature header
+ * @throws {BadRequestError} when the signature is missing or does not match
+ */
+const constructWebhookEvent = (rawBody, signature) => {
+  if (!signature) {
+    throw new BadRequestError('Missing Stripe signature');
+  }
+
+  try {
+    return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    logger.warn('Webhook signature verification failed in service', { error: error.message });
+    throw new BadRequestError('Invalid Stripe signature');
+  }
+};
+
+const findOrderForPayment = async (paymentIntentId, metadata = {}) => {
+  if (paymentIntentId) {
+    const order = await Order.findOne({ paymentIntentId });
+    if (order) {
+      return order;
+    }
+  }
+
+  return metadata.orderId ? Order.findById(metadata.orderId) : null;
+};
+
+// Moves the transition graph does not allow are late or out-of-order deliveries and are left alone
+const applyPaymentStatus = (order, status, event) => {
+  if (!canTransition('paymentStatus', order.paymentStatus, status)) {
+    logger.info('Payment status change skipped in service', {
+      orderId: order._id,
+      from: order.paymentStatus,
+      to: status
+    });
+    return false;
+  }
+
+  transitionStatus(order, 'paymentStatus', status, { note: `Stripe ${event.type} (${event.id})` });
+  return true;
+};
+
+/**
+ * Move an order's paymentStatus according to a verified Stripe event.
+ * @returns {Promise<Object|null>} the order the event applied to, or null when none matched
+ */
+const reconcilePaymentEvent = async (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+    case 'payment_intent.payment_failed': {
+      const order = await findOrderForPayment(object.id, object.metadata);
+      if (!order) {
+        return null;
+      }
+
+      order.paymentIntentId = object.id;
+      if (event.type === 'payment_intent.succeeded' && applyPaymentStatus(order, 'completed', event)) {
+        order.paidAt = new Date(event.created * 1000);
+      } else if (event.type === 'payment_intent.payment_failed') {
+        applyPaymentStatus(order, 'failed', event);
+      }
+
+      await order.save();
+      return order;
+    }
+
+    case 'charge.refunded': {
+      const order = await findOrderForPayment(object.payment_intent, object.metadata);
+      if (!order) {
+        return null;
+      }
+
+      order.refundedAmount = object.amount_refunded / 100; // Stripe amounts are in cents
+      // Partial refunds are recorded but the order stays paid
+      if (object.amount_refunded >= object.amount) {
+        applyPaymentStatus(order, 'refunded', event);
+      }
+
+      await order.save();
+      return order;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Process a verified Stripe event exactly once. The event ID is claimed first so
+ * redeliveries are acknowledged without touching the order again; if processing
+ * fails the claim is dropped so Stripe's retry can run it.
+ * @returns {Promise<{duplicate: boolean, result?: string}>}
+ */
+const handleWebhookEvent = async (event) => {
+  logger.info('Handling webhook event in service', { eventId: event.id, type: event.type });
+
+  try {
+    await WebhookEvent.create({ eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info('Duplicate webhook event skipped in service', { eventId: event.id });
+      return { duplicate: true };
+    }
+    throw error;
+  }
+
+  let order;
+  try {
+    order = await reconcilePaymentEvent(event);
+  } catch (error) {
+    logger.error('Webhook event processing failed in service', {
+      error: error.message,
+      eventId: event.id,
+      stack: error.stack
+    });
+    await WebhookEvent.deleteOne({ eventId: event.id });
+    throw error;
+  }
+
+  const result = order ? 'processed' : 'ignored';
+  await WebhookEvent.updateOne(
+    { eventId: event.id },
+    { result, order: order ? order._id : undefined, processedAt: new Date() }
+  );
+
+  logger.info('Webhook event handled in service', {
+    eventId: event.id,
+    type: event.type,
+    orderId: order ? order._id : null,
+    paymentStatus: order ? order.paymentStatus : null
+  });
+
+  return { duplicate: false, result };
+};
+
 module.exports = {
   createPaymentIntent,
   capturePayment,
   refundPayment,
-  getPaymentDetails
+  getPaymentDetails,
+  constructWebhookEvent,
+  handleWebhookEvent
 };
\ No newline at end of file
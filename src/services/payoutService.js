@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const VendorPayout = require('../models/VendorPayout');
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const { ValidationError, NotFoundError } = require('../errors');
+const { findVendor } = require('./vendorService');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const sum = (lines, field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+/**
+ * Issue a payout statement for a vendor's paid, delivered shares not yet on one.
+ * Shares are claimed for the statement before it is written, so two statements
+ * never list the same order.
+ * @param {Object} period
+ * @param {Date|string} [period.from] - Earliest delivery to include; everything unpaid when omitted
+ * @param {Date|string} [period.to] - Latest delivery to include; now when omitted
+ * @param {Object} admin - User issuing the statement
+ * @throws {ValidationError} when nothing is due for the period
+ */
+const createPayout = async (vendorId, { from, to } = {}, admin) => {
+  const vendor = await findVendor(vendorId);
+
+  const periodStart = from ? new Date(from) : undefined;
+  const periodEnd = to ? new Date(to) : new Date();
+  const deliveredAt = { $lte: periodEnd };
+  if (periodStart) {
+    deliveredAt.$gte = periodStart;
+  }
+
+  const payoutId = new mongoose.Types.ObjectId();
+  const due = { vendor: vendor._id, status: 'delivered', payout: null, deliveredAt };
+
+  await Order.updateMany(
+    { paymentStatus: 'completed', vendorOrders: { $elemMatch: due } },
+    { $set: { 'vendorOrders.$[share].payout': payoutId } },
+    {
+      arrayFilters: [{
+        'share.vendor': vendor._id,
+        'share.status': 'delivered',
+        'share.payout': null,
+        'share.deliveredAt': deliveredAt
+      }]
+    }
+  );
+
+  const orders = await Order.find({ 'vendorOrders.payout': payoutId })
+    .select('orderNumber vendorOrders')
+    .sort({ createdAt: 1 });
+
+  if (orders.length === 0) {
+    throw new ValidationError('No delivered orders are due for payout in this period');
+  }
+
+  const lines = orders.map((order) => {
+    const share = order.vendorOrders.find(vendorOrder => String(vendorOrder.payout) === String(payoutId));
+    return {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      deliveredAt: share.deliveredAt,
+      itemCount: share.itemCount,
+      salesAmount: share.salesAmount,
+      commissionAmount: share.commissionAmount,
+      payoutAmount: share.payoutAmount
+    };
+  });
+
+  let payout;
+  try {
+    const settings = (await Settings.findOne()) || new Settings();
+    const seq = await Counter.next('vendorPayout');
+
+    payout = await VendorPayout.create({
+      _id: payoutId,
+      statementNumber: `PAY-${String(seq).padStart(6, '0')}`,
+      vendor: vendor._id,
+      periodStart,
+      periodEnd,
+      lines,
+      orderCount: lines.length,
+      salesAmount: sum(lines, 'salesAmount'),
+      commissionAmount: sum(lines, 'commissionAmount'),
+      payoutAmount: sum(lines, 'payoutAmount'),
+      currency: settings.currency,
+      createdBy: admin._id || admin.id
+    });
+  } catch (error) {
+    // Hand the shares back so the next statement picks them up
+    await Order.updateMany(
+      { 'vendorOrders.payout': payoutId },
+      { $set: { 'vendorOrders.$[share].payout': null } },
+      { arrayFilters: [{ 'share.payout': payoutId }] }
+    );
+    throw error;
+  }
+
+  logger.info('Vendor payout statement created in service', {
+    payoutId: payout._id,
+    vendorId: vendor._id,
+    orderCount: payout.orderCount,
+    payoutAmount: payout.payoutAmount
+  });
+
+  return payout;
+};
+
+/**
+ * A payout statement; with a vendorId only that vendor's statements are found.
+ * @throws {NotFoundError}
+ */
+const getPayout = async (payoutId, vendorId) => {
+  const query = { _id: payoutId };
+  if (vendorId) {
+    query.vendor = vendorId;
+  }
+
+  const payout = await VendorPayout.findOne(query).populate('vendor', 'storeName slug payoutDetails');
+  if (!payout) {
+    throw new NotFoundError('Payout statement');
+  }
+  return payout;
+};
+
+/**
+ * Record that a statement has been paid to the vendor.
+ * @param {string} [reference] - Bank transfer or payment reference
+ * @throws {ValidationError} when the statement is already paid
+ */
+const markPayoutPaid = async (payoutId, reference, admin) => {
+  const payout = await VendorPayout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    {
+      status: 'paid',
+      paidAt: new Date(),
+      paymentReference: reference,
+      paidBy: admin._id || admin.id
+    },
+    { new: true }
+  );
+
+  if (!payout) {
+    if (!(await VendorPayout.exists({ _id: payoutId }))) {
+      throw new NotFoundError('Payout statement');
+    }
+    throw new ValidationError('Payout statement is already paid');
+  }
+
+  logger.info('Vendor payout marked paid in service', { payoutId, vendorId: payout.vendor });
+
+  return payout;
+};
+
+module.exports = {
+  createPayout,
+  getPayout,
+  markPayoutPaid
+};
@@ -0,0 +1,193 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+// Roles are read on every staff request and change rarely. Other processes pick up
+// a change once their cached copy expires.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const clearPermissionCache = () => cache.clear();
+
+/**
+ * Permissions granted by a role. admin always has all of them; unknown roles have none.
+ * @param {string} roleName - User.role
+ * @returns {Promise<string[]>}
+ */
+const getRolePermissions = async (roleName) => {
+  if (roleName === 'admin') {
+    return ALL_PERMISSIONS;
+  }
+
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).select('permissions');
+  const permissions = role ? role.permissions : [];
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Whether the user must use two-factor authentication: Settings.requireAdminTwoFactor
+ * covers every staff account, meaning any role that grants a permission
+ */
+const isTwoFactorRequired = async (user) => {
+  const settings = await Settings.findOne().select('requireAdminTwoFactor');
+  if (!settings || !settings.requireAdminTwoFactor) {
+    return false;
+  }
+  return (await getRolePermissions(user.role)).length > 0;
+};
+
+/**
+ * Whether the user's role grants every one of the permissions. While
+ * Settings.requireAdminTwoFactor is on, staff without two-factor hold none of them.
+ * @param {Object} user - User document or req.user
+ * @param {...string} permissions - e.g. 'orders:read'
+ */
+const hasPermission = async (user, ...permissions) => {
+  if (!user) {
+    return false;
+  }
+  const granted = await getRolePermissions(user.role);
+  if (!permissions.every(permission => granted.includes(permission))) {
+    return false;
+  }
+  return Boolean(user.twoFactor && user.twoFactor.enabled) || !(await isTwoFactorRequired(user));
+};
+
+// What the API shows for a role; admin lists permissions added after it was created too
+const serializeRole = (role, userCount) => ({
+  ...role.toObject(),
+  permissions: role.name === 'admin' ? ALL_PERMISSIONS : role.permissions,
+  ...(userCount !== undefined && { userCount })
+});
+
+/**
+ * Create the built-in roles that are missing. Existing roles are left alone.
+ */
+const ensureBuiltInRoles = async () => {
+  await Role.bulkWrite(BUILT_IN_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: { ...role, isSystem: true } },
+      upsert: true
+    }
+  })));
+};
+
+/**
+ * All roles with the number of users holding each
+ */
+const listRoles = async () => {
+  const [roles, counts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  const userCounts = new Map(counts.map(entry => [entry._id, entry.count]));
+  return roles.map(role => serializeRole(role, userCounts.get(role.name) || 0));
+};
+
+const loadRole = async (roleId) => {
+  const role = await Role.findById(roleId);
+  if (!role) {
+    throw new NotFoundError('Role');
+  }
+  return role;
+};
+
+const getRole = async (roleId) => {
+  const role = await loadRole(roleId);
+  return serializeRole(role, await User.countDocuments({ role: role.name }));
+};
+
+const createRole = async ({ name, description, permissions = [] }) => {
+  const role = await Role.create({ name, description, permissions });
+
+  logger.info('Role created in service', { roleId: role._id, name: role.name, permissions });
+  return serializeRole(role, 0);
+};
+
+/**
+ * Change a role's name, description or permissions. Users holding a renamed role keep it.
+ */
+const updateRole = async (roleId, { name, description, permissions }) => {
+  const role = await loadRole(roleId);
+  const previousName = role.name;
+
+  if (role.isSystem && name !== undefined && name !== role.name) {
+    throw new ValidationError('Built-in roles cannot be renamed');
+  }
+  if (permissions !== undefined && ['admin', 'customer'].includes(role.name)) {
+    throw new ValidationError(`The permissions of the ${role.name} role cannot be changed`);
+  }
+
+  if (name !== undefined) {
+    role.name = name;
+  }
+  if (description !== undefined) {
+    role.description = description;
+  }
+  if (permissions !== undefined) {
+    role.permissions = permissions;
+  }
+  await role.save();
+
+  if (role.name !== previousName) {
+    await User.updateMany({ role: previousName }, { role: role.name });
+  }
+  clearPermissionCache();
+
+  logger.info('Role updated in service', { roleId: role._id, name: role.name, permissions: role.permissions });
+  return serializeRole(role, await User.countDocuments({ role: role.name }));
+};
+
+/**
+ * Delete a role nobody holds. Built-in roles cannot be deleted.
+ */
+const deleteRole = async (roleId) => {
+  const role = await loadRole(roleId);
+  if (role.isSystem) {
+    throw new ValidationError('Built-in roles cannot be deleted');
+  }
+
+  const userCount = await User.countDocuments({ role: role.name });
+  if (userCount > 0) {
+    throw new ValidationError(`Role is assigned to ${userCount} user(s); give them another role first`);
+  }
+
+  await role.deleteOne();
+  clearPermissionCache();
+
+  logger.info('Role deleted in service', { roleId: role._id, name: role.name });
+};
+
+/**
+ * @throws {ValidationError} when no role has this name
+ */
+const assertRoleExists = async (roleName) => {
+  if (!(await Role.exists({ name: String(roleName).toLowerCase() }))) {
+    throw new ValidationError('Role does not exist', [{ field: 'role', message: `No role named ${roleName}` }]);
+  }
+};
+
+module.exports = {
+  getRolePermissions,
+  isTwoFactorRequired,
+  hasPermission,
+  clearPermissionCache,
+  ensureBuiltInRoles,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  assertRoleExists
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Address = require('../models/Address');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const ReturnRequest = require('../models/ReturnRequest');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const LoginHistory = require('../models/LoginHistory');
+const Vendor = require('../models/Vendor');
+const EmailLog = require('../models/EmailLog');
+const EmailOutbox = require('../models/EmailOutbox');
+const Settings = require('../models/Settings');
+const { ValidationError, NotFoundError } = require('../errors');
+const { getRolePermissions } = require('./permissionService');
+const { sendAccountDeletionEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Deletion waits for these to finish so refunds and deliveries can still reach the customer
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received'];
+
+// Street lines and phone numbers are removed from kept orders; city, state, postcode
+// and country stay for tax records
+const REMOVED = '[removed]';
+const DELETED_NAME = { firstName: 'Deleted', lastName: 'User' };
+
+// Store bookkeeping on the customer's orders that is not about the customer
+const ORDER_EXPORT_FIELDS = '-vendorOrders -items.vendor -items.commissionRate -items.commissionAmount -statusHistory.actor';
+
+const deletedEmail = userId => `deleted-${userId}@deleted.invalid`;
+
+// The user's orders, plus guest orders placed with their email once they have proven
+// they own it, the same rule claimGuestOrders uses
+const ordersOf = user => (user.isVerified
+  ? { $or: [{ user: user._id }, { isGuest: true, 'contact.email': user.email.toLowerCase() }] }
+  : { user: user._id });
+
+const findUser = async (userId, select) => {
+  const query = User.findById(userId);
+  const user = await (select ? query.select(select) : query);
+  if (!user || user.deletedAt) {
+    throw new NotFoundError('User');
+  }
+  return user;
+};
+
+/**
+ * Everything the store holds about a user, as one JSON-ready object. Secrets such as
+ * the password hash, one-time codes and two-factor keys are left out.
+ */
+const exportPersonalData = async (userId) => {
+  const user = await findUser(userId);
+
+  const [addresses, orders, reviews, wishlist, cart, returns, sessions, loginHistory, vendor] = await Promise.all([
+    Address.find({ user: userId }).lean(),
+    Order.find(ordersOf(user)).select(ORDER_EXPORT_FIELDS).sort({ createdAt: -1 }).lean(),
+    Review.find({ user: userId }).select('-helpfulVotes.voters -reported').lean(),
+    Wishlist.findOne({ user: userId }).lean(),
+    Cart.findOne({ user: userId }).lean(),
+    ReturnRequest.find({ user: userId }).select('-adminNote -handledBy').lean(),
+    Session.find({ user: userId, impersonatedBy: null }).select('userAgent ip createdAt lastUsedAt expiresAt revokedAt').lean(),
+    LoginHistory.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Vendor.findOne({ user: userId }).select('-reviewedBy').lean()
+  ]);
+
+  const account = user.toObject();
+  ['otp', 'otpExpire', 'resetPasswordToken', 'resetPasswordExpire', 'emailVerificationToken',
+    'emailVerificationExpire', 'failedLoginAttempts', 'lockUntil'].forEach((field) => {
+    delete account[field];
+  });
+
+  logger.info('Personal data exported in service', { userId, orderCount: orders.length });
+
+  return {
+    exportedAt: new Date(),
+    account,
+    addresses,
+    orders,
+    reviews,
+    wishlist,
+    cart,
+    returns,
+    sessions,
+    loginHistory,
+    vendor
+  };
+};
+
+/**
+ * Reasons an account cannot be deleted yet, or none
+ * @returns {Promise<string|null>}
+ */
+const deletionBlocker = async (user) => {
+  if ((await getRolePermissions(user.role)).length > 0) {
+    return 'Staff accounts cannot be deleted this way; ask an administrator';
+  }
+
+  const [openOrder, openReturn, vendor] = await Promise.all([
+    Order.exists({ ...ordersOf(user), orderStatus: { $in: OPEN_ORDER_STATUSES } }),
+    ReturnRequest.exists({ user: user._id, status: { $in: OPEN_RETURN_STATUSES } }),
+    Vendor.exists({ user: user._id, status: { $ne: 'rejected' } })
+  ]);
+
+  if (vendor) {
+    return 'Accounts with a vendor store cannot be deleted this way; contact the store to close it';
+  }
+  if (openOrder) {
+    return 'Accounts with orders still in progress cannot be deleted yet';
+  }
+  if (openReturn) {
+    return 'Accounts with returns still in progress cannot be deleted yet';
+  }
+  return null;
+};
+
+/**
+ * Schedule the user's account for deletion after ACCOUNT_DELETION_GRACE_DAYS. The
+ * account keeps working until then and the request can be cancelled.
+ * @param {string} password - Current password, to confirm the request
+ * @throws {ValidationError} on a wrong password or when the account cannot be deleted yet
+ */
+const requestAccountDeletion = async (userId, password) => {
+  const user = await findUser(userId, '+password');
+
+  if (!(await user.matchPassword(password || ''))) {
+    throw new ValidationError('Password is incorrect');
+  }
+  if (user.deletionScheduledFor) {
+    throw new ValidationError('Account deletion has already been requested');
+  }
+
+  const blocker = await deletionBlocker(user);
+  if (blocker) {
+    throw new ValidationError(blocker);
+  }
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  logger.info('Account deletion requested in service', {
+    userId: user._id,
+    deletionScheduledFor: user.deletionScheduledFor
+  });
+
+  try {
+    const settings = await Settings.findOne().select('timezone');
+    await sendAccountDeletionEmail(user, {
+      date: user.deletionScheduledFor.toLocaleDateString('en-GB', {
+        timeZone: (settings && settings.timezone) || 'Asia/Karachi',
+        dateStyle: 'medium'
+      }),
+      graceDays: DELETION_GRACE_DAYS
+    });
+  } catch (error) {
+    logger.error('Account deletion email failed in service', { error: error.message, userId: user._id });
+  }
+
+  return user;
+};
+
+const cancelAccountDeletion = async (userId) => {
+  const user = await findUser(userId);
+  if (!user.deletionScheduledFor) {
+    throw new ValidationError('Account deletion has not been requested');
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+
+  logger.info('Account deletion cancelled in service', { userId: user._id });
+
+  return user;
+};
+
+/**
+ * Remove a user's personal data. Orders, reviews and returns are kept for accounting
+ * and point at the anonymised account; contact details, street lines and notes are
+ * removed from the orders, including guest orders under a verified email. Reviews lose
+ * their order link, and the user's votes and reports on other reviews are dropped.
+ * Audit entries are append-only and are left alone; they hold the actor ID and role,
+ * and the email shown with them now belongs to the tombstone. Addresses, wishlist,
+ * cart, sessions, login history, a rejected vendor application and queued email are
+ * deleted. The user record stays as "Deleted User" with a random password so
+ * references keep resolving. Checks are the caller's; admins delete straight away.
+ *
+ * The steps run one after another and each can run twice, so a failed run is simply
+ * repeated: the guest order contact scrub comes after the steps that need those
+ * orders, and the user is only marked deleted once everything else has succeeded.
+ */
+const anonymiseUser = async (userId) => {
+  const user = await findUser(userId);
+  const orderIds = await Order.find(ordersOf(user)).distinct('_id');
+  const email = deletedEmail(user._id);
+  const ofUserOrOrders = { $or: [{ user: user._id }, { order: { $in: orderIds } }] };
+
+  const steps = [
+    // Sign out first so nothing new arrives while the rest runs
+    () => Session.deleteMany({ user: user._id }),
+    () => RefreshToken.deleteMany({ user: user._id }),
+    () => EmailLog.updateMany(ofUserOrOrders, { to: email }),
+    () => EmailOutbox.deleteMany(ofUserOrOrders),
+    () => Review.updateMany({ user: user._id }, { $unset: { order: '' } }),
+    () => Review.updateMany(
+      { 'helpfulVotes.voters.user': user._id },
+      { $pull: { 'helpfulVotes.voters': { user: user._id } } }
+    ),
+    () => Review.updateMany(
+      { 'reported.reports.user': user._id },
+      { $unset: { 'reported.reports.$[report].user': '' } },
+      { arrayFilters: [{ 'report.user': user._id }] }
+    ),
+    () => Address.deleteMany({ user: user._id }),
+    () => Wishlist.deleteMany({ user: user._id }),
+    () => Cart.deleteMany({ user: user._id }),
+    () => LoginHistory.deleteMany({ user: user._id }),
+    () => Vendor.deleteMany({ user: user._id, status: 'rejected' }),
+    ...['shippingAddress', 'billingAddress'].map(field => () => Order.updateMany(
+      { _id: { $in: orderIds }, [field]: { $ne: null } },
+      { $set: { [`${field}.street`]: REMOVED }, $unset: { [`${field}.phone`]: '' } }
+    )),
+    // Guest orders stop matching the user once their contact email is gone
+    () => Order.updateMany({ _id: { $in: orderIds } }, {
+      $set: { contact: { name: `${DELETED_NAME.firstName} ${DELETED_NAME.lastName}` } },
+      $unset: { notes: '' }
+    })
+  ];
+
+  for (const step of steps) {
+    await step();
+  }
+
+  await User.replaceOne({ _id: user._id }, {
+    ...DELETED_NAME,
+    email,
+    // replaceOne skips the hashing hook; nobody knows this password either way
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    role: 'customer',
+    isActive: false,
+    isVerified: false,
+    deletionRequestedAt: user.deletionRequestedAt,
+    deletedAt: new Date(),
+    createdAt: user.createdAt
+  });
+
+  logger.info('User anonymised in service', { userId: user._id, orderCount: orderIds.length });
+};
+
+/**
+ * Anonymise the accounts whose grace period has passed. Accounts that picked up an
+ * order or return in the meantime wait for the next run.
+ * @returns {Promise<{deleted: number, postponed: number, failed: number}>}
+ */
+const purgeDueAccounts = async ({ limit = 100 } = {}) => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() }, deletedAt: null }).limit(limit);
+  const summary = { deleted: 0, postponed: 0, failed: 0 };
+
+  for (const user of users) {
+    try {
+      const blocker = await deletionBlocker(user);
+      if (blocker) {
+        logger.warn('Account deletion postponed in service', { userId: user._id, reason: blocker });
+        summary.postponed += 1;
+        continue;
+      }
+
+      await anonymiseUser(user._id);
+      summary.deleted += 1;
+    } catch (error) {
+      logger.error('Account deletion failed in service', { error: error.message, userId: user._id });
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  exportPersonalData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymiseUser,
+  purgeDueAccounts
+};
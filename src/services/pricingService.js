@@ -0,0 +1,348 @@
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const { ValidationError, NotFoundError } = require('../errors');
+const { calculateDiscount, findCouponByCode } = require('./couponService');
+const { selectShippingMethod } = require('./shippingService');
+const { calculateTax } = require('./taxService');
+const logger = require('../utils/logger');
+
+// Client-submitted totals may differ from ours by rounding only
+const PRICE_TOLERANCE = 0.01;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Pick the variant an item refers to. Products with several variants must name one;
+ * single-variant products and the configured primary variant are used as defaults.
+ */
+const resolveVariant = (product, variantId) => {
+  if (!product.variants || product.variants.length === 0) {
+    return null;
+  }
+
+  if (variantId) {
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      throw new NotFoundError('Product variant');
+    }
+    return variant;
+  }
+
+  if (product.primaryVariant) {
+    const primary = product.variants.id(product.primaryVariant);
+    if (primary) {
+      return primary;
+    }
+  }
+
+  if (product.variants.length === 1) {
+    return product.variants[0];
+  }
+
+  throw new ValidationError(`Please select a variant for ${product.name}`);
+};
+
+/**
+ * Catalogue price for a product or variant: the sale price when one is set below the regular price.
+ * @returns {{ unitPrice: number, regularPrice: number, priceSource: string }}
+ */
+const getUnitPrice = (product, variant) => {
+  const source = variant || product;
+  const onSale = source.salePrice != null && source.salePrice > 0 && source.salePrice < source.price;
+
+  return {
+    unitPrice: onSale ? source.salePrice : source.price,
+    regularPrice: source.price,
+    priceSource: onSale ? 'salePrice' : 'price'
+  };
+};
+
+/**
+ * Locked line for a product/variant, as long as the lock has not expired.
+ */
+const findLockedLine = (priceLock, productId, variant) => {
+  if (!priceLock || !priceLock.expiresAt || priceLock.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const variantId = variant ? variant._id.toString() : '';
+  return (priceLock.lines || []).find(line =>
+    line.product.toString() === productId && (line.variant ? line.variant.toString() : '') === variantId
+  ) || null;
+};
+
+/**
+ * Price each requested item from the Product collection, ignoring any price sent by the client.
+ * Products without variants are refused.
+ * Rate-linked lines held by an unexpired price lock keep the price from when checkout started.
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {Object} [priceLock] - Cart price lock ({ expiresAt, lines })
+ */
+const buildPricedLines = async (items, priceLock = null) => {
+  const productIds = items.map(item => (item.product && item.product._id) || item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  return items.map((item) => {
+    const productId = ((item.product && item.product._id) || item.product).toString();
+    const product = productsById.get(productId);
+    if (!product || !product.isActive) {
+      throw new NotFoundError('Product');
+    }
+
+    const variant = resolveVariant(product, item.variant);
+    // Stock is counted per variant, so a product without one has nothing to sell,
+    // the same as in addToCart
+    if (!variant) {
+      throw new ValidationError(`${product.name} is currently unavailable`);
+    }
+    const locked = findLockedLine(priceLock, productId, variant);
+    const { unitPrice, regularPrice, priceSource } = locked || getUnitPrice(product, variant);
+    const rate = locked || (variant && variant.isRateLinked && variant.pricedWithRate) || {};
+
+    return {
+      product,
+      variant,
+      quantity: item.quantity,
+      price: unitPrice,
+      regularPrice,
+      priceSource,
+      metalRate: rate.metalRate,
+      ratePerGram: rate.ratePerGram,
+      rateLocked: Boolean(locked),
+      subtotal: roundAmount(unitPrice * item.quantity)
+    };
+  });
+};
+
+/**
+ * Shipping charge from the zone covering the address. Quotes without an address
+ * leave shipping out until the customer picks one.
+ */
+const calculateShipping = async ({ shippingAddress, shippingMethod, lines, discountedSubtotal, freeShipping }) => {
+  if (!shippingAddress) {
+    return { amount: 0, rule: 'not_calculated' };
+  }
+
+  const selected = await selectShippingMethod({
+    address: shippingAddress,
+    lines,
+    orderValue: discountedSubtotal,
+    method: shippingMethod
+  });
+
+  let rule = 'zone_rate';
+  if (freeShipping) {
+    rule = 'coupon_free_shipping';
+  } else if (selected.freeShipping) {
+    rule = 'free_shipping_threshold';
+  }
+
+  return {
+    amount: freeShipping ? 0 : selected.amount,
+    rule,
+    method: selected.code,
+    zone: selected.zone.name,
+    weight: selected.weight
+  };
+};
+
+/**
+ * Recompute every total of an order from catalogue data.
+ * @param {Object} params
+ * @param {Array} params.items - Requested items ({ product, variant, quantity })
+ * @param {string} [params.couponCode] - Coupon code to apply
+ * @param {Object} [params.priceLock] - Price lock taken when checkout started
+ * @param {Object} [params.shippingAddress] - Address to ship to; shipping is not charged without one
+ * @param {string} [params.shippingMethod] - Shipping method code; the cheapest available when omitted
+ * @param {Object} [params.taxAddress] - Address to work out tax for; defaults to the shipping
+ *   address, then Settings.taxAddress
+ * @returns {Promise<Object>} priced items, totals and the pricing breakdown stored on the order
+ */
+const priceOrder = async ({ items, couponCode, priceLock, shippingAddress, shippingMethod, taxAddress }) => {
+  logger.info('Pricing order in service', { itemCount: items.length, couponCode });
+
+  const settings = (await Settings.findOne()) || new Settings();
+  const lines = await buildPricedLines(items, priceLock);
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.subtotal, 0));
+
+  let coupon = null;
+  let discountAmount = 0;
+  let freeShipping = false;
+  let discountedLines;
+  if (couponCode) {
+    coupon = await findCouponByCode(couponCode);
+    const couponResult = calculateDiscount(coupon, lines);
+    discountAmount = couponResult.discountAmount;
+    freeShipping = couponResult.freeShipping;
+    discountedLines = couponResult.eligibleLines;
+  }
+
+  const discountedSubtotal = roundAmount(subtotal - discountAmount);
+
+  const shipping = await calculateShipping({
+    shippingAddress,
+    shippingMethod,
+    lines,
+    discountedSubtotal,
+    freeShipping
+  });
+
+  const tax = await calculateTax({
+    lines,
+    discountAmount,
+    discountedLines,
+    address: taxAddress || shippingAddress || settings.taxAddress,
+    settings
+  });
+  const taxAmount = tax.amount;
+  // Tax-inclusive prices already carry the tax, so it is only added on top for exclusive pricing
+  const totalAmount = roundAmount(discountedSubtotal + shipping.amount + (tax.inclusive ? 0 : taxAmount));
+
+  const pricing = {
+    computedAt: new Date(),
+    currency: settings.currency,
+    lines: lines.map((line, index) => ({
+      product: line.product._id,
+      variant: line.variant ? line.variant._id : undefined,
+      sku: line.variant ? line.variant.sku : undefined,
+      quantity: line.quantity,
+      regularPrice: line.regularPrice,
+      unitPrice: line.price,
+      priceSource: line.priceSource,
+      metalRate: line.metalRate,
+      ratePerGram: line.ratePerGram,
+      rateLocked: line.rateLocked,
+      subtotal: line.subtotal,
+      discountAmount: tax.lines[index].discountAmount,
+      taxClass: tax.lines[index].taxClass,
+      taxName: tax.lines[index].name,
+      taxRate: tax.lines[index].rate,
+      taxableAmount: tax.lines[index].taxableAmount,
+      taxAmount: tax.lines[index].amount
+    })),
+    coupon: coupon ? {
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      discountAmount,
+      freeShipping
+    } : undefined,
+    shipping: {
+      rule: shipping.rule,
+      method: shipping.method,
+      zone: shipping.zone,
+      weight: shipping.weight,
+      amount: shipping.amount
+    },
+    tax: {
+      inclusive: tax.inclusive,
+      country: tax.country,
+      province: tax.province,
+      taxableAmount: tax.taxableAmount,
+      amount: taxAmount,
+      breakdown: tax.breakdown
+    }
+  };
+
+  logger.info('Order priced in service', { subtotal, discountAmount, taxAmount, totalAmount });
+
+  return {
+    items: lines.map((line, index) => ({
+      product: line.product._id,
+      variant: line.variant ? line.variant._id : undefined,
+      name: line.product.name,
+      sku: line.variant ? line.variant.sku : undefined,
+      purity: line.variant ? line.variant.purity : undefined,
+      metalType: line.variant ? line.variant.metalType : undefined,
+      weight: line.variant ? line.variant.weight : line.product.weight,
+      size: line.variant ? line.variant.size : undefined,
+      quantity: line.quantity,
+      price: line.price,
+      subtotal: line.subtotal,
+      taxRate: tax.lines[index].rate,
+      taxAmount: tax.lines[index].amount
+    })),
+    lines,
+    coupon,
+    subtotal,
+    discountAmount,
+    shippingCost: shipping.amount,
+    shippingMethod: shipping.method,
+    taxAmount,
+    totalAmount,
+    pricing
+  };
+};
+
+/**
+ * Hold the current price of every rate-linked line for Settings.rateLockMinutes,
+ * so a metal rate published mid-checkout does not change what the customer pays.
+ * @param {Array} items - Cart items ({ product, variant, quantity })
+ * @returns {Promise<Object>} price lock to store on the cart
+ */
+const lockPrices = async (items) => {
+  const settings = (await Settings.findOne()) || new Settings();
+  const lines = await buildPricedLines(items);
+  const lockedAt = new Date();
+
+  const priceLock = {
+    lockedAt,
+    expiresAt: new Date(lockedAt.getTime() + settings.rateLockMinutes * 60 * 1000),
+    lines: lines
+      .filter(line => line.variant && line.variant.isRateLinked)
+      .map(line => ({
+        product: line.product._id,
+        variant: line.variant._id,
+        unitPrice: line.price,
+        regularPrice: line.regularPrice,
+        priceSource: line.priceSource,
+        metalRate: line.metalRate,
+        ratePerGram: line.ratePerGram
+      }))
+  };
+
+  logger.info('Prices locked in service', {
+    lineCount: priceLock.lines.length,
+    expiresAt: priceLock.expiresAt
+  });
+
+  return priceLock;
+};
+
+/**
+ * Compare totals the client displayed against the server-side quote.
+ * Only the fields the client actually sent are checked.
+ * @returns {Array<{field: string, message: string}>} one entry per mismatching field
+ */
+const findPriceMismatches = (clientTotals, quote) => {
+  const fields = ['subtotal', 'taxAmount', 'shippingCost', 'discountAmount', 'totalAmount'];
+
+  const mismatches = fields
+    .filter(field => clientTotals[field] !== undefined && clientTotals[field] !== null)
+    .filter(field => Math.abs(clientTotals[field] - quote[field]) > PRICE_TOLERANCE)
+    .map(field => ({
+      field,
+      message: `Expected ${quote[field]} but received ${clientTotals[field]}`
+    }));
+
+  (clientTotals.items || []).forEach((item, index) => {
+    if (item.price !== undefined && Math.abs(item.price - quote.items[index].price) > PRICE_TOLERANCE) {
+      mismatches.push({
+        field: `items.${index}.price`,
+        message: `Expected ${quote.items[index].price} but received ${item.price}`
+      });
+    }
+  });
+
+  return mismatches;
+};
+
+module.exports = {
+  resolveVariant,
+  getUnitPrice,
+  buildPricedLines,
+  priceOrder,
+  lockPrices,
+  findPriceMismatches
+};
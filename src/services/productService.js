@@ -1,5 +1,7 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const { NotFoundError } = require('../errors');
+const { generateUniqueSku } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 const getAllProducts = async (query) => {
@@ -64,23 +66,77 @@ const getProductById = async (productId) => {
   }
 };
 
-const createProduct = async (productData, userId) => {
+// Ownership, merchandising and ratings a vendor cannot set on its own products
+const STORE_MANAGED_FIELDS = ['_id', 'vendor', 'isFeatured', 'isNewArrival', 'rating'];
+
+const withoutStoreFields = (productData) => {
+  const data = { ...productData };
+  STORE_MANAGED_FIELDS.forEach((field) => {
+    delete data[field];
+  });
+  return data;
+};
+
+// Variants without a SKU get a generated one
+const withSkus = (productData) => {
+  if (!productData.variants || productData.variants.length === 0) {
+    return productData;
+  }
+
+  return {
+    ...productData,
+    variants: productData.variants.map((variant, index) => (
+      variant.sku ? variant : { ...variant, sku: generateUniqueSku(productData.name, index) }
+    ))
+  };
+};
+
+/**
+ * Load a product for a change. With a vendorId the product must belong to that
+ * vendor; other products look missing so vendors cannot probe each other's catalogue.
+ * @throws {NotFoundError}
+ */
+const findOwnedProduct = async (productId, vendorId) => {
+  const product = await Product.findById(productId);
+
+  if (!product || (vendorId && String(product.vendor) !== String(vendorId))) {
+    throw new NotFoundError('Product');
+  }
+
+  return product;
+};
+
+const assertCategoryExists = async (categoryId) => {
+  if (categoryId && !(await Category.exists({ _id: categoryId }))) {
+    throw new NotFoundError('Category');
+  }
+};
+
+/**
+ * Create a product. Staff pass no vendorId and create the store's own products.
+ * @param {string} [vendorId] - Approved vendor that will own the product
+ */
+const createProduct = async (productData, userId, vendorId) => {
   try {
-    logger.info('Creating product in service', { 
+    logger.info('Creating product in service', {
       productName: productData.name,
-      userId 
+      userId,
+      vendorId
     });
 
-    // Add user to product data
+    await assertCategoryExists(productData.category);
+
+    const data = withSkus(vendorId ? withoutStoreFields(productData) : productData);
     const product = await Product.create({
-      ...productData,
-      user: userId
+      ...data,
+      vendor: vendorId || data.vendor
     });
 
-    logger.info('Product created successfully in service', { 
+    logger.info('Product created successfully in service', {
       productId: product._id,
       productName: product.name,
-      userId 
+      userId,
+      vendorId
     });
 
     return product;
@@ -95,45 +151,35 @@ const createProduct = async (productData, userId) => {
   }
 };
 
-const updateProduct = async (productId, productData, userId, userRole) => {
+/**
+ * Update a product. With a vendorId only that vendor's products can be changed.
+ * @param {string} [vendorId] - Vendor the product must belong to
+ * @throws {NotFoundError} when the product does not exist or is not the vendor's
+ */
+const updateProduct = async (productId, productData, userId, vendorId) => {
   try {
-    logger.info('Updating product in service', { 
+    logger.info('Updating product in service', {
       productId,
-      userId 
+      userId,
+      vendorId
     });
 
-    const product = await Product.findById(productId);
-
-    if (!product) {
-      logger.warn('Product not found for update in service', { 
-        productId,
-        userId 
-      });
-      return null;
-    }
-
-    // Make sure user is product owner or admin
-    if (product.user.toString() !== userId && userRole !== 'admin') {
-      logger.warn('Update product unauthorized in service', { 
-        productId,
-        userId,
-        productOwner: product.user.toString()
-      });
-      throw new Error('Unauthorized');
-    }
+    await findOwnedProduct(productId, vendorId);
+    await assertCategoryExists(productData.category);
 
+    const data = withSkus(vendorId ? withoutStoreFields(productData) : productData);
     const updatedProduct = await Product.findByIdAndUpdate(
       productId,
-      productData,
+      data,
       {
         new: true,
         runValidators: true
       }
     );
 
-    logger.info('Product updated successfully in service', { 
+    logger.info('Product updated successfully in service', {
       productId: updatedProduct._id,
-      userId 
+      userId
     });
 
     return updatedProduct;
@@ -148,41 +194,25 @@ const updateProduct = async (productId, productData, userId, userRole) => {
   }
 };
 
-const deleteProduct = async (productId, userId, userRole) => {
+/**
+ * Delete a product. With a vendorId only that vendor's products can be deleted.
+ * @throws {NotFoundError} when the product does not exist or is not the vendor's
+ */
+const deleteProduct = async (productId, userId, vendorId) => {
   try {
-    logger.info('Deleting product in service', { 
+    logger.info('Deleting product in service', {
       productId,
-      userId 
+      userId,
+      vendorId
     });
 
-    const product = await Product.findById(productId);
-
-    if (!product) {
-      logger.warn('Product not found for deletion in service', { 
-        productId,
-        userId 
-      });
-      return false;
-    }
-
-    // Make sure user is product owner or admin
-    if (product.user.toString() !== userId && userRole !== 'admin') {
-      logger.warn('Delete product unauthorized in service', { 
-        productId,
-        userId,
-        productOwner: product.user.toString()
-      });
-      throw new Error('Unauthorized');
-    }
-
-    await product.remove();
+    await findOwnedProduct(productId, vendorId);
+    await Product.findByIdAndDelete(productId);
 
-    logger.info('Product deleted successfully in service', { 
+    logger.info('Product deleted successfully in service', {
       productId,
-      userId 
+      userId
     });
-
-    return true;
   } catch (error) {
     logger.error('Product deletion failed in service', {
       error: error.message,
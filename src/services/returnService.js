@@ -0,0 +1,345 @@
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Settings = require('../models/Settings');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../errors');
+const { releaseStock, restockOrder } = require('./inventoryService');
+const { releaseCoupon } = require('./couponService');
+const { refundPayment } = require('./paymentService');
+const { canTransition, buildHistoryEntry, syncVendorOrders, transitionStatus } = require('./orderStatusService');
+const { sendOrderCancelledEmail, sendReturnStatusEmail } = require('../utils/emailService');
+const logger = require('../utils/logger');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const generateRmaNumber = () => {
+  const date = new Date();
+  const dateStr = date.getFullYear().toString() + (date.getMonth() + 1).toString().padStart(2, '0') + date.getDate().toString().padStart(2, '0');
+  const randomStr = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `RMA-${dateStr}-${randomStr}`;
+};
+
+const sameLine = (a, b) =>
+  a.product.toString() === b.product.toString() &&
+  (a.variant ? a.variant.toString() : '') === (b.variant ? b.variant.toString() : '');
+
+const findOwnOrder = async (orderId, userId) => {
+  const order = await Order.findById(orderId).populate('user');
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+  if (!order.user || order.user._id.toString() !== userId.toString()) {
+    throw new ForbiddenError();
+  }
+  return order;
+};
+
+const notifyReturn = async (returnRequest) => {
+  try {
+    const order = await Order.findById(returnRequest.order).populate('user');
+    await sendReturnStatusEmail(order.user, order, returnRequest);
+  } catch (error) {
+    logger.error('Failed to send return status email in service', {
+      error: error.message,
+      returnId: returnRequest._id,
+      status: returnRequest.status
+    });
+  }
+};
+
+/**
+ * Refund part or all of an order. Orders paid through Stripe are refunded to the card;
+ * other payment methods are recorded as a manual refund for the finance team to settle.
+ * The order is modified but not saved.
+ * @param {Object} actor - User issuing the refund
+ * @returns {Promise<{amount: number, method: string, reference?: string, refundedAt: Date}>}
+ */
+const issueRefund = async (order, amount, actor) => {
+  const refundable = roundAmount(order.totalAmount - (order.refundedAmount || 0));
+  if (amount <= 0 || amount > refundable) {
+    throw new ValidationError(`Refund amount must be between 0 and ${refundable}`);
+  }
+
+  const refund = { amount, method: 'manual', refundedAt: new Date() };
+
+  if (order.paymentIntentId) {
+    const stripeRefund = await refundPayment(order.paymentIntentId, amount);
+    refund.method = 'stripe';
+    refund.reference = stripeRefund.id;
+  }
+
+  order.refundedAmount = roundAmount((order.refundedAmount || 0) + amount);
+  if (order.refundedAmount >= order.totalAmount && canTransition('paymentStatus', order.paymentStatus, 'refunded')) {
+    transitionStatus(order, 'paymentStatus', 'refunded', { actor, note: `Refunded ${amount} (${refund.method})` });
+  }
+
+  logger.info('Refund issued in service', {
+    orderId: order._id,
+    amount,
+    method: refund.method
+  });
+
+  return refund;
+};
+
+/**
+ * Cancel an order on behalf of its owner, put the stock back, release the coupon
+ * and refund anything already paid.
+ * @param {Object} user - Authenticated customer
+ */
+const cancelOrder = async (orderId, user, reason) => {
+  const userId = user.id;
+  logger.info('Cancelling order in service', { orderId, userId });
+
+  const existing = await findOwnOrder(orderId, userId);
+
+  if (!canTransition('orderStatus', existing.orderStatus, 'cancelled')) {
+    throw new ValidationError(`Orders that are ${existing.orderStatus} can no longer be cancelled`);
+  }
+
+  // Claim the transition atomically so a concurrent shipment cannot slip past the check
+  const order = await Order.findOneAndUpdate(
+    { _id: existing._id, orderStatus: existing.orderStatus },
+    {
+      orderStatus: 'cancelled',
+      cancelledAt: new Date(),
+      cancellationReason: reason,
+      $push: { statusHistory: buildHistoryEntry('orderStatus', existing.orderStatus, 'cancelled', { actor: user, note: reason }) }
+    },
+    { new: true }
+  ).populate('user');
+
+  if (!order) {
+    throw new ValidationError('Order status changed while cancelling, please try again');
+  }
+
+  if (syncVendorOrders(order, { actor: user, note: reason })) {
+    await order.save();
+  }
+
+  await restockOrder(order._id, 'cancelled');
+
+  if (order.couponCode) {
+    await releaseCoupon(order.couponCode);
+  }
+
+  if (order.paymentStatus === 'completed') {
+    await issueRefund(order, roundAmount(order.totalAmount - (order.refundedAmount || 0)), user);
+    await order.save();
+  }
+
+  try {
+    await sendOrderCancelledEmail(order.user, order);
+  } catch (error) {
+    logger.error('Failed to send order cancelled email in service', {
+      error: error.message,
+      orderId: order._id
+    });
+  }
+
+  logger.info('Order cancelled in service', { orderId: order._id, userId });
+
+  return order;
+};
+
+/**
+ * Open a return request for a delivered order within Settings.returnWindowDays.
+ * @param {Object} data
+ * @param {Array<{product: string, variant?: string, quantity: number}>} [data.items] - Items to return; all items when omitted
+ * @param {string} data.reasonCode
+ * @param {string} [data.comments]
+ * @param {Array<{url: string, public_id: string}>} [data.photos]
+ */
+const requestReturn = async (orderId, userId, { items, reasonCode, comments, photos = [] }) => {
+  logger.info('Requesting return in service', { orderId, userId, reasonCode });
+
+  const order = await findOwnOrder(orderId, userId);
+
+  if (order.orderStatus !== 'delivered' || !order.deliveredDate) {
+    throw new ValidationError('Only delivered orders can be returned');
+  }
+
+  const settings = (await Settings.findOne()) || new Settings();
+  const deadline = new Date(order.deliveredDate.getTime() + settings.returnWindowDays * 24 * 60 * 60 * 1000);
+  if (new Date() > deadline) {
+    throw new ValidationError(`Returns must be requested within ${settings.returnWindowDays} days of delivery`);
+  }
+
+  // Quantities already claimed by open or completed requests cannot be returned twice
+  const previous = await ReturnRequest.find({ order: order._id, status: { $ne: 'rejected' } });
+  const alreadyReturned = (line) => previous
+    .flatMap(request => request.items)
+    .filter(item => sameLine(item, line))
+    .reduce((sum, item) => sum + item.quantity, 0);
+
+  const requested = items && items.length > 0
+    ? items
+    : order.items.map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+
+  const returnItems = requested.map((item) => {
+    const orderItem = order.items.find(line => sameLine(line, item));
+    if (!orderItem) {
+      throw new ValidationError('Returned items must belong to the order');
+    }
+
+    const returnable = orderItem.quantity - alreadyReturned(orderItem);
+    if (item.quantity > returnable) {
+      throw new ValidationError(`Only ${returnable} of this item can be returned`);
+    }
+
+    return {
+      product: orderItem.product,
+      variant: orderItem.variant,
+      quantity: item.quantity,
+      price: orderItem.price
+    };
+  });
+
+  const returnRequest = await ReturnRequest.create({
+    rmaNumber: generateRmaNumber(),
+    order: order._id,
+    user: order.user._id,
+    items: returnItems,
+    reasonCode,
+    comments,
+    photos
+  });
+
+  await notifyReturn(returnRequest);
+
+  logger.info('Return requested in service', { returnId: returnRequest._id, orderId: order._id });
+
+  return returnRequest;
+};
+
+/**
+ * Move a return request from one status to the next. The filter on the current status
+ * makes every step run once even if an admin submits it twice.
+ */
+const transitionReturn = async (returnId, fromStatus, update) => {
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: returnId, status: fromStatus },
+    update,
+    { new: true }
+  );
+
+  if (!returnRequest) {
+    const existing = await ReturnRequest.findById(returnId);
+    if (!existing) {
+      throw new NotFoundError('Return request');
+    }
+    throw new ValidationError(`Return request is ${existing.status}, expected ${fromStatus}`);
+  }
+
+  return returnRequest;
+};
+
+const approveReturn = async (returnId, admin, note) => {
+  const returnRequest = await transitionReturn(returnId, 'requested', {
+    status: 'approved',
+    approvedAt: new Date(),
+    adminNote: note,
+    handledBy: admin.id
+  });
+
+  await notifyReturn(returnRequest);
+  logger.info('Return approved in service', { returnId, adminId: admin.id });
+
+  return returnRequest;
+};
+
+const rejectReturn = async (returnId, admin, note) => {
+  const returnRequest = await transitionReturn(returnId, 'requested', {
+    status: 'rejected',
+    rejectedAt: new Date(),
+    adminNote: note,
+    handledBy: admin.id
+  });
+
+  await notifyReturn(returnRequest);
+  logger.info('Return rejected in service', { returnId, adminId: admin.id });
+
+  return returnRequest;
+};
+
+/**
+ * Record that the returned goods arrived and put them back in stock.
+ * Once every item of the order has come back the order itself is marked returned.
+ */
+const receiveReturn = async (returnId, admin) => {
+  const returnRequest = await transitionReturn(returnId, 'approved', {
+    status: 'received',
+    receivedAt: new Date(),
+    handledBy: admin.id
+  });
+
+  const order = await Order.findById(returnRequest.order);
+  const received = await ReturnRequest.find({ order: order._id, status: { $in: ['received', 'refunded'] } });
+  const fullyReturned = order.items.every(line => received
+    .flatMap(request => request.items)
+    .filter(item => sameLine(item, line))
+    .reduce((sum, item) => sum + item.quantity, 0) >= line.quantity);
+
+  if (fullyReturned) {
+    transitionStatus(order, 'orderStatus', 'returned', { actor: admin, note: `Return ${returnRequest.rmaNumber} received` });
+    await order.save();
+  }
+
+  if (fullyReturned && received.length === 1) {
+    // Single full return: release through the order so it is never restocked twice
+    await restockOrder(order._id, 'returned');
+  } else {
+    await releaseStock(returnRequest.items, 'returned');
+    if (fullyReturned) {
+      await Order.updateOne({ _id: order._id }, { stockReleasedAt: new Date() });
+    }
+  }
+
+  await notifyReturn(returnRequest);
+  logger.info('Return received in service', { returnId, adminId: admin.id, fullyReturned });
+
+  return returnRequest;
+};
+
+/**
+ * Refund a received return. Defaults to the returned items' share of what the customer
+ * paid, after any order discount.
+ * @param {number} [amount] - Override for the refund amount
+ */
+const refundReturn = async (returnId, admin, amount) => {
+  const returnRequest = await transitionReturn(returnId, 'received', {
+    status: 'refunded',
+    handledBy: admin.id
+  });
+
+  try {
+    const order = await Order.findById(returnRequest.order);
+
+    let refundAmount = amount;
+    if (refundAmount === undefined || refundAmount === null) {
+      const itemsValue = returnRequest.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+      const discountShare = order.subtotal > 0 ? (order.discountAmount || 0) / order.subtotal : 0;
+      refundAmount = roundAmount(itemsValue * (1 - discountShare));
+    }
+
+    returnRequest.refund = await issueRefund(order, refundAmount, admin);
+    await order.save();
+    await returnRequest.save();
+  } catch (error) {
+    await ReturnRequest.updateOne({ _id: returnRequest._id }, { status: 'received' });
+    throw error;
+  }
+
+  await notifyReturn(returnRequest);
+  logger.info('Return refunded in service', { returnId, adminId: admin.id, amount: returnRequest.refund.amount });
+
+  return returnRequest;
+};
+
+module.exports = {
+  cancelOrder,
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+};
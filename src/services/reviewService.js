@@ -1,5 +1,6 @@
 const Review = require('../models/Review');
 const Product = require('../models/Product');
+const { hasPermission } = require('./permissionService');
 const logger = require('../utils/logger');
 
 const getReviewsByProduct = async (productId) => {
@@ -182,7 +183,13 @@ const updateReview = async (reviewId, userId, rating, comment) => {
   }
 };
 
-const deleteReview = async (reviewId, userId, userRole) => {
+/**
+ * Delete a review as its author or as a user holding reviews:moderate.
+ * @param {Object} user - User document or req.user
+ */
+const deleteReview = async (reviewId, user) => {
+  const userId = user.id;
+
   try {
     logger.info('Deleting review in service', { 
       reviewId, 
@@ -199,8 +206,8 @@ const deleteReview = async (reviewId, userId, userRole) => {
       return false;
     }
 
-    // Make sure user is review owner or admin
-    if (review.user.toString() !== userId && userRole !== 'admin') {
+    // Make sure user is review owner or a moderator
+    if (review.user.toString() !== userId && !(await hasPermission(user, 'reviews:moderate'))) {
       logger.warn('Delete review - unauthorized access in service', { 
         reviewId,
         userId,
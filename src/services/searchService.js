@@ -35,7 +35,7 @@ const searchProducts = async (query, filters = {}) => {
     }
 
     if (filters.inStock !== undefined) {
-      searchQuery.countInStock = { $gt: 0 };
+      searchQuery['variants.stockQuantity'] = { $gt: 0 };
     }
 
     const products = await Product.find(searchQuery)
@@ -92,7 +92,7 @@ const advancedSearch = async (params) => {
 
     // Handle in stock only
     if (params.inStock) {
-      searchQuery.countInStock = { $gt: 0 };
+      searchQuery['variants.stockQuantity'] = { $gt: 0 };
     }
 
     // Handle sorting
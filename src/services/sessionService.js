@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { UnauthorizedError, NotFoundError, ForbiddenError } = require('../errors');
+const { getRolePermissions } = require('./permissionService');
+const logger = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const issueRefreshToken = async (session) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const record = await RefreshToken.create({
+    session: session._id,
+    user: session.user,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt
+  });
+  return { token, record };
+};
+
+const tokenResponse = (user, session, refreshToken) => ({
+  accessToken: user.getSignedJwtToken(session._id.toString()),
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  session
+});
+
+/**
+ * Start a session for a device that just signed in
+ * @param {Object} user - User document
+ * @param {Object} [device] - { userAgent, ip }
+ * @returns {Promise<{accessToken: string, refreshToken: string, refreshTokenExpiresAt: Date, session: Object}>}
+ */
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const session = await Session.create({
+    user: user._id,
+    userAgent,
+    ip,
+    expiresAt: refreshExpiry()
+  });
+  const { token } = await issueRefreshToken(session);
+
+  logger.info('Session created in service', { userId: user._id, sessionId: session._id });
+  return tokenResponse(user, session, token);
+};
+
+/**
+ * Let a staff member use a customer's account for support. The session has no refresh
+ * token and ends after IMPERSONATION_TTL_MINUTES; its access token names the staff
+ * member, so requests made with it can be told apart and recorded against them.
+ * @param {Object} staff - req.user of the staff member
+ * @param {string} userId - Customer to impersonate
+ * @param {Object} options - { reason, userAgent, ip }
+ * @throws {ForbiddenError} when the account holds any staff permission or is inactive
+ */
+const createImpersonationSession = async (staff, userId, { reason, userAgent, ip } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  if (!user.isActive) {
+    throw new ForbiddenError('Inactive accounts cannot be impersonated');
+  }
+  // Impersonating staff would hand out their permissions
+  if ((await getRolePermissions(user.role)).length > 0) {
+    throw new ForbiddenError('Staff accounts cannot be impersonated');
+  }
+
+  const staffId = String(staff._id || staff.id);
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+  const session = await Session.create({
+    user: user._id,
+    userAgent,
+    ip,
+    expiresAt,
+    impersonatedBy: staffId,
+    impersonationReason: reason
+  });
+
+  logger.warn('Impersonation session created in service', {
+    userId: user._id,
+    staffId,
+    sessionId: session._id,
+    reason
+  });
+
+  return {
+    accessToken: user.getSignedJwtToken(session._id.toString(), {
+      impersonatedBy: staffId,
+      expiresIn: IMPERSONATION_TTL_MINUTES * 60
+    }),
+    expiresAt,
+    session,
+    user
+  };
+};
+
+/**
+ * End a session: its refresh tokens stop working and access tokens naming it are rejected
+ * @returns {Promise<boolean>} false when the session was already revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info('Session revoked in service', { sessionId, reason });
+  }
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every active session of a user, optionally keeping one (the caller's own)
+ * @returns {Promise<number>} sessions revoked
+ */
+const revokeUserSessions = async (userId, { except, reason }) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+
+  logger.info('User sessions revoked in service', { userId, reason, count: result.modifiedCount });
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. Each refresh
+ * token works once; presenting one that was already exchanged means it was copied,
+ * so the whole session is revoked.
+ * @param {string} token - Refresh token
+ * @param {Object} [device] - { userAgent, ip } of the caller
+ */
+const rotateRefreshToken = async (token, { userAgent, ip } = {}) => {
+  if (!token) {
+    throw new UnauthorizedError('Refresh token is required');
+  }
+
+  const now = new Date();
+  const tokenHash = hashToken(token);
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const used = await RefreshToken.findOne({ tokenHash });
+    if (used && used.usedAt) {
+      await revokeSession(used.session, 'token_reuse');
+      logger.warn('Refresh token reuse detected in service', {
+        userId: used.user,
+        sessionId: used.session,
+        ip
+      });
+    }
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const session = await Session.findById(current.session);
+  if (!session || session.revokedAt || session.expiresAt <= now) {
+    throw new UnauthorizedError('Session has ended');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'logout');
+    throw new UnauthorizedError('Account is not active');
+  }
+
+  const { token: nextToken, record } = await issueRefreshToken(session);
+  current.replacedBy = record._id;
+  await current.save();
+
+  session.lastUsedAt = now;
+  session.userAgent = userAgent || session.userAgent;
+  session.ip = ip || session.ip;
+  await session.save();
+
+  return tokenResponse(user, session, nextToken);
+};
+
+/**
+ * Whether an access token's session may still be used. Impersonation tokens only
+ * match the impersonation session of the same staff member, and other tokens only
+ * ordinary sessions.
+ * @param {string} [impersonatedBy] - `imp` claim of the token
+ */
+const isSessionActive = async (sessionId, userId, impersonatedBy) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.exists({
+    _id: sessionId,
+    user: userId,
+    impersonatedBy: impersonatedBy || null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+};
+
+/**
+ * Active sessions of a user, most recently used first. Staff impersonation sessions
+ * are left out; they are in the audit log.
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the caller, flagged as `current`
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    impersonatedBy: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  }));
+};
+
+/**
+ * End one of the user's own sessions
+ */
+const endUserSession = async (userId, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+  if (!session) {
+    throw new NotFoundError('Session');
+  }
+
+  await revokeSession(session._id, 'ended_by_user');
+  return session;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  IMPERSONATION_TTL_MINUTES,
+  hashToken,
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listSessions,
+  endUserSession
+};
@@ -0,0 +1,132 @@
+const ShippingZone = require('../models/ShippingZone');
+const { ValidationError } = require('../errors');
+const logger = require('../utils/logger');
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const matchesList = (list, value) =>
+  !list || list.length === 0 || list.some(entry => normalize(entry) === normalize(value));
+
+// City zones beat province zones, which beat country zones, which beat catch-alls
+const specificity = (zone) =>
+  (zone.cities.length > 0 ? 4 : 0) + (zone.provinces.length > 0 ? 2 : 0) + (zone.countries.length > 0 ? 1 : 0);
+
+/**
+ * Most specific active zone covering an address.
+ * @param {Object} address - { country, state, city }
+ * @returns {Promise<Object|null>}
+ */
+const findZoneForAddress = async (address) => {
+  const zones = await ShippingZone.find({ isActive: true });
+
+  const matching = zones.filter(zone =>
+    matchesList(zone.countries, address.country) &&
+    matchesList(zone.provinces, address.state) &&
+    matchesList(zone.cities, address.city)
+  );
+
+  matching.sort((a, b) => specificity(b) - specificity(a) || b.priority - a.priority);
+
+  return matching[0] || null;
+};
+
+/**
+ * Shipping weight of priced lines in grams. Variant weight wins over product weight.
+ */
+const calculateWeight = (lines) => lines.reduce((sum, line) => {
+  const weight = (line.variant && line.variant.weight) || (line.product && line.product.weight) || 0;
+  return sum + weight * line.quantity;
+}, 0);
+
+const findRate = (method, weight, orderValue) => method.rates.find(rate =>
+  weight >= (rate.minWeight || 0) &&
+  (rate.maxWeight == null || weight < rate.maxWeight) &&
+  orderValue >= (rate.minOrderValue || 0) &&
+  (rate.maxOrderValue == null || orderValue < rate.maxOrderValue)
+);
+
+/**
+ * Shipping methods available for an address and what each costs for this order,
+ * cheapest first. Methods with no rate bracket covering the order are left out.
+ * @param {Object} params
+ * @param {Object} params.address - { country, state, city }
+ * @param {Array} params.lines - Priced lines from pricingService.buildPricedLines
+ * @param {number} params.orderValue - Subtotal after discounts
+ * @returns {Promise<{zone: Object, weight: number, methods: Array}>}
+ */
+const getShippingOptions = async ({ address, lines, orderValue }) => {
+  const zone = await findZoneForAddress(address);
+  if (!zone) {
+    logger.warn('No shipping zone for address in service', {
+      country: address.country,
+      state: address.state,
+      city: address.city
+    });
+    throw new ValidationError(`We do not deliver to ${address.city || address.country} yet`);
+  }
+
+  const weight = calculateWeight(lines);
+
+  const methods = zone.methods
+    .filter(method => method.isActive)
+    .map((method) => {
+      const rate = findRate(method, weight, orderValue);
+      if (!rate) {
+        return null;
+      }
+
+      const freeShipping = method.freeShippingThreshold > 0 && orderValue >= method.freeShippingThreshold;
+
+      return {
+        code: method.code,
+        name: method.name,
+        description: method.description,
+        estimatedDays: method.estimatedDays,
+        amount: freeShipping ? 0 : rate.price,
+        freeShipping,
+        freeShippingThreshold: method.freeShippingThreshold || undefined
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.amount - b.amount);
+
+  return {
+    zone: { id: zone._id, name: zone.name },
+    weight,
+    methods
+  };
+};
+
+/**
+ * Shipping for an order: the requested method, or the cheapest one when none is given.
+ * @param {string} [params.method] - Shipping method code
+ * @returns {Promise<Object>} the chosen method with its zone and the order weight
+ */
+const selectShippingMethod = async ({ address, lines, orderValue, method }) => {
+  const options = await getShippingOptions({ address, lines, orderValue });
+
+  if (options.methods.length === 0) {
+    throw new ValidationError('No shipping method is available for this order');
+  }
+
+  const selected = method
+    ? options.methods.find(option => option.code === normalize(method))
+    : options.methods[0];
+
+  if (!selected) {
+    throw new ValidationError(`Shipping method ${method} is not available for this address`);
+  }
+
+  return {
+    ...selected,
+    zone: options.zone,
+    weight: options.weight
+  };
+};
+
+module.exports = {
+  findZoneForAddress,
+  calculateWeight,
+  getShippingOptions,
+  selectShippingMethod
+};
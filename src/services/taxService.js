@@ -0,0 +1,161 @@
+const Category = require('../models/Category');
+const TaxRate = require('../models/TaxRate');
+const logger = require('../utils/logger');
+
+const MAX_CATEGORY_DEPTH = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Tax class of each product: its own, else the nearest one up its subcategory and
+ * category chain, else the store default.
+ * @param {Array} products - Product documents
+ * @param {string} defaultTaxClass
+ * @returns {Promise<Map<string, string>>} product ID to tax class
+ */
+const resolveTaxClasses = async (products, defaultTaxClass) => {
+  const categories = new Map();
+  let pending = products
+    .filter(product => !product.taxClass)
+    .flatMap(product => [product.subcategory, product.category])
+    .filter(Boolean)
+    .map(id => id.toString());
+
+  for (let depth = 0; depth < MAX_CATEGORY_DEPTH && pending.length > 0; depth += 1) {
+    const found = await Category.find({ _id: { $in: pending } }).select('taxClass parentCategory');
+    found.forEach(category => categories.set(category._id.toString(), category));
+
+    pending = found
+      .filter(category => !category.taxClass && category.parentCategory)
+      .map(category => category.parentCategory.toString())
+      .filter(id => !categories.has(id));
+  }
+
+  const classOfCategory = (id) => {
+    let category = id ? categories.get(id.toString()) : null;
+    for (let depth = 0; category && depth < MAX_CATEGORY_DEPTH; depth += 1) {
+      if (category.taxClass) {
+        return category.taxClass;
+      }
+      category = category.parentCategory ? categories.get(category.parentCategory.toString()) : null;
+    }
+    return null;
+  };
+
+  return new Map(products.map(product => [
+    product._id.toString(),
+    product.taxClass || classOfCategory(product.subcategory) || classOfCategory(product.category) || defaultTaxClass
+  ]));
+};
+
+/**
+ * Rate for a tax class at an address: the province rate when there is one,
+ * else the country-wide rate. Classes with no rate are not taxed.
+ */
+const findRate = (rates, taxClass, address) => {
+  const candidates = rates.filter(rate =>
+    rate.taxClass === taxClass && normalize(rate.country) === normalize(address.country)
+  );
+
+  return candidates.find(rate => rate.province && normalize(rate.province) === normalize(address.state)) ||
+    candidates.find(rate => !rate.province) ||
+    null;
+};
+
+/**
+ * Work out sales tax for priced lines shipped to an address. The coupon discount is
+ * spread over the lines it applied to in proportion to their subtotals, and each line
+ * is taxed on what is left. With tax-inclusive pricing the tax is extracted from the
+ * line instead of added to it.
+ * @param {Object} params
+ * @param {Array} params.lines - Priced lines from pricingService.buildPricedLines
+ * @param {number} [params.discountAmount=0]
+ * @param {Array} [params.discountedLines] - Lines the coupon applied to; all lines when omitted
+ * @param {Object} [params.address] - { country, state }; without one no rate applies
+ * @param {Object} params.settings - Settings document
+ * @returns {Promise<Object>} { inclusive, country, province, taxableAmount, amount, breakdown, lines }
+ */
+const calculateTax = async ({ lines, discountAmount = 0, discountedLines, address, settings }) => {
+  // Quotes before checkout may have neither a shipping address nor Settings.taxAddress
+  const taxAddress = address || {};
+  const inclusive = Boolean(settings.pricesIncludeTax);
+  const taxClasses = await resolveTaxClasses(lines.map(line => line.product), settings.defaultTaxClass);
+
+  const rates = await TaxRate.find({
+    isActive: true,
+    taxClass: { $in: [...new Set(taxClasses.values())] }
+  });
+
+  const discounted = discountedLines || lines;
+  const discountBase = discounted.reduce((sum, line) => sum + line.subtotal, 0);
+
+  // Allocate the discount line by line; the last discounted line takes the rounding remainder
+  let discountLeft = discountAmount;
+  const lineDiscounts = new Map();
+  discounted.forEach((line, index) => {
+    const share = index === discounted.length - 1
+      ? discountLeft
+      : roundAmount(discountBase > 0 ? discountAmount * (line.subtotal / discountBase) : 0);
+    lineDiscounts.set(line, share);
+    discountLeft = roundAmount(discountLeft - share);
+  });
+
+  const taxLines = lines.map((line) => {
+    const taxClass = taxClasses.get(line.product._id.toString());
+    const rate = findRate(rates, taxClass, taxAddress);
+    const percentage = rate ? rate.rate : 0;
+    const lineDiscount = lineDiscounts.get(line) || 0;
+    const net = roundAmount(line.subtotal - lineDiscount);
+
+    const taxAmount = inclusive
+      ? roundAmount(net - net / (1 + percentage / 100))
+      : roundAmount(net * (percentage / 100));
+
+    return {
+      taxClass,
+      name: rate ? rate.name : undefined,
+      rate: percentage,
+      discountAmount: lineDiscount,
+      taxableAmount: inclusive ? roundAmount(net - taxAmount) : net,
+      amount: taxAmount
+    };
+  });
+
+  const breakdown = [];
+  taxLines.forEach((taxLine) => {
+    let entry = breakdown.find(item => item.taxClass === taxLine.taxClass && item.rate === taxLine.rate);
+    if (!entry) {
+      entry = { taxClass: taxLine.taxClass, name: taxLine.name, rate: taxLine.rate, taxableAmount: 0, amount: 0 };
+      breakdown.push(entry);
+    }
+    entry.taxableAmount = roundAmount(entry.taxableAmount + taxLine.taxableAmount);
+    entry.amount = roundAmount(entry.amount + taxLine.amount);
+  });
+
+  const missing = breakdown.filter(entry => !entry.name).map(entry => entry.taxClass);
+  if (missing.length > 0) {
+    logger.warn('No tax rate for tax class in service', {
+      taxClasses: missing,
+      country: taxAddress.country,
+      province: taxAddress.state
+    });
+  }
+
+  return {
+    inclusive,
+    country: taxAddress.country,
+    province: taxAddress.state,
+    taxableAmount: roundAmount(taxLines.reduce((sum, taxLine) => sum + taxLine.taxableAmount, 0)),
+    amount: roundAmount(taxLines.reduce((sum, taxLine) => sum + taxLine.amount, 0)),
+    breakdown,
+    lines: taxLines
+  };
+};
+
+module.exports = {
+  resolveTaxClasses,
+  findRate,
+  calculateTax
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { assertLoginAllowed, recordFailedLogin } = require('./loginSecurityService');
+const { isTwoFactorRequired } = require('./permissionService');
+const {
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  ForbiddenError
+} = require('../errors');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+// Wrong codes allowed per login before the password has to be entered again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.challengeId',
+  '+twoFactor.challengeAttempts'
+].join(' ');
+
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+// TOTP secrets have to be read back to check codes, so they are encrypted rather than hashed
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = code => String(code || '').trim().toLowerCase();
+
+const hashRecoveryCode = code => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+const loadUser = async (userId, extraFields = '') => {
+  const user = await User.findById(userId).select(`${SECRET_FIELDS} ${extraFields}`.trim());
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  return user;
+};
+
+/**
+ * Check an authenticator code or a recovery code against an enrolled user. Accepted
+ * codes are used up: the TOTP time step is remembered and recovery codes are removed.
+ * The caller saves the user.
+ * @returns {string|null} 'totp' or 'recovery_code' when accepted
+ */
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step !== null && step > (user.twoFactor.lastUsedStep || 0)) {
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+    return null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.twoFactor.recoveryCodes || [];
+    if (remaining.includes(hash)) {
+      user.twoFactor.recoveryCodes = remaining.filter(candidate => candidate !== hash);
+      return 'recovery_code';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Two-factor state for the account settings page
+ */
+const getTwoFactorStatus = async (userId) => {
+  const user = await loadUser(userId);
+
+  return {
+    enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    enabledAt: user.twoFactor && user.twoFactor.enabledAt,
+    recoveryCodesRemaining: user.twoFactor && user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    required: await isTwoFactorRequired(user)
+  };
+};
+
+/**
+ * Begin enrollment: a new secret to add to an authenticator app. Nothing changes for
+ * the account until a code from it is confirmed with confirmEnrollment.
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+const startEnrollment = async (userId) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  const settings = await Settings.findOne().select('siteName');
+  const issuer = (settings && settings.siteName) || 'Azra Nishat';
+
+  logger.info('Two-factor enrollment started in service', { userId: user._id });
+  return { secret, otpauthUrl: buildOtpauthUrl(secret, user.email, issuer) };
+};
+
+/**
+ * Finish enrollment with a code from the new secret
+ * @returns {Promise<string[]>} recovery codes, shown to the user once
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    throw new ValidationError('Invalid two-factor code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Two-factor authentication enabled in service', { userId: user._id });
+  return recoveryCodes;
+};
+
+// Changes that weaken or reset the second factor need the password and a current code
+const reauthenticate = async (userId, { password, code, recoveryCode }) => {
+  const user = await loadUser(userId, '+password');
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await user.matchPassword(password || ''))) {
+    throw new ValidationError('Password is incorrect');
+  }
+  if (!checkSecondFactor(user, { code, recoveryCode })) {
+    throw new ValidationError('Invalid two-factor code');
+  }
+  return user;
+};
+
+/**
+ * Turn two-factor authentication off after re-authenticating
+ */
+const disableTwoFactor = async (userId, credentials) => {
+  const user = await reauthenticate(userId, credentials);
+  if (await isTwoFactorRequired(user)) {
+    throw new ForbiddenError('Two-factor authentication is required for staff accounts');
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Two-factor authentication disabled in service', { userId: user._id });
+};
+
+/**
+ * Replace all recovery codes after re-authenticating
+ * @returns {Promise<string[]>} the new recovery codes
+ */
+const regenerateRecoveryCodes = async (userId, credentials) => {
+  const user = await reauthenticate(userId, credentials);
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Two-factor recovery codes regenerated in service', { userId: user._id });
+  return recoveryCodes;
+};
+
+/**
+ * Hold a password login until the second factor is given
+ * @returns {Promise<string>} short-lived token naming the pending login
+ */
+const createChallenge = async (user) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  await User.updateOne(
+    { _id: user._id },
+    { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 }
+  );
+
+  return jwt.sign({ id: user._id.toString(), cid: challengeId, type: 'two_factor' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL
+  });
+};
+
+/**
+ * Finish a login held by createChallenge
+ * @param {string} token - Token returned with the password step
+ * @param {Object} factor - { code } from the authenticator app, or { recoveryCode }
+ * @param {Object} [device] - { userAgent, ip }, for the login history
+ * @returns {Promise<{user: Object, method: string}>}
+ */
+const completeChallenge = async (token, factor, device = {}) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError('Two-factor login has expired, please sign in again');
+  }
+  if (payload.type !== 'two_factor') {
+    throw new UnauthorizedError('Two-factor login has expired, please sign in again');
+  }
+
+  const user = await User.findById(payload.id).select(SECRET_FIELDS);
+  if (!user || !user.twoFactor.enabled || user.twoFactor.challengeId !== payload.cid) {
+    throw new UnauthorizedError('Two-factor login has expired, please sign in again');
+  }
+
+  await assertLoginAllowed(user, device);
+
+  const method = checkSecondFactor(user, factor);
+  if (!method) {
+    // Wrong codes count towards the account lockout as well as ending this challenge
+    await recordFailedLogin(user, device, 'invalid_two_factor');
+    user.twoFactor.challengeAttempts = (user.twoFactor.challengeAttempts || 0) + 1;
+    if (user.twoFactor.challengeAttempts >= MAX_CHALLENGE_ATTEMPTS) {
+      user.twoFactor.challengeId = undefined;
+    }
+    await user.save({ validateBeforeSave: false });
+
+    logger.warn('Two-factor code rejected in service', {
+      userId: user._id,
+      attempts: user.twoFactor.challengeAttempts
+    });
+    throw new UnauthorizedError('Invalid two-factor code');
+  }
+
+  user.twoFactor.challengeId = undefined;
+  user.twoFactor.challengeAttempts = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info('Two-factor login completed in service', { userId: user._id, method });
+  return { user, method };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createChallenge,
+  completeChallenge
+};
@@ -0,0 +1,137 @@
+const Order = require('../models/Order');
+const { ValidationError, NotFoundError } = require('../errors');
+const { canTransition } = require('./orderStatusService');
+const logger = require('../utils/logger');
+
+const sameId = (a, b) => String(a && a._id ? a._id : a) === String(b);
+
+const findShare = (order, vendorId) => order.vendorOrders.find(share => sameId(share.vendor, vendorId));
+
+const customerName = (order) => {
+  if (order.user && order.user.firstName) {
+    return [order.user.firstName, order.user.lastName].filter(Boolean).join(' ');
+  }
+  return (order.contact && order.contact.name) || undefined;
+};
+
+/**
+ * What a vendor sees of an order: its own items and share, and where to ship them.
+ * Other vendors' items, payment details and the customer's account stay hidden.
+ */
+const toVendorView = (order, vendorId) => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  createdAt: order.createdAt,
+  orderStatus: order.orderStatus,
+  paymentStatus: order.paymentStatus,
+  paymentMethod: order.paymentMethod,
+  customerName: customerName(order),
+  shippingAddress: order.shippingAddress,
+  shippingMethod: order.shippingMethod,
+  items: order.items.filter(item => sameId(item.vendor, vendorId)),
+  fulfilment: findShare(order, vendorId)
+});
+
+/**
+ * A vendor's orders, newest first.
+ * @param {Object} options
+ * @param {string} [options.status] - Only shares in this status
+ * @returns {Promise<{orders: Array, totalItems: number}>}
+ */
+const listVendorOrders = async (vendorId, { status, skip = 0, limit = 10 } = {}) => {
+  const share = { vendor: vendorId };
+  if (status) {
+    share.status = status;
+  }
+  const query = { vendorOrders: { $elemMatch: share } };
+
+  const [totalItems, orders] = await Promise.all([
+    Order.countDocuments(query),
+    Order.find(query)
+      .populate('user', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+  ]);
+
+  return {
+    orders: orders.map(order => toVendorView(order, vendorId)),
+    totalItems
+  };
+};
+
+const findVendorOrder = async (vendorId, orderId) => {
+  const order = await Order.findOne({ _id: orderId, 'vendorOrders.vendor': vendorId })
+    .populate('user', 'firstName lastName');
+
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+
+  return order;
+};
+
+const getVendorOrder = async (vendorId, orderId) => toVendorView(await findVendorOrder(vendorId, orderId), vendorId);
+
+/**
+ * Move a vendor's share of an order along pending → processing → shipped → delivered.
+ * Cancelled and returned orders are handled by the store, not the vendor.
+ * @param {Object} update
+ * @param {string} update.status
+ * @param {string} [update.carrier]
+ * @param {string} [update.trackingNumber]
+ * @param {string} [update.note]
+ * @param {Object} actor - Vendor's user
+ * @throws {ValidationError} when the move is not allowed
+ */
+const updateVendorOrderStatus = async (vendorId, orderId, { status, carrier, trackingNumber, note }, actor) => {
+  const order = await findVendorOrder(vendorId, orderId);
+  const share = findShare(order, vendorId);
+
+  if (!canTransition('vendorStatus', share.status, status)) {
+    logger.warn('Illegal vendor order transition rejected in service', {
+      orderId: order._id,
+      vendorId,
+      from: share.status,
+      to: status
+    });
+    throw new ValidationError(`Cannot change vendor order status from ${share.status} to ${status}`);
+  }
+
+  share.statusHistory.push({
+    from: share.status,
+    to: status,
+    actor: actor._id || actor.id,
+    note,
+    changedAt: new Date()
+  });
+  share.status = status;
+  if (carrier) {
+    share.carrier = carrier;
+  }
+  if (trackingNumber) {
+    share.trackingNumber = trackingNumber;
+  }
+  if (status === 'shipped') {
+    share.shippedAt = new Date();
+  }
+  if (status === 'delivered') {
+    share.deliveredAt = new Date();
+  }
+  await order.save();
+
+  logger.info('Vendor order status updated in service', {
+    orderId: order._id,
+    vendorId,
+    status
+  });
+
+  return toVendorView(order, vendorId);
+};
+
+module.exports = {
+  toVendorView,
+  listVendorOrders,
+  getVendorOrder,
+  updateVendorOrderStatus
+};
@@ -0,0 +1,155 @@
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const { ValidationError, NotFoundError } = require('../errors');
+const logger = require('../utils/logger');
+
+// What a vendor fills in about its store; status and review fields are set by admins
+const PROFILE_FIELDS = ['storeName', 'description', 'phone', 'email', 'address', 'payoutDetails'];
+
+const pickProfile = data => PROFILE_FIELDS.reduce((profile, field) => {
+  if (data[field] !== undefined) {
+    profile[field] = data[field];
+  }
+  return profile;
+}, {});
+
+// Review moves an admin can make, keyed by the status they lead to
+const REVIEW_TRANSITIONS = {
+  approved: ['pending', 'suspended'],
+  rejected: ['pending'],
+  suspended: ['approved']
+};
+
+/**
+ * Vendor profile of a user, or null when the user never applied.
+ */
+const getVendorForUser = async (userId) => Vendor.findOne({ user: userId });
+
+const findVendor = async (vendorId) => {
+  const vendor = await Vendor.findById(vendorId);
+  if (!vendor) {
+    throw new NotFoundError('Vendor');
+  }
+  return vendor;
+};
+
+/**
+ * Apply to sell on the store. A rejected application can be sent again, which puts
+ * it back in review with the new details.
+ * @param {Object} data - Store profile (storeName, description, phone, email, address, payoutDetails)
+ * @throws {ValidationError} when the user already has an application in review or a vendor account
+ */
+const applyAsVendor = async (userId, data) => {
+  const existing = await getVendorForUser(userId);
+
+  if (existing && existing.status !== 'rejected') {
+    throw new ValidationError(existing.status === 'pending'
+      ? 'Your vendor application is already being reviewed'
+      : 'You already have a vendor account');
+  }
+
+  const profile = pickProfile(data);
+
+  let vendor;
+  if (existing) {
+    Object.assign(existing, profile, {
+      status: 'pending',
+      statusReason: undefined,
+      reviewedBy: undefined,
+      reviewedAt: undefined
+    });
+    vendor = await existing.save();
+  } else {
+    vendor = await Vendor.create({ ...profile, user: userId });
+  }
+
+  logger.info('Vendor application submitted in service', { vendorId: vendor._id, userId });
+
+  return vendor;
+};
+
+/**
+ * Update a vendor's own store profile. Status fields are not editable here.
+ */
+const updateVendorProfile = async (userId, data) => {
+  const vendor = await getVendorForUser(userId);
+  if (!vendor) {
+    throw new NotFoundError('Vendor');
+  }
+
+  Object.assign(vendor, pickProfile(data));
+  await vendor.save();
+
+  logger.info('Vendor profile updated in service', { vendorId: vendor._id, userId });
+
+  return vendor;
+};
+
+/**
+ * Move a vendor to a review status and record who did it.
+ * @throws {ValidationError} when the vendor is not in a status that allows the move
+ */
+const reviewVendor = async (vendorId, status, admin, reason) => {
+  const vendor = await findVendor(vendorId);
+
+  if (!REVIEW_TRANSITIONS[status].includes(vendor.status)) {
+    throw new ValidationError(`Vendors that are ${vendor.status} cannot be ${status}`);
+  }
+
+  const now = new Date();
+  vendor.status = status;
+  vendor.statusReason = reason;
+  vendor.reviewedBy = admin._id || admin.id;
+  vendor.reviewedAt = now;
+  if (status === 'approved' && !vendor.approvedAt) {
+    vendor.approvedAt = now;
+  }
+  await vendor.save();
+
+  logger.info('Vendor reviewed in service', {
+    vendorId: vendor._id,
+    status,
+    adminId: admin._id || admin.id
+  });
+
+  return vendor;
+};
+
+/**
+ * Approve an application or reinstate a suspended vendor. Customers become vendors;
+ * staff keep their role.
+ */
+const approveVendor = async (vendorId, admin) => {
+  const vendor = await reviewVendor(vendorId, 'approved', admin);
+  await User.updateOne({ _id: vendor.user, role: 'customer' }, { role: 'vendor' });
+  return vendor;
+};
+
+const rejectVendor = async (vendorId, admin, reason) => reviewVendor(vendorId, 'rejected', admin, reason);
+
+/**
+ * Suspend a vendor and take its products off sale. Reinstating the vendor leaves
+ * them off; the vendor puts each back with isActive.
+ */
+const suspendVendor = async (vendorId, admin, reason) => {
+  const vendor = await reviewVendor(vendorId, 'suspended', admin, reason);
+  const result = await Product.updateMany({ vendor: vendor._id, isActive: true }, { isActive: false });
+
+  logger.info('Suspended vendor products deactivated in service', {
+    vendorId: vendor._id,
+    productCount: result.modifiedCount
+  });
+
+  return vendor;
+};
+
+module.exports = {
+  getVendorForUser,
+  findVendor,
+  applyAsVendor,
+  updateVendorProfile,
+  approveVendor,
+  rejectVendor,
+  suspendVendor
+};
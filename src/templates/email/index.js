@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in email templates. Each one is version 1 of its name; admins publish later
+// versions to the database (see emailTemplateService) without touching these files.
+
+const read = (file) => fs.readFileSync(path.join(__dirname, file), 'utf8');
+
+const SAMPLE_ADDRESS = ['House 12, Street 4, DHA Phase 6', 'Karachi, Sindh 75500', 'Pakistan', 'Phone: +92-300-1234567'];
+
+const SAMPLE_ITEMS = [
+  { name: 'Kundan Bridal Necklace Set', details: 'Gold 22K', quantity: 1, price: 185000, total: 185000 },
+  { name: 'Rose Matte Lipstick', details: '', quantity: 2, price: 1800, total: 3600 }
+];
+
+const SAMPLE_ORDER = {
+  number: 'ORD-20260115-0042',
+  status: 'processing',
+  paymentMethod: 'cash on delivery',
+  paymentStatus: 'pending',
+  items: SAMPLE_ITEMS,
+  subtotal: 188600,
+  discountAmount: 5000,
+  couponCode: 'WELCOME5K',
+  shippingCost: 0,
+  taxAmount: 5508,
+  taxInclusive: false,
+  totalAmount: 189108,
+  refundedAmount: 0,
+  shippingAddress: SAMPLE_ADDRESS,
+  courier: 'TCS',
+  trackingNumber: '779412583361',
+  trackingUrl: 'https://www.tcsexpress.com/track/779412583361'
+};
+
+const SAMPLE_CUSTOMER = { firstName: 'Ayesha' };
+
+const templates = {
+  order_confirmation: {
+    description: 'Sent when an order is placed, with the invoice attached',
+    subject: 'Order Confirmation - #{{order.number}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      order: SAMPLE_ORDER,
+      lookupUrl: null,
+      hasInvoice: true
+    }
+  },
+  order_shipped: {
+    description: 'Sent when an order ships, with courier and tracking link',
+    subject: 'Your Order Has Been Shipped! - #{{order.number}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      order: { ...SAMPLE_ORDER, status: 'shipped' }
+    }
+  },
+  order_delivered: {
+    description: 'Sent when an order is delivered',
+    subject: 'Your Order Has Been Delivered! - #{{order.number}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      order: { ...SAMPLE_ORDER, status: 'delivered' },
+      deliveredOn: '18 Jan 2026'
+    }
+  },
+  order_status_update: {
+    description: 'Sent for order status changes without a dedicated email',
+    subject: 'Order Status Update - #{{order.number}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      order: SAMPLE_ORDER
+    }
+  },
+  order_cancelled: {
+    description: 'Sent when an order is cancelled, with any refund issued',
+    subject: 'Your Order Has Been Cancelled - #{{order.number}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      order: {
+        ...SAMPLE_ORDER,
+        status: 'cancelled',
+        paymentMethod: 'card',
+        paymentStatus: 'refunded',
+        refundedAmount: 189108,
+        cancellationReason: 'Ordered the wrong size'
+      }
+    }
+  },
+  return_status: {
+    description: 'Sent when a return request is created or changes status',
+    subject: 'Return {{returnRequest.rmaNumber}} - {{capitalize returnRequest.status}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      order: SAMPLE_ORDER,
+      returnRequest: {
+        rmaNumber: 'RMA-20260120-0007',
+        status: 'approved',
+        adminNote: 'Please include the original box.',
+        refundAmount: 185000,
+        items: [SAMPLE_ITEMS[0]]
+      }
+    }
+  },
+  contact_message: {
+    description: 'Contact form submission, sent to Settings.contactEmail',
+    subject: 'Contact Form: {{contact.subject}}',
+    sampleData: {
+      contact: {
+        name: 'Sara Khan',
+        email: 'sara@example.com',
+        subject: 'Custom ring sizing',
+        message: 'Hello,\nCan the Solitaire ring be made in size 5?\nThanks'
+      }
+    }
+  },
+  email_verification: {
+    description: 'Sent on registration, on request and after an email change, with a link and a code',
+    subject: 'Verify your email for {{site.name}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      verification: {
+        url: 'https://azranishat.com/verify-email/3f9c2a7be1d04c5a8e6b1f2d9c7a4e0b5d8f1a2c',
+        code: '482913',
+        codeExpiresInMinutes: 10,
+        expiresInHours: 24
+      }
+    }
+  },
+  password_reset: {
+    description: 'Sent on a forgotten password request, with a link and a code',
+    subject: 'Reset your {{site.name}} password',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      reset: {
+        url: 'https://azranishat.com/reset-password/7c1e9b2f4a8d3e6c0b5a9f1d2e4c6a8b0d3f5e7a',
+        code: '482913',
+        expiresInMinutes: 10
+      }
+    }
+  },
+  order_claim: {
+    description: 'Sent when a customer asks to claim guest orders placed with their email, with a code',
+    subject: 'Your code to claim orders on {{site.name}}',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      claim: {
+        code: '482913',
+        codeExpiresInMinutes: 10,
+        orderCount: 2
+      }
+    }
+  },
+  new_device_login: {
+    description: 'Sent when an account signs in from a device it has not used before',
+    subject: 'New sign-in to your {{site.name}} account',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      login: {
+        time: '15 Jan 2026, 9:42 pm',
+        device: 'Chrome on Windows',
+        ip: '39.57.112.8'
+      }
+    }
+  },
+  account_deletion_scheduled: {
+    description: 'Sent when a customer asks for their account to be deleted',
+    subject: 'Your {{site.name}} account will be deleted',
+    sampleData: {
+      customer: SAMPLE_CUSTOMER,
+      deletion: {
+        date: '14 Feb 2026',
+        graceDays: 30
+      }
+    }
+  }
+};
+
+Object.entries(templates).forEach(([name, template]) => {
+  template.name = name;
+  template.version = 1;
+  template.html = read(`${name}.html.hbs`);
+  template.text = read(`${name}.text.hbs`);
+});
+
+module.exports = {
+  templates,
+  layout: {
+    html: read('layout.html.hbs'),
+    text: read('layout.text.hbs')
+  },
+  partials: {
+    html: {
+      orderItems: read('partials/orderItems.html.hbs'),
+      address: read('partials/address.html.hbs')
+    },
+    text: {
+      orderItems: read('partials/orderItems.text.hbs'),
+      address: read('partials/address.text.hbs')
+    }
+  }
+};
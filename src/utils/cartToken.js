@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const CART_TOKEN_COOKIE = 'cartToken';
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 14;
+
+const getSecret = () => process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Issue a signed token identifying an anonymous cart.
+ * @returns {{guestId: string, token: string}}
+ */
+const createCartToken = () => {
+  const guestId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign({ cartId: guestId, type: 'guest_cart' }, getSecret());
+  return { guestId, token };
+};
+
+/**
+ * @returns {string|null} Guest cart id, or null when the token is missing, tampered with or not a cart token
+ */
+const verifyCartToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.type === 'guest_cart' ? payload.cartId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Browsers send the cookie; native apps and SPAs on another origin send the header
+const readCartToken = (req) =>
+  req.get(CART_TOKEN_HEADER) || (req.cookies && req.cookies[CART_TOKEN_COOKIE]) || null;
+
+const setCartToken = (res, token) => {
+  res.cookie(CART_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+  res.set(CART_TOKEN_HEADER, token);
+};
+
+const clearCartToken = (res) => {
+  res.clearCookie(CART_TOKEN_COOKIE);
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  GUEST_CART_TTL_DAYS,
+  createCartToken,
+  verifyCartToken,
+  readCartToken,
+  setCartToken,
+  clearCartToken
+};
@@ -0,0 +1,110 @@
+const { ValidationError } = require('../errors');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar parts of an instant as seen in a timezone.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach((part) => {
+    if (part.type !== 'literal') {
+      values[part.type] = parseInt(part.value, 10);
+    }
+  });
+  return values;
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const getTimezoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * UTC instant of local midnight on a calendar day in a timezone.
+ * @param {number} month - 0-based, as in Date.UTC; overflowing days roll over
+ */
+const zonedMidnight = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month, day);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  // Second pass corrects the offset when midnight falls on the other side of a DST change
+  const corrected = getTimezoneOffset(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+};
+
+const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month - 1, day, timeZone);
+};
+
+const startOfZonedMonth = (date, timeZone, monthOffset = 0) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month - 1 + monthOffset, 1, timeZone);
+};
+
+const parseBoundary = (value, name, timeZone, endOfDay) => {
+  if (DATE_ONLY.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return zonedMidnight(year, month - 1, endOfDay ? day + 1 : day, timeZone);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${name} date`);
+  }
+  return date;
+};
+
+/**
+ * Turn from/to query parameters into a half-open [from, to) range plus the
+ * equally long period before it. Date-only values (YYYY-MM-DD) are whole days
+ * in the given timezone, so `to=2024-06-30` includes all of June 30th.
+ * @param {Object} params
+ * @param {string} [params.from] - Defaults to `defaultDays` days before `to`
+ * @param {string} [params.to] - Defaults to now
+ * @param {string} timeZone - IANA timezone, e.g. Asia/Karachi
+ * @returns {{from: Date, to: Date, previousFrom: Date, previousTo: Date, timeZone: string}}
+ */
+const parseDateRange = ({ from, to } = {}, timeZone = 'UTC', defaultDays = 30) => {
+  const end = to ? parseBoundary(to, 'to', timeZone, true) : new Date();
+  const start = from
+    ? parseBoundary(from, 'from', timeZone, false)
+    : startOfZonedDay(new Date(end.getTime() - (defaultDays - 1) * DAY_MS), timeZone);
+
+  if (start >= end) {
+    throw new ValidationError('The from date must be before the to date');
+  }
+
+  const length = end.getTime() - start.getTime();
+
+  return {
+    from: start,
+    to: end,
+    previousFrom: new Date(start.getTime() - length),
+    previousTo: start,
+    timeZone
+  };
+};
+
+module.exports = {
+  getZonedParts,
+  zonedMidnight,
+  startOfZonedDay,
+  startOfZonedMonth,
+  parseDateRange
+};
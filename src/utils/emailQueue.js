@@ -0,0 +1,82 @@
+const { client } = require('../config/redis');
+const logger = require('./logger');
+
+// Outbox message IDs ready to send, and IDs waiting for a retry scored by when they are due.
+// MongoDB holds the messages themselves; losing these keys only delays mail until the
+// worker's next sweep of the outbox collection.
+const READY_KEY = 'email:outbox:ready';
+const SCHEDULED_KEY = 'email:outbox:scheduled';
+
+const isConnected = () => client.isOpen && client.isReady;
+
+/**
+ * Tell the worker a message can be sent now
+ */
+const pushReady = async (id) => {
+  if (!isConnected()) {
+    return false;
+  }
+  try {
+    await client.lPush(READY_KEY, String(id));
+    return true;
+  } catch (error) {
+    logger.warn('Email queue push failed', { error: error.message, id: String(id) });
+    return false;
+  }
+};
+
+/**
+ * Queue a message for another attempt at the given time
+ */
+const scheduleRetry = async (id, at) => {
+  if (!isConnected()) {
+    return false;
+  }
+  try {
+    await client.zAdd(SCHEDULED_KEY, { score: at.getTime(), value: String(id) });
+    return true;
+  } catch (error) {
+    logger.warn('Email queue schedule failed', { error: error.message, id: String(id) });
+    return false;
+  }
+};
+
+/**
+ * Move retries that are due onto the ready list
+ * @returns {Promise<number>} how many were moved
+ */
+const promoteDue = async (now = Date.now()) => {
+  if (!isConnected()) {
+    return 0;
+  }
+
+  const due = await client.zRangeByScore(SCHEDULED_KEY, 0, now);
+  let moved = 0;
+  for (const id of due) {
+    // Only the worker that removes the entry moves it, so concurrent workers do not duplicate it
+    if (await client.zRem(SCHEDULED_KEY, id)) {
+      await client.lPush(READY_KEY, id);
+      moved += 1;
+    }
+  }
+  return moved;
+};
+
+/**
+ * Wait up to timeoutSeconds for the next ready message ID. Blocking needs a connection
+ * of its own, so pass a duplicate of the shared client.
+ */
+const popReady = async (connection, timeoutSeconds) => {
+  const result = await connection.brPop(READY_KEY, timeoutSeconds);
+  return result ? result.element : null;
+};
+
+module.exports = {
+  READY_KEY,
+  SCHEDULED_KEY,
+  isConnected,
+  pushReady,
+  scheduleRetry,
+  promoteDue,
+  popReady
+};
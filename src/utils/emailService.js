@@ -1,6 +1,13 @@
 const nodemailer = require('nodemailer');
+const EmailLog = require('../models/EmailLog');
+const EmailOutbox = require('../models/EmailOutbox');
+const Settings = require('../models/Settings');
+const { renderTemplate } = require('../services/emailTemplateService');
+const { pushReady } = require('./emailQueue');
 const logger = require('./logger');
 
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6;
+
 const transporter = nodemailer.createTransport({
   host: process.env.MAIL_HOST || 'smtp.gmail.com',
   port: process.env.MAIL_PORT || 587,
@@ -11,6 +18,29 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+/**
+ * Record a send attempt in the email log. A failed write is logged and otherwise ignored
+ * so it never changes the outcome of the send.
+ */
+const recordSend = async (options, result) => {
+  try {
+    await EmailLog.create({
+      template: options.template,
+      templateVersion: options.templateVersion,
+      to: options.email,
+      subject: options.subject,
+      attachments: (options.attachments || []).map(attachment => attachment.filename),
+      order: options.order,
+      user: options.user,
+      outbox: options.outbox,
+      sentAt: result.status === 'sent' ? new Date() : undefined,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Email log write failed', { error: error.message, to: options.email });
+  }
+};
+
 /**
  * Send an email
  * @param {Object} options - Email options
@@ -18,6 +48,13 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.subject - Email subject
  * @param {string} options.message - Email message (plain text)
  * @param {string} options.html - Email message (HTML)
+ * @param {Array} [options.attachments] - Nodemailer attachments ({ filename, content, contentType })
+ * @param {string} [options.replyTo] - Reply-To address
+ * @param {string} [options.template] - Template name, for the email log
+ * @param {number} [options.templateVersion] - Template version, for the email log
+ * @param {string} [options.order] - Order ID the email is about, for the email log
+ * @param {string} [options.user] - User ID of the recipient, for the email log
+ * @param {string} [options.outbox] - Outbox message being delivered, for the email log
  */
 const sendEmail = async (options) => {
   logger.info(`Sending email to ${options.email} with subject: ${options.subject}`);
@@ -25,258 +62,339 @@ const sendEmail = async (options) => {
   const mailOptions = {
     from: `"${process.env.MAIL_FROM_NAME}" <${process.env.MAIL_FROM_ADDRESS}>`,
     to: options.email,
+    replyTo: options.replyTo,
     subject: options.subject,
     text: options.message,
     html: options.html,
+    attachments: options.attachments,
   };
 
+  let info;
   try {
-    const info = await transporter.sendMail(mailOptions);
-    logger.info(`Message sent: ${info.messageId}`);
-    return info;
+    info = await transporter.sendMail(mailOptions);
   } catch (error) {
     logger.error('Email send failed', error);
+    await recordSend(options, { status: 'failed', error: error.message });
     throw error;
   }
+
+  logger.info(`Message sent: ${info.messageId}`);
+  await recordSend(options, { status: 'sent', messageId: info.messageId });
+  return info;
+};
+
+/**
+ * Store an email in the outbox for the email worker to send (see emailOutboxService).
+ * Takes the same options as sendEmail.
+ * @returns {Promise<Object>} the outbox message
+ */
+const queueEmail = async (options) => {
+  const message = await EmailOutbox.create({
+    to: options.email,
+    replyTo: options.replyTo,
+    subject: options.subject,
+    html: options.html,
+    text: options.message,
+    attachments: options.attachments,
+    template: options.template,
+    templateVersion: options.templateVersion,
+    order: options.order,
+    user: options.user,
+    maxAttempts: MAX_ATTEMPTS
+  });
+
+  await pushReady(message._id);
+
+  logger.info('Email queued', { outboxId: message._id, to: options.email, template: options.template });
+  return message;
+};
+
+/**
+ * Render a named template (see src/templates/email) and queue it for sending
+ * @param {string} name - Template name, e.g. 'order_confirmation'
+ * @param {string} to - Recipient email
+ * @param {Object} data - Template variables
+ * @param {Object} [options] - Extra sendEmail options (attachments, replyTo, order, user)
+ */
+const sendTemplatedEmail = async (name, to, data, options = {}) => {
+  const rendered = await renderTemplate(name, data);
+
+  return queueEmail({
+    ...options,
+    email: to,
+    subject: rendered.subject,
+    message: rendered.text,
+    html: rendered.html,
+    template: rendered.name,
+    templateVersion: rendered.version
+  });
 };
 
 /**
- * Helper to format address
+ * Address as display lines for templates
  */
-const formatAddress = (address) => {
-  if (!address) return 'N/A';
-  return `
-    ${address.street}<br>
-    ${address.city}, ${address.state || ''} ${address.zipCode || ''}<br>
-    ${address.country}<br>
-    ${address.phone ? `Phone: ${address.phone}` : ''}
-  `;
+const addressLines = (address) => {
+  if (!address) return [];
+  return [
+    address.street,
+    [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+    address.country,
+    address.phone && `Phone: ${address.phone}`
+  ].filter(Boolean);
 };
 
+const productId = (item) => String((item.product && item.product._id) || item.product);
+
 /**
- * Helper to render order items table
+ * Order or return items as template rows. Names come from the order's item snapshot,
+ * falling back to a populated product.
  */
-const renderOrderItems = (items) => {
-  if (!items || items.length === 0) return '';
-
-  const rows = items.map(item => `
-    <tr>
-      <td style="padding: 10px; border-bottom: 1px solid #eee;">
-        ${item.product?.name || 'Product'}
-        ${item.variant ? `<br><small style="color: #666;">${item.variant.metalType || ''} ${item.variant.purity || ''} ${item.variant.size || ''}</small>` : ''}
-      </td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: center;">${item.quantity}</td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">PKR ${item.price.toLocaleString()}</td>
-      <td style="padding: 10px; border-bottom: 1px solid #eee; text-align: right;">PKR ${(item.price * item.quantity).toLocaleString()}</td>
-    </tr>
-  `).join('');
-
-  return `
-    <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
-      <thead>
-        <tr style="background-color: #f8f8f8;">
-          <th style="padding: 10px; text-align: left; border-bottom: 2px solid #ddd;">Product</th>
-          <th style="padding: 10px; text-align: center; border-bottom: 2px solid #ddd;">Qty</th>
-          <th style="padding: 10px; text-align: right; border-bottom: 2px solid #ddd;">Price</th>
-          <th style="padding: 10px; text-align: right; border-bottom: 2px solid #ddd;">Total</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${rows}
-      </tbody>
-    </table>
-  `;
+const itemLines = (items, orderItems = []) => (items || []).map((item) => {
+  const orderItem = orderItems.find(candidate =>
+    productId(candidate) === productId(item) && String(candidate.variant || '') === String(item.variant || '')
+  );
+  const source = item.name ? item : (orderItem || item);
+
+  return {
+    name: source.name || (item.product && item.product.name) || 'Product',
+    details: [source.metalType, source.purity, source.size].filter(Boolean).join(' '),
+    quantity: item.quantity,
+    price: item.price,
+    total: item.price * item.quantity
+  };
+});
+
+/**
+ * Order fields used by the order templates
+ */
+const orderView = (order) => ({
+  number: order.orderNumber,
+  status: order.orderStatus,
+  paymentMethod: order.paymentMethod.replace(/_/g, ' '),
+  paymentStatus: order.paymentStatus,
+  items: itemLines(order.items),
+  subtotal: order.subtotal,
+  discountAmount: order.discountAmount,
+  couponCode: order.couponCode,
+  shippingCost: order.shippingCost,
+  taxAmount: order.taxAmount,
+  taxInclusive: Boolean(order.pricing && order.pricing.tax && order.pricing.tax.inclusive),
+  totalAmount: order.totalAmount,
+  refundedAmount: order.refundedAmount,
+  cancellationReason: order.cancellationReason,
+  shippingAddress: addressLines(order.shippingAddress),
+  courier: order.shipment && order.shipment.courierName,
+  trackingNumber: order.trackingNumber,
+  trackingUrl: order.shipment && order.shipment.trackingUrl
+});
+
+// Email log references; guest recipients have no user ID
+const orderRefs = (user, order) => ({
+  user: user._id,
+  order: order._id
+});
+
+/**
+ * Who to email about an order: the account holder, or the contact left at guest checkout
+ * @param {Object} order - Order with `user` populated
+ */
+const getOrderRecipient = (order) => {
+  if (order.user && order.user.email) {
+    return order.user;
+  }
+
+  const contact = order.contact || {};
+  return { firstName: contact.name || 'Customer', email: contact.email };
 };
 
 /**
  * Send order confirmation email
- * @param {Object} user - User object
+ * @param {Object} user - User object, or { firstName, email } for guest orders
  * @param {Object} order - Order object
+ * @param {string} [lookupUrl] - Signed tracking link for buyers without an account
+ * @param {Object} [invoice] - Invoice PDF to attach ({ filename, content })
  */
-const sendOrderConfirmationEmail = async (user, order) => {
-  const subject = `Order Confirmation - #${order.orderNumber}`;
-
-  const html = `
-    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; color: #333;">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <h1 style="color: #800020; margin-bottom: 10px;">Azra Nishat</h1>
-        <h2 style="color: #444; margin-top: 0;">Order Confirmation</h2>
-      </div>
-      
-      <p>Dear ${user.firstName},</p>
-      <p>Thank you for your order! We've received your request and are currently processing it. Your order number is <strong>#${order.orderNumber}</strong>.</p>
-      
-      <h3 style="border-bottom: 2px solid #800020; padding-bottom: 5px; color: #800020;">Order Details</h3>
-      ${renderOrderItems(order.items)}
-
-      <div style="margin-top: 20px; text-align: right;">
-        <p style="margin: 5px 0;"><strong>Subtotal:</strong> PKR ${order.subtotal.toLocaleString()}</p>
-        <p style="margin: 5px 0;"><strong>Shipping:</strong> ${order.shippingCost === 0 ? 'FREE' : `PKR ${order.shippingCost.toLocaleString()}`}</p>
-        ${order.taxAmount > 0 ? `<p style="margin: 5px 0;"><strong>Tax:</strong> PKR ${order.taxAmount.toLocaleString()}</p>` : ''}
-        <p style="font-size: 18px; color: #800020; margin: 10px 0;"><strong>Total Amount:</strong> PKR ${order.totalAmount.toLocaleString()}</p>
-      </div>
-
-      <div style="display: flex; justify-content: space-between; margin-top: 30px; gap: 20px;">
-        <div style="flex: 1; background-color: #f9f9f9; padding: 15px; border-radius: 8px;">
-          <h4 style="margin-top: 0; color: #800020;">Shipping Address</h4>
-          <p style="font-size: 14px; line-height: 1.5; margin: 0;">${formatAddress(order.shippingAddress)}</p>
-        </div>
-        <div style="flex: 1; background-color: #f9f9f9; padding: 15px; border-radius: 8px;">
-          <h4 style="margin-top: 0; color: #800020;">Payment Method</h4>
-          <p style="font-size: 14px; text-transform: capitalize; margin: 0;">${order.paymentMethod.replace(/_/g, ' ')}</p>
-        </div>
-      </div>
-
-      <p style="margin-top: 30px;">We'll notify you as soon as your order has been shipped. If you have any questions, please reply to this email.</p>
-      
-      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px;">
-        <p>© ${new Date().getFullYear()} Azra Nishat. All rights reserved.</p>
-        <p>Premium Jewelry, Cosmetics & Couture</p>
-      </div>
-    </div>
-  `;
-
-  return sendEmail({
-    email: user.email,
-    subject,
-    html
-  });
-};
+const sendOrderConfirmationEmail = async (user, order, lookupUrl, invoice) => sendTemplatedEmail(
+  'order_confirmation',
+  user.email,
+  {
+    customer: { firstName: user.firstName },
+    order: orderView(order),
+    lookupUrl,
+    hasInvoice: Boolean(invoice)
+  },
+  {
+    ...orderRefs(user, order),
+    attachments: invoice ? [{ filename: invoice.filename, content: invoice.content, contentType: 'application/pdf' }] : undefined
+  }
+);
 
 /**
  * Send order status update email
  * @param {Object} user - User object
  * @param {Object} order - Order object
  */
-const sendOrderShippedEmail = async (user, order) => {
-  const subject = `Your Order Has Been Shipped! - #${order.orderNumber}`;
-
-  const html = `
-    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; color: #333;">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <h1 style="color: #800020; margin-bottom: 10px;">Azra Nishat</h1>
-        <h2 style="color: #444; margin-top: 0;">Order Shipped</h2>
-      </div>
-
-      <p>Dear ${user.firstName},</p>
-      <p>Great news! Your order <strong>#${order.orderNumber}</strong> has been shipped and is on its way to you.</p>
-      
-      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 25px 0;">
-        <h3 style="margin-top: 0; color: #800020;">Shipping Information</h3>
-        <p><strong>Tracking Number:</strong> ${order.trackingNumber || 'Pending'}</p>
-        <p><strong>Shipping To:</strong><br>${formatAddress(order.shippingAddress)}</p>
-      </div>
-
-      <h3 style="color: #800020;">Items in this Shipment</h3>
-      ${renderOrderItems(order.items)}
-
-      <p style="margin-top: 30px;">Thank you for choosing Azra Nishat. We hope you enjoy your purchase!</p>
-      
-      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px;">
-        <p>© ${new Date().getFullYear()} Azra Nishat. All rights reserved.</p>
-        <p>Premium Jewelry, Cosmetics & Couture</p>
-      </div>
-    </div>
-  `;
-
-  return sendEmail({
-    email: user.email,
-    subject,
-    html
-  });
-};
+const sendOrderShippedEmail = async (user, order) => sendTemplatedEmail(
+  'order_shipped',
+  user.email,
+  { customer: { firstName: user.firstName }, order: orderView(order) },
+  orderRefs(user, order)
+);
 
 /**
  * Send order delivered email
  * @param {Object} user - User object
  * @param {Object} order - Order object
  */
-const sendOrderDeliveredEmail = async (user, order) => {
-  const subject = `Your Order Has Been Delivered! - #${order.orderNumber}`;
-
-  const html = `
-    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; color: #333;">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <h1 style="color: #800020; margin-bottom: 10px;">Azra Nishat</h1>
-        <h2 style="color: #444; margin-top: 0;">Order Delivered</h2>
-      </div>
-
-      <p>Dear ${user.firstName},</p>
-      <p>Your order <strong>#${order.orderNumber}</strong> has been successfully delivered. We hope you are delighted with your purchase!</p>
-      
-      <div style="background-color: #f4faf4; border: 1px solid #d4edda; padding: 20px; border-radius: 8px; margin: 25px 0;">
-        <h3 style="margin-top: 0; color: #155724;">Delivery Summary</h3>
-        <p><strong>Delivered to:</strong><br>${formatAddress(order.shippingAddress)}</p>
-        <p><strong>Delivery Date:</strong> ${new Date().toLocaleDateString()}</p>
-      </div>
-
-      <h3 style="color: #800020;">Order Summary</h3>
-      ${renderOrderItems(order.items)}
-      <p style="text-align: right; font-size: 16px;"><strong>Total Paid:</strong> PKR ${order.totalAmount.toLocaleString()}</p>
-
-      <p style="margin-top: 30px;">If you love your items, we'd appreciate it if you could share your experience. If you have any concerns, please contact us immediately.</p>
-      
-      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px;">
-        <p>© ${new Date().getFullYear()} Azra Nishat. All rights reserved.</p>
-        <p>Premium Jewelry, Cosmetics & Couture</p>
-      </div>
-    </div>
-  `;
-
-  return sendEmail({
-    email: user.email,
-    subject,
-    html
-  });
-};
+const sendOrderDeliveredEmail = async (user, order) => sendTemplatedEmail(
+  'order_delivered',
+  user.email,
+  {
+    customer: { firstName: user.firstName },
+    order: orderView(order),
+    deliveredOn: new Date().toLocaleDateString()
+  },
+  orderRefs(user, order)
+);
 
 /**
  * Send general order status update email
  * @param {Object} user - User object
  * @param {Object} order - Order object
  */
-const sendOrderStatusUpdateEmail = async (user, order) => {
-  const subject = `Order Status Update - #${order.orderNumber}`;
-
-  const html = `
-    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #eee; color: #333;">
-      <div style="text-align: center; margin-bottom: 30px;">
-        <h1 style="color: #800020; margin-bottom: 10px;">Azra Nishat</h1>
-        <h2 style="color: #444; margin-top: 0;">Order Update</h2>
-      </div>
-
-      <p>Dear ${user.firstName},</p>
-      <p>The status of your order <strong>#${order.orderNumber}</strong> has been updated to <strong style="text-transform: uppercase;">${order.orderStatus}</strong>.</p>
-      
-      <div style="background-color: #f9f9f9; padding: 20px; border-radius: 8px; margin: 25px 0;">
-        <h3 style="margin-top: 0; color: #800020;">Current Order Status</h3>
-        <p style="text-transform: capitalize; font-size: 18px;"><strong>${order.orderStatus}</strong></p>
-      </div>
-
-      <h3 style="color: #800020;">Order Details</h3>
-      ${renderOrderItems(order.items)}
-      <p style="text-align: right;"><strong>Total:</strong> PKR ${order.totalAmount.toLocaleString()}</p>
-
-      <p style="margin-top: 30px;">You can view your full order details by logging into your account on our website.</p>
-      
-      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px;">
-        <p>© ${new Date().getFullYear()} Azra Nishat. All rights reserved.</p>
-        <p>Premium Jewelry, Cosmetics & Couture</p>
-      </div>
-    </div>
-  `;
-
-  return sendEmail({
-    email: user.email,
-    subject,
-    html
-  });
+const sendOrderStatusUpdateEmail = async (user, order) => sendTemplatedEmail(
+  'order_status_update',
+  user.email,
+  { customer: { firstName: user.firstName }, order: orderView(order) },
+  orderRefs(user, order)
+);
+
+/**
+ * Send order cancellation email
+ * @param {Object} user - User object
+ * @param {Object} order - Order object
+ */
+const sendOrderCancelledEmail = async (user, order) => sendTemplatedEmail(
+  'order_cancelled',
+  user.email,
+  { customer: { firstName: user.firstName }, order: orderView(order) },
+  orderRefs(user, order)
+);
+
+/**
+ * Send return request (RMA) status email
+ * @param {Object} user - User object
+ * @param {Object} order - Order object
+ * @param {Object} returnRequest - ReturnRequest object
+ */
+const sendReturnStatusEmail = async (user, order, returnRequest) => sendTemplatedEmail(
+  'return_status',
+  user.email,
+  {
+    customer: { firstName: user.firstName },
+    order: orderView(order),
+    returnRequest: {
+      rmaNumber: returnRequest.rmaNumber,
+      status: returnRequest.status,
+      adminNote: returnRequest.adminNote,
+      refundAmount: returnRequest.refund && returnRequest.refund.amount,
+      items: itemLines(returnRequest.items, order.items)
+    }
+  },
+  orderRefs(user, order)
+);
+
+/**
+ * Forward a contact form message to the store's contact address (Settings.contactEmail).
+ * Replies go to the sender.
+ * @param {Object} contact - { name, email, subject, message }
+ */
+const sendContactMessageEmail = async (contact) => {
+  const settings = (await Settings.findOne()) || new Settings();
+
+  return sendTemplatedEmail(
+    'contact_message',
+    settings.contactEmail,
+    { contact },
+    { replyTo: contact.email }
+  );
 };
 
+/**
+ * Ask a user to confirm their email address
+ * @param {Object} user - User object
+ * @param {Object} verification - { url, expiresInHours, code, codeExpiresInMinutes }
+ */
+const sendEmailVerificationEmail = async (user, verification) => sendTemplatedEmail(
+  'email_verification',
+  user.email,
+  { customer: { firstName: user.firstName }, verification },
+  { user: user._id }
+);
+
+/**
+ * Send a forgotten-password link and code
+ * @param {Object} user - User object
+ * @param {Object} reset - { url, code, expiresInMinutes }
+ */
+const sendPasswordResetEmail = async (user, reset) => sendTemplatedEmail(
+  'password_reset',
+  user.email,
+  { customer: { firstName: user.firstName }, reset },
+  { user: user._id }
+);
+
+/**
+ * Send the code that moves guest orders placed with the user's email into the account
+ * @param {Object} user - User object
+ * @param {Object} claim - { code, codeExpiresInMinutes, orderCount }
+ */
+const sendOrderClaimEmail = async (user, claim) => sendTemplatedEmail(
+  'order_claim',
+  user.email,
+  { customer: { firstName: user.firstName }, claim },
+  { user: user._id }
+);
+
+/**
+ * Tell a user their account was signed in to from a device it has not used before
+ * @param {Object} user - User object
+ * @param {Object} login - { time, device, ip } as display strings
+ */
+const sendNewDeviceLoginEmail = async (user, login) => sendTemplatedEmail(
+  'new_device_login',
+  user.email,
+  { customer: { firstName: user.firstName }, login },
+  { user: user._id }
+);
+
+/**
+ * Confirm a request to delete the account, with the date it happens
+ * @param {Object} user - User object
+ * @param {Object} deletion - { date, graceDays } with date as a display string
+ */
+const sendAccountDeletionEmail = async (user, deletion) => sendTemplatedEmail(
+  'account_deletion_scheduled',
+  user.email,
+  { customer: { firstName: user.firstName }, deletion },
+  { user: user._id }
+);
+
 module.exports = {
+  getOrderRecipient,
   sendEmail,
+  queueEmail,
+  sendTemplatedEmail,
   sendOrderConfirmationEmail,
   sendOrderShippedEmail,
   sendOrderDeliveredEmail,
-  sendOrderStatusUpdateEmail
+  sendOrderStatusUpdateEmail,
+  sendOrderCancelledEmail,
+  sendReturnStatusEmail,
+  sendContactMessageEmail,
+  sendEmailVerificationEmail,
+  sendPasswordResetEmail,
+  sendOrderClaimEmail,
+  sendNewDeviceLoginEmail,
+  sendAccountDeletionEmail
 };
@@ -0,0 +1,37 @@
+const jwt = require('jsonwebtoken');
+
+const ORDER_LOOKUP_TTL = process.env.ORDER_LOOKUP_TTL || '180d';
+
+const getSecret = () => process.env.ORDER_LOOKUP_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a token that grants read access to a single order, for buyers without an account.
+ */
+const createOrderLookupToken = (order) =>
+  jwt.sign({ orderId: order._id.toString(), type: 'order_lookup' }, getSecret(), {
+    expiresIn: ORDER_LOOKUP_TTL
+  });
+
+/**
+ * @returns {string|null} Order id, or null when the token is invalid, expired or not a lookup token
+ */
+const verifyOrderLookupToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.type === 'order_lookup' ? payload.orderId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Storefront page that calls GET /api/orders/lookup/:token
+const getOrderLookupUrl = (order) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${clientUrl}/orders/track?token=${createOrderLookupToken(order)}`;
+};
+
+module.exports = {
+  createOrderLookupToken,
+  verifyOrderLookupToken,
+  getOrderLookupUrl
+};
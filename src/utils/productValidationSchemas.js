@@ -9,6 +9,7 @@ const productSchema = z.object({
   category: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Category must be a valid MongoDB ObjectId'),
   subcategory: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Subcategory must be a valid MongoDB ObjectId').optional(),
   brand: z.string().optional(),
+  taxClass: z.string().regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores').max(30, 'Tax class must be at most 30 characters').optional(),
   tags: z.array(z.string()).optional(),
   variants: z.array(
     z.object({
@@ -21,6 +22,12 @@ const productSchema = z.object({
       price: z.number().positive('Price must be a positive number'),
       salePrice: z.number().positive('Sale price must be greater than 0').optional().or(z.number().nonpositive()).optional(),
       stockQuantity: z.number().nonnegative('Stock quantity cannot be negative').optional(),
+      isRateLinked: z.boolean().optional(),
+      makingCharges: z.object({
+        type: z.enum(['per_gram', 'fixed', 'percentage']).optional(),
+        value: z.number().nonnegative('Making charges cannot be negative').optional()
+      }).optional(),
+      gemstoneValue: z.number().nonnegative('Gemstone value cannot be negative').optional(),
       images: z.array(
         z.object({
           url: z.string().url('Image URL must be valid'),
@@ -69,6 +76,7 @@ const updateProductSchema = z.object({
   category: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Category must be a valid MongoDB ObjectId').optional(),
   subcategory: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Subcategory must be a valid MongoDB ObjectId').optional(),
   brand: z.string().optional(),
+  taxClass: z.string().regex(/^[a-z0-9_-]+$/i, 'Tax class may only contain letters, numbers, dashes and underscores').max(30, 'Tax class must be at most 30 characters').optional(),
   tags: z.array(z.string()).optional(),
   variants: z.array(
     z.object({
@@ -81,6 +89,12 @@ const updateProductSchema = z.object({
       price: z.number().positive('Price must be a positive number').optional(),
       salePrice: z.number().positive('Sale price must be greater than 0').optional().or(z.number().nonpositive()).optional(),
       stockQuantity: z.number().nonnegative('Stock quantity cannot be negative').optional(),
+      isRateLinked: z.boolean().optional(),
+      makingCharges: z.object({
+        type: z.enum(['per_gram', 'fixed', 'percentage']).optional(),
+        value: z.number().nonnegative('Making charges cannot be negative').optional()
+      }).optional(),
+      gemstoneValue: z.number().nonnegative('Gemstone value cannot be negative').optional(),
       images: z.array(
         z.object({
           url: z.string().url('Image URL must be valid'),
@@ -0,0 +1,43 @@
+// Rough browser and OS names for showing a device to its owner, e.g. "Chrome on Windows".
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome also claims to be Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const firstMatch = (list, userAgent) => {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+/**
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. "Safari on iOS", or "Unknown device"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const system = firstMatch(SYSTEMS, userAgent);
+
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+  return browser || system || 'Unknown device';
+};
+
+module.exports = { describeDevice };
@@ -0,0 +1,155 @@
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Settings = require('../src/models/Settings');
+const analytics = require('../src/services/adminService');
+const { buildOrder, buildUser, mockQuery } = require('./fixtures/doubles');
+
+// June 2026 in Lahore (UTC+5) and the 30 days before it
+const JUNE = { from: '2026-06-01', to: '2026-06-30' };
+const JUNE_START = new Date('2026-05-31T19:00:00.000Z');
+const JULY_START = new Date('2026-06-30T19:00:00.000Z');
+const MAY_START = new Date('2026-05-01T19:00:00.000Z');
+
+const matchOf = pipeline => pipeline[0].$match;
+
+// summarizeRevenue groups every matching order into one row
+const revenueRow = (revenue, orders) => (revenue === null ? [] : [{ _id: null, revenue, orders }]);
+
+describe('analytics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Settings.findOne.mockReturnValue(mockQuery({ timezone: 'Asia/Karachi' }));
+  });
+
+  describe('getSalesAnalytics', () => {
+    it('should read whole days in the store timezone and compare with the period before', async () => {
+      Order.aggregate
+        .mockResolvedValueOnce([
+          { periodStart: JUNE_START, label: '2026-06-01', revenue: 90000, orders: 2, discounts: 5000, averageOrderValue: 45000 },
+          { periodStart: new Date('2026-06-01T19:00:00.000Z'), label: '2026-06-02', revenue: 30000, orders: 1, discounts: 0, averageOrderValue: 30000 }
+        ])
+        .mockResolvedValueOnce(revenueRow(120000, 3))
+        .mockResolvedValueOnce(revenueRow(80000, 4));
+
+      const { data } = await analytics.getSalesAnalytics({ ...JUNE, period: 'daily' });
+
+      const [series, current, previous] = Order.aggregate.mock.calls.map(([pipeline]) => matchOf(pipeline));
+      expect(series.createdAt).toEqual({ $gte: JUNE_START, $lt: JULY_START });
+      expect(current.createdAt).toEqual({ $gte: JUNE_START, $lt: JULY_START });
+      expect(previous.createdAt).toEqual({ $gte: MAY_START, $lt: JUNE_START });
+      expect(data.range).toEqual({ from: JUNE_START, to: JULY_START, timezone: 'Asia/Karachi', interval: 'day' });
+      expect(data.totals).toEqual({ revenue: 120000, orders: 3, averageOrderValue: 40000 });
+      expect(data.growth).toEqual({ revenue: 50, orders: -25, averageOrderValue: 100 });
+      expect(data.labels).toEqual(['2026-06-01', '2026-06-02']);
+      expect(data.datasets).toEqual([
+        { label: 'Revenue', data: [90000, 30000] },
+        { label: 'Orders', data: [2, 1] }
+      ]);
+    });
+
+    it('should leave cancelled and unpaid orders out of revenue and net off refunds', async () => {
+      await analytics.getSalesAnalytics(JUNE);
+
+      const [pipeline] = Order.aggregate.mock.calls[1];
+      expect(matchOf(pipeline)).toMatchObject({ orderStatus: { $ne: 'cancelled' }, paymentStatus: { $ne: 'failed' } });
+      expect(pipeline[1].$group.revenue).toEqual({ $sum: { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] } });
+    });
+
+    it('should report no growth against an empty period instead of dividing by zero', async () => {
+      Order.aggregate
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce(revenueRow(1000, 1))
+        .mockResolvedValueOnce(revenueRow(null));
+
+      const { data } = await analytics.getSalesAnalytics(JUNE);
+
+      expect(data.previousPeriod).toEqual({ revenue: 0, orders: 0, averageOrderValue: 0 });
+      expect(data.growth).toEqual({ revenue: null, orders: null, averageOrderValue: null });
+    });
+
+    it('should reject an unknown interval and a range that ends before it starts', async () => {
+      await expect(analytics.getSalesAnalytics({ ...JUNE, interval: 'hour' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(analytics.getSalesAnalytics({ from: '2026-06-30', to: '2026-06-01' })).rejects.toThrow('The from date must be before the to date');
+      expect(Order.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDashboardStats', () => {
+    it('should compare revenue with the period before and list the latest orders, guests included', async () => {
+      Order.aggregate
+        .mockResolvedValueOnce(revenueRow(500000, 10))
+        .mockResolvedValueOnce(revenueRow(60000, 2))
+        .mockResolvedValueOnce(revenueRow(40000, 1));
+      Order.find.mockReturnValue(mockQuery([
+        buildOrder({ user: buildUser() }),
+        buildOrder({ orderNumber: 'ORD-20260102-CD34', user: null, isGuest: true, orderStatus: 'shipped' })
+      ]));
+
+      const { data } = await analytics.getDashboardStats(JUNE);
+
+      expect(data).toMatchObject({ totalRevenue: 500000, periodRevenue: 60000, periodOrders: 2, averageOrderValue: 30000, revenueGrowth: 50 });
+      expect(data.recentOrders).toEqual([
+        { id: expect.any(String), orderNumber: 'ORD-20260101-AB12', user: { name: 'Sara Khan' }, totalAmount: 50000, status: 'pending' },
+        { id: expect.any(String), orderNumber: 'ORD-20260102-CD34', user: null, totalAmount: 50000, status: 'shipped' }
+      ]);
+    });
+  });
+
+  describe('getUserAnalytics', () => {
+    it('should split buyers into new and returning and work out the returning rate', async () => {
+      User.countDocuments
+        .mockResolvedValueOnce(120)
+        .mockResolvedValueOnce(110)
+        .mockResolvedValueOnce(15)
+        .mockResolvedValueOnce(10);
+      Order.aggregate.mockResolvedValueOnce([
+        { _id: 'new', customers: 3, orders: 3, revenue: 150000.004 },
+        { _id: 'returning', customers: 1, orders: 2, revenue: 90000 }
+      ]);
+
+      const { data } = await analytics.getUserAnalytics(JUNE);
+
+      expect(data).toMatchObject({ total: 120, active: 110, signups: 15, signupGrowth: 50, activeCustomers: 4, returningCustomerRate: 25 });
+      expect(data.customers).toEqual({
+        new: { customers: 3, orders: 3, revenue: 150000 },
+        returning: { customers: 1, orders: 2, revenue: 90000 }
+      });
+    });
+  });
+
+  describe('getOrderAnalytics', () => {
+    it('should turn status counts into a funnel with cancellation and return rates', async () => {
+      Order.aggregate
+        .mockResolvedValueOnce([
+          { _id: 'delivered', count: 5 },
+          { _id: 'shipped', count: 2 },
+          { _id: 'cancelled', count: 2 },
+          { _id: 'returned', count: 1 }
+        ])
+        .mockResolvedValueOnce([{ _id: 'completed', count: 7 }, { _id: 'refunded', count: 3 }])
+        .mockResolvedValueOnce([{ _id: null, pending: 10, confirmed: 9, processing: 8, shipped: 8, delivered: 6 }]);
+
+      const { data } = await analytics.getOrderAnalytics(JUNE);
+
+      expect(data).toMatchObject({
+        total: 10,
+        delivered: 5,
+        paymentStatusCounts: { completed: 7, refunded: 3 },
+        cancellationRate: 20,
+        returnRate: 10
+      });
+      expect(data.funnel).toEqual([
+        { stage: 'pending', orders: 10, rate: 100 },
+        { stage: 'confirmed', orders: 9, rate: 90 },
+        { stage: 'processing', orders: 8, rate: 80 },
+        { stage: 'shipped', orders: 8, rate: 80 },
+        { stage: 'delivered', orders: 6, rate: 60 }
+      ]);
+    });
+  });
+});
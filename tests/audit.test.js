@@ -0,0 +1,237 @@
+jest.mock('../src/models/AuditLog', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Role', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+
+const AuditLog = require('../src/models/AuditLog');
+const Product = require('../src/models/Product');
+const Role = require('../src/models/Role');
+const Settings = require('../src/models/Settings');
+const { clearPermissionCache } = require('../src/services/permissionService');
+const audit = require('../src/middlewares/audit');
+const {
+  REDACTED,
+  diffDocuments,
+  buildAuditQuery,
+  toCsvRow,
+  csvHeader
+} = require('../src/services/auditService');
+const { getAuditLogs, getAuditLog, exportAuditLogs } = require('../src/controllers/auditController');
+const { IDS, buildAdmin, buildDoc, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const AUDIT_ID = '64b7f0c2a1b2c3d4e5f61301';
+
+// Entries written to the log, and the products the handlers change
+let entries;
+let products;
+
+const storeProduct = (fields) => {
+  products.set(fields._id, { ...fields });
+};
+
+// A handler that changes the stored product and replies the way the product routes do
+const updatePrice = (req, res) => {
+  const product = products.get(req.params.id);
+  if (!product) {
+    return res.status(404).json({ success: false, message: 'Product not found' });
+  }
+  product.price = req.body.price;
+  return res.status(200).json({ success: true, data: product });
+};
+
+// Send the response: run what the middleware hooked on 'finish' and wait for the write
+const finish = async (res) => {
+  await Promise.all(res.on.mock.calls
+    .filter(([event]) => event === 'finish')
+    .map(([, listener]) => listener()));
+};
+
+const request = (overrides = {}) => buildRequest({
+  id: 'req-1',
+  method: 'PUT',
+  originalUrl: `/api/v1/products/${IDS.product}`,
+  params: { id: IDS.product },
+  body: { price: 1200 },
+  user: buildAdmin(),
+  ...overrides
+});
+
+describe('audit log', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearPermissionCache();
+    entries = [];
+    products = new Map();
+    AuditLog.create.mockImplementation(async (data) => {
+      const entry = { _id: `audit-${entries.length + 1}`, ...data };
+      entries.push(entry);
+      return entry;
+    });
+    Product.modelName = 'Product';
+    Product.findOne.mockImplementation(({ _id }) => mockQuery(products.has(_id) ? { ...products.get(_id) } : null));
+    Role.findOne.mockReturnValue(mockQuery(null));
+    Settings.findOne.mockReturnValue(mockQuery({ requireAdminTwoFactor: false }));
+  });
+
+  describe('diffDocuments', () => {
+    it('should list changed fields by path and mask secrets', () => {
+      const changes = diffDocuments(
+        { _id: 'u1', name: 'Ring', pricing: { price: 1000 }, password: 'old', updatedAt: 1 },
+        { _id: 'u1', name: 'Ring', pricing: { price: 1200 }, password: 'new', updatedAt: 2 }
+      );
+
+      expect(changes).toEqual([
+        { field: 'password', before: REDACTED, after: REDACTED },
+        { field: 'pricing.price', before: 1000, after: 1200 }
+      ]);
+    });
+
+    it('should treat a created document as every field added', () => {
+      expect(diffDocuments(null, { name: 'Ring' })).toEqual([{ field: 'name', before: null, after: 'Ring' }]);
+    });
+  });
+
+  describe('buildAuditQuery', () => {
+    it('should match an action prefix and a date range', () => {
+      const query = buildAuditQuery({ action: 'product.*', from: '2026-01-01', to: '2026-01-31' });
+
+      expect(query.action).toEqual({ $regex: '^product\\.' });
+      expect(query.createdAt).toEqual({ $gte: new Date('2026-01-01'), $lte: new Date('2026-01-31') });
+    });
+  });
+
+  describe('CSV export', () => {
+    it('should quote cells and neutralise formulas', () => {
+      const row = toCsvRow({
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        actor: { _id: IDS.admin, email: '=HYPERLINK("x")' },
+        action: 'product.update',
+        changes: [{ field: 'name', before: 'A, B', after: 'C' }]
+      });
+
+      expect(csvHeader().split(',')).toHaveLength(row.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).length);
+      expect(row).toContain('2026-01-01T00:00:00.000Z');
+      expect(row).toContain('"\'=HYPERLINK(""x"")"');
+      expect(row).toContain('"[{""field"":""name"",""before"":""A, B"",""after"":""C""}]"');
+    });
+  });
+
+  describe('audit middleware', () => {
+    it('should record the fields a successful request changed', async () => {
+      storeProduct({ _id: IDS.product, name: 'Gold Ring', price: 1000 });
+
+      const res = await runHandler([audit('product.update', { model: Product }), updatePrice], request());
+      await finish(res);
+
+      expect(res.statusCode).toBe(200);
+      expect(entries).toEqual([expect.objectContaining({
+        actor: IDS.admin,
+        actorRole: 'admin',
+        action: 'product.update',
+        entityType: 'Product',
+        entityId: IDS.product,
+        changes: [{ field: 'price', before: 1000, after: 1200 }],
+        requestBody: undefined,
+        method: 'PUT',
+        statusCode: 200,
+        ip: '203.0.113.9',
+        requestId: 'req-1'
+      })]);
+      // Read from the actor, so it cannot outlive the account
+      expect(entries[0]).not.toHaveProperty('actorEmail');
+    });
+
+    it('should find a created entity from the response', async () => {
+      const create = (req, res) => {
+        storeProduct({ _id: IDS.product, name: req.body.name });
+        res.status(201).json({ success: true, data: { _id: IDS.product } });
+      };
+
+      const res = await runHandler(
+        [audit('product.create', { model: Product }), create],
+        request({ method: 'POST', params: {}, body: { name: 'Gold Ring' } })
+      );
+      await finish(res);
+
+      expect(entries).toEqual([expect.objectContaining({
+        entityId: IDS.product,
+        statusCode: 201,
+        changes: [{ field: 'name', before: null, after: 'Gold Ring' }]
+      })]);
+    });
+
+    it('should not record failed requests', async () => {
+      const res = await runHandler([audit('product.update', { model: Product }), updatePrice], request());
+      await finish(res);
+
+      expect(res.statusCode).toBe(404);
+      expect(entries).toEqual([]);
+    });
+
+    it('should skip owners without the staff permission and mask the request body', async () => {
+      const upload = (req, res) => res.status(200).json({ success: true });
+      const middleware = audit('image.upload', { onlyWith: 'products:write' });
+
+      const owner = await runHandler([middleware, upload], request({ user: buildUser(), body: { password: 'secret' } }));
+      await finish(owner);
+      expect(entries).toEqual([]);
+
+      const staff = await runHandler([middleware, upload], request({ body: { password: 'secret', alt: 'Ring' } }));
+      await finish(staff);
+      expect(entries).toEqual([expect.objectContaining({
+        changes: [],
+        requestBody: { password: REDACTED, alt: 'Ring' }
+      })]);
+    });
+
+    it('should not fail the request when the entry cannot be written', async () => {
+      storeProduct({ _id: IDS.product, price: 1000 });
+      AuditLog.create.mockRejectedValueOnce(new Error('write concern'));
+
+      const res = await runHandler([audit('product.update', { model: Product }), updatePrice], request());
+      await finish(res);
+
+      expect(entries).toEqual([]);
+      expect(res.statusCode).toBe(200);
+      expect(products.get(IDS.product).price).toBe(1200);
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should list entries for the filters, newest first', async () => {
+      AuditLog.countDocuments.mockResolvedValue(1);
+      AuditLog.find.mockReturnValue(mockQuery([{ _id: AUDIT_ID, action: 'product.update' }]));
+
+      const res = await runHandler(getAuditLogs, request({ method: 'GET', query: { action: 'product.*', entityId: IDS.product } }));
+
+      expect(res.statusCode).toBe(200);
+      expect(AuditLog.find).toHaveBeenCalledWith({ action: { $regex: '^product\\.' }, entityId: IDS.product });
+      expect(res.body.data.data).toEqual([{ _id: AUDIT_ID, action: 'product.update' }]);
+      expect(res.body.data.pagination).toMatchObject({ totalItems: 1 });
+    });
+
+    it('should answer 400 for an unreadable date, in the listing and the export', async () => {
+      const listing = await runHandler(getAuditLogs, request({ method: 'GET', query: { from: 'last week' } }));
+      const csv = await runHandler(exportAuditLogs, request({ method: 'GET', query: { to: 'yesterday' } }));
+
+      expect(listing.statusCode).toBe(400);
+      expect(listing.body.message).toBe('Invalid date: last week');
+      expect(csv.statusCode).toBe(400);
+      expect(csv.body.message).toBe('Invalid date: yesterday');
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/audit/:id', () => {
+    it('should show an entry and answer 404 for an unknown one', async () => {
+      AuditLog.findById.mockReturnValueOnce(mockQuery(buildDoc({ _id: AUDIT_ID, action: 'product.update' })));
+
+      const found = await runHandler(getAuditLog, request({ method: 'GET', params: { id: AUDIT_ID } }));
+      const missing = await runHandler(getAuditLog, request({ method: 'GET', params: { id: AUDIT_ID } }));
+
+      expect(found.statusCode).toBe(200);
+      expect(found.body.data).toMatchObject({ _id: AUDIT_ID, action: 'product.update' });
+      expect(missing.statusCode).toBe(404);
+    });
+  });
+});
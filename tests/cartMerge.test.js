@@ -0,0 +1,125 @@
+jest.mock('../src/models/Cart', () => {
+  const { buildDoc, mockModel } = require('./fixtures/doubles');
+  // new Cart(...) gives a document; the statics are the usual model doubles
+  return Object.assign(jest.fn(data => buildDoc(data)), mockModel());
+});
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+
+const Cart = require('../src/models/Cart');
+const Product = require('../src/models/Product');
+const { mergeGuestCart } = require('../src/services/cartService');
+const { IDS, buildDoc, buildProduct, mockQuery } = require('./fixtures/doubles');
+
+const GUEST_ID = 'guest-5f0c2a';
+const GUEST_CART = '64b7f0c2a1b2c3d4e5f61101';
+const USER_CART = '64b7f0c2a1b2c3d4e5f61102';
+const SECOND_VARIANT = '64b7f0c2a1b2c3d4e5f60c12';
+const REMOVED_PRODUCT = '64b7f0c2a1b2c3d4e5f60c09';
+
+const stockProduct = (overrides = {}) => {
+  const product = buildProduct({
+    variants: [
+      { _id: IDS.variant, sku: 'RING-22K-6', price: 50000, salePrice: 45000, stockQuantity: 3 },
+      { _id: SECOND_VARIANT, sku: 'RING-22K-7', price: 52000, stockQuantity: 200 }
+    ],
+    ...overrides
+  });
+  product.variants.id = id => product.variants.find(variant => variant._id === String(id)) || null;
+  Product.findById.mockImplementation(id => mockQuery(id === product._id ? product : null));
+  return product;
+};
+
+const line = (overrides = {}) => ({ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000, ...overrides });
+
+// findOne({ guestId }) finds the guest cart, findOne({ user }) the signed-in user's
+const storeCarts = ({ guestItems = [], userItems = null } = {}) => {
+  const guestCart = buildDoc({ _id: GUEST_CART, guestId: GUEST_ID, items: guestItems });
+  const userCart = userItems && buildDoc({ _id: USER_CART, user: IDS.customer, items: userItems, priceLock: { expiresAt: new Date() } });
+
+  Cart.findOne.mockImplementation(filter => mockQuery(filter.guestId ? guestCart : userCart));
+  return { guestCart, userCart };
+};
+
+describe('guest cart merge', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stockProduct();
+  });
+
+  it('should move the guest lines into a new cart at catalogue prices and delete the guest cart', async () => {
+    storeCarts({ guestItems: [line({ quantity: 2, price: 1 })] });
+
+    const { cart, adjustments } = await mergeGuestCart(GUEST_ID, IDS.customer);
+
+    expect(cart.saved.user).toBe(IDS.customer);
+    expect(cart.saved.items).toEqual([{ product: IDS.product, variant: IDS.variant, quantity: 2, price: 45000 }]);
+    expect(adjustments).toEqual([]);
+    expect(Cart.deleteOne).toHaveBeenCalledWith({ _id: GUEST_CART });
+  });
+
+  it('should add to a line the user already has, up to the stock, and report the shortfall', async () => {
+    const { userCart } = storeCarts({
+      guestItems: [line({ quantity: 2 }), line({ variant: SECOND_VARIANT, quantity: 5 })],
+      userItems: [line({ quantity: 2 })]
+    });
+
+    const { cart, adjustments } = await mergeGuestCart(GUEST_ID, IDS.customer);
+
+    expect(cart).toBe(userCart);
+    expect(userCart.saved.items).toEqual([
+      { product: IDS.product, variant: IDS.variant, quantity: 3, price: 45000 },
+      { product: IDS.product, variant: SECOND_VARIANT, quantity: 5, price: 52000 }
+    ]);
+    expect(adjustments).toEqual([
+      { product: IDS.product, variant: IDS.variant, requested: 2, added: 1, reason: 'insufficient_stock' }
+    ]);
+  });
+
+  it('should not take a line past the cart maximum of 99', async () => {
+    const { userCart } = storeCarts({
+      guestItems: [line({ variant: SECOND_VARIANT, quantity: 10 })],
+      userItems: [line({ variant: SECOND_VARIANT, quantity: 95 })]
+    });
+
+    const { adjustments } = await mergeGuestCart(GUEST_ID, IDS.customer);
+
+    expect(userCart.saved.items[0].quantity).toBe(99);
+    expect(adjustments[0]).toMatchObject({ requested: 10, added: 4 });
+  });
+
+  it('should report products and variants removed since they were added as unavailable', async () => {
+    storeCarts({
+      guestItems: [
+        line({ product: REMOVED_PRODUCT, variant: undefined }),
+        line({ variant: '64b7f0c2a1b2c3d4e5f60c99', quantity: 2 }),
+        line()
+      ]
+    });
+
+    const { cart, adjustments } = await mergeGuestCart(GUEST_ID, IDS.customer);
+
+    expect(cart.saved.items).toEqual([{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 45000 }]);
+    expect(adjustments).toEqual([
+      { product: REMOVED_PRODUCT, variant: undefined, requested: 1, added: 0, reason: 'unavailable' },
+      { product: IDS.product, variant: '64b7f0c2a1b2c3d4e5f60c99', requested: 2, added: 0, reason: 'unavailable' }
+    ]);
+  });
+
+  it('should drop the price lock of a running checkout once the cart changes', async () => {
+    const { userCart } = storeCarts({ guestItems: [line()], userItems: [] });
+
+    await mergeGuestCart(GUEST_ID, IDS.customer);
+
+    expect(userCart.saved.priceLock).toBeUndefined();
+  });
+
+  it('should merge nothing from an empty or missing guest cart', async () => {
+    storeCarts({ userItems: [line()] });
+    await expect(mergeGuestCart(GUEST_ID, IDS.customer)).resolves.toBeNull();
+    expect(Cart.deleteOne).toHaveBeenCalledWith({ _id: GUEST_CART });
+
+    Cart.findOne.mockReturnValue(mockQuery(null));
+    await expect(mergeGuestCart(GUEST_ID, IDS.customer)).resolves.toBeNull();
+    expect(Product.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,241 @@
+jest.mock('../src/models/Coupon', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Cart', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/pricingService', () => ({
+  priceOrder: jest.fn(),
+  findPriceMismatches: jest.fn(() => [])
+}));
+jest.mock('../src/services/commissionService', () => ({
+  splitOrderByVendor: jest.fn(async quote => ({ items: quote.items, vendorOrders: [] }))
+}));
+jest.mock('../src/services/inventoryService', () => ({
+  reserveStock: jest.fn(),
+  releaseStock: jest.fn(),
+  restockOrder: jest.fn()
+}));
+jest.mock('../src/services/invoiceService', () => ({
+  generateInvoice: jest.fn()
+}));
+jest.mock('../src/utils/emailService', () => ({
+  getOrderRecipient: jest.fn(() => ({ email: 'sara@example.com' })),
+  sendOrderConfirmationEmail: jest.fn(),
+  sendOrderShippedEmail: jest.fn(),
+  sendOrderDeliveredEmail: jest.fn(),
+  sendOrderStatusUpdateEmail: jest.fn()
+}));
+
+const Coupon = require('../src/models/Coupon');
+const Order = require('../src/models/Order');
+const Cart = require('../src/models/Cart');
+const { priceOrder } = require('../src/services/pricingService');
+const coupons = require('../src/services/couponService');
+const { createOrder, updateOrderStatus } = require('../src/controllers/orderController');
+const { IDS, buildAdmin, buildDoc, buildOrder, buildProduct, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildCoupon = (overrides = {}) => ({
+  _id: IDS.coupon,
+  code: 'EID10',
+  type: 'percentage',
+  value: 10,
+  minimumOrderAmount: 0,
+  usageLimit: 0,
+  usageCount: 0,
+  isActive: true,
+  startDate: new Date(Date.now() - DAY),
+  endDate: new Date(Date.now() + DAY),
+  ...overrides
+});
+
+const line = (subtotal, overrides = {}) => ({ product: buildProduct(), variant: null, quantity: 1, subtotal, ...overrides });
+
+// Evaluates the parts of a mongo filter couponService uses against one stored coupon
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some(branch => matches(doc, branch));
+  }
+  if (key === '$expr') {
+    const [left, right] = condition.$lt.map(ref => doc[ref.slice(1)]);
+    return left < right;
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([op, value]) => ({
+      $lte: () => doc[key] <= value,
+      $gte: () => doc[key] >= value,
+      $gt: () => doc[key] > value
+    })[op]());
+  }
+  return doc[key] === condition;
+});
+
+// A one-coupon collection: findOneAndUpdate and updateOne apply $inc only when the filter matches
+const storeCoupon = (coupon) => {
+  const stored = buildCoupon(coupon);
+  const update = (filter, { $inc }) => {
+    if (!matches(stored, filter)) {
+      return null;
+    }
+    stored.usageCount += $inc.usageCount;
+    return stored;
+  };
+  Coupon.findOneAndUpdate.mockImplementation(async (filter, change) => (update(filter, change) ? { ...stored } : null));
+  Coupon.updateOne.mockImplementation(async (filter, change) => ({ modifiedCount: update(filter, change) ? 1 : 0 }));
+  return stored;
+};
+
+describe('coupons', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateDiscount', () => {
+    it('should only apply inside the validity window', () => {
+      const coupon = buildCoupon({ startDate: new Date('2026-04-01'), endDate: new Date('2026-04-30') });
+
+      expect(() => coupons.calculateDiscount(coupon, [line(1000)], new Date('2026-03-31'))).toThrow('Coupon is not valid yet');
+      expect(() => coupons.calculateDiscount(coupon, [line(1000)], new Date('2026-05-01'))).toThrow('Coupon has expired');
+      expect(coupons.calculateDiscount(coupon, [line(1000)], new Date('2026-04-15')).discountAmount).toBe(100);
+    });
+
+    it('should require the minimum order amount', () => {
+      const coupon = buildCoupon({ minimumOrderAmount: 5000 });
+
+      expect(() => coupons.calculateDiscount(coupon, [line(2000), line(2999)])).toThrow('A minimum order of 5000 is required for this coupon');
+      expect(coupons.calculateDiscount(coupon, [line(2000), line(3000)]).discountAmount).toBe(500);
+    });
+
+    it('should refuse a coupon whose uses have run out', () => {
+      expect(() => coupons.calculateDiscount(buildCoupon({ usageLimit: 3, usageCount: 3 }), [line(1000)]))
+        .toThrow('Coupon usage limit has been reached');
+    });
+
+    it('should cap the discount at the maximum and at the eligible subtotal', () => {
+      expect(coupons.calculateDiscount(buildCoupon({ value: 50, maximumDiscountAmount: 300 }), [line(1000)]).discountAmount).toBe(300);
+      expect(coupons.calculateDiscount(buildCoupon({ type: 'fixed_amount', value: 5000 }), [line(1200)]).discountAmount).toBe(1200);
+    });
+  });
+
+  describe('redeemCoupon', () => {
+    it('should take the last use once and refuse the next checkout', async () => {
+      const stored = storeCoupon({ usageLimit: 2, usageCount: 1 });
+
+      await expect(coupons.redeemCoupon(' eid10 ')).resolves.toMatchObject({ code: 'EID10', usageCount: 2 });
+      await expect(coupons.redeemCoupon('EID10')).rejects.toThrow('Coupon is no longer available');
+      expect(stored.usageCount).toBe(2);
+    });
+
+    it('should not count a use of an inactive or expired coupon', async () => {
+      const stored = storeCoupon({ endDate: new Date(Date.now() - 1000) });
+
+      await expect(coupons.redeemCoupon('EID10')).rejects.toThrow('Coupon is no longer available');
+      stored.endDate = new Date(Date.now() + DAY);
+      stored.isActive = false;
+      await expect(coupons.redeemCoupon('EID10')).rejects.toThrow('Coupon is no longer available');
+      expect(stored.usageCount).toBe(0);
+    });
+
+    it('should redeem without limit when usageLimit is 0', async () => {
+      const stored = storeCoupon({ usageLimit: 0, usageCount: 40 });
+
+      await coupons.redeemCoupon('EID10');
+
+      expect(stored.usageCount).toBe(41);
+    });
+  });
+
+  describe('releaseCoupon', () => {
+    it('should give a use back but never go below zero', async () => {
+      const stored = storeCoupon({ usageLimit: 2, usageCount: 2 });
+
+      await coupons.releaseCoupon('eid10');
+      expect(stored.usageCount).toBe(1);
+      await expect(coupons.redeemCoupon('EID10')).resolves.toMatchObject({ usageCount: 2 });
+
+      stored.usageCount = 0;
+      await coupons.releaseCoupon('EID10');
+      expect(stored.usageCount).toBe(0);
+    });
+  });
+
+  describe('createOrder', () => {
+    const orderBody = {
+      items: [{ product: IDS.product, variant: IDS.variant, quantity: 1 }],
+      shippingAddress: buildOrder().shippingAddress,
+      paymentMethod: 'cash_on_delivery'
+    };
+
+    beforeEach(() => {
+      priceOrder.mockImplementation(async ({ couponCode }) => ({
+        items: [{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000, subtotal: 50000 }],
+        coupon: couponCode ? { code: couponCode } : undefined,
+        subtotal: 50000,
+        taxAmount: 0,
+        shippingCost: 0,
+        discountAmount: couponCode ? 5000 : 0,
+        totalAmount: couponCode ? 45000 : 50000
+      }));
+      Order.create.mockImplementation(async data => buildOrder(data));
+    });
+
+    it('should empty the cart so its coupon is redeemed by one order only', async () => {
+      const stored = storeCoupon({ usageLimit: 5 });
+      const cart = buildDoc({
+        _id: 'cart-1',
+        user: IDS.customer,
+        items: [{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000 }],
+        couponCode: 'EID10',
+        priceLock: { lockedAt: new Date() }
+      });
+      Cart.findOne.mockReturnValue(mockQuery(cart));
+      const checkout = () => runHandler(createOrder, buildRequest({ method: 'POST', body: orderBody, user: buildUser() }));
+
+      const first = await checkout();
+
+      expect(first.statusCode).toBe(201);
+      expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({ couponCode: 'EID10', totalAmount: 45000 }));
+      expect(cart.saved.items).toEqual([]);
+      expect(cart.saved.couponCode).toBeUndefined();
+      expect(cart.saved.priceLock).toBeUndefined();
+
+      const second = await checkout();
+
+      expect(second.statusCode).toBe(201);
+      expect(Order.create).toHaveBeenLastCalledWith(expect.objectContaining({ couponCode: undefined, totalAmount: 50000 }));
+      expect(stored.usageCount).toBe(1);
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    const cancel = order => {
+      Order.findById.mockReturnValue(mockQuery(order));
+      return runHandler(updateOrderStatus, buildRequest({
+        method: 'PUT',
+        params: { id: IDS.order },
+        body: { status: 'cancelled' },
+        user: buildAdmin()
+      }));
+    };
+
+    it('should give the coupon use back when staff cancel the order', async () => {
+      const stored = storeCoupon({ usageLimit: 1, usageCount: 1 });
+      const order = buildOrder({ couponCode: 'EID10' });
+
+      const res = await cancel(order);
+
+      expect(res.statusCode).toBe(200);
+      expect(order.saved.orderStatus).toBe('cancelled');
+      expect(stored.usageCount).toBe(0);
+    });
+
+    it('should leave coupons alone for orders that were already cancelled', async () => {
+      const stored = storeCoupon({ usageLimit: 1, usageCount: 1 });
+
+      const res = await cancel(buildOrder({ couponCode: 'EID10', orderStatus: 'cancelled' }));
+
+      expect(res.statusCode).toBe(200);
+      expect(stored.usageCount).toBe(1);
+    });
+  });
+});
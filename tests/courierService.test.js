@@ -0,0 +1,202 @@
+process.env.MOCK_COURIER_WEBHOOK_SECRET = 'mock_webhook_secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/models/Order', () => ({
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../src/services/inventoryService', () => ({
+  restockOrder: jest.fn()
+}));
+jest.mock('../src/utils/emailService', () => ({
+  getOrderRecipient: jest.fn(order => order.contact),
+  sendOrderShippedEmail: jest.fn(),
+  sendOrderDeliveredEmail: jest.fn()
+}));
+
+const Order = require('../src/models/Order');
+const { restockOrder } = require('../src/services/inventoryService');
+const { sendOrderShippedEmail, sendOrderDeliveredEmail } = require('../src/utils/emailService');
+const { bookShipment, syncShipment } = require('../src/services/courierService');
+const { getCourier } = require('../src/services/couriers');
+const mockCourier = require('../src/services/couriers/mock');
+const { courierWebhook } = require('../src/controllers/shipmentController');
+const errorHandler = require('../src/middlewares/errorHandler');
+
+// Mongoose queries are thenables with chainable populate()
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  promise.populate = jest.fn(() => promise);
+  return promise;
+};
+
+const buildOrder = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60719',
+  orderNumber: 'AN-1001',
+  orderStatus: 'confirmed',
+  paymentStatus: 'pending',
+  paymentMethod: 'cash_on_delivery',
+  totalAmount: 12500,
+  contact: { name: 'Guest Buyer', email: 'guest@example.com' },
+  shippingAddress: { street: '12 Main Road', city: 'Karachi', country: 'Pakistan', phone: '03001234567' },
+  pricing: { shipping: { weight: 750 } },
+  statusHistory: [],
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+// Checkpoints after the booking, which is stamped with the current time
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 3600 * 1000);
+
+const bookedOrder = async () => {
+  const order = buildOrder();
+  Order.findById.mockReturnValue(query(order));
+  await bookShipment(order._id, { courier: 'mock' });
+  return order;
+};
+
+describe('courier integration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCourier.reset();
+  });
+
+  describe('bookShipment', () => {
+    it('should store the consignment and move a confirmed order to processing', async () => {
+      const order = await bookedOrder();
+
+      expect(order.trackingNumber).toBe('MOCK-AN-1001');
+      expect(order.shipment).toEqual(expect.objectContaining({
+        courier: 'mock',
+        consignmentNumber: 'MOCK-AN-1001',
+        status: 'booked',
+        weight: 750,
+        codAmount: 12500
+      }));
+      expect(order.orderStatus).toBe('processing');
+      expect(order.save).toHaveBeenCalled();
+    });
+
+    it('should not collect cash for an order that is already paid', async () => {
+      const order = buildOrder({ paymentMethod: 'stripe', paymentStatus: 'completed' });
+      Order.findById.mockReturnValue(query(order));
+
+      await bookShipment(order._id, { courier: 'mock' });
+
+      expect(order.shipment.codAmount).toBe(0);
+    });
+
+    it('should refuse to book a pending order', async () => {
+      const order = buildOrder({ orderStatus: 'pending' });
+      Order.findById.mockReturnValue(query(order));
+
+      await expect(bookShipment(order._id, { courier: 'mock' })).rejects.toThrow('Cannot book a shipment for a pending order');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to book a second shipment', async () => {
+      const order = await bookedOrder();
+      order.orderStatus = 'confirmed';
+
+      await expect(bookShipment(order._id, { courier: 'mock' })).rejects.toThrow('already has a Mock Courier shipment');
+    });
+  });
+
+  describe('syncShipment', () => {
+    it('should move the order through shipped to delivered from polled events', async () => {
+      const order = await bookedOrder();
+      const pickedUpAt = hoursFromNow(2);
+      const deliveredAt = hoursFromNow(26);
+      mockCourier.addEvent('MOCK-AN-1001', 'picked_up', { occurredAt: pickedUpAt });
+      mockCourier.addEvent('MOCK-AN-1001', 'delivered', { occurredAt: deliveredAt });
+
+      const { added, transitions } = await syncShipment(order);
+
+      expect(added).toBe(2);
+      expect(transitions).toEqual(['shipped', 'delivered']);
+      expect(order.orderStatus).toBe('delivered');
+      expect(order.shipment.status).toBe('delivered');
+      expect(order.shippedDate).toEqual(pickedUpAt);
+      expect(order.deliveredDate).toEqual(deliveredAt);
+      expect(order.statusHistory.map(entry => entry.to)).toEqual(['processing', 'shipped', 'delivered']);
+      expect(sendOrderDeliveredEmail).toHaveBeenCalledTimes(1);
+      expect(sendOrderShippedEmail).not.toHaveBeenCalled();
+    });
+
+    it('should ignore checkpoints the order already has', async () => {
+      const order = await bookedOrder();
+      mockCourier.addEvent('MOCK-AN-1001', 'in_transit', { occurredAt: hoursFromNow(2) });
+
+      await syncShipment(order);
+      const second = await syncShipment(order);
+
+      expect(second.added).toBe(0);
+      expect(order.shipment.events).toHaveLength(2);
+      expect(sendOrderShippedEmail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/shipping/webhooks/:courier', () => {
+    const buildApp = () => {
+      const app = express();
+      app.use(express.json());
+      app.post('/api/shipping/webhooks/:courier', courierWebhook);
+      app.use(errorHandler);
+      return app;
+    };
+
+    it('should reject a delivery without the shared secret', async () => {
+      const res = await request(buildApp())
+        .post('/api/shipping/webhooks/mock')
+        .set('X-Courier-Secret', 'wrong')
+        .send({ consignmentNumber: 'MOCK-AN-1001', status: 'delivered' });
+
+      expect(res.status).toBe(401);
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should restock a parcel the courier returned', async () => {
+      const order = await bookedOrder();
+      order.orderStatus = 'shipped';
+      Order.findOne.mockResolvedValue(order);
+
+      const res = await request(buildApp())
+        .post('/api/shipping/webhooks/mock')
+        .set('X-Courier-Secret', 'mock_webhook_secret')
+        .send({ consignmentNumber: 'MOCK-AN-1001', status: 'returned', occurredAt: hoursFromNow(48) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({ processed: 1, ignored: 0 }));
+      expect(order.orderStatus).toBe('returned');
+      expect(restockOrder).toHaveBeenCalledWith(order._id, 'returned');
+    });
+
+    it('should ignore updates for unknown consignments', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      const res = await request(buildApp())
+        .post('/api/shipping/webhooks/mock')
+        .set('X-Courier-Secret', 'mock_webhook_secret')
+        .send({ consignmentNumber: 'MOCK-UNKNOWN', status: 'delivered' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({ processed: 0, ignored: 1 }));
+    });
+  });
+
+  describe('carrier status mapping', () => {
+    it.each([
+      ['tcs', 'Out For Delivery', 'out_for_delivery'],
+      ['tcs', 'Return To Shipper', 'returned'],
+      ['leopards', 'Dispatched', 'picked_up'],
+      ['leopards', 'Delivered', 'delivered'],
+      ['mnp', 'Undelivered - Consignee refused', 'delivery_failed'],
+      ['mnp', 'Arrived at hub', 'in_transit']
+    ])('should map %s "%s" to %s', (code, rawStatus, expected) => {
+      expect(getCourier(code).mapStatus(rawStatus)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+process.env.MAIL_FROM_NAME = 'Azra Nishat';
+process.env.MAIL_FROM_ADDRESS = 'orders@azranishat.test';
+
+const { createSmtpStub } = require('./fixtures/smtpStub');
+
+jest.mock('../src/models/EmailOutbox', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/EmailLog', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel({
+  findOne: jest.fn().mockResolvedValue({ siteName: 'Azra Nishat', currency: 'PKR', contactEmail: 'contact@azranishat.test' })
+}));
+jest.mock('../src/models/EmailTemplate', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/utils/emailQueue', () => ({
+  isConnected: jest.fn(() => false),
+  pushReady: jest.fn(),
+  scheduleRetry: jest.fn(),
+  promoteDue: jest.fn(),
+  popReady: jest.fn()
+}));
+
+const EmailOutbox = require('../src/models/EmailOutbox');
+const EmailLog = require('../src/models/EmailLog');
+const { pushReady, scheduleRetry } = require('../src/utils/emailQueue');
+const { buildDoc, buildRequest, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const smtp = createSmtpStub();
+let outbox;
+let emailService;
+
+const buildMessage = (overrides = {}) => buildDoc({
+  _id: '64b7f0c2a1b2c3d4e5f60801',
+  to: 'buyer@example.com',
+  subject: 'Order Confirmation - #AN-1001',
+  html: '<p>Thank you for your order</p>',
+  text: 'Thank you for your order',
+  attachments: [],
+  template: 'order_confirmation',
+  templateVersion: 1,
+  status: 'sending',
+  attempts: 1,
+  maxAttempts: 6,
+  ...overrides
+});
+
+const secondsUntil = (date) => Math.round((date.getTime() - Date.now()) / 1000);
+
+describe('email outbox', () => {
+  beforeAll(async () => {
+    const port = await smtp.start();
+    process.env.MAIL_HOST = '127.0.0.1';
+    process.env.MAIL_PORT = String(port);
+
+    // The mail transport reads its settings when the module loads
+    outbox = require('../src/services/emailOutboxService');
+    emailService = require('../src/utils/emailService');
+  });
+
+  afterAll(() => smtp.stop());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    smtp.reset();
+  });
+
+  describe('queueing', () => {
+    it('should render the template into the outbox and signal the worker instead of sending', async () => {
+      EmailOutbox.create.mockImplementation(async doc => ({ _id: 'outbox-1', ...doc }));
+
+      await emailService.sendContactMessageEmail({
+        name: 'Sara Khan',
+        email: 'sara@example.com',
+        subject: 'Ring sizing',
+        message: 'Can it be size 5?'
+      });
+
+      expect(EmailOutbox.create).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'contact@azranishat.test',
+        replyTo: 'sara@example.com',
+        subject: 'Contact Form: Ring sizing',
+        template: 'contact_message',
+        templateVersion: 1,
+        maxAttempts: 6
+      }));
+      expect(EmailOutbox.create.mock.calls[0][0].text).toContain('Can it be size 5?');
+      expect(pushReady).toHaveBeenCalledWith('outbox-1');
+      expect(smtp.messages).toHaveLength(0);
+    });
+
+    it('should queue the password reset link and code to the account email', async () => {
+      EmailOutbox.create.mockImplementation(async doc => ({ _id: 'outbox-3', ...doc }));
+
+      await emailService.sendPasswordResetEmail(
+        { _id: '64b7f0c2a1b2c3d4e5f60901', firstName: 'Sara', email: 'sara@example.com' },
+        { url: 'https://azranishat.test/reset-password/reset-token', code: '482913', expiresInMinutes: 10 }
+      );
+
+      const [queued] = EmailOutbox.create.mock.calls[0];
+      expect(queued).toMatchObject({
+        to: 'sara@example.com',
+        subject: 'Reset your Azra Nishat password',
+        template: 'password_reset'
+      });
+      expect(queued.text).toContain('https://azranishat.test/reset-password/reset-token');
+      expect(queued.text).toContain('482913');
+      expect(queued.html).toContain('<strong>482913</strong>');
+      expect(pushReady).toHaveBeenCalledWith('outbox-3');
+    });
+
+    it('should queue the guest order claim code to the account email', async () => {
+      EmailOutbox.create.mockImplementation(async doc => ({ _id: 'outbox-2', ...doc }));
+
+      await emailService.sendOrderClaimEmail(
+        { _id: '64b7f0c2a1b2c3d4e5f60901', firstName: 'Sara', email: 'sara@example.com' },
+        { code: '482913', codeExpiresInMinutes: 10, orderCount: 1 }
+      );
+
+      const [queued] = EmailOutbox.create.mock.calls[0];
+      expect(queued).toMatchObject({
+        to: 'sara@example.com',
+        subject: 'Your code to claim orders on Azra Nishat',
+        template: 'order_claim',
+        user: '64b7f0c2a1b2c3d4e5f60901'
+      });
+      expect(queued.text).toContain('We found 1 order placed as a guest');
+      expect(queued.text).toContain('482913');
+      expect(queued.html).toContain('<strong>482913</strong>');
+      expect(pushReady).toHaveBeenCalledWith('outbox-2');
+    });
+  });
+
+  describe('deliverMessage', () => {
+    it('should send a claimed message through SMTP and mark it sent', async () => {
+      const message = buildMessage({
+        attachments: [{ filename: 'INV-000042.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.3') }]
+      });
+      EmailOutbox.findOneAndUpdate.mockResolvedValue(message);
+
+      await outbox.deliverMessage(message._id);
+
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0].to).toEqual(['<buyer@example.com>']);
+      expect(smtp.messages[0].data).toContain('Subject: Order Confirmation - #AN-1001');
+      expect(smtp.messages[0].data).toContain('filename=INV-000042.pdf');
+      expect(message.saved).toMatchObject({ status: 'sent', messageId: expect.any(String) });
+      expect(EmailLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'buyer@example.com',
+        status: 'sent',
+        outbox: message._id,
+        attachments: ['INV-000042.pdf']
+      }));
+    });
+
+    it('should leave messages that another worker claimed or already sent', async () => {
+      EmailOutbox.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await outbox.deliverMessage('64b7f0c2a1b2c3d4e5f60801');
+
+      expect(result).toBeNull();
+      expect(smtp.messages).toHaveLength(0);
+    });
+
+    it('should schedule a retry with exponential backoff on a temporary SMTP failure', async () => {
+      smtp.rejectRecipients(451);
+      const message = buildMessage({ attempts: 3 });
+      EmailOutbox.findOneAndUpdate.mockResolvedValue(message);
+
+      await outbox.deliverMessage(message._id);
+
+      expect(message.saved).toMatchObject({ status: 'retrying', lastError: expect.stringMatching(/451/) });
+      // 60s base doubled for each earlier attempt
+      expect(secondsUntil(message.saved.nextAttemptAt)).toBeGreaterThanOrEqual(239);
+      expect(secondsUntil(message.saved.nextAttemptAt)).toBeLessThanOrEqual(240);
+      expect(scheduleRetry).toHaveBeenCalledWith(message._id, message.saved.nextAttemptAt);
+      expect(EmailLog.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+    });
+
+    it('should dead-letter a message once it runs out of attempts', async () => {
+      smtp.rejectRecipients(421);
+      const message = buildMessage({ attempts: 6 });
+      EmailOutbox.findOneAndUpdate.mockResolvedValue(message);
+
+      await outbox.deliverMessage(message._id);
+
+      expect(message.saved).toMatchObject({ status: 'dead', deadAt: expect.any(Date) });
+      expect(scheduleRetry).not.toHaveBeenCalled();
+    });
+
+    it('should dead-letter straight away when the server rejects the recipient permanently', async () => {
+      smtp.rejectRecipients(550);
+      const message = buildMessage({ attempts: 1 });
+      EmailOutbox.findOneAndUpdate.mockResolvedValue(message);
+
+      await outbox.deliverMessage(message._id);
+
+      expect(message.saved.status).toBe('dead');
+      expect(scheduleRetry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay per attempt up to six hours', () => {
+      expect(outbox.getRetryDelay(1)).toBe(60);
+      expect(outbox.getRetryDelay(2)).toBe(120);
+      expect(outbox.getRetryDelay(5)).toBe(960);
+      expect(outbox.getRetryDelay(20)).toBe(6 * 60 * 60);
+    });
+  });
+
+  describe('processDueMessages', () => {
+    it('should send due messages found in the collection', async () => {
+      const due = buildMessage({ _id: 'a' });
+      EmailOutbox.find.mockReturnValue(mockQuery([{ _id: 'a' }, { _id: 'b' }]));
+      EmailOutbox.findOneAndUpdate
+        .mockResolvedValueOnce(due)
+        .mockResolvedValueOnce(null);
+
+      const summary = await outbox.processDueMessages();
+
+      expect(summary).toEqual({ checked: 2, sent: 1, failed: 0 });
+      expect(smtp.messages).toHaveLength(1);
+      expect(due.saved.status).toBe('sent');
+    });
+  });
+
+  describe('resendMessage', () => {
+    it('should requeue a dead message with fresh attempts', async () => {
+      const message = buildMessage({ status: 'dead', attempts: 6, deadAt: new Date() });
+      EmailOutbox.findById.mockResolvedValue(message);
+
+      await outbox.resendMessage(message._id);
+
+      expect(message.saved).toMatchObject({ status: 'pending', attempts: 0 });
+      expect(message.saved.deadAt).toBeUndefined();
+      expect(pushReady).toHaveBeenCalledWith(message._id);
+    });
+
+    it('should answer 400 when asked to resend a message that was sent', async () => {
+      const message = buildMessage({ status: 'sent' });
+      EmailOutbox.findById.mockResolvedValue(message);
+      const { resendOutboxMessage } = require('../src/controllers/emailOutboxController');
+
+      const res = await runHandler(resendOutboxMessage, buildRequest({ params: { id: message._id }, user: { id: 'admin-1' } }));
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot resend a message that is sent');
+      expect(message.save).not.toHaveBeenCalled();
+      expect(pushReady).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+jest.mock('../src/models/EmailTemplate', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+
+const EmailTemplate = require('../src/models/EmailTemplate');
+const Settings = require('../src/models/Settings');
+const emailTemplates = require('../src/services/emailTemplateService');
+const { createTemplateVersion } = require('../src/controllers/emailTemplateController');
+const { IDS, buildAdmin, buildDoc, buildRequest, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const CONTACT = {
+  name: 'Sara <b>Khan</b>',
+  email: 'sara@example.com',
+  subject: 'Sizing & engraving',
+  message: '<script>alert(1)</script>'
+};
+
+// Published versions in the "collection"; lookups see the newest version first
+let stored;
+
+const matches = filter => template => Object.entries(filter).every(([field, value]) => (
+  value && value.$ne !== undefined ? template[field] !== value.$ne : template[field] === value
+));
+
+const newestFirst = () => [...stored].sort((a, b) => b.version - a.version);
+
+const publish = (version, overrides = {}) => {
+  const template = buildDoc({
+    name: 'contact_message',
+    version,
+    subject: `Contact v${version}: {{contact.subject}}`,
+    html: `<p>v${version} from {{contact.name}}</p>`,
+    isActive: false,
+    ...overrides
+  });
+  stored.push(template);
+  return template;
+};
+
+describe('email templates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = [];
+    Settings.findOne.mockReturnValue(mockQuery({ currency: 'PKR', siteName: 'Azra Nishat', siteDescription: 'Fine jewellery since 1985' }));
+    EmailTemplate.findOne.mockImplementation(filter => mockQuery(newestFirst().find(matches(filter)) || null));
+    EmailTemplate.find.mockImplementation(filter => mockQuery(newestFirst().filter(matches(filter))));
+    EmailTemplate.exists.mockImplementation(async filter => (stored.some(matches(filter)) ? { _id: 'exists' } : null));
+    EmailTemplate.create.mockImplementation(async data => publish(data.version, data));
+    EmailTemplate.updateMany.mockImplementation(async (filter, update) => {
+      stored.filter(matches(filter)).forEach(template => Object.assign(template, update));
+    });
+    EmailTemplate.updateOne.mockImplementation(async (filter, update) => {
+      Object.assign(stored.find(matches(filter)), update);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should render the built-in template in the layout, escaping HTML but not plain text', async () => {
+      const email = await emailTemplates.renderTemplate('contact_message', { contact: CONTACT });
+
+      expect(email).toMatchObject({ name: 'contact_message', version: 1, subject: 'Contact Form: Sizing & engraving' });
+      expect(email.html).toContain('<h1 style="color: #800020; margin-bottom: 10px;">Azra Nishat</h1>');
+      expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(email.html).not.toContain('<script>');
+      expect(email.text).toMatch(/^Azra Nishat\n\nNew message from Sara <b>Khan<\/b> \(sara@example.com\):/);
+      expect(email.text).toContain('Fine jewellery since 1985');
+    });
+
+    it('should format money in the store currency', async () => {
+      const { sampleData } = await emailTemplates.getTemplate('order_confirmation');
+
+      const email = await emailTemplates.renderTemplate('order_confirmation', sampleData);
+
+      expect(email.subject).toBe('Order Confirmation - #ORD-20260115-0042');
+      expect(email.text).toContain(`Total amount: PKR ${(189108).toLocaleString()}`);
+      expect(email.text).toContain('Discount (WELCOME5K)');
+    });
+
+    it('should send the active published version and derive its text from the HTML', async () => {
+      publish(2);
+      publish(3, { isActive: true, html: '<p>Reply to <a href="mailto:{{contact.email}}">{{contact.name}}</a></p>' });
+
+      const email = await emailTemplates.renderTemplate('contact_message', { contact: { ...CONTACT, name: 'Sara' } });
+
+      expect(email).toMatchObject({ version: 3, subject: 'Contact v3: Sizing & engraving' });
+      expect(email.text).toContain('Reply to Sara (mailto:sara@example.com)');
+    });
+
+    it('should refuse a template that does not exist', async () => {
+      await expect(emailTemplates.renderTemplate('birthday_wishes', {})).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should keep link targets, line breaks and entities readable', () => {
+      const html = '<style>p { color: red; }</style><h2>Hello&nbsp;there</h2><p>Tom &amp; Jerry<br>said &quot;hi&quot;</p><p><a href="https://azranishat.com">Shop</a></p>';
+
+      expect(emailTemplates.htmlToText(html)).toBe('Hello there\nTom & Jerry\nsaid "hi"\nShop (https://azranishat.com)');
+    });
+  });
+
+  describe('previewTemplate', () => {
+    it('should render a draft with the sample data and report syntax errors by field', async () => {
+      const preview = await emailTemplates.previewTemplate('contact_message', { draft: { html: '<p>Draft for {{contact.name}}</p>' } });
+
+      expect(preview).toMatchObject({ version: null, subject: 'Contact Form: Custom ring sizing' });
+      expect(preview.text).toContain('Draft for Sara Khan');
+
+      await expect(emailTemplates.previewTemplate('contact_message', { draft: { subject: 'Hi {{contact.name', html: '<p>ok</p>' } }))
+        .rejects.toMatchObject({ statusCode: 400, errors: [expect.objectContaining({ field: 'subject' })] });
+    });
+  });
+
+  describe('publishing versions', () => {
+    it('should number versions after the latest and make the new one active', async () => {
+      const previous = publish(2, { isActive: true });
+
+      const version = await emailTemplates.createTemplateVersion('contact_message', {
+        subject: 'New message: {{contact.subject}}',
+        html: '<p>{{contact.message}}</p>'
+      }, IDS.admin);
+
+      expect(version).toMatchObject({ version: 3, isActive: true, source: 'custom', createdBy: IDS.admin });
+      expect(previous.isActive).toBe(false);
+      await expect(emailTemplates.renderTemplate('contact_message', { contact: CONTACT }))
+        .resolves.toMatchObject({ version: 3, subject: 'New message: Sizing & engraving' });
+    });
+
+    it('should go back to the built-in template when version 1 is activated', async () => {
+      const custom = publish(2, { isActive: true });
+
+      const active = await emailTemplates.activateTemplateVersion('contact_message', 1);
+
+      expect(active).toMatchObject({ version: 1, source: 'built_in' });
+      expect(custom.isActive).toBe(false);
+      await expect(emailTemplates.activateTemplateVersion('contact_message', 7)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    describe('POST /api/admin/email-templates/:name/versions', () => {
+      const post = body => runHandler(createTemplateVersion, buildRequest({
+        method: 'POST',
+        params: { name: 'contact_message' },
+        body,
+        user: buildAdmin()
+      }));
+
+      it('should publish a version and answer 201', async () => {
+        const res = await post({ subject: 'Hi', html: '<p>{{contact.message}}</p>', activate: false });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ version: 2, isActive: false });
+        expect(stored).toHaveLength(1);
+      });
+
+      it('should refuse a template that does not compile', async () => {
+        const res = await post({ subject: 'Hi', html: '<p>{{#if contact}}unclosed</p>' });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'html' })]);
+        expect(stored).toHaveLength(0);
+      });
+
+      it('should answer 409 when another admin took the version number first', async () => {
+        EmailTemplate.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        const res = await post({ subject: 'Hi', html: '<p>Hi</p>' });
+
+        expect(res.statusCode).toBe(409);
+      });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/utils/emailService', () => ({
+  sendEmailVerificationEmail: jest.fn(),
+  sendPasswordResetEmail: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const Settings = require('../src/models/Settings');
+const { sendEmailVerificationEmail, sendPasswordResetEmail } = require('../src/utils/emailService');
+const logger = require('../src/utils/logger');
+const emailVerification = require('../src/services/emailVerificationService');
+const requireVerifiedEmail = require('../src/middlewares/verifiedEmail');
+const { forgotPassword } = require('../src/controllers/userController');
+const { IDS, buildRequest, buildUser: buildAccount, runHandler, mockQuery } = require('./fixtures/doubles');
+
+const USER_ID = IDS.customer;
+
+const buildUser = (overrides = {}) => buildAccount({
+  isVerified: false,
+  getEmailVerificationToken: jest.fn(function () {
+    this.emailVerificationToken = crypto.createHash('sha256').update('link-token').digest('hex');
+    return 'link-token';
+  }),
+  ...overrides
+});
+
+const mockSettings = (settings) => {
+  Settings.findOne.mockReturnValue(mockQuery(settings));
+};
+
+describe('email verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('sendVerificationEmail', () => {
+    it('should email a link and the OTP, and remember when it was sent', async () => {
+      const user = buildUser();
+
+      await emailVerification.sendVerificationEmail(user);
+
+      expect(user.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+      expect(user.saved.emailVerificationSentAt).toBeInstanceOf(Date);
+      expect(user.saved.otp).toMatch(/^\d{6}$/);
+      expect(sendEmailVerificationEmail).toHaveBeenCalledWith(user, expect.objectContaining({
+        url: expect.stringMatching(/\/verify-email\/link-token$/),
+        code: user.otp,
+        expiresInHours: 24
+      }));
+    });
+
+    it('should keep the code out of stdout and the log', async () => {
+      const consoleLog = jest.spyOn(console, 'log');
+      const loggerInfo = jest.spyOn(logger, 'info');
+      const user = buildUser();
+
+      try {
+        await emailVerification.sendVerificationEmail(user);
+
+        const written = [...consoleLog.mock.calls, ...loggerInfo.mock.calls].map(call => JSON.stringify(call)).join('\n');
+        expect(written).not.toContain(user.otp);
+      } finally {
+        consoleLog.mockRestore();
+        loggerInfo.mockRestore();
+      }
+    });
+  });
+
+  describe('POST /api/auth/forgotpassword', () => {
+    const forgot = email => runHandler(forgotPassword, buildRequest({ method: 'POST', body: { email } }));
+
+    it('should email a reset link and the OTP that resetpassword-otp checks', async () => {
+      const user = buildUser({
+        getResetPasswordToken: jest.fn(function () {
+          this.resetPasswordToken = crypto.createHash('sha256').update('reset-token').digest('hex');
+          return 'reset-token';
+        })
+      });
+      User.findOne.mockReturnValue(mockQuery(user));
+
+      const res = await forgot('sara@example.com');
+
+      expect(res.statusCode).toBe(200);
+      expect(user.saved).toMatchObject({
+        resetPasswordToken: crypto.createHash('sha256').update('reset-token').digest('hex'),
+        otp: expect.stringMatching(/^\d{6}$/)
+      });
+      expect(sendPasswordResetEmail).toHaveBeenCalledWith(user, {
+        url: expect.stringMatching(/\/reset-password\/reset-token$/),
+        code: user.saved.otp,
+        expiresInMinutes: 10
+      });
+    });
+
+    it('should answer the same for an unknown email and send nothing', async () => {
+      User.findOne.mockReturnValue(mockQuery(null));
+
+      const res = await forgot('nobody@example.com');
+
+      expect(res.statusCode).toBe(200);
+      expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resendVerificationEmail', () => {
+    it('should refuse a second email within the cooldown with the seconds to wait', async () => {
+      User.findById.mockReturnValue(mockQuery(buildUser({ emailVerificationSentAt: new Date(Date.now() - 20 * 1000) })));
+
+      const error = await emailVerification.resendVerificationEmail(USER_ID).catch(caught => caught);
+
+      expect(error.statusCode).toBe(429);
+      expect(error.retryAfter).toBeGreaterThan(38);
+      expect(error.retryAfter).toBeLessThanOrEqual(40);
+      expect(sendEmailVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should send again once the cooldown has passed but not to a verified account', async () => {
+      User.findById.mockReturnValueOnce(mockQuery(buildUser({ emailVerificationSentAt: new Date(Date.now() - 61 * 1000) })));
+      await emailVerification.resendVerificationEmail(USER_ID);
+      expect(sendEmailVerificationEmail).toHaveBeenCalledTimes(1);
+
+      User.findById.mockReturnValueOnce(mockQuery(buildUser({ isVerified: true })));
+      await expect(emailVerification.resendVerificationEmail(USER_ID)).rejects.toThrow('Email is already verified');
+    });
+  });
+
+  describe('verifyEmailToken', () => {
+    it('should look the link up by its hash and verify the account', async () => {
+      const user = buildUser({ emailVerificationToken: 'stored-hash', emailVerificationExpire: new Date() });
+      User.findOne.mockReturnValue(mockQuery(user));
+
+      await emailVerification.verifyEmailToken('link-token');
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        emailVerificationToken: crypto.createHash('sha256').update('link-token').digest('hex'),
+        emailVerificationExpire: { $gt: expect.any(Number) }
+      });
+      expect(user.saved.isVerified).toBe(true);
+      expect(user.saved.emailVerificationToken).toBeUndefined();
+    });
+
+    it('should reject unknown or expired links', async () => {
+      User.findOne.mockReturnValue(mockQuery(null));
+
+      await expect(emailVerification.verifyEmailToken('old-token')).rejects.toThrow('Invalid or expired verification link');
+    });
+  });
+
+  describe('requireVerifiedEmail', () => {
+    it('should block unverified accounts only for the actions in the settings', async () => {
+      mockSettings({ emailVerificationRequiredFor: ['checkout'] });
+      const next = jest.fn();
+
+      const blocked = await runHandler(requireVerifiedEmail('checkout'), buildRequest({ user: buildUser() }));
+      expect(blocked.statusCode).toBe(403);
+      expect(blocked.body).toEqual({
+        success: false,
+        message: 'Please verify your email address before placing an order'
+      });
+
+      await requireVerifiedEmail('reviews')(buildRequest({ user: buildUser() }), {}, next);
+      await requireVerifiedEmail('checkout')(buildRequest({ user: buildUser({ isVerified: true }) }), {}, next);
+      await requireVerifiedEmail('checkout')(buildRequest(), {}, next);
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+  });
+});
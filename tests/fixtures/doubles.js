@@ -0,0 +1,278 @@
+const errorHandler = require('../../src/middlewares/errorHandler');
+
+/**
+ * Test doubles shared by the service and controller tests. Models are replaced with
+ * mockModel() inside jest.mock, documents come from the build* factories, and
+ * runHandler() drives a route's middleware and controller to a real response.
+ *
+ *   jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+ */
+
+const IDS = {
+  customer: '64b7f0c2a1b2c3d4e5f60901',
+  admin: '64b7f0c2a1b2c3d4e5f60a01',
+  order: '64b7f0c2a1b2c3d4e5f60b01',
+  product: '64b7f0c2a1b2c3d4e5f60c01',
+  variant: '64b7f0c2a1b2c3d4e5f60c11',
+  category: '64b7f0c2a1b2c3d4e5f60d01',
+  coupon: '64b7f0c2a1b2c3d4e5f60e01',
+  session: '64b7f0c2a1b2c3d4e5f60f01'
+};
+
+// Plain copy of a document's data: nested objects and arrays are copied, methods dropped
+const snapshot = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(snapshot);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  return Object.keys(value).reduce((copy, key) => {
+    if (key !== 'saved' && typeof value[key] !== 'function') {
+      copy[key] = snapshot(value[key]);
+    }
+    return copy;
+  }, {});
+};
+
+/**
+ * Stand-in for a mongoose query: every chained call returns the query, and awaiting it
+ * (or calling exec) gives `result`.
+ */
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: reject => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session', 'collation'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+/**
+ * Stand-in for a mongoose model. Lookups find nothing, writes change nothing and
+ * create() echoes the document back with an _id, until a test says otherwise.
+ */
+const mockModel = (statics = {}) => ({
+  modelName: 'Mock',
+  find: jest.fn(() => mockQuery([])),
+  findOne: jest.fn(() => mockQuery(null)),
+  findById: jest.fn(() => mockQuery(null)),
+  findOneAndUpdate: jest.fn(() => mockQuery(null)),
+  findByIdAndUpdate: jest.fn(() => mockQuery(null)),
+  exists: jest.fn(async () => null),
+  countDocuments: jest.fn(async () => 0),
+  distinct: jest.fn(async () => []),
+  aggregate: jest.fn(async () => []),
+  create: jest.fn(async data => ({ _id: 'created-1', ...data })),
+  insertMany: jest.fn(async docs => docs),
+  updateOne: jest.fn(async () => ({ matchedCount: 0, modifiedCount: 0 })),
+  updateMany: jest.fn(async () => ({ matchedCount: 0, modifiedCount: 0 })),
+  replaceOne: jest.fn(async () => ({ matchedCount: 1, modifiedCount: 1 })),
+  deleteOne: jest.fn(async () => ({ deletedCount: 0 })),
+  deleteMany: jest.fn(async () => ({ deletedCount: 0 })),
+  ...statics
+});
+
+/**
+ * A document with the methods services call on mongoose documents. save() keeps a
+ * copy of the data in `doc.saved`, so tests can tell what was persisted from what was
+ * only changed in memory.
+ */
+const buildDoc = (fields = {}) => {
+  const doc = { ...fields };
+  doc.save = jest.fn(async () => {
+    doc.saved = snapshot(doc);
+    return doc;
+  });
+  doc.toObject = () => snapshot(doc);
+  doc.toJSON = () => snapshot(doc);
+  doc.markModified = jest.fn();
+  doc.populate = jest.fn(async () => doc);
+  doc.deleteOne = jest.fn(async () => {
+    doc.deleted = true;
+  });
+  return doc;
+};
+
+const buildUser = (overrides = {}) => buildDoc({
+  _id: IDS.customer,
+  id: IDS.customer,
+  firstName: 'Sara',
+  lastName: 'Khan',
+  email: 'sara@example.com',
+  role: 'customer',
+  isActive: true,
+  isVerified: true,
+  twoFactor: { enabled: false },
+  failedLoginAttempts: 0,
+  createdAt: new Date('2025-01-01T00:00:00Z'),
+  // Every test account's password
+  matchPassword: jest.fn(async password => password === 'correct-horse'),
+  ...overrides
+});
+
+const buildAdmin = (overrides = {}) => buildUser({
+  _id: IDS.admin,
+  id: IDS.admin,
+  firstName: 'Ayesha',
+  lastName: 'Malik',
+  email: 'admin@azranishat.test',
+  role: 'admin',
+  twoFactor: { enabled: true },
+  ...overrides
+});
+
+const buildProduct = (overrides = {}) => buildDoc({
+  _id: IDS.product,
+  name: 'Gold Ring',
+  category: IDS.category,
+  taxClass: 'standard',
+  isActive: true,
+  isOnSale: false,
+  price: 50000,
+  variants: [{
+    _id: IDS.variant,
+    sku: 'RING-22K-6',
+    metalType: 'gold',
+    purity: '22K',
+    weight: 4,
+    price: 50000,
+    stockQuantity: 5
+  }],
+  ...overrides
+});
+
+const buildOrder = (overrides = {}) => buildDoc({
+  _id: IDS.order,
+  orderNumber: 'ORD-20260101-AB12',
+  user: IDS.customer,
+  isGuest: false,
+  items: [{
+    product: IDS.product,
+    variant: IDS.variant,
+    name: 'Gold Ring',
+    sku: 'RING-22K-6',
+    quantity: 1,
+    price: 50000,
+    subtotal: 50000
+  }],
+  shippingAddress: {
+    street: '12 Mall Road',
+    city: 'Lahore',
+    state: 'Punjab',
+    zipCode: '54000',
+    country: 'Pakistan',
+    phone: '+923001234567'
+  },
+  paymentMethod: 'stripe',
+  paymentStatus: 'pending',
+  orderStatus: 'pending',
+  subtotal: 50000,
+  taxAmount: 0,
+  shippingCost: 0,
+  discountAmount: 0,
+  totalAmount: 50000,
+  refundedAmount: 0,
+  statusHistory: [],
+  vendorOrders: [],
+  ...overrides
+});
+
+const buildRequest = (overrides = {}) => ({
+  params: {},
+  query: {},
+  body: {},
+  headers: { 'user-agent': 'jest' },
+  cookies: {},
+  ip: '203.0.113.9',
+  method: 'GET',
+  originalUrl: '/api/v1/test',
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...overrides
+});
+
+const buildResponse = () => {
+  const res = { statusCode: 200, headers: {}, cookies: {}, body: undefined };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.send = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn((name, value) => {
+    if (typeof name === 'object') {
+      Object.assign(res.headers, name);
+    } else {
+      res.headers[name] = value;
+    }
+    return res;
+  });
+  res.setHeader = res.set;
+  res.cookie = jest.fn((name, value) => {
+    res.cookies[name] = value;
+    return res;
+  });
+  res.clearCookie = jest.fn((name) => {
+    res.cookies[name] = null;
+    return res;
+  });
+  res.on = jest.fn();
+  return res;
+};
+
+/**
+ * Run middleware and a controller in order, the way the router would. An error passed
+ * to next goes through the app's error handler, so the response carries the status
+ * code and body a client would see.
+ * @param {Function|Function[]} handlers
+ * @returns {Promise<Object>} the response, with statusCode, body, headers and cookies
+ */
+const runHandler = async (handlers, req = buildRequest()) => {
+  const res = buildResponse();
+
+  for (const handler of [].concat(handlers)) {
+    let proceed = false;
+    let failure;
+    await handler(req, res, (error) => {
+      proceed = true;
+      failure = error;
+    });
+
+    if (failure) {
+      errorHandler(failure, req, res, () => {});
+      break;
+    }
+    if (!proceed) {
+      break;
+    }
+  }
+
+  return res;
+};
+
+module.exports = {
+  IDS,
+  snapshot,
+  mockQuery,
+  mockModel,
+  buildDoc,
+  buildUser,
+  buildAdmin,
+  buildProduct,
+  buildOrder,
+  buildRequest,
+  buildResponse,
+  runHandler
+};
@@ -0,0 +1,103 @@
+const net = require('net');
+
+/**
+ * Minimal SMTP server for tests. Accepts everything by default; rejectRecipients(code)
+ * makes it answer RCPT TO with that reply code for the next `times` messages.
+ */
+const createSmtpStub = () => {
+  const messages = [];
+  const rejections = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 smtp-stub ESMTP ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            return;
+          }
+          messages.push({ ...envelope, data: buffer.slice(0, end) });
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          envelope = { from: null, to: [] };
+          reply(`250 OK queued as stub-${messages.length}`);
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+          return;
+        }
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 smtp-stub');
+        } else if (command === 'MAIL') {
+          envelope.from = line.slice(10).trim();
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const rejection = rejections[0];
+          if (rejection) {
+            rejection.times -= 1;
+            if (rejection.times <= 0) {
+              rejections.shift();
+            }
+            reply(`${rejection.code} Recipient rejected by stub`);
+          } else {
+            envelope.to.push(line.slice(8).trim());
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET' || command === 'NOOP') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  return {
+    messages,
+    rejectRecipients(code, times = 1) {
+      rejections.push({ code, times });
+    },
+    reset() {
+      messages.length = 0;
+      rejections.length = 0;
+    },
+    start() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+      });
+    },
+    stop() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { createSmtpStub };
@@ -0,0 +1,268 @@
+process.env.ORDER_LOOKUP_SECRET = 'order-lookup-test-secret';
+
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Cart', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/pricingService', () => ({
+  priceOrder: jest.fn(),
+  findPriceMismatches: jest.fn(() => [])
+}));
+jest.mock('../src/services/commissionService', () => ({
+  splitOrderByVendor: jest.fn(async quote => ({ items: quote.items, vendorOrders: [] }))
+}));
+jest.mock('../src/services/inventoryService', () => ({
+  reserveStock: jest.fn(),
+  releaseStock: jest.fn(),
+  restockOrder: jest.fn()
+}));
+jest.mock('../src/services/invoiceService', () => ({
+  generateInvoice: jest.fn()
+}));
+jest.mock('../src/utils/emailService', () => ({
+  getOrderRecipient: jest.fn(order => order.contact),
+  sendOrderConfirmationEmail: jest.fn(),
+  sendOrderClaimEmail: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const Order = require('../src/models/Order');
+const User = require('../src/models/User');
+const { priceOrder } = require('../src/services/pricingService');
+const { sendOrderConfirmationEmail, sendOrderClaimEmail } = require('../src/utils/emailService');
+const { countClaimableOrders, claimGuestOrders } = require('../src/services/orderService');
+const { createOrderLookupToken, verifyOrderLookupToken } = require('../src/utils/orderLookupToken');
+const logger = require('../src/utils/logger');
+const validate = require('../src/middlewares/validators/zodValidator');
+const OrderValidator = require('../src/middlewares/validators/OrderValidator');
+const { createOrder, lookupOrder } = require('../src/controllers/orderController');
+const { verifyOTP, requestOrderClaim } = require('../src/controllers/userController');
+const { IDS, buildOrder, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const GUEST_ORDER = '64b7f0c2a1b2c3d4e5f60b02';
+const OTHER_GUEST_ORDER = '64b7f0c2a1b2c3d4e5f60b03';
+
+const CONTACT = { name: 'Sara Khan', email: 'sara@example.com', phone: '+923001234567' };
+
+const guestOrder = (overrides = {}) => buildOrder({
+  user: undefined,
+  isGuest: true,
+  contact: CONTACT,
+  ...overrides
+});
+
+// Orders in the "collection", matched on the guest flag and contact email
+const storeOrders = (...orders) => {
+  const matches = filter => order => order.isGuest === filter.isGuest && order.contact.email === filter['contact.email'];
+  Order.countDocuments.mockImplementation(async filter => orders.filter(matches(filter)).length);
+  Order.updateMany.mockImplementation(async (filter, { $set }) => {
+    const claimed = orders.filter(matches(filter));
+    claimed.forEach(order => Object.assign(order, $set));
+    return { matchedCount: claimed.length, modifiedCount: claimed.length };
+  });
+  return orders;
+};
+
+describe('guest orders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/orders/guest', () => {
+    const checkout = body => runHandler(
+      [validate(OrderValidator.guestCreateSchema), createOrder],
+      buildRequest({
+        method: 'POST',
+        cartOwner: { guestId: 'guest-5f0c2a' },
+        body: {
+          items: [{ product: IDS.product, variant: IDS.variant, quantity: 1 }],
+          shippingAddress: buildOrder().shippingAddress,
+          paymentMethod: 'cash_on_delivery',
+          ...body
+        }
+      })
+    );
+
+    beforeEach(() => {
+      priceOrder.mockResolvedValue({
+        items: [{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000, subtotal: 50000 }],
+        subtotal: 50000,
+        taxAmount: 0,
+        shippingCost: 0,
+        discountAmount: 0,
+        totalAmount: 50000
+      });
+      Order.create.mockImplementation(async data => buildOrder({ _id: GUEST_ORDER, ...data }));
+      Order.findById.mockImplementation(() => mockQuery(buildOrder({ _id: GUEST_ORDER })));
+    });
+
+    it('should place the order without an account and hand back a link to track it', async () => {
+      const res = await checkout({ contact: CONTACT });
+
+      expect(res.statusCode).toBe(201);
+      expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: undefined,
+        isGuest: true,
+        contact: CONTACT
+      }));
+      expect(verifyOrderLookupToken(res.body.data.lookupToken)).toBe(GUEST_ORDER);
+      expect(res.body.data.lookupUrl).toMatch(/\/orders\/track\?token=[\w-]+\.[\w-]+\.[\w-]+$/);
+      expect(sendOrderConfirmationEmail).toHaveBeenCalledWith(
+        CONTACT,
+        expect.anything(),
+        res.body.data.lookupUrl,
+        undefined
+      );
+    });
+
+    it('should keep the guest contact details and address out of the log', async () => {
+      const spies = ['info', 'warn', 'error'].map(level => jest.spyOn(logger, level));
+      Order.create.mockRejectedValueOnce(new Error('write conflict'));
+
+      try {
+        const failed = await checkout({ contact: CONTACT });
+        const placed = await checkout({ contact: CONTACT });
+
+        expect([failed.statusCode, placed.statusCode]).toEqual([500, 201]);
+        const written = spies.flatMap(spy => spy.mock.calls).map(call => JSON.stringify(call)).join('\n');
+        expect(written).toContain('guest-5f0c2a');
+        expect(written).toContain(IDS.variant);
+        [CONTACT.email, CONTACT.phone, buildOrder().shippingAddress.street].forEach((value) => {
+          expect(written).not.toContain(value);
+        });
+      } finally {
+        spies.forEach(spy => spy.mockRestore());
+      }
+    });
+
+    it('should require a contact email', async () => {
+      const res = await checkout({ contact: { name: 'Sara Khan', phone: '+923001234567' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/orders/lookup/:token', () => {
+    const lookup = token => runHandler(lookupOrder, buildRequest({ params: { token } }));
+
+    it('should show the order the link was issued for', async () => {
+      Order.findById.mockReturnValue(mockQuery(guestOrder({ _id: GUEST_ORDER })));
+
+      const res = await lookup(createOrderLookupToken({ _id: GUEST_ORDER }));
+
+      expect(res.statusCode).toBe(200);
+      expect(Order.findById).toHaveBeenCalledWith(GUEST_ORDER);
+      expect(res.body.data._id).toBe(GUEST_ORDER);
+    });
+
+    it('should refuse tampered, expired and non-lookup tokens', async () => {
+      const secret = process.env.ORDER_LOOKUP_SECRET;
+      const tokens = [
+        createOrderLookupToken({ _id: GUEST_ORDER }).slice(0, -2) + 'xx',
+        jwt.sign({ orderId: GUEST_ORDER, type: 'order_lookup' }, secret, { expiresIn: -10 }),
+        jwt.sign({ orderId: GUEST_ORDER, type: 'access' }, secret),
+        jwt.sign({ orderId: GUEST_ORDER, type: 'order_lookup' }, 'someone-elses-secret')
+      ];
+
+      for (const token of tokens) {
+        const res = await lookup(token);
+        expect(res.statusCode).toBe(401);
+      }
+      expect(Order.findById).not.toHaveBeenCalled();
+    });
+
+    it('should answer 404 once the order is gone', async () => {
+      Order.findById.mockReturnValue(mockQuery(null));
+
+      const res = await lookup(createOrderLookupToken({ _id: GUEST_ORDER }));
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+
+  describe('claiming guest orders', () => {
+    it('should count and claim only guest orders placed with the email, whatever its case', async () => {
+      const [mine, otherEmail, registered] = storeOrders(
+        guestOrder({ _id: GUEST_ORDER }),
+        guestOrder({ _id: OTHER_GUEST_ORDER, contact: { email: 'someone@example.com' } }),
+        buildOrder({ contact: { email: 'sara@example.com' } })
+      );
+      const user = buildUser({ email: 'Sara@Example.com' });
+
+      await expect(countClaimableOrders(user.email)).resolves.toBe(1);
+      await expect(claimGuestOrders(user)).resolves.toBe(1);
+
+      expect(mine).toMatchObject({ user: IDS.customer, isGuest: false, claimedAt: expect.any(Date) });
+      expect(otherEmail).toMatchObject({ user: undefined, isGuest: true });
+      expect(registered.claimedAt).toBeUndefined();
+      await expect(countClaimableOrders(user.email)).resolves.toBe(0);
+    });
+
+    it('should have nothing to claim without an email', async () => {
+      await expect(countClaimableOrders(undefined)).resolves.toBe(0);
+      expect(Order.countDocuments).not.toHaveBeenCalled();
+    });
+
+    describe('POST /api/auth/claim-orders', () => {
+      const request = () => runHandler(requestOrderClaim, buildRequest({ method: 'POST', user: { id: IDS.customer } }));
+
+      it('should email the account a code that verify-otp accepts', async () => {
+        storeOrders(guestOrder({ _id: GUEST_ORDER }));
+        const user = buildUser();
+        User.findById.mockReturnValue(mockQuery(user));
+
+        const res = await request();
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toEqual({ claimableOrders: 1, message: 'OTP sent to email' });
+        expect(user.saved.otp).toMatch(/^\d{6}$/);
+        expect(sendOrderClaimEmail).toHaveBeenCalledWith(user, {
+          code: user.saved.otp,
+          codeExpiresInMinutes: 10,
+          orderCount: 1
+        });
+      });
+
+      it('should send nothing when there are no guest orders', async () => {
+        storeOrders();
+        const user = buildUser();
+        User.findById.mockReturnValue(mockQuery(user));
+
+        const res = await request();
+
+        expect(res.body.data).toEqual({ claimableOrders: 0, message: 'No guest orders to claim' });
+        expect(user.save).not.toHaveBeenCalled();
+        expect(sendOrderClaimEmail).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('POST /api/auth/verify-otp', () => {
+      const verify = otp => runHandler(verifyOTP, buildRequest({ method: 'POST', body: { email: 'sara@example.com', otp } }));
+
+      it('should move the guest orders into the account once the code proves the email', async () => {
+        const [order] = storeOrders(guestOrder({ _id: GUEST_ORDER }));
+        const user = buildUser({ isVerified: false, otp: '482913', otpExpire: Date.now() + 60 * 1000 });
+        User.findOne.mockReturnValue(mockQuery(user));
+
+        const res = await verify('482913');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toEqual({ message: 'OTP verified', claimedOrders: 1 });
+        expect(user.saved.isVerified).toBe(true);
+        expect(order).toMatchObject({ user: IDS.customer, isGuest: false });
+      });
+
+      it('should claim nothing with a wrong or expired code', async () => {
+        const [order] = storeOrders(guestOrder({ _id: GUEST_ORDER }));
+        User.findOne.mockReturnValue(mockQuery(buildUser({ otp: '482913', otpExpire: Date.now() - 1000 })));
+
+        const wrong = await verify('000000');
+        const expired = await verify('482913');
+
+        expect([wrong.statusCode, expired.statusCode]).toEqual([400, 400]);
+        expect(order.isGuest).toBe(true);
+        expect(Order.updateMany).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../src/services/auditService', () => ({
+  recordAudit: jest.fn()
+}));
+jest.mock('../src/services/sessionService', () => ({
+  revokeUserSessions: jest.fn(async () => 2),
+  endUserSession: jest.fn(async (userId, sessionId) => ({ _id: sessionId }))
+}));
+jest.mock('../src/services/personalDataService', () => ({
+  cancelAccountDeletion: jest.fn(async () => ({}))
+}));
+
+const { recordAudit } = require('../src/services/auditService');
+const { revokeUserSessions, endUserSession } = require('../src/services/sessionService');
+const { cancelAccountDeletion } = require('../src/services/personalDataService');
+const { trackImpersonation, blockImpersonation } = require('../src/middlewares/impersonation');
+const usersRouter = require('../src/routes/users');
+const { IDS, buildAdmin, buildRequest, buildResponse, buildUser, runHandler } = require('./fixtures/doubles');
+
+const STAFF = buildAdmin({ role: 'support' });
+
+// The handlers the router runs after auth for a route
+const routeHandlers = (method, path) => {
+  const layer = usersRouter.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+  return layer.route.stack.slice(1).map(({ handle }) => handle);
+};
+
+const asStaff = (overrides = {}) => buildRequest({ user: buildUser(), impersonator: STAFF, ...overrides });
+
+describe('impersonation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recordAudit.mockResolvedValue({});
+  });
+
+  it('should flag the response and record the request against the staff member', () => {
+    const req = buildRequest({ user: buildUser() });
+    const res = buildResponse();
+
+    trackImpersonation(req, res, STAFF);
+    const [event, onFinish] = res.on.mock.calls[0];
+    onFinish();
+
+    expect(event).toBe('finish');
+    expect(req.impersonator).toBe(STAFF);
+    expect(res.headers['X-Impersonated-By']).toBe(IDS.admin);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'impersonation.request',
+      actor: STAFF,
+      entityType: 'User',
+      entityId: IDS.customer,
+      statusCode: 200
+    }));
+  });
+
+  it('should refuse blocked actions only while impersonating', async () => {
+    const own = await runHandler(blockImpersonation('password'), buildRequest({ user: buildUser() }));
+    const impersonated = await runHandler(blockImpersonation('password'), asStaff());
+
+    expect(own.body).toBeUndefined();
+    expect(impersonated.statusCode).toBe(403);
+    expect(impersonated.body.message).toBe('Passwords cannot be changed while impersonating a customer');
+  });
+
+  it('should allow detail updates that keep the email address', async () => {
+    const update = body => runHandler(blockImpersonation('email'), asStaff({ body }));
+
+    await expect(update({ firstName: 'Ayesha' })).resolves.toMatchObject({ statusCode: 200, body: undefined });
+    await expect(update({ email: 'Sara@example.com' })).resolves.toMatchObject({ statusCode: 200, body: undefined });
+
+    const changed = await update({ email: 'someone@else.com' });
+    expect(changed.statusCode).toBe(403);
+    expect(changed.body.message).toBe('Email addresses cannot be changed while impersonating a customer');
+  });
+
+  describe('DELETE /api/v1/users/me/sessions', () => {
+    it('should not let staff sign the customer out of their other devices', async () => {
+      const res = await runHandler(routeHandlers('delete', '/me/sessions'), asStaff());
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Sessions cannot be ended while impersonating a customer');
+      expect(revokeUserSessions).not.toHaveBeenCalled();
+    });
+
+    it('should still let the customer end them', async () => {
+      const res = await runHandler(routeHandlers('delete', '/me/sessions'), buildRequest({ user: buildUser(), sessionId: IDS.session }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toEqual({ ended: 2 });
+      expect(revokeUserSessions).toHaveBeenCalledWith(IDS.customer, { except: IDS.session, reason: 'ended_by_user' });
+    });
+  });
+
+  describe('DELETE /api/v1/users/me/sessions/:id', () => {
+    it('should not let staff end one of the customer sessions', async () => {
+      const res = await runHandler(routeHandlers('delete', '/me/sessions/:id'), asStaff({ params: { id: IDS.session } }));
+
+      expect(res.statusCode).toBe(403);
+      expect(endUserSession).not.toHaveBeenCalled();
+    });
+
+    it('should still let the customer end one', async () => {
+      const res = await runHandler(routeHandlers('delete', '/me/sessions/:id'), buildRequest({ user: buildUser(), params: { id: IDS.session } }));
+
+      expect(res.statusCode).toBe(200);
+      expect(endUserSession).toHaveBeenCalledWith(IDS.customer, IDS.session);
+    });
+  });
+
+  describe('DELETE /api/v1/users/me/deletion', () => {
+    it('should not let staff cancel a deletion the customer asked for', async () => {
+      const res = await runHandler(routeHandlers('delete', '/me/deletion'), asStaff());
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Personal data cannot be exported and account deletion cannot be requested or cancelled while impersonating a customer');
+      expect(cancelAccountDeletion).not.toHaveBeenCalled();
+    });
+
+    it('should still let the customer cancel it', async () => {
+      const res = await runHandler(routeHandlers('delete', '/me/deletion'), buildRequest({ user: buildUser() }));
+
+      expect(res.statusCode).toBe(200);
+      expect(cancelAccountDeletion).toHaveBeenCalledWith(IDS.customer);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const inventory = require('../src/services/inventoryService');
+const { IDS, buildOrder, buildProduct, mockQuery } = require('./fixtures/doubles');
+
+const SECOND_VARIANT = '64b7f0c2a1b2c3d4e5f60c12';
+const PLAIN_PRODUCT = '64b7f0c2a1b2c3d4e5f60c03';
+
+// One product in the "collection": stock decrements apply only while the $elemMatch
+// filter finds enough stock, like the positional update in updateStock
+const storeProduct = (overrides = {}) => {
+  const product = buildProduct({
+    variants: [
+      { _id: IDS.variant, sku: 'RING-22K-6', stockQuantity: 5 },
+      { _id: SECOND_VARIANT, sku: 'RING-22K-7', stockQuantity: 1 }
+    ],
+    ...overrides
+  });
+  product.variants.id = id => product.variants.find(variant => variant._id === String(id)) || null;
+
+  Product.findById.mockImplementation(() => mockQuery(product));
+  Product.findOneAndUpdate.mockImplementation(async ({ _id, variants: { $elemMatch: match } }, { $inc }) => {
+    const variant = _id === product._id && product.variants.id(match._id);
+    if (!variant || (match.stockQuantity && variant.stockQuantity < match.stockQuantity.$gte)) {
+      return null;
+    }
+    variant.stockQuantity += $inc['variants.$.stockQuantity'];
+    return product;
+  });
+  return product;
+};
+
+// stockReleasedAt is claimed with findOneAndUpdate, so only the first caller gets the order
+const storeOrder = (order) => {
+  Order.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    if (filter._id !== order._id || order.stockReleasedAt) {
+      return null;
+    }
+    Object.assign(order, update);
+    return order;
+  });
+  return order;
+};
+
+const stockOf = (product, variantId) => product.variants.id(variantId).stockQuantity;
+
+describe('inventory', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('reserveStock', () => {
+    it('should take the ordered quantity from each variant', async () => {
+      const product = storeProduct();
+
+      await inventory.reserveStock([
+        { product: IDS.product, variant: IDS.variant, quantity: 2 },
+        { product: IDS.product, variant: SECOND_VARIANT, quantity: 1 }
+      ]);
+
+      expect(stockOf(product, IDS.variant)).toBe(3);
+      expect(stockOf(product, SECOND_VARIANT)).toBe(0);
+    });
+
+    it('should refuse more than is left and put back the lines already taken', async () => {
+      const product = storeProduct();
+
+      await expect(inventory.reserveStock([
+        { product: IDS.product, variant: IDS.variant, quantity: 2 },
+        { product: IDS.product, variant: SECOND_VARIANT, quantity: 2 }
+      ])).rejects.toThrow('Only 1 items available');
+
+      expect(stockOf(product, IDS.variant)).toBe(5);
+      expect(stockOf(product, SECOND_VARIANT)).toBe(1);
+    });
+
+    it('should refuse a line without a variant and put back the lines already taken', async () => {
+      const product = storeProduct();
+
+      await expect(inventory.reserveStock([
+        { product: IDS.product, variant: IDS.variant, quantity: 1 },
+        { product: PLAIN_PRODUCT, quantity: 1 }
+      ])).rejects.toThrow('A product variant is required to reserve stock');
+
+      expect(stockOf(product, IDS.variant)).toBe(5);
+    });
+
+    it('should report a variant that does not exist', async () => {
+      storeProduct();
+
+      await expect(inventory.reserveStock([{ product: IDS.product, variant: '64b7f0c2a1b2c3d4e5f60c99', quantity: 1 }]))
+        .rejects.toThrow('Product variant not found');
+    });
+  });
+
+  describe('releaseStock', () => {
+    it('should add the quantities back', async () => {
+      const product = storeProduct();
+
+      await inventory.releaseStock([{ product: IDS.product, variant: IDS.variant, quantity: 2 }, { product: PLAIN_PRODUCT, quantity: 1 }]);
+
+      expect(stockOf(product, IDS.variant)).toBe(7);
+    });
+  });
+
+  describe('restockOrder', () => {
+    it('should return the stock of an order once however often it is called', async () => {
+      const product = storeProduct();
+      const order = storeOrder(buildOrder({ items: [{ product: IDS.product, variant: IDS.variant, quantity: 2 }] }));
+
+      await expect(inventory.restockOrder(IDS.order, 'cancelled')).resolves.toBe(true);
+      await expect(inventory.restockOrder(IDS.order, 'returned')).resolves.toBe(false);
+
+      expect(order.stockReleasedAt).toBeInstanceOf(Date);
+      expect(stockOf(product, IDS.variant)).toBe(7);
+    });
+  });
+
+  describe('restockProduct', () => {
+    it('should only accept a positive quantity', async () => {
+      const product = storeProduct();
+
+      await expect(inventory.restockProduct(IDS.product, IDS.variant, 0)).rejects.toThrow('Quantity must be greater than 0');
+      await inventory.restockProduct(IDS.product, IDS.variant, 4);
+
+      expect(stockOf(product, IDS.variant)).toBe(9);
+    });
+  });
+});
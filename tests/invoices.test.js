@@ -0,0 +1,198 @@
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Counter', () => require('./fixtures/doubles').mockModel({
+  next: jest.fn(async () => 42)
+}));
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Role', () => require('./fixtures/doubles').mockModel());
+
+const PDFDocument = require('pdfkit');
+const Order = require('../src/models/Order');
+const Counter = require('../src/models/Counter');
+const Settings = require('../src/models/Settings');
+const Role = require('../src/models/Role');
+const { clearPermissionCache } = require('../src/services/permissionService');
+const { ensureInvoiceNumber, generateInvoice, generatePackingSlip } = require('../src/services/invoiceService');
+const { getInvoice } = require('../src/controllers/invoiceController');
+const { IDS, buildAdmin, buildOrder, buildProduct, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const SETTINGS = {
+  siteName: 'Azra Nishat Jewellers',
+  invoicePrefix: 'INV-',
+  currency: 'PKR',
+  timezone: 'Asia/Karachi',
+  ntn: '1234567-8',
+  requireAdminTwoFactor: false
+};
+
+// Every string written to the PDF, so tests can read what a customer would see
+let printed;
+
+const storeOrder = (overrides = {}) => {
+  const order = buildOrder({
+    user: buildUser(),
+    createdAt: new Date('2026-03-01T10:00:00Z'),
+    paymentMethod: 'cash_on_delivery',
+    items: [{ product: IDS.product, variant: IDS.variant, name: 'Gold Ring', sku: 'RING-22K-6', purity: '22K', metalType: 'Gold', weight: 4, size: '7', quantity: 1, price: 50000, subtotal: 50000, taxRate: 16, taxAmount: 8000 }],
+    ...overrides
+  });
+  Order.findById.mockReturnValue(mockQuery(order));
+  Order.findOneAndUpdate.mockImplementation(async (filter, update) => (order.invoiceNumber ? null : Object.assign(order, update)));
+  return order;
+};
+
+describe('invoices', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearPermissionCache();
+    printed = [];
+    const realText = PDFDocument.prototype.text;
+    jest.spyOn(PDFDocument.prototype, 'text').mockImplementation(function (text, ...args) {
+      printed.push(String(text));
+      return realText.call(this, text, ...args);
+    });
+    Settings.findOne.mockReturnValue(mockQuery(SETTINGS));
+    Role.findOne.mockReturnValue(mockQuery(null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ensureInvoiceNumber', () => {
+    it('should number an order from the shared sequence the first time only', async () => {
+      const order = storeOrder();
+
+      await ensureInvoiceNumber(order);
+      await ensureInvoiceNumber(order);
+
+      expect(order).toMatchObject({ invoiceNumber: 'INV-000042', invoicedAt: expect.any(Date) });
+      expect(Counter.next).toHaveBeenCalledTimes(1);
+      expect(Counter.next).toHaveBeenCalledWith('invoice');
+    });
+
+    it('should keep the number a concurrent request stored first', async () => {
+      const order = storeOrder();
+      Order.findOneAndUpdate.mockResolvedValue(null);
+      Order.findById.mockReturnValue(mockQuery({ invoiceNumber: 'INV-000041', invoicedAt: new Date('2026-03-01T10:00:05Z') }));
+
+      await ensureInvoiceNumber(order);
+
+      expect(order.invoiceNumber).toBe('INV-000041');
+    });
+  });
+
+  describe('generateInvoice', () => {
+    it('should render a tax invoice with the tax breakdown, discount and line details', async () => {
+      storeOrder({
+        couponCode: 'EID10',
+        subtotal: 50000,
+        discountAmount: 5000,
+        taxAmount: 7200,
+        totalAmount: 52200,
+        pricing: { tax: { amount: 7200, breakdown: [{ taxClass: 'standard', name: 'Punjab GST', rate: 16, taxableAmount: 45000, amount: 7200 }] } }
+      });
+
+      const { filename, content } = await generateInvoice(IDS.order);
+
+      expect(filename).toBe('INV-000042.pdf');
+      expect(content.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(printed).toEqual(expect.arrayContaining([
+        'TAX INVOICE',
+        'INV-000042',
+        'NTN: 1234567-8',
+        'Sara Khan',
+        'sara@example.com',
+        'SKU RING-22K-6 · 22K Gold · 4 g · Size 7',
+        'Discount (EID10)',
+        '- PKR 5,000.00',
+        'Shipping',
+        'Free',
+        'Punjab GST 16% on 45,000.00',
+        'PKR 52,200.00'
+      ]));
+      // Table cells carry the bare amount so they line up on the right
+      expect(printed).toEqual(expect.arrayContaining([
+        '16%',
+        '8,000.00',
+        '50,000.00'
+      ]));
+      expect(printed).not.toContain('This order was cancelled.');
+    });
+
+    it('should bill guests by their contact details and mark cancelled orders', async () => {
+      storeOrder({
+        user: undefined,
+        isGuest: true,
+        contact: { name: 'Bilal Ahmed', email: 'bilal@example.com' },
+        orderStatus: 'cancelled'
+      });
+
+      await generateInvoice(IDS.order);
+
+      expect(printed).toEqual(expect.arrayContaining(['INVOICE', 'Bilal Ahmed', 'bilal@example.com', 'This order was cancelled.']));
+      expect(printed).not.toContain('TAX INVOICE');
+    });
+
+    it('should describe items of older orders from the product variant', async () => {
+      const product = buildProduct();
+      product.variants.id = id => product.variants.find(variant => variant._id === id);
+      storeOrder({ items: [{ product, variant: IDS.variant, quantity: 1, price: 50000, subtotal: 50000 }] });
+
+      await generateInvoice(IDS.order);
+
+      expect(printed).toEqual(expect.arrayContaining(['Gold Ring', 'SKU RING-22K-6 · 22K gold · 4 g']));
+    });
+  });
+
+  describe('generatePackingSlip', () => {
+    it('should list items and what to collect without prices', async () => {
+      storeOrder({
+        trackingNumber: 'LEO123456',
+        shipment: { courierName: 'Leopards', codAmount: 80000 },
+        items: [
+          { product: IDS.product, name: 'Gold Ring', sku: 'RING-22K-6', quantity: 2, price: 25000, subtotal: 50000 },
+          { product: IDS.product, name: 'Gold Chain', sku: 'CHAIN-22K', quantity: 1, price: 30000, subtotal: 30000 }
+        ]
+      });
+
+      const { filename } = await generatePackingSlip(IDS.order);
+
+      expect(filename).toBe('packing-slip-ORD-20260101-AB12.pdf');
+      expect(printed).toEqual(expect.arrayContaining(['PACKING SLIP', 'Leopards', 'LEO123456', 'PKR 80,000.00', '3 items in 2 lines']));
+      expect(printed).not.toContain('25,000.00');
+      expect(Counter.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/orders/:id/invoice.pdf', () => {
+    const download = user => runHandler(getInvoice, buildRequest({ params: { id: IDS.order }, user }));
+
+    it('should send the owner their invoice as a PDF', async () => {
+      storeOrder({ user: IDS.customer });
+
+      const res = await download(buildUser());
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers).toMatchObject({ 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline; filename="INV-000042.pdf"' });
+      expect(Buffer.isBuffer(res.body)).toBe(true);
+    });
+
+    it('should refuse other customers and let staff with orders:read in', async () => {
+      storeOrder({ user: '64b7f0c2a1b2c3d4e5f60902' });
+
+      const stranger = await download(buildUser());
+      const admin = await download(buildAdmin());
+
+      expect(stranger.statusCode).toBe(403);
+      expect(admin.statusCode).toBe(200);
+    });
+
+    it('should answer 404 for an unknown order', async () => {
+      Order.findById.mockReturnValue(mockQuery(null));
+
+      const res = await download(buildUser());
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/LoginHistory', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/utils/emailService', () => ({
+  sendNewDeviceLoginEmail: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const LoginHistory = require('../src/models/LoginHistory');
+const Settings = require('../src/models/Settings');
+const { sendNewDeviceLoginEmail } = require('../src/utils/emailService');
+const { describeDevice } = require('../src/utils/userAgent');
+const loginSecurity = require('../src/services/loginSecurityService');
+const { login } = require('../src/controllers/userController');
+const { IDS, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+const MINUTE = 60 * 1000;
+
+// The stored account; updates apply to it the way MongoDB would
+const storeUser = (overrides = {}) => {
+  const user = buildUser(overrides);
+  const apply = ({ $inc = {}, $unset = {}, ...fields }) => {
+    Object.entries($inc).forEach(([field, by]) => {
+      user[field] = (user[field] || 0) + by;
+    });
+    Object.keys($unset).forEach((field) => {
+      delete user[field];
+    });
+    Object.assign(user, fields);
+    return user;
+  };
+
+  User.findOne.mockReturnValue(mockQuery(user));
+  User.findOneAndUpdate.mockImplementation((filter, update) => mockQuery(apply(update)));
+  User.findByIdAndUpdate.mockImplementation((id, update) => mockQuery(apply(update)));
+  User.updateOne.mockImplementation(async (filter, update) => {
+    apply(update);
+  });
+  return user;
+};
+
+// Login history entries; exists() answers for the user and optionally the device
+const storeHistory = (...entries) => {
+  LoginHistory.create.mockImplementation(async (entry) => {
+    entries.push(entry);
+    return entry;
+  });
+  LoginHistory.exists.mockImplementation(async filter => entries.find(entry => (
+    entry.success === filter.success && (!filter.device || entry.device === filter.device)
+  )) || null);
+  return entries;
+};
+
+describe('login security', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Settings.findOne.mockReturnValue(mockQuery({ timezone: 'Asia/Karachi' }));
+  });
+
+  describe('getLockSeconds', () => {
+    it('should allow a few failures, then double the delay, then lock the account', () => {
+      expect(loginSecurity.getLockSeconds(2)).toBe(0);
+      expect(loginSecurity.getLockSeconds(3)).toBe(1);
+      expect(loginSecurity.getLockSeconds(5)).toBe(4);
+      expect(loginSecurity.getLockSeconds(9)).toBe(60);
+      expect(loginSecurity.getLockSeconds(10)).toBe(15 * 60);
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    it('should count the failure, hold the account and keep the attempt in the history', async () => {
+      const user = storeUser({ failedLoginAttempts: 3 });
+      const history = storeHistory();
+
+      const retryAfter = await loginSecurity.recordFailedLogin(user, { ip: '39.57.1.1', userAgent: CHROME_WINDOWS });
+
+      expect(retryAfter).toBe(2);
+      expect(user.failedLoginAttempts).toBe(4);
+      expect(loginSecurity.getLockRemaining(user)).toBe(2);
+      expect(history).toEqual([expect.objectContaining({
+        user: IDS.customer,
+        success: false,
+        failureReason: 'invalid_password',
+        ip: '39.57.1.1'
+      })]);
+    });
+
+    it('should not count attempts made while the account is held', async () => {
+      const user = storeUser({ failedLoginAttempts: 7, lockUntil: new Date(Date.now() + 30 * 1000) });
+      const history = storeHistory();
+
+      const retryAfter = await loginSecurity.recordFailedLogin(user, {}, 'locked');
+
+      expect(retryAfter).toBeGreaterThan(28);
+      expect(user.failedLoginAttempts).toBe(7);
+      expect(history).toEqual([expect.objectContaining({ failureReason: 'locked' })]);
+    });
+
+    it('should start counting again once a lockout has expired', async () => {
+      const user = storeUser({ failedLoginAttempts: 10, lockUntil: new Date(Date.now() - MINUTE) });
+      storeHistory();
+
+      const retryAfter = await loginSecurity.recordFailedLogin(user, {});
+
+      expect(retryAfter).toBe(0);
+      expect(user.failedLoginAttempts).toBe(1);
+      expect(user.lockUntil).toBeUndefined();
+      expect(loginSecurity.isLockedOut(user)).toBe(false);
+    });
+
+    it('should keep growing the delay when only a short hold has passed', async () => {
+      const user = storeUser({ failedLoginAttempts: 5, lockUntil: new Date(Date.now() - 1000) });
+      storeHistory();
+
+      await expect(loginSecurity.recordFailedLogin(user, {})).resolves.toBe(8);
+      expect(user.failedLoginAttempts).toBe(6);
+    });
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+    const attempt = password => runHandler(login, buildRequest({
+      method: 'POST',
+      body: { email: 'sara@example.com', password },
+      headers: { 'user-agent': CHROME_WINDOWS }
+    }));
+
+    it('should lock the account on the tenth wrong password and refuse even the right one', async () => {
+      const user = storeUser({ failedLoginAttempts: 9 });
+      storeHistory();
+
+      const wrong = await attempt('hunter2');
+      const right = await attempt('correct-horse');
+
+      expect(wrong.statusCode).toBe(401);
+      expect(wrong.headers['Retry-After']).toBe(String(15 * 60));
+      expect(right.statusCode).toBe(429);
+      expect(right.body.message).toBe('Account is locked after too many failed login attempts. Try again in 15 minutes');
+      expect(user.failedLoginAttempts).toBe(10);
+    });
+
+    it('should give a customer whose lockout expired the free attempts again', async () => {
+      const user = storeUser({ failedLoginAttempts: 10, lockUntil: new Date(Date.now() - MINUTE) });
+      storeHistory();
+
+      const first = await attempt('hunter2');
+      const second = await attempt('hunter3');
+
+      expect([first.statusCode, second.statusCode]).toEqual([401, 401]);
+      expect(first.headers['Retry-After']).toBeUndefined();
+      expect(second.headers['Retry-After']).toBeUndefined();
+      expect(user.failedLoginAttempts).toBe(2);
+    });
+  });
+
+  describe('recordSuccessfulLogin', () => {
+    it('should clear failed attempts and email the user when an account signs in from a new device', async () => {
+      const user = storeUser({ failedLoginAttempts: 2, lockUntil: new Date(Date.now() - 1000) });
+      const history = storeHistory({ user: IDS.customer, success: true, device: 'laptop' });
+
+      const result = await loginSecurity.recordSuccessfulLogin(user, { ip: '39.57.1.1', userAgent: SAFARI_IPHONE });
+
+      expect(result).toEqual({ newDevice: true });
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+      expect(sendNewDeviceLoginEmail).toHaveBeenCalledWith(
+        user,
+        expect.objectContaining({ device: 'Safari on iOS', ip: '39.57.1.1' })
+      );
+      expect(history[1]).toMatchObject({ success: true, newDevice: true, method: 'password' });
+    });
+
+    it('should not alert on a known device or on the first login of an account', async () => {
+      const user = storeUser();
+      storeHistory();
+
+      await loginSecurity.recordSuccessfulLogin(user, { userAgent: CHROME_WINDOWS });
+      await loginSecurity.recordSuccessfulLogin(user, { userAgent: CHROME_WINDOWS });
+
+      expect(sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should clear the count and the lock, and answer 404 for an unknown user', async () => {
+      const user = storeUser({ failedLoginAttempts: 10, lockUntil: new Date(Date.now() + 10 * MINUTE) });
+
+      await loginSecurity.unlockAccount(IDS.customer);
+
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+
+      User.findByIdAndUpdate.mockReturnValue(mockQuery(null));
+      await expect(loginSecurity.unlockAccount(IDS.customer)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('describeDevice', () => {
+    it('should name common browsers and systems', () => {
+      expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome on Windows');
+      expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iOS');
+      expect(describeDevice(undefined)).toBe('Unknown device');
+    });
+  });
+});
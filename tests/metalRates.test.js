@@ -0,0 +1,102 @@
+jest.mock('../src/models/MetalRate', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+
+const MetalRate = require('../src/models/MetalRate');
+const Product = require('../src/models/Product');
+const { calculateVariantPrice, repriceProducts } = require('../src/services/metalRateService');
+const { IDS, buildProduct } = require('./fixtures/doubles');
+
+const GOLD_22K = { _id: 'rate-gold-22k', metalType: 'Gold', purity: '22K', ratePerGram: 20000 };
+
+const rateLinked = (overrides = {}) => ({
+  _id: IDS.variant,
+  sku: 'RING-22K-6',
+  metalType: 'Gold',
+  purity: '22k',
+  weight: 4,
+  isRateLinked: true,
+  makingCharges: { type: 'fixed', value: 5000 },
+  price: 70000,
+  ...overrides
+});
+
+// Product.find(...).cursor() is iterated with for await
+const streamProducts = (...products) => {
+  Product.find.mockReturnValue({ cursor: () => products });
+};
+
+describe('metal rates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    MetalRate.aggregate.mockResolvedValue([GOLD_22K]);
+  });
+
+  describe('calculateVariantPrice', () => {
+    it('should add a fixed making charge to the metal value', () => {
+      expect(calculateVariantPrice(rateLinked(), 20000)).toEqual({ price: 85000, salePrice: undefined, metalValue: 80000, makingCharges: 5000 });
+    });
+
+    it('should charge per-gram making by the weight', () => {
+      const variant = rateLinked({ weight: 3.5, makingCharges: { type: 'per_gram', value: 1500 } });
+
+      expect(calculateVariantPrice(variant, 20000)).toMatchObject({ price: 75250, metalValue: 70000, makingCharges: 5250 });
+    });
+
+    it('should charge percentage making on the metal value', () => {
+      const variant = rateLinked({ makingCharges: { type: 'percentage', value: 12.5 } });
+
+      expect(calculateVariantPrice(variant, 20000)).toMatchObject({ price: 90000, makingCharges: 10000 });
+    });
+
+    it('should add the gemstone value and round to whole rupees', () => {
+      const variant = rateLinked({ weight: 2.333, gemstoneValue: 15000.4, makingCharges: { type: 'per_gram', value: 999 } });
+
+      // 46660 metal + 2330.667 making + 15000.4 stones
+      expect(calculateVariantPrice(variant, 20000)).toMatchObject({ price: 63991, metalValue: 46660, makingCharges: 2331 });
+    });
+
+    it('should set a sale price from the product discount', () => {
+      expect(calculateVariantPrice(rateLinked(), 20000, 15)).toMatchObject({ price: 85000, salePrice: 72250 });
+      expect(calculateVariantPrice(rateLinked(), 20000, 0).salePrice).toBeUndefined();
+    });
+  });
+
+  describe('repriceProducts', () => {
+    it('should reprice rate-linked variants and record the rate used', async () => {
+      const product = buildProduct({ discountPercentage: 10, variants: [rateLinked(), rateLinked({ _id: 'fixed', sku: 'RING-FIXED', isRateLinked: false, price: 30000 })] });
+      streamProducts(product);
+
+      const summary = await repriceProducts();
+
+      expect(summary).toEqual({ productsUpdated: 1, variantsRepriced: 1, variantsSkipped: 0 });
+      expect(product.saved.variants[0]).toMatchObject({
+        price: 85000,
+        salePrice: 76500,
+        pricedAt: expect.any(Date),
+        pricedWithRate: { metalRate: 'rate-gold-22k', ratePerGram: 20000 }
+      });
+      expect(product.saved.variants[1].price).toBe(30000);
+    });
+
+    it('should skip variants without a published rate and keep their price', async () => {
+      const product = buildProduct({ variants: [rateLinked({ purity: '18K' })] });
+      streamProducts(product);
+
+      const summary = await repriceProducts();
+
+      expect(summary).toEqual({ productsUpdated: 0, variantsRepriced: 0, variantsSkipped: 1 });
+      expect(product.variants[0].price).toBe(70000);
+      expect(product.save).not.toHaveBeenCalled();
+    });
+
+    it('should only touch the metal and purity asked for', async () => {
+      const product = buildProduct({ variants: [rateLinked(), rateLinked({ _id: 'silver', metalType: 'Silver', purity: '925' })] });
+      streamProducts(product);
+
+      const summary = await repriceProducts({ metalType: 'Gold', purity: '22K' });
+
+      expect(Product.find).toHaveBeenCalledWith({ variants: { $elemMatch: { isRateLinked: true, metalType: 'Gold' } } });
+      expect(summary).toEqual({ productsUpdated: 1, variantsRepriced: 1, variantsSkipped: 0 });
+    });
+  });
+});
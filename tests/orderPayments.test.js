@@ -0,0 +1,162 @@
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Role', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/paymentService', () => ({
+  createPaymentIntent: jest.fn(async () => ({ id: 'pi_test_123', client_secret: 'pi_test_123_secret_abc' }))
+}));
+
+const Order = require('../src/models/Order');
+const Role = require('../src/models/Role');
+const Settings = require('../src/models/Settings');
+const { createPaymentIntent } = require('../src/services/paymentService');
+const { clearPermissionCache } = require('../src/services/permissionService');
+const requirePermission = require('../src/middlewares/permission');
+const validate = require('../src/middlewares/validators/zodValidator');
+const OrderValidator = require('../src/middlewares/validators/OrderValidator');
+const { processPayment, updateOrderToPaid } = require('../src/controllers/orderController');
+const { IDS, buildAdmin, buildDoc, buildOrder, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const customer = buildUser();
+
+const mockOrder = (order) => {
+  Order.findById.mockReturnValue(mockQuery(order));
+};
+
+describe('order payments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearPermissionCache();
+    Settings.findOne.mockReturnValue(mockQuery({ requireAdminTwoFactor: false }));
+    Role.findOne.mockReturnValue(mockQuery(null));
+  });
+
+  describe('POST /api/payments/process', () => {
+    const pay = (body, user = customer) => runHandler(
+      [validate(OrderValidator.processPaymentSchema), processPayment],
+      buildRequest({ method: 'POST', body: { orderId: IDS.order, amount: 50000, ...body }, user })
+    );
+
+    it('should start a Stripe payment for cards and leave the order unpaid', async () => {
+      const order = buildOrder();
+      mockOrder(order);
+
+      const res = await pay({ paymentMethod: 'credit_card' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.clientSecret).toBe('pi_test_123_secret_abc');
+      expect(createPaymentIntent).toHaveBeenCalledWith(50000, 'pkr', 'Order ORD-20260101-AB12', { orderId: IDS.order });
+      expect(order.saved).toMatchObject({ paymentMethod: 'credit_card', paymentIntentId: 'pi_test_123', paymentStatus: 'processing' });
+      expect(order.saved.statusHistory).toEqual([
+        expect.objectContaining({ field: 'paymentStatus', from: 'pending', to: 'processing', actorType: 'customer' })
+      ]);
+      expect(order.saved.paidAt).toBeUndefined();
+      expect(order.saved.isPaid).toBeUndefined();
+    });
+
+    it('should keep a processing order processing when the customer retries', async () => {
+      const order = buildOrder({ paymentStatus: 'processing' });
+      mockOrder(order);
+
+      const res = await pay({ paymentMethod: 'stripe' });
+
+      expect(res.statusCode).toBe(200);
+      expect(order.saved.paymentStatus).toBe('processing');
+      expect(order.saved.statusHistory).toHaveLength(0);
+    });
+
+    it('should only record the method for cash on delivery', async () => {
+      const order = buildOrder({ paymentMethod: 'stripe' });
+      mockOrder(order);
+
+      const res = await pay({ paymentMethod: 'cash_on_delivery' });
+
+      expect(res.statusCode).toBe(200);
+      expect(order.saved).toMatchObject({ paymentMethod: 'cash_on_delivery', paymentStatus: 'pending' });
+      expect(order.saved.paidAt).toBeUndefined();
+      expect(createPaymentIntent).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an amount that is not the order total', async () => {
+      const order = buildOrder();
+      mockOrder(order);
+
+      const res = await pay({ paymentMethod: 'stripe', amount: 1 });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Amount does not match the order total');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an order that is already paid', async () => {
+      mockOrder(buildOrder({ paymentStatus: 'completed' }));
+
+      const res = await pay({ paymentMethod: 'stripe' });
+
+      expect(res.statusCode).toBe(400);
+      expect(createPaymentIntent).not.toHaveBeenCalled();
+    });
+
+    it("should refuse someone else's order", async () => {
+      mockOrder(buildOrder({ user: IDS.admin }));
+
+      const res = await pay({ paymentMethod: 'stripe' });
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('PUT /api/orders/:id/pay', () => {
+    const markPaid = (user, body = {}) => runHandler(
+      [requirePermission('orders:update'), updateOrderToPaid],
+      buildRequest({ method: 'PUT', params: { id: IDS.order }, body, user })
+    );
+
+    it('should not let the order owner mark it paid', async () => {
+      const order = buildOrder();
+      mockOrder(order);
+
+      const res = await markPaid(customer, { id: 'forged', status: 'COMPLETED' });
+
+      expect(res.statusCode).toBe(403);
+      expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('should let staff record a payment collected outside Stripe', async () => {
+      const order = buildOrder({ paymentMethod: 'cash_on_delivery' });
+      mockOrder(order);
+
+      const res = await markPaid(buildAdmin());
+
+      expect(res.statusCode).toBe(200);
+      expect(order.saved).toMatchObject({ paymentStatus: 'completed', paidAt: expect.any(Number) });
+      expect(order.saved.statusHistory).toEqual([expect.objectContaining({
+        field: 'paymentStatus',
+        from: 'pending',
+        to: 'completed',
+        actor: IDS.admin,
+        actorType: 'admin',
+        note: 'Payment received by cash_on_delivery'
+      })]);
+    });
+
+    it('should let any role with orders:update record it without a payer in the body', async () => {
+      Role.findOne.mockReturnValue(mockQuery(buildDoc({ name: 'cashier', permissions: ['orders:update'] })));
+      mockOrder(buildOrder());
+
+      const res = await markPaid({ id: 'staff-1', role: 'cashier' }, { id: 'PAY-1' });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should refuse an order that is already paid', async () => {
+      const order = buildOrder({ paymentStatus: 'refunded' });
+      mockOrder(order);
+
+      const res = await markPaid(buildAdmin());
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot change paymentStatus from refunded to completed');
+      expect(order.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const stripe = require('stripe')('sk_test_dummy');
+
+jest.mock('../src/models/Order', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../src/models/WebhookEvent', () => ({
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const Order = require('../src/models/Order');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const { stripeWebhook } = require('../src/controllers/paymentController');
+const errorHandler = require('../src/middlewares/errorHandler');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'stripe', `${name}.json`), 'utf8');
+
+const sign = (payload, secret = process.env.STRIPE_WEBHOOK_SECRET) =>
+  stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+const buildApp = () => {
+  const app = express();
+  app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), stripeWebhook);
+  app.use(errorHandler);
+  return app;
+};
+
+const postEvent = (app, payload, signature = sign(payload)) =>
+  request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+
+const buildOrder = (paymentStatus) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  paymentStatus,
+  refundedAmount: 0,
+  statusHistory: [],
+  save: jest.fn().mockResolvedValue(true)
+});
+
+describe('POST /api/payments/webhook', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = buildApp();
+    WebhookEvent.create.mockResolvedValue({});
+    WebhookEvent.updateOne.mockResolvedValue({});
+    WebhookEvent.deleteOne.mockResolvedValue({});
+  });
+
+  it('should reject a payload with an invalid signature', async () => {
+    const payload = fixture('payment_intent.succeeded');
+
+    const res = await postEvent(app, payload, sign(payload, 'whsec_wrong_secret'));
+
+    expect(res.status).toBe(400);
+    expect(WebhookEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject a payload that was modified after signing', async () => {
+    const payload = fixture('payment_intent.succeeded');
+    const signature = sign(payload);
+
+    const res = await postEvent(app, payload.replace('1500000', '100'), signature);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should mark the order completed on payment_intent.succeeded', async () => {
+    const order = buildOrder('pending');
+    Order.findOne.mockResolvedValue(null);
+    Order.findById.mockResolvedValue(order);
+
+    const res = await postEvent(app, fixture('payment_intent.succeeded'));
+
+    expect(res.status).toBe(200);
+    expect(Order.findById).toHaveBeenCalledWith('64b7f0c2a1b2c3d4e5f60718');
+    expect(order.paymentStatus).toBe('completed');
+    expect(order.paymentIntentId).toBe('pi_test_123');
+    expect(order.paidAt).toEqual(new Date(1760000000 * 1000));
+    expect(order.statusHistory).toEqual([
+      expect.objectContaining({ field: 'paymentStatus', from: 'pending', to: 'completed', actorType: 'system' })
+    ]);
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  it('should mark the order failed on payment_intent.payment_failed', async () => {
+    const order = buildOrder('processing');
+    Order.findOne.mockResolvedValue(order);
+
+    const res = await postEvent(app, fixture('payment_intent.payment_failed'));
+
+    expect(res.status).toBe(200);
+    expect(order.paymentStatus).toBe('failed');
+  });
+
+  it('should not move a completed order back to failed', async () => {
+    const order = buildOrder('completed');
+    Order.findOne.mockResolvedValue(order);
+
+    const res = await postEvent(app, fixture('payment_intent.payment_failed'));
+
+    expect(res.status).toBe(200);
+    expect(order.paymentStatus).toBe('completed');
+    expect(order.statusHistory).toHaveLength(0);
+  });
+
+  it('should mark the order refunded on a full charge.refunded', async () => {
+    const order = buildOrder('completed');
+    Order.findOne.mockResolvedValue(order);
+
+    const res = await postEvent(app, fixture('charge.refunded'));
+
+    expect(res.status).toBe(200);
+    expect(Order.findOne).toHaveBeenCalledWith({ paymentIntentId: 'pi_test_123' });
+    expect(order.paymentStatus).toBe('refunded');
+    expect(order.refundedAmount).toBe(15000);
+  });
+
+  it('should process a redelivered event only once', async () => {
+    WebhookEvent.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = await postEvent(app, fixture('payment_intent.succeeded'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.duplicate).toBe(true);
+    expect(Order.findOne).not.toHaveBeenCalled();
+    expect(Order.findById).not.toHaveBeenCalled();
+  });
+
+  it('should release the event claim when processing fails so Stripe can retry', async () => {
+    Order.findOne.mockRejectedValue(new Error('connection lost'));
+
+    const res = await postEvent(app, fixture('payment_intent.succeeded'));
+
+    expect(res.status).toBe(500);
+    expect(WebhookEvent.deleteOne).toHaveBeenCalledWith({ eventId: 'evt_test_payment_succeeded' });
+  });
+});
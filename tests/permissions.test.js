@@ -0,0 +1,336 @@
+jest.mock('../src/models/Role', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Review', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/loginSecurityService', () => ({
+  assertLoginAllowed: jest.fn(),
+  recordFailedLogin: jest.fn()
+}));
+jest.mock('../src/services/sessionService', () => ({
+  createSession: jest.fn(async () => ({
+    accessToken: 'access-token',
+    refreshToken: 'refresh-token',
+    refreshTokenExpiresAt: new Date(Date.now() + 60 * 1000)
+  }))
+}));
+jest.mock('../src/services/emailVerificationService', () => ({
+  sendVerificationEmail: jest.fn()
+}));
+jest.mock('../src/services/orderService', () => ({
+  countClaimableOrders: jest.fn(async () => 0)
+}));
+
+const Role = require('../src/models/Role');
+const User = require('../src/models/User');
+const Settings = require('../src/models/Settings');
+const Order = require('../src/models/Order');
+const Review = require('../src/models/Review');
+const Product = require('../src/models/Product');
+const { ALL_PERMISSIONS } = require('../src/config/permissions');
+const permissions = require('../src/services/permissionService');
+const requirePermission = require('../src/middlewares/permission');
+const validate = require('../src/middlewares/validators/zodValidator');
+const { userSchema } = require('../src/utils/validationSchemas');
+const { register, updateUserById } = require('../src/controllers/userController');
+const { getOrder } = require('../src/controllers/orderController');
+const { deleteReview } = require('../src/services/reviewService');
+// The controllers under test only need countClaimableOrders from the mock
+const { getAllOrders } = jest.requireActual('../src/services/orderService');
+const { IDS, buildAdmin, buildDoc, buildOrder, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const ROLE_ID = '64b7f0c2a1b2c3d4e5f60d01';
+
+const mockRole = (role) => {
+  Role.findOne.mockReturnValue(mockQuery(role));
+};
+
+const mockSettings = (settings) => {
+  Settings.findOne.mockReturnValue(mockQuery(settings));
+};
+
+const buildRole = (overrides = {}) => buildDoc({
+  _id: ROLE_ID,
+  name: 'warehouse',
+  permissions: ['orders:read', 'orders:update'],
+  isSystem: false,
+  ...overrides
+});
+
+describe('permissions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    permissions.clearPermissionCache();
+    mockSettings({ requireAdminTwoFactor: false });
+  });
+
+  describe('getRolePermissions', () => {
+    it('should give admin every permission without a lookup', async () => {
+      await expect(permissions.getRolePermissions('admin')).resolves.toEqual(ALL_PERMISSIONS);
+      expect(Role.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should read a role once and give unknown roles nothing', async () => {
+      mockRole(buildRole());
+
+      await permissions.getRolePermissions('warehouse');
+      await expect(permissions.getRolePermissions('warehouse')).resolves.toEqual(['orders:read', 'orders:update']);
+      expect(Role.findOne).toHaveBeenCalledTimes(1);
+
+      mockRole(null);
+      await expect(permissions.getRolePermissions('gone')).resolves.toEqual([]);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should refuse a role that lacks any of the permissions', async () => {
+      mockRole(buildRole());
+
+      const res = await runHandler(requirePermission('orders:read', 'products:write'), buildRequest({ user: { role: 'warehouse' } }));
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body).toEqual({
+        success: false,
+        message: 'Access denied. Requires the products:write permission.'
+      });
+    });
+
+    it('should let a granted role through and expose its permissions', async () => {
+      mockRole(buildRole());
+      const req = buildRequest({ user: { role: 'warehouse' } });
+      const next = jest.fn();
+
+      await requirePermission('orders:update')(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.permissions).toEqual(['orders:read', 'orders:update']);
+    });
+
+    it('should hold staff without two-factor while the setting requires it', async () => {
+      mockRole(buildRole());
+      mockSettings({ requireAdminTwoFactor: true });
+      const next = jest.fn();
+
+      const res = await runHandler(requirePermission('orders:read'), buildRequest({ user: { role: 'warehouse', twoFactor: { enabled: false } } }));
+      expect(res.statusCode).toBe(403);
+
+      await requirePermission('orders:read')(buildRequest({ user: { role: 'warehouse', twoFactor: { enabled: true } } }), {}, next);
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('hasPermission', () => {
+    const warehouseUser = (twoFactorEnabled) => ({ id: 'staff-1', role: 'warehouse', twoFactor: { enabled: twoFactorEnabled } });
+
+    it('should grant staff nothing without two-factor while the setting requires it', async () => {
+      mockRole(buildRole());
+      mockSettings({ requireAdminTwoFactor: true });
+
+      await expect(permissions.hasPermission(warehouseUser(false), 'orders:read')).resolves.toBe(false);
+      await expect(permissions.hasPermission(warehouseUser(true), 'orders:read')).resolves.toBe(true);
+
+      mockSettings({ requireAdminTwoFactor: false });
+      await expect(permissions.hasPermission(warehouseUser(false), 'orders:read')).resolves.toBe(true);
+    });
+
+    it('should hold back permission checks made inside controllers', async () => {
+      mockRole(buildRole());
+      mockSettings({ requireAdminTwoFactor: true });
+      Order.findById.mockImplementation(() => mockQuery(buildOrder({ user: { _id: IDS.customer } })));
+      const request = user => buildRequest({ params: { id: IDS.order }, user });
+
+      const held = await runHandler(getOrder, request(warehouseUser(false)));
+      expect(held.statusCode).toBe(403);
+
+      const enrolled = await runHandler(getOrder, request(warehouseUser(true)));
+      expect(enrolled.statusCode).toBe(200);
+      expect(enrolled.body.data._id).toBe(IDS.order);
+    });
+  });
+
+  describe('checks made inside services', () => {
+    const moderator = { id: 'staff-2', role: 'moderator', twoFactor: { enabled: true } };
+    const warehouseUser = { id: 'staff-1', role: 'warehouse', twoFactor: { enabled: true } };
+
+    // Custom roles by name; customers fall back to the built-in defaults
+    beforeEach(() => {
+      const roles = [buildRole(), buildRole({ name: 'moderator', permissions: ['reviews:moderate'] })];
+      Role.findOne.mockImplementation(({ name }) => mockQuery(roles.find(role => role.name === name) || null));
+    });
+
+    const storeReview = () => {
+      const review = buildDoc({ _id: 'review-1', user: IDS.customer, product: IDS.product, rating: 2 });
+      review.remove = jest.fn(async () => {
+        review.deleted = true;
+      });
+      Review.findById.mockResolvedValue(review);
+      Review.find.mockResolvedValue([{ rating: 4 }]);
+      return review;
+    };
+
+    it('should let a role holding reviews:moderate delete a customer review', async () => {
+      const review = storeReview();
+
+      await expect(deleteReview('review-1', moderator)).resolves.toBe(true);
+
+      expect(review.deleted).toBe(true);
+      expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(IDS.product, { ratings: 4 });
+    });
+
+    it('should keep other users away from a review they did not write', async () => {
+      const review = storeReview();
+
+      await expect(deleteReview('review-1', buildUser({ id: 'customer-2' }))).rejects.toThrow('Unauthorized');
+
+      expect(review.deleted).toBeUndefined();
+    });
+
+    it('should list every order only for users holding orders:read', async () => {
+      Order.find.mockReturnValue(mockQuery([]));
+
+      await getAllOrders(warehouseUser);
+      await getAllOrders(buildUser());
+
+      expect(Order.find.mock.calls).toEqual([[], [{ user: IDS.customer }]]);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    const support = { id: 'staff-3', role: 'support', twoFactor: { enabled: true } };
+
+    // The stored account; findByIdAndUpdate applies the change to it
+    const storeUser = (user) => {
+      User.findById.mockReturnValue(mockQuery(user));
+      User.findByIdAndUpdate.mockImplementation((id, fields) => mockQuery(Object.assign(user, fields)));
+      return user;
+    };
+
+    const update = (editor, body) => runHandler(updateUserById, buildRequest({
+      method: 'PUT',
+      params: { id: IDS.admin },
+      body,
+      user: editor
+    }));
+
+    beforeEach(() => {
+      Role.findOne.mockImplementation(({ name }) => mockQuery(
+        name === 'support' ? buildRole({ name: 'support', permissions: ['users:read', 'users:write'] }) : null
+      ));
+      Role.exists.mockResolvedValue({ _id: ROLE_ID });
+    });
+
+    it('should keep users:write holders from taking over a staff account through its email', async () => {
+      const admin = storeUser(buildAdmin());
+
+      const res = await update(support, { email: 'attacker@example.com' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toBe('Changing the email of a staff account requires the roles:manage permission');
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(admin.email).toBe('admin@azranishat.test');
+    });
+
+    it('should still let users:write holders change a customer email or a staff name', async () => {
+      const customer = storeUser(buildUser());
+      const customerRes = await update(support, { email: 'sara.khan@example.com' });
+
+      expect(customerRes.statusCode).toBe(200);
+      expect(customer.email).toBe('sara.khan@example.com');
+
+      const admin = storeUser(buildAdmin());
+      const adminRes = await update(support, { name: 'Ayesha M.', email: 'Admin@AzraNishat.test' });
+
+      expect(adminRes.statusCode).toBe(200);
+      expect(admin.name).toBe('Ayesha M.');
+    });
+
+    it('should refuse to take the admin role from the last active admin', async () => {
+      const admin = storeUser(buildAdmin());
+      User.countDocuments.mockResolvedValue(0);
+
+      const res = await update(buildAdmin({ id: 'admin-2' }), { role: 'support' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Cannot remove the admin role from the last admin');
+      expect(User.countDocuments).toHaveBeenCalledWith({ role: 'admin', isActive: true, _id: { $ne: IDS.admin } });
+      expect(admin.role).toBe('admin');
+    });
+
+    it('should move an admin to another role while another admin remains', async () => {
+      const admin = storeUser(buildAdmin());
+      User.countDocuments.mockResolvedValue(1);
+
+      const res = await update(buildAdmin({ id: 'admin-2' }), { role: 'support' });
+
+      expect(res.statusCode).toBe(200);
+      expect(admin.role).toBe('support');
+    });
+  });
+
+  describe('updateRole', () => {
+    it('should move users to a renamed role and drop cached permissions', async () => {
+      const role = buildRole();
+      Role.findById.mockResolvedValue(role);
+      mockRole(buildRole());
+      await permissions.getRolePermissions('warehouse');
+
+      await permissions.updateRole(ROLE_ID, { name: 'fulfilment', permissions: ['orders:read'] });
+
+      expect(role.saved).toMatchObject({ name: 'fulfilment', permissions: ['orders:read'] });
+      expect(User.updateMany).toHaveBeenCalledWith({ role: 'warehouse' }, { role: 'fulfilment' });
+      await permissions.getRolePermissions('warehouse');
+      expect(Role.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep built-in roles fixed', async () => {
+      Role.findById.mockResolvedValue(buildRole({ name: 'admin', isSystem: true, permissions: ALL_PERMISSIONS }));
+      await expect(permissions.updateRole(ROLE_ID, { name: 'owner' })).rejects.toThrow('Built-in roles cannot be renamed');
+      await expect(permissions.updateRole(ROLE_ID, { permissions: [] }))
+        .rejects.toThrow('The permissions of the admin role cannot be changed');
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('should not delete a role that users still hold', async () => {
+      const role = buildRole();
+      Role.findById.mockResolvedValue(role);
+      User.countDocuments.mockResolvedValue(2);
+
+      await expect(permissions.deleteRole(ROLE_ID)).rejects.toThrow('Role is assigned to 2 user(s); give them another role first');
+      expect(role.deleted).toBeUndefined();
+    });
+  });
+
+  describe('register', () => {
+    const registration = {
+      firstName: 'Sara',
+      lastName: 'Khan',
+      email: 'sara@example.com',
+      password: 'correct-horse'
+    };
+
+    beforeEach(() => {
+      User.create.mockImplementation(async data => buildUser(data));
+    });
+
+    it.each(['admin', 'warehouse'])('should create a customer when the body asks for the %s role', async (role) => {
+      const req = buildRequest({ method: 'POST', body: { ...registration, role } });
+
+      const res = await runHandler([validate(userSchema), register], req);
+
+      expect(res.statusCode).toBe(201);
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ email: 'sara@example.com', role: 'customer' }));
+      expect(res.body.data.user.role).toBe('customer');
+    });
+
+    it('should reject a registration without a valid email', async () => {
+      const req = buildRequest({ method: 'POST', body: { ...registration, email: 'sara' } });
+
+      const res = await runHandler([validate(userSchema), register], req);
+
+      expect(res.statusCode).toBe(400);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Address', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Review', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Wishlist', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Cart', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/ReturnRequest', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Session', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/RefreshToken', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/LoginHistory', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Vendor', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/EmailLog', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/EmailOutbox', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/permissionService', () => ({
+  getRolePermissions: jest.fn(),
+  hasPermission: jest.fn()
+}));
+jest.mock('../src/utils/emailService', () => ({
+  sendAccountDeletionEmail: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const Address = require('../src/models/Address');
+const Order = require('../src/models/Order');
+const Review = require('../src/models/Review');
+const Cart = require('../src/models/Cart');
+const Session = require('../src/models/Session');
+const EmailLog = require('../src/models/EmailLog');
+const EmailOutbox = require('../src/models/EmailOutbox');
+const AuditLog = require('../src/models/AuditLog');
+const { getRolePermissions } = require('../src/services/permissionService');
+const { sendAccountDeletionEmail } = require('../src/utils/emailService');
+const {
+  DELETION_GRACE_DAYS,
+  anonymiseUser,
+  purgeDueAccounts
+} = require('../src/services/personalDataService');
+const { requestDeletion } = require('../src/controllers/userController');
+const { IDS, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const USER_ID = IDS.customer;
+const DELETED_EMAIL = `deleted-${USER_ID}@deleted.invalid`;
+
+const mockFindUser = (user) => {
+  User.findById.mockReturnValue(mockQuery(user));
+};
+
+// Order.find(filter).distinct('_id')
+const mockOrderIds = (ids) => {
+  Order.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(ids) });
+};
+
+describe('personal data', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRolePermissions.mockResolvedValue([]);
+    mockOrderIds([IDS.order]);
+  });
+
+  describe('POST /api/users/me/deletion', () => {
+    const requestWith = password => runHandler(requestDeletion, buildRequest({
+      method: 'POST',
+      body: { password },
+      user: { id: USER_ID, role: 'customer' }
+    }));
+
+    it('should schedule deletion after the grace period and email the date', async () => {
+      const user = buildUser();
+      mockFindUser(user);
+
+      const res = await requestWith('correct-horse');
+
+      expect(res.statusCode).toBe(200);
+      const { deletionRequestedAt, deletionScheduledFor } = user.saved;
+      expect(Math.round((deletionScheduledFor - deletionRequestedAt) / (24 * 60 * 60 * 1000))).toBe(DELETION_GRACE_DAYS);
+      expect(res.body.data).toEqual({ deletionRequestedAt, deletionScheduledFor });
+      expect(sendAccountDeletionEmail).toHaveBeenCalledWith(user, expect.objectContaining({ graceDays: DELETION_GRACE_DAYS }));
+    });
+
+    it('should refuse a wrong password', async () => {
+      const user = buildUser();
+      mockFindUser(user);
+
+      const res = await requestWith('guess');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Password is incorrect');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse while an order is in progress', async () => {
+      const user = buildUser();
+      mockFindUser(user);
+      Order.exists.mockResolvedValue({ _id: IDS.order });
+
+      const res = await requestWith('correct-horse');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Accounts with orders still in progress cannot be deleted yet');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should count open guest orders under a verified email as in progress', async () => {
+      mockFindUser(buildUser());
+
+      await requestWith('correct-horse');
+
+      expect(Order.exists).toHaveBeenCalledWith({
+        $or: [{ user: USER_ID }, { isGuest: true, 'contact.email': 'sara@example.com' }],
+        orderStatus: { $in: ['pending', 'confirmed', 'processing', 'shipped'] }
+      });
+    });
+
+    it('should refuse staff accounts', async () => {
+      mockFindUser(buildUser({ role: 'support' }));
+      getRolePermissions.mockResolvedValue(['orders:read']);
+
+      const res = await requestWith('correct-horse');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toMatch(/Staff accounts/);
+    });
+  });
+
+  describe('anonymiseUser', () => {
+    it('should keep orders without contact details and replace the user with a tombstone', async () => {
+      mockFindUser(buildUser());
+
+      await anonymiseUser(USER_ID);
+
+      expect(Order.updateMany).toHaveBeenCalledWith({ _id: { $in: [IDS.order] } }, {
+        $set: { contact: { name: 'Deleted User' } },
+        $unset: { notes: '' }
+      });
+      expect(Order.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [IDS.order] }, shippingAddress: { $ne: null } },
+        { $set: { 'shippingAddress.street': '[removed]' }, $unset: { 'shippingAddress.phone': '' } }
+      );
+      expect(Address.deleteMany).toHaveBeenCalledWith({ user: USER_ID });
+
+      const [filter, tombstone] = User.replaceOne.mock.calls[0];
+      expect(filter).toEqual({ _id: USER_ID });
+      expect(tombstone).toEqual(expect.objectContaining({
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: DELETED_EMAIL,
+        role: 'customer',
+        isActive: false,
+        deletedAt: expect.any(Date)
+      }));
+      expect(tombstone.password).toMatch(/^\$2[aby]\$/);
+      expect(tombstone).not.toHaveProperty('phone');
+    });
+
+    it('should scrub guest orders placed with a verified email', async () => {
+      mockFindUser(buildUser({ email: 'Sara@Example.com' }));
+
+      await anonymiseUser(USER_ID);
+
+      expect(Order.find).toHaveBeenCalledWith({
+        $or: [{ user: USER_ID }, { isGuest: true, 'contact.email': 'sara@example.com' }]
+      });
+    });
+
+    it('should leave guest orders alone while the email is unverified', async () => {
+      mockFindUser(buildUser({ isVerified: false }));
+
+      await anonymiseUser(USER_ID);
+
+      expect(Order.find).toHaveBeenCalledWith({ user: USER_ID });
+    });
+
+    it('should keep reviews but drop their order link and the votes and reports the user made', async () => {
+      mockFindUser(buildUser());
+
+      await anonymiseUser(USER_ID);
+
+      expect(Review.deleteMany).not.toHaveBeenCalled();
+      expect(Review.updateMany).toHaveBeenCalledWith({ user: USER_ID }, { $unset: { order: '' } });
+      expect(Review.updateMany).toHaveBeenCalledWith(
+        { 'helpfulVotes.voters.user': USER_ID },
+        { $pull: { 'helpfulVotes.voters': { user: USER_ID } } }
+      );
+      expect(Review.updateMany).toHaveBeenCalledWith(
+        { 'reported.reports.user': USER_ID },
+        { $unset: { 'reported.reports.$[report].user': '' } },
+        { arrayFilters: [{ 'report.user': USER_ID }] }
+      );
+    });
+
+    it('should leave the append-only audit entries the user made alone', async () => {
+      mockFindUser(buildUser());
+
+      // The real model: any change to an entry is refused by its schema hooks
+      await expect(AuditLog.updateMany({ actor: USER_ID }, { actorRole: 'customer' }))
+        .rejects.toThrow('Audit log entries cannot be changed or deleted');
+
+      await expect(anonymiseUser(USER_ID)).resolves.toBeUndefined();
+      expect(User.replaceOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave the account to be retried when a step fails', async () => {
+      mockFindUser(buildUser());
+      Cart.deleteMany.mockRejectedValueOnce(new Error('connection reset'));
+
+      await expect(anonymiseUser(USER_ID)).rejects.toThrow('connection reset');
+
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: USER_ID });
+      expect(Order.updateMany).not.toHaveBeenCalled();
+      expect(User.replaceOne).not.toHaveBeenCalled();
+
+      await anonymiseUser(USER_ID);
+
+      expect(Order.updateMany).toHaveBeenCalledWith({ _id: { $in: [IDS.order] } }, expect.objectContaining({
+        $set: { contact: { name: 'Deleted User' } }
+      }));
+      expect(User.replaceOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should scrub guest orders only after the steps that look them up', async () => {
+      mockFindUser(buildUser());
+
+      await anonymiseUser(USER_ID);
+
+      const contactScrub = Order.updateMany.mock.invocationCallOrder[Order.updateMany.mock.calls
+        .findIndex(([, update]) => update.$set && update.$set.contact)];
+      expect(EmailLog.updateMany.mock.invocationCallOrder[0]).toBeLessThan(contactScrub);
+      expect(EmailOutbox.deleteMany.mock.invocationCallOrder[0]).toBeLessThan(contactScrub);
+      expect(contactScrub).toBeLessThan(User.replaceOne.mock.invocationCallOrder[0]);
+    });
+
+    it('should treat an already deleted user as not found', async () => {
+      mockFindUser(buildUser({ deletedAt: new Date() }));
+
+      await expect(anonymiseUser(USER_ID)).rejects.toThrow('User not found');
+      expect(User.replaceOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeDueAccounts', () => {
+    it('should postpone accounts that picked up an order and delete the rest', async () => {
+      const blocked = buildUser({ _id: 'blocked-user', isVerified: false });
+      const due = buildUser();
+      User.find.mockReturnValue(mockQuery([blocked, due]));
+      Order.exists.mockImplementation(async ({ user }) => (user === 'blocked-user' ? { _id: 'order-2' } : null));
+      mockFindUser(due);
+
+      const summary = await purgeDueAccounts();
+
+      expect(summary).toEqual({ deleted: 1, postponed: 1, failed: 0 });
+      expect(User.replaceOne).toHaveBeenCalledTimes(1);
+      expect(User.replaceOne.mock.calls[0][0]).toEqual({ _id: USER_ID });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Coupon', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Category', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/TaxRate', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/shippingService', () => ({
+  selectShippingMethod: jest.fn()
+}));
+
+const Product = require('../src/models/Product');
+const Settings = require('../src/models/Settings');
+const Coupon = require('../src/models/Coupon');
+const TaxRate = require('../src/models/TaxRate');
+const { selectShippingMethod } = require('../src/services/shippingService');
+const { priceOrder, findPriceMismatches, getUnitPrice } = require('../src/services/pricingService');
+const { IDS, buildOrder, buildProduct, mockQuery } = require('./fixtures/doubles');
+
+const SECOND_VARIANT = '64b7f0c2a1b2c3d4e5f60c12';
+const SECOND_PRODUCT = '64b7f0c2a1b2c3d4e5f60c02';
+
+// Product variants are a mongoose array; pricing looks them up with variants.id()
+const withVariants = (product) => {
+  product.variants.id = id => product.variants.find(variant => String(variant._id) === String(id)) || null;
+  return product;
+};
+
+const stockProducts = (...products) => {
+  Product.find.mockReturnValue(mockQuery(products.map(withVariants)));
+};
+
+const buildCoupon = (overrides = {}) => ({
+  _id: IDS.coupon,
+  code: 'EID10',
+  type: 'percentage',
+  value: 10,
+  isActive: true,
+  usageLimit: 0,
+  usageCount: 0,
+  ...overrides
+});
+
+const item = (overrides = {}) => ({ product: IDS.product, variant: IDS.variant, quantity: 1, ...overrides });
+
+describe('pricing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Settings.findOne.mockReturnValue(mockQuery({
+      currency: 'PKR',
+      pricesIncludeTax: false,
+      defaultTaxClass: 'standard',
+      taxAddress: { country: 'Pakistan', state: 'Punjab' }
+    }));
+    TaxRate.find.mockReturnValue(mockQuery([]));
+    selectShippingMethod.mockResolvedValue({ code: 'standard', amount: 250, freeShipping: false, zone: { name: 'Pakistan' }, weight: 4 });
+  });
+
+  describe('getUnitPrice', () => {
+    it('should charge the sale price only when it is below the regular price', () => {
+      expect(getUnitPrice({}, { price: 50000, salePrice: 45000 })).toEqual({ unitPrice: 45000, regularPrice: 50000, priceSource: 'salePrice' });
+      expect(getUnitPrice({}, { price: 50000, salePrice: 52000 })).toMatchObject({ unitPrice: 50000, priceSource: 'price' });
+      expect(getUnitPrice({}, { price: 50000, salePrice: 0 })).toMatchObject({ unitPrice: 50000, priceSource: 'price' });
+      expect(getUnitPrice({ price: 1200, salePrice: 999 }, null)).toMatchObject({ unitPrice: 999, priceSource: 'salePrice' });
+    });
+  });
+
+  describe('priceOrder', () => {
+    it('should price from the catalogue and ignore prices sent with the items', async () => {
+      stockProducts(buildProduct({ variants: [{ _id: IDS.variant, sku: 'RING-22K-6', price: 50000, salePrice: 45000 }] }));
+
+      const quote = await priceOrder({ items: [item({ quantity: 2, price: 1 })] });
+
+      expect(quote.items[0]).toMatchObject({ price: 45000, subtotal: 90000, sku: 'RING-22K-6' });
+      expect(quote.pricing.lines[0]).toMatchObject({ regularPrice: 50000, unitPrice: 45000, priceSource: 'salePrice' });
+      expect(quote).toMatchObject({ subtotal: 90000, shippingCost: 0, totalAmount: 90000 });
+      expect(quote.pricing.shipping.rule).toBe('not_calculated');
+    });
+
+    it('should take the coupon off the sale price', async () => {
+      stockProducts(buildProduct({ variants: [{ _id: IDS.variant, price: 50000, salePrice: 40000 }] }));
+      Coupon.findOne.mockResolvedValue(buildCoupon());
+
+      const quote = await priceOrder({ items: [item()], couponCode: 'eid10' });
+
+      expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'EID10' });
+      expect(quote).toMatchObject({ subtotal: 40000, discountAmount: 4000, totalAmount: 36000 });
+      expect(quote.pricing.coupon).toEqual({ code: 'EID10', type: 'percentage', value: 10, discountAmount: 4000, freeShipping: false });
+    });
+
+    it('should leave sale lines out of a coupon that excludes them', async () => {
+      stockProducts(
+        buildProduct({ variants: [{ _id: IDS.variant, price: 50000, salePrice: 40000 }] }),
+        buildProduct({ _id: SECOND_PRODUCT, name: 'Silver Chain', variants: [{ _id: SECOND_VARIANT, price: 8000 }] })
+      );
+      Coupon.findOne.mockResolvedValue(buildCoupon({ excludeSaleItems: true }));
+
+      const quote = await priceOrder({
+        items: [item(), item({ product: SECOND_PRODUCT, variant: SECOND_VARIANT })],
+        couponCode: 'EID10'
+      });
+
+      expect(quote.discountAmount).toBe(800);
+      expect(quote.pricing.lines.map(line => line.discountAmount)).toEqual([0, 800]);
+    });
+
+    it('should keep a locked price over a newer catalogue or sale price until the lock expires', async () => {
+      stockProducts(buildProduct({ variants: [{ _id: IDS.variant, price: 52000, salePrice: 51000, isRateLinked: true }] }));
+      const lockLine = { product: IDS.product, variant: IDS.variant, unitPrice: 49000, regularPrice: 49000, priceSource: 'price', metalRate: 'rate-1', ratePerGram: 12250 };
+
+      const locked = await priceOrder({
+        items: [item()],
+        priceLock: { expiresAt: new Date(Date.now() + 60 * 1000), lines: [lockLine] }
+      });
+      const expired = await priceOrder({
+        items: [item()],
+        priceLock: { expiresAt: new Date(Date.now() - 1000), lines: [lockLine] }
+      });
+
+      expect(locked.pricing.lines[0]).toMatchObject({ unitPrice: 49000, rateLocked: true, ratePerGram: 12250 });
+      expect(expired.pricing.lines[0]).toMatchObject({ unitPrice: 51000, rateLocked: false });
+    });
+
+    it('should let a free-shipping coupon win over the zone rate', async () => {
+      stockProducts(buildProduct());
+      Coupon.findOne.mockResolvedValue(buildCoupon({ type: 'free_shipping', value: 0 }));
+
+      const quote = await priceOrder({ items: [item()], couponCode: 'SHIPFREE', shippingAddress: buildOrder().shippingAddress });
+
+      expect(quote).toMatchObject({ shippingCost: 0, discountAmount: 0, totalAmount: 50000 });
+      expect(quote.pricing.shipping.rule).toBe('coupon_free_shipping');
+    });
+
+    it('should round each line, the discount, tax and total to two decimals', async () => {
+      stockProducts(buildProduct({ variants: [{ _id: IDS.variant, price: 1333.33 }] }));
+      Coupon.findOne.mockResolvedValue(buildCoupon({ value: 12.5 }));
+      TaxRate.find.mockReturnValue(mockQuery([{ taxClass: 'standard', name: 'GST', country: 'Pakistan', rate: 17 }]));
+
+      const quote = await priceOrder({
+        items: [item({ quantity: 3 })],
+        couponCode: 'EID10',
+        shippingAddress: buildOrder().shippingAddress
+      });
+
+      // 3999.99 less 12.5% (499.99875), plus 17% tax on 3499.99 (594.9983) and 250 shipping
+      expect(quote.subtotal).toBe(3999.99);
+      expect(quote.discountAmount).toBe(500);
+      expect(quote.taxAmount).toBe(595);
+      expect(quote.totalAmount).toBe(4344.99);
+    });
+
+    it('should refuse a product that is no longer sold', async () => {
+      stockProducts(buildProduct({ isActive: false }));
+
+      await expect(priceOrder({ items: [item()] })).rejects.toThrow('Product not found');
+    });
+
+    it('should refuse a product without variants, which has no stock to sell', async () => {
+      stockProducts(buildProduct({ name: 'Gift Card', variants: [] }));
+
+      await expect(priceOrder({ items: [item({ variant: undefined })] }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Gift Card is currently unavailable' });
+    });
+  });
+
+  describe('findPriceMismatches', () => {
+    const quote = { subtotal: 1000.01, taxAmount: 148.75, shippingCost: 250, discountAmount: 125, totalAmount: 1273.76, items: [{ price: 333.34 }] };
+
+    it('should accept totals within a cent and report the rest', () => {
+      expect(findPriceMismatches({ subtotal: 1000, totalAmount: 1273.76 }, quote)).toEqual([]);
+      expect(findPriceMismatches({ totalAmount: 1200, items: [{ price: 300 }] }, quote)).toEqual([
+        { field: 'totalAmount', message: 'Expected 1273.76 but received 1200' },
+        { field: 'items.0.price', message: 'Expected 333.34 but received 300' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/ReturnRequest', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/inventoryService', () => ({
+  releaseStock: jest.fn(async () => {}),
+  restockOrder: jest.fn(async () => true)
+}));
+jest.mock('../src/services/couponService', () => ({
+  releaseCoupon: jest.fn(async () => {})
+}));
+jest.mock('../src/services/paymentService', () => ({
+  refundPayment: jest.fn(async () => ({ id: 're_test_1' }))
+}));
+jest.mock('../src/utils/emailService', () => ({
+  sendOrderCancelledEmail: jest.fn(async () => {}),
+  sendReturnStatusEmail: jest.fn(async () => {})
+}));
+
+const Order = require('../src/models/Order');
+const ReturnRequest = require('../src/models/ReturnRequest');
+const Settings = require('../src/models/Settings');
+const { releaseStock, restockOrder } = require('../src/services/inventoryService');
+const { releaseCoupon } = require('../src/services/couponService');
+const { refundPayment } = require('../src/services/paymentService');
+const { sendOrderCancelledEmail } = require('../src/utils/emailService');
+const returns = require('../src/services/returnService');
+const { IDS, buildAdmin, buildDoc, buildOrder, buildUser, mockQuery } = require('./fixtures/doubles');
+
+const RETURN_ID = '64b7f0c2a1b2c3d4e5f61001';
+const SECOND_VARIANT = '64b7f0c2a1b2c3d4e5f60c12';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Orders are loaded with the owner populated, as findOwnOrder expects
+const storeOrder = (overrides = {}) => {
+  const order = buildOrder({ user: buildUser(), ...overrides });
+
+  Order.findById.mockImplementation(() => mockQuery(order));
+  // The cancellation is claimed with a filter on the status the order was read in
+  Order.findOneAndUpdate.mockImplementation((filter, { $push, ...update }) => {
+    if (filter._id !== order._id || filter.orderStatus !== order.orderStatus) {
+      return mockQuery(null);
+    }
+    Object.assign(order, update);
+    order.statusHistory.push($push.statusHistory);
+    return mockQuery(order);
+  });
+  return order;
+};
+
+// Each step only applies to a request still in the status it expects
+const storeReturn = (overrides = {}) => {
+  const returnRequest = buildDoc({
+    _id: RETURN_ID,
+    rmaNumber: 'RMA-20260301-X1Y2',
+    order: IDS.order,
+    user: IDS.customer,
+    status: 'requested',
+    items: [{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000 }],
+    ...overrides
+  });
+
+  ReturnRequest.findById.mockImplementation(() => mockQuery(returnRequest));
+  ReturnRequest.findOneAndUpdate.mockImplementation((filter, update) => {
+    if (filter.status !== returnRequest.status) {
+      return mockQuery(null);
+    }
+    Object.assign(returnRequest, update);
+    return mockQuery(returnRequest);
+  });
+  ReturnRequest.updateOne.mockImplementation(async (filter, update) => {
+    Object.assign(returnRequest, update);
+  });
+  return returnRequest;
+};
+
+describe('returns', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Settings.findOne.mockReturnValue(mockQuery({ returnWindowDays: 14 }));
+  });
+
+  describe('cancelOrder', () => {
+    it('should cancel a pending order, record who did it and put the stock and coupon back', async () => {
+      const order = storeOrder({ couponCode: 'EID10' });
+      const customer = buildUser();
+
+      const cancelled = await returns.cancelOrder(IDS.order, customer, 'Ordered the wrong size');
+
+      expect(cancelled).toMatchObject({ orderStatus: 'cancelled', cancellationReason: 'Ordered the wrong size', cancelledAt: expect.any(Date) });
+      expect(order.statusHistory).toEqual([expect.objectContaining({ field: 'orderStatus', from: 'pending', to: 'cancelled', actorType: 'customer' })]);
+      expect(restockOrder).toHaveBeenCalledWith(IDS.order, 'cancelled');
+      expect(releaseCoupon).toHaveBeenCalledWith('EID10');
+      expect(refundPayment).not.toHaveBeenCalled();
+      expect(sendOrderCancelledEmail).toHaveBeenCalledWith(order.user, order);
+    });
+
+    it('should refund an order that was already paid by card', async () => {
+      const order = storeOrder({ orderStatus: 'confirmed', paymentStatus: 'completed', paymentIntentId: 'pi_test_1' });
+
+      await returns.cancelOrder(IDS.order, buildUser());
+
+      expect(refundPayment).toHaveBeenCalledWith('pi_test_1', 50000);
+      expect(order.saved).toMatchObject({ refundedAmount: 50000, paymentStatus: 'refunded' });
+    });
+
+    it('should refuse to cancel an order that has shipped', async () => {
+      storeOrder({ orderStatus: 'shipped' });
+
+      await expect(returns.cancelOrder(IDS.order, buildUser())).rejects.toThrow('Orders that are shipped can no longer be cancelled');
+      expect(restockOrder).not.toHaveBeenCalled();
+    });
+
+    it('should refuse someone else\'s order', async () => {
+      storeOrder();
+
+      await expect(returns.cancelOrder(IDS.order, buildUser({ id: IDS.admin }))).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should give up when the order moved on while it was being cancelled', async () => {
+      const order = storeOrder();
+      Order.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+      await expect(returns.cancelOrder(IDS.order, buildUser())).rejects.toThrow('Order status changed while cancelling');
+      expect(order.orderStatus).toBe('pending');
+    });
+  });
+
+  describe('requestReturn', () => {
+    const delivered = (daysAgo, overrides = {}) => storeOrder({
+      orderStatus: 'delivered',
+      deliveredDate: new Date(Date.now() - daysAgo * DAY),
+      ...overrides
+    });
+
+    it('should open a request for every item when none are named', async () => {
+      delivered(3);
+
+      const returnRequest = await returns.requestReturn(IDS.order, IDS.customer, { reasonCode: 'damaged' });
+
+      expect(returnRequest).toMatchObject({
+        rmaNumber: expect.stringMatching(/^RMA-\d{8}-[A-Z0-9]{4}$/),
+        user: IDS.customer,
+        reasonCode: 'damaged',
+        items: [{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000 }]
+      });
+    });
+
+    it('should refuse orders that are not delivered or past the return window', async () => {
+      storeOrder({ orderStatus: 'shipped' });
+      await expect(returns.requestReturn(IDS.order, IDS.customer, { reasonCode: 'damaged' })).rejects.toThrow('Only delivered orders can be returned');
+
+      delivered(15);
+      await expect(returns.requestReturn(IDS.order, IDS.customer, { reasonCode: 'damaged' })).rejects.toThrow('within 14 days of delivery');
+      expect(ReturnRequest.create).not.toHaveBeenCalled();
+    });
+
+    it('should not return more than was ordered, counting earlier requests', async () => {
+      delivered(3, {
+        items: [
+          { product: IDS.product, variant: IDS.variant, quantity: 2, price: 50000 },
+          { product: IDS.product, variant: SECOND_VARIANT, quantity: 1, price: 30000 }
+        ]
+      });
+      ReturnRequest.find.mockReturnValue(mockQuery([
+        { status: 'approved', items: [{ product: IDS.product, variant: IDS.variant, quantity: 1 }] }
+      ]));
+
+      await expect(returns.requestReturn(IDS.order, IDS.customer, {
+        items: [{ product: IDS.product, variant: IDS.variant, quantity: 2 }],
+        reasonCode: 'changed_mind'
+      })).rejects.toThrow('Only 1 of this item can be returned');
+      await expect(returns.requestReturn(IDS.order, IDS.customer, {
+        items: [{ product: '64b7f0c2a1b2c3d4e5f60c99', quantity: 1 }],
+        reasonCode: 'changed_mind'
+      })).rejects.toThrow('Returned items must belong to the order');
+
+      const returnRequest = await returns.requestReturn(IDS.order, IDS.customer, {
+        items: [{ product: IDS.product, variant: IDS.variant, quantity: 1 }],
+        reasonCode: 'changed_mind'
+      });
+      expect(returnRequest.items).toEqual([{ product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000 }]);
+    });
+  });
+
+  describe('approveReturn and rejectReturn', () => {
+    it('should only decide a request that is still waiting', async () => {
+      const returnRequest = storeReturn();
+      const admin = buildAdmin();
+
+      await returns.approveReturn(RETURN_ID, admin, 'Photos show a broken clasp');
+
+      expect(returnRequest).toMatchObject({ status: 'approved', adminNote: 'Photos show a broken clasp', handledBy: IDS.admin });
+      await expect(returns.rejectReturn(RETURN_ID, admin)).rejects.toThrow('Return request is approved, expected requested');
+    });
+
+    it('should report a request that does not exist', async () => {
+      ReturnRequest.findById.mockReturnValue(mockQuery(null));
+
+      await expect(returns.approveReturn(RETURN_ID, buildAdmin())).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('receiveReturn', () => {
+    it('should mark the order returned and restock it through the order once everything is back', async () => {
+      const order = storeOrder({ orderStatus: 'delivered' });
+      const returnRequest = storeReturn({ status: 'approved' });
+      ReturnRequest.find.mockReturnValue(mockQuery([returnRequest]));
+
+      await returns.receiveReturn(RETURN_ID, buildAdmin());
+
+      expect(returnRequest.status).toBe('received');
+      expect(order.saved.orderStatus).toBe('returned');
+      expect(order.saved.statusHistory).toEqual([expect.objectContaining({ from: 'delivered', to: 'returned', actorType: 'admin' })]);
+      expect(restockOrder).toHaveBeenCalledWith(IDS.order, 'returned');
+      expect(releaseStock).not.toHaveBeenCalled();
+    });
+
+    it('should restock only the returned items of a partial return', async () => {
+      const order = storeOrder({
+        orderStatus: 'delivered',
+        items: [
+          { product: IDS.product, variant: IDS.variant, quantity: 1, price: 50000 },
+          { product: IDS.product, variant: SECOND_VARIANT, quantity: 1, price: 30000 }
+        ]
+      });
+      const returnRequest = storeReturn({ status: 'approved' });
+      ReturnRequest.find.mockReturnValue(mockQuery([returnRequest]));
+
+      await returns.receiveReturn(RETURN_ID, buildAdmin());
+
+      expect(order.save).not.toHaveBeenCalled();
+      expect(releaseStock).toHaveBeenCalledWith(returnRequest.items, 'returned');
+      expect(restockOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundReturn', () => {
+    it('should refund the items less their share of the order discount', async () => {
+      const order = storeOrder({ orderStatus: 'returned', paymentStatus: 'completed', paymentMethod: 'cod', subtotal: 80000, discountAmount: 8000, totalAmount: 72000 });
+      const returnRequest = storeReturn({ status: 'received' });
+
+      await returns.refundReturn(RETURN_ID, buildAdmin());
+
+      expect(returnRequest.saved).toMatchObject({ status: 'refunded', refund: { amount: 45000, method: 'manual' } });
+      expect(order.saved).toMatchObject({ refundedAmount: 45000, paymentStatus: 'completed' });
+    });
+
+    it('should put the request back to received when the refund fails', async () => {
+      storeOrder({ orderStatus: 'returned', paymentStatus: 'completed', refundedAmount: 40000 });
+      const returnRequest = storeReturn({ status: 'received' });
+
+      await expect(returns.refundReturn(RETURN_ID, buildAdmin(), 20000)).rejects.toThrow('Refund amount must be between 0 and 10000');
+      expect(returnRequest.status).toBe('received');
+    });
+  });
+});
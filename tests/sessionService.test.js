@@ -0,0 +1,242 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/models/Session', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/RefreshToken', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Role', () => require('./fixtures/doubles').mockModel());
+
+const jwt = require('jsonwebtoken');
+const Session = require('../src/models/Session');
+const RefreshToken = require('../src/models/RefreshToken');
+const User = require('../src/models/User');
+const Role = require('../src/models/Role');
+const { clearPermissionCache } = require('../src/services/permissionService');
+const sessionService = require('../src/services/sessionService');
+const { refreshToken } = require('../src/controllers/userController');
+const { IDS, buildAdmin, buildDoc, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The same claims User#getSignedJwtToken puts in an access token
+function getSignedJwtToken(sessionId, { impersonatedBy, expiresIn } = {}) {
+  return jwt.sign(
+    { id: this._id, role: this.role, sid: sessionId, ...(impersonatedBy && { imp: impersonatedBy }) },
+    process.env.JWT_SECRET,
+    { expiresIn: expiresIn || '15m' }
+  );
+}
+
+const matches = filter => doc => Object.entries(filter).every(([field, value]) => {
+  if (value === null) {
+    return doc[field] == null;
+  }
+  if (value.$ne !== undefined) {
+    return String(doc[field]) !== String(value.$ne);
+  }
+  if (value.$gt !== undefined) {
+    return doc[field] > value.$gt;
+  }
+  return String(doc[field]) === String(value);
+});
+
+// An in-memory collection behind the model statics the service uses
+const storeCollection = (Model, prefix) => {
+  const docs = [];
+  const apply = (filter, update) => {
+    const found = docs.filter(matches(filter));
+    found.forEach(doc => Object.assign(doc, update));
+    return found;
+  };
+
+  Model.create.mockImplementation(async (data) => {
+    const doc = buildDoc({ _id: `${prefix}-${docs.length + 1}`, createdAt: new Date(), ...data });
+    docs.push(doc);
+    return doc;
+  });
+  Model.findById.mockImplementation(id => mockQuery(docs.find(doc => doc._id === String(id)) || null));
+  Model.findOne.mockImplementation(filter => mockQuery(docs.find(matches(filter)) || null));
+  Model.find.mockImplementation(filter => mockQuery(docs.filter(matches(filter))));
+  Model.exists.mockImplementation(async filter => (docs.some(matches(filter)) ? { _id: 'exists' } : null));
+  Model.findOneAndUpdate.mockImplementation(async (filter, update) => apply(filter, update)[0] || null);
+  Model.updateOne.mockImplementation(async (filter, update) => ({ modifiedCount: apply(filter, update).slice(0, 1).length }));
+  Model.updateMany.mockImplementation(async (filter, update) => ({ modifiedCount: apply(filter, update).length }));
+  return docs;
+};
+
+const storeUser = (overrides = {}) => {
+  const user = buildUser({ getSignedJwtToken, ...overrides });
+  User.findById.mockReturnValue(mockQuery(user));
+  return user;
+};
+
+describe('session service', () => {
+  let sessions;
+  let refreshTokens;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearPermissionCache();
+    sessions = storeCollection(Session, 'session');
+    refreshTokens = storeCollection(RefreshToken, 'token');
+    Role.findOne.mockImplementation(({ name }) => mockQuery(
+      name === 'warehouse' ? { permissions: ['orders:read'] } : null
+    ));
+  });
+
+  describe('createSession', () => {
+    it('should store only a hash of the refresh token and sign an access token for the session', async () => {
+      const tokens = await sessionService.createSession(storeUser(), { userAgent: 'Mozilla/5.0', ip: '10.0.0.1' });
+
+      expect(sessions).toEqual([expect.objectContaining({ user: IDS.customer, userAgent: 'Mozilla/5.0', ip: '10.0.0.1' })]);
+      expect(refreshTokens).toEqual([expect.objectContaining({
+        session: 'session-1',
+        tokenHash: sessionService.hashToken(tokens.refreshToken)
+      })]);
+      expect(JSON.stringify(refreshTokens)).not.toContain(tokens.refreshToken);
+
+      const payload = jwt.verify(tokens.accessToken, process.env.JWT_SECRET);
+      expect(payload).toMatchObject({ id: IDS.customer, sid: 'session-1' });
+      expect(payload.exp - payload.iat).toBe(15 * 60);
+      expect(tokens.refreshTokenExpiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * DAY);
+    });
+  });
+
+  describe('POST /api/v1/auth/refresh', () => {
+    const refresh = token => runHandler(refreshToken, buildRequest({
+      method: 'POST',
+      cookies: { refreshToken: token },
+      ip: '10.0.0.2'
+    }));
+
+    let first;
+
+    beforeEach(async () => {
+      first = await sessionService.createSession(storeUser(), { userAgent: 'Mozilla/5.0', ip: '10.0.0.1' });
+    });
+
+    it('should exchange an unused refresh token for a new pair in the same session', async () => {
+      const res = await refresh(first.refreshToken);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.refreshToken).not.toBe(first.refreshToken);
+      expect(res.cookies.refreshToken).toBe(res.body.data.refreshToken);
+      expect(jwt.decode(res.body.data.token).sid).toBe('session-1');
+      expect(refreshTokens[0].saved).toMatchObject({ usedAt: expect.any(Date), replacedBy: 'token-2' });
+      expect(refreshTokens[1]).toMatchObject({ session: 'session-1' });
+      expect(refreshTokens[1].usedAt).toBeUndefined();
+      expect(sessions[0].saved).toMatchObject({ ip: '10.0.0.2', lastUsedAt: expect.any(Date) });
+    });
+
+    it('should end the whole session when a used refresh token is presented again', async () => {
+      const rotated = await refresh(first.refreshToken);
+
+      const replayed = await refresh(first.refreshToken);
+      const legitimate = await refresh(rotated.body.data.refreshToken);
+
+      expect(replayed.statusCode).toBe(401);
+      expect(replayed.body.message).toBe('Invalid or expired refresh token');
+      expect(replayed.cookies.refreshToken).toBeNull();
+      expect(sessions[0]).toMatchObject({ revokedAt: expect.any(Date), revokedReason: 'token_reuse' });
+      expect(legitimate.statusCode).toBe(401);
+      expect(legitimate.body.message).toBe('Session has ended');
+      await expect(sessionService.isSessionActive('session-1', IDS.customer)).resolves.toBe(false);
+    });
+
+    it('should refuse an unknown or missing refresh token without ending anything', async () => {
+      const unknown = await refresh('made-up');
+      const missing = await refresh(undefined);
+
+      expect([unknown.statusCode, missing.statusCode]).toEqual([401, 401]);
+      expect(missing.body.message).toBe('Refresh token is required');
+      expect(sessions[0].revokedAt).toBeUndefined();
+    });
+
+    it('should end the session of an account that was deactivated', async () => {
+      storeUser({ isActive: false });
+
+      const res = await refresh(first.refreshToken);
+
+      expect(res.statusCode).toBe(401);
+      expect(res.body.message).toBe('Account is not active');
+      expect(sessions[0].revokedReason).toBe('logout');
+    });
+  });
+
+  describe('ending sessions', () => {
+    beforeEach(async () => {
+      const user = storeUser();
+      await sessionService.createSession(user, { userAgent: 'laptop' });
+      await sessionService.createSession(user, { userAgent: 'phone' });
+      await sessionService.createSession(user, { userAgent: 'tablet' });
+    });
+
+    it('should end every other session and keep the caller\'s own', async () => {
+      const ended = await sessionService.revokeUserSessions(IDS.customer, { except: 'session-2', reason: 'ended_by_user' });
+
+      expect(ended).toBe(2);
+      expect(sessions.map(session => session.revokedReason)).toEqual(['ended_by_user', undefined, 'ended_by_user']);
+    });
+
+    it('should end one session of the user and refuse sessions of other users', async () => {
+      await sessionService.endUserSession(IDS.customer, 'session-3');
+
+      expect(sessions[2].revokedReason).toBe('ended_by_user');
+      await expect(sessionService.endUserSession(IDS.admin, 'session-1')).rejects.toMatchObject({ statusCode: 404 });
+      await expect(sessionService.endUserSession(IDS.customer, 'session-3')).rejects.toMatchObject({ statusCode: 404 });
+      expect(sessions[0].revokedAt).toBeUndefined();
+    });
+
+    it('should list the active sessions and mark the one making the request', async () => {
+      await sessionService.revokeSession('session-3', 'logout');
+      sessions[1].impersonatedBy = IDS.admin;
+
+      const listed = await sessionService.listSessions(IDS.customer, 'session-1');
+
+      expect(listed).toEqual([expect.objectContaining({ _id: 'session-1', userAgent: 'laptop', current: true })]);
+      expect(listed[0]).not.toHaveProperty('save');
+    });
+  });
+
+  describe('createImpersonationSession', () => {
+    const STAFF = buildAdmin({ role: 'support' });
+
+    it('should issue a short-lived token naming the staff member and no refresh token', async () => {
+      storeUser();
+
+      const result = await sessionService.createImpersonationSession(STAFF, IDS.customer, { reason: 'Ticket 4821' });
+
+      expect(sessions).toEqual([expect.objectContaining({
+        user: IDS.customer,
+        impersonatedBy: IDS.admin,
+        impersonationReason: 'Ticket 4821'
+      })]);
+      expect(refreshTokens).toEqual([]);
+
+      const payload = jwt.verify(result.accessToken, process.env.JWT_SECRET);
+      expect(payload).toMatchObject({ id: IDS.customer, sid: 'session-1', imp: IDS.admin });
+      expect(payload.exp - payload.iat).toBe(sessionService.IMPERSONATION_TTL_MINUTES * 60);
+    });
+
+    it('should keep impersonation and ordinary sessions apart', async () => {
+      storeUser();
+      await sessionService.createImpersonationSession(STAFF, IDS.customer, { reason: 'Ticket 4821' });
+
+      await expect(sessionService.isSessionActive('session-1', IDS.customer)).resolves.toBe(false);
+      await expect(sessionService.isSessionActive('session-1', IDS.customer, 'someone-else')).resolves.toBe(false);
+      await expect(sessionService.isSessionActive('session-1', IDS.customer, IDS.admin)).resolves.toBe(true);
+      await expect(sessionService.isSessionActive(undefined, IDS.customer)).resolves.toBe(false);
+    });
+
+    it('should refuse staff and inactive accounts with 403', async () => {
+      storeUser({ role: 'warehouse' });
+      await expect(sessionService.createImpersonationSession(STAFF, IDS.customer, { reason: 'Ticket 4821' }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Staff accounts cannot be impersonated' });
+
+      storeUser({ isActive: false });
+      await expect(sessionService.createImpersonationSession(STAFF, IDS.customer, { reason: 'Ticket 4821' }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Inactive accounts cannot be impersonated' });
+
+      expect(sessions).toEqual([]);
+    });
+  });
+});
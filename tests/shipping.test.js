@@ -0,0 +1,227 @@
+jest.mock('../src/models/ShippingZone', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Cart', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Address', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/pricingService', () => ({
+  priceOrder: jest.fn()
+}));
+
+const ShippingZone = require('../src/models/ShippingZone');
+const Cart = require('../src/models/Cart');
+const Address = require('../src/models/Address');
+const { priceOrder } = require('../src/services/pricingService');
+const shipping = require('../src/services/shippingService');
+const { getShippingQuote } = require('../src/controllers/cartController');
+const { IDS, buildDoc, buildOrder, buildProduct, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const method = (overrides = {}) => ({
+  code: 'standard',
+  name: 'Standard',
+  estimatedDays: { min: 3, max: 5 },
+  rates: [{ minWeight: 0, maxWeight: 1000, price: 300 }, { minWeight: 1000, price: 600 }],
+  freeShippingThreshold: 0,
+  isActive: true,
+  ...overrides
+});
+
+const zone = (overrides = {}) => ({
+  _id: `zone-${overrides.name}`,
+  countries: [],
+  provinces: [],
+  cities: [],
+  priority: 0,
+  isActive: true,
+  methods: [method()],
+  ...overrides
+});
+
+const PAKISTAN = zone({
+  name: 'Pakistan',
+  countries: ['Pakistan'],
+  methods: [
+    method({ freeShippingThreshold: 100000 }),
+    method({ code: 'express', name: 'Express', rates: [{ price: 900 }] }),
+    method({ code: 'overnight', name: 'Overnight', rates: [{ price: 1500 }], isActive: false })
+  ]
+});
+const PUNJAB = zone({ name: 'Punjab', countries: ['Pakistan'], provinces: ['Punjab'] });
+const PUNJAB_PROMO = zone({ name: 'Punjab promo', countries: ['Pakistan'], provinces: ['Punjab'], priority: 5 });
+const LAHORE = zone({
+  name: 'Lahore',
+  countries: ['Pakistan'],
+  provinces: ['Punjab'],
+  cities: ['Lahore'],
+  methods: [
+    method({ rates: [{ price: 150 }] }),
+    method({ code: 'same_day', name: 'Same day', rates: [{ maxOrderValue: 200000, price: 500 }] })
+  ]
+});
+const WORLDWIDE = zone({ name: 'Worldwide', methods: [method({ code: 'dhl', name: 'DHL', rates: [{ price: 8000 }] })] });
+
+const LAHORE_ADDRESS = buildOrder().shippingAddress;
+const KARACHI_ADDRESS = { city: 'Karachi', state: 'Sindh', country: 'Pakistan' };
+
+const stockZones = (...zones) => {
+  ShippingZone.find.mockReturnValue(mockQuery(zones));
+};
+
+// Priced lines carry the product and variant documents
+const ring = (quantity = 1, weight = 4) => ({ product: buildProduct({ weight: 10 }), variant: { weight }, quantity });
+
+describe('shipping', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stockZones(WORLDWIDE, PAKISTAN, PUNJAB, LAHORE);
+  });
+
+  describe('findZoneForAddress', () => {
+    it('should pick the most specific zone covering the address, whatever the case and spacing', async () => {
+      await expect(shipping.findZoneForAddress({ city: ' lahore', state: 'PUNJAB', country: 'pakistan' })).resolves.toBe(LAHORE);
+      await expect(shipping.findZoneForAddress({ city: 'Multan', state: 'Punjab', country: 'Pakistan' })).resolves.toBe(PUNJAB);
+      await expect(shipping.findZoneForAddress(KARACHI_ADDRESS)).resolves.toBe(PAKISTAN);
+      await expect(shipping.findZoneForAddress({ city: 'Dubai', country: 'UAE' })).resolves.toBe(WORLDWIDE);
+      expect(ShippingZone.find).toHaveBeenCalledWith({ isActive: true });
+    });
+
+    it('should let priority decide between equally specific zones', async () => {
+      stockZones(PUNJAB, PUNJAB_PROMO);
+
+      await expect(shipping.findZoneForAddress({ city: 'Multan', state: 'Punjab', country: 'Pakistan' })).resolves.toBe(PUNJAB_PROMO);
+    });
+  });
+
+  describe('calculateWeight', () => {
+    it('should weigh each line by its variant, falling back to the product', () => {
+      const lines = [ring(2, 4.5), { product: { weight: 12 }, variant: {}, quantity: 1 }, { product: {}, quantity: 3 }];
+
+      expect(shipping.calculateWeight(lines)).toBe(21);
+    });
+  });
+
+  describe('getShippingOptions', () => {
+    it('should price the active methods for the order weight, cheapest first', async () => {
+      const options = await shipping.getShippingOptions({ address: KARACHI_ADDRESS, lines: [ring(2)], orderValue: 50000 });
+
+      expect(options.zone).toEqual({ id: 'zone-Pakistan', name: 'Pakistan' });
+      expect(options.weight).toBe(8);
+      expect(options.methods).toEqual([
+        { code: 'standard', name: 'Standard', description: undefined, estimatedDays: { min: 3, max: 5 }, amount: 300, freeShipping: false, freeShippingThreshold: 100000 },
+        { code: 'express', name: 'Express', description: undefined, estimatedDays: { min: 3, max: 5 }, amount: 900, freeShipping: false, freeShippingThreshold: undefined }
+      ]);
+    });
+
+    it('should treat the upper weight of a bracket as the start of the next one', async () => {
+      const options = await shipping.getShippingOptions({ address: KARACHI_ADDRESS, lines: [ring(250, 4)], orderValue: 50000 });
+
+      expect(options.weight).toBe(1000);
+      expect(options.methods[0]).toMatchObject({ code: 'standard', amount: 600 });
+    });
+
+    it('should ship free from the threshold on', async () => {
+      const options = await shipping.getShippingOptions({ address: KARACHI_ADDRESS, lines: [ring()], orderValue: 100000 });
+
+      expect(options.methods.map(option => [option.code, option.amount, option.freeShipping])).toEqual([
+        ['standard', 0, true],
+        ['express', 900, false]
+      ]);
+    });
+
+    it('should leave out methods without a bracket for the order value', async () => {
+      const options = await shipping.getShippingOptions({ address: LAHORE_ADDRESS, lines: [ring()], orderValue: 250000 });
+
+      expect(options.methods.map(option => option.code)).toEqual(['standard']);
+    });
+
+    it('should say where it does not deliver', async () => {
+      stockZones(PAKISTAN);
+
+      await expect(shipping.getShippingOptions({ address: { city: 'Dubai', country: 'UAE' }, lines: [], orderValue: 0 }))
+        .rejects.toThrow('We do not deliver to Dubai yet');
+    });
+  });
+
+  describe('selectShippingMethod', () => {
+    const select = (methodCode, orderValue = 50000) => shipping.selectShippingMethod({
+      address: LAHORE_ADDRESS,
+      lines: [ring()],
+      orderValue,
+      method: methodCode
+    });
+
+    it('should take the cheapest method unless one is asked for', async () => {
+      await expect(select()).resolves.toMatchObject({ code: 'standard', amount: 150, zone: { name: 'Lahore' }, weight: 4 });
+      await expect(select('SAME_DAY')).resolves.toMatchObject({ code: 'same_day', amount: 500 });
+    });
+
+    it('should refuse a method the address cannot have', async () => {
+      await expect(select('express')).rejects.toThrow('Shipping method express is not available for this address');
+    });
+
+    it('should refuse an order no method can carry', async () => {
+      stockZones(zone({ name: 'Lahore', cities: ['Lahore'], methods: [method({ rates: [{ maxOrderValue: 100000, price: 150 }] })] }));
+
+      await expect(select(undefined, 150000)).rejects.toThrow('No shipping method is available for this order');
+    });
+  });
+
+  describe('POST /api/cart/shipping-quote', () => {
+    const quoteFor = (body, user) => runHandler(getShippingQuote, buildRequest({
+      method: 'POST',
+      cartOwner: { user: IDS.customer },
+      body,
+      user
+    }));
+
+    const mockQuote = (coupon) => {
+      priceOrder.mockResolvedValue({
+        lines: [ring()],
+        subtotal: 120000,
+        discountAmount: 30000,
+        taxAmount: 0,
+        pricing: { coupon, tax: { amount: 0 } }
+      });
+    };
+
+    beforeEach(() => {
+      Cart.findOne.mockReturnValue(mockQuery(buildDoc({ items: [{ product: IDS.product, variant: IDS.variant, quantity: 1 }], couponCode: 'EID25' })));
+    });
+
+    it('should test free-shipping thresholds against the value after the coupon', async () => {
+      mockQuote({ code: 'EID25', freeShipping: false });
+
+      const res = await quoteFor({ address: KARACHI_ADDRESS });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.methods.map(option => [option.code, option.amount])).toEqual([['standard', 300], ['express', 900]]);
+    });
+
+    it('should make every method free with a free-shipping coupon', async () => {
+      mockQuote({ code: 'SHIPFREE', freeShipping: true });
+
+      const res = await quoteFor({ address: KARACHI_ADDRESS });
+
+      expect(res.body.data.methods.map(option => [option.code, option.amount, option.freeShipping])).toEqual([
+        ['standard', 0, true],
+        ['express', 0, true]
+      ]);
+    });
+
+    it('should only quote a saved address that belongs to the user', async () => {
+      mockQuote();
+
+      const res = await quoteFor({ addressId: '64b7f0c2a1b2c3d4e5f61201' }, buildUser());
+
+      expect(Address.findOne).toHaveBeenCalledWith({ _id: '64b7f0c2a1b2c3d4e5f61201', user: IDS.customer });
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should answer 400 for an address outside every zone', async () => {
+      mockQuote();
+      stockZones(PAKISTAN);
+
+      const res = await quoteFor({ address: { city: 'Dubai', country: 'UAE' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('We do not deliver to Dubai yet');
+    });
+  });
+});
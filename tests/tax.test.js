@@ -0,0 +1,94 @@
+jest.mock('../src/models/Category', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/TaxRate', () => require('./fixtures/doubles').mockModel());
+
+const Category = require('../src/models/Category');
+const TaxRate = require('../src/models/TaxRate');
+const { calculateTax, resolveTaxClasses } = require('../src/services/taxService');
+const { IDS, buildProduct, mockQuery } = require('./fixtures/doubles');
+
+const PARENT_CATEGORY = '64b7f0c2a1b2c3d4e5f60d02';
+
+const RATES = [
+  { taxClass: 'standard', name: 'GST', country: 'Pakistan', rate: 18 },
+  { taxClass: 'standard', name: 'Punjab GST', country: 'Pakistan', province: 'Punjab', rate: 16 },
+  { taxClass: 'reduced', name: 'Reduced GST', country: 'Pakistan', rate: 5 }
+];
+
+const LAHORE = { country: 'Pakistan', state: 'Punjab' };
+const KARACHI = { country: 'pakistan ', state: 'Sindh' };
+
+const line = (subtotal, product = buildProduct()) => ({ product, subtotal });
+
+const settings = (overrides = {}) => ({ pricesIncludeTax: false, defaultTaxClass: 'standard', ...overrides });
+
+describe('tax', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TaxRate.find.mockReturnValue(mockQuery(RATES));
+  });
+
+  describe('calculateTax', () => {
+    it('should use the province rate where there is one and the country rate elsewhere', async () => {
+      const punjab = await calculateTax({ lines: [line(10000)], address: LAHORE, settings: settings() });
+      const sindh = await calculateTax({ lines: [line(10000)], address: KARACHI, settings: settings() });
+
+      expect(punjab).toMatchObject({ amount: 1600, taxableAmount: 10000, province: 'Punjab' });
+      expect(punjab.breakdown).toEqual([{ taxClass: 'standard', name: 'Punjab GST', rate: 16, taxableAmount: 10000, amount: 1600 }]);
+      expect(sindh).toMatchObject({ amount: 1800, inclusive: false });
+    });
+
+    it('should not tax an address outside every rate', async () => {
+      const result = await calculateTax({ lines: [line(10000)], address: { country: 'UAE', state: 'Dubai' }, settings: settings() });
+
+      expect(result).toMatchObject({ amount: 0, taxableAmount: 10000 });
+      expect(result.lines[0]).toMatchObject({ rate: 0, name: undefined });
+    });
+
+    it('should extract the tax from tax-inclusive prices', async () => {
+      const result = await calculateTax({ lines: [line(11600)], address: LAHORE, settings: settings({ pricesIncludeTax: true }) });
+
+      expect(result).toMatchObject({ inclusive: true, amount: 1600, taxableAmount: 10000 });
+    });
+
+    it('should tax each line at its own class and what is left after the discount', async () => {
+      const reduced = buildProduct({ _id: '64b7f0c2a1b2c3d4e5f60c02', taxClass: 'reduced' });
+      const lines = [line(6000), line(4000, reduced)];
+
+      const result = await calculateTax({ lines, discountAmount: 1000, address: LAHORE, settings: settings() });
+
+      expect(result.lines.map(taxLine => taxLine.discountAmount)).toEqual([600, 400]);
+      // 5400 at 16% and 3600 at 5%
+      expect(result.lines.map(taxLine => taxLine.amount)).toEqual([864, 180]);
+      expect(result.amount).toBe(1044);
+    });
+
+    it('should spread the discount over the lines it applied to only', async () => {
+      const lines = [line(6000), line(4000)];
+
+      const result = await calculateTax({ lines, discountAmount: 500, discountedLines: [lines[1]], address: LAHORE, settings: settings() });
+
+      expect(result.lines.map(taxLine => taxLine.taxableAmount)).toEqual([6000, 3500]);
+    });
+
+    it('should charge no tax without an address instead of failing', async () => {
+      const result = await calculateTax({ lines: [line(10000)], address: undefined, settings: settings() });
+
+      expect(result).toMatchObject({ amount: 0, taxableAmount: 10000, country: undefined, province: undefined });
+    });
+  });
+
+  describe('resolveTaxClasses', () => {
+    it('should take the class from the product, then its category chain, then the default', async () => {
+      const own = buildProduct({ _id: 'own', taxClass: 'reduced' });
+      const inherited = buildProduct({ _id: 'inherited', taxClass: undefined, category: IDS.category });
+      const fallback = buildProduct({ _id: 'fallback', taxClass: undefined, category: undefined });
+      Category.find
+        .mockReturnValueOnce(mockQuery([{ _id: IDS.category, parentCategory: PARENT_CATEGORY }]))
+        .mockReturnValueOnce(mockQuery([{ _id: PARENT_CATEGORY, taxClass: 'exempt' }]));
+
+      const classes = await resolveTaxClasses([own, inherited, fallback], 'standard');
+
+      expect(Object.fromEntries(classes)).toEqual({ own: 'reduced', inherited: 'exempt', fallback: 'standard' });
+    });
+  });
+});
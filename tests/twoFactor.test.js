@@ -0,0 +1,259 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+
+jest.mock('../src/models/User', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/services/loginSecurityService', () => ({
+  assertLoginAllowed: jest.fn(),
+  recordFailedLogin: jest.fn()
+}));
+jest.mock('../src/services/sessionService', () => ({
+  createSession: jest.fn(async () => ({
+    accessToken: 'access-token',
+    refreshToken: 'refresh-token',
+    refreshTokenExpiresAt: new Date(Date.now() + 60 * 1000)
+  })),
+  revokeUserSessions: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const Settings = require('../src/models/Settings');
+const { recordFailedLogin } = require('../src/services/loginSecurityService');
+const { createSession, revokeUserSessions } = require('../src/services/sessionService');
+const totp = require('../src/utils/totp');
+const twoFactor = require('../src/services/twoFactorService');
+const { resetPassword, resetPasswordWithOTP } = require('../src/controllers/userController');
+const { IDS, buildAdmin, buildRequest, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const USER_ID = IDS.admin;
+// RFC 6238 appendix B test key, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const buildUser = (overrides = {}) => buildAdmin({ twoFactor: { enabled: false }, ...overrides });
+
+const mockFindUser = (user) => {
+  User.findById.mockReturnValue(mockQuery(user));
+  User.findOne.mockReturnValue(mockQuery(user));
+};
+
+const mockSettings = (settings) => {
+  Settings.findOne.mockReturnValue(mockQuery(settings));
+};
+
+// Enrol a user through the service and return the plain secret and recovery codes
+const enrol = async (user) => {
+  mockFindUser(user);
+  const { secret } = await twoFactor.startEnrollment(USER_ID);
+  const recoveryCodes = await twoFactor.confirmEnrollment(USER_ID, totp.generateCode(secret, totp.timeStep()));
+  // The next code must come from a later time step
+  user.twoFactor.lastUsedStep -= 2;
+  return { secret, recoveryCodes };
+};
+
+describe('totp', () => {
+  it('should match the RFC 6238 SHA-1 test vectors', () => {
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, totp.timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('should accept codes from the neighbouring time steps only', () => {
+    const now = 1111111109 * 1000;
+    const step = totp.timeStep(now);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), now)).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+  });
+
+  it('should round-trip base32 and build a provisioning URI', () => {
+    expect(totp.base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(totp.buildOtpauthUrl(RFC_SECRET, 'sara@example.com', 'Azra Nishat'))
+      .toBe(`otpauth://totp/Azra%20Nishat%3Asara%40example.com?secret=${RFC_SECRET}&issuer=Azra+Nishat&algorithm=SHA1&digits=6&period=30`);
+  });
+});
+
+describe('two-factor service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSettings({ siteName: 'Azra Nishat', requireAdminTwoFactor: false });
+  });
+
+  describe('enrollment', () => {
+    it('should keep the secret encrypted and pending until a code is confirmed', async () => {
+      const user = buildUser();
+      mockFindUser(user);
+
+      const { secret, otpauthUrl } = await twoFactor.startEnrollment(USER_ID);
+
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(user.saved.twoFactor.pendingSecret).toEqual(expect.any(String));
+      expect(user.saved.twoFactor.pendingSecret).not.toContain(secret);
+      expect(user.saved.twoFactor.enabled).toBe(false);
+
+      await expect(twoFactor.confirmEnrollment(USER_ID, '000000')).rejects.toThrow('Invalid two-factor code');
+      expect(user.saved.twoFactor.enabled).toBe(false);
+    });
+
+    it('should enable with a valid code and store only hashes of the recovery codes', async () => {
+      const user = buildUser();
+      const { recoveryCodes } = await enrol(user);
+
+      expect(user.saved.twoFactor.enabled).toBe(true);
+      expect(user.saved.twoFactor.pendingSecret).toBeUndefined();
+      expect(recoveryCodes).toHaveLength(10);
+      expect(user.saved.twoFactor.recoveryCodes).toHaveLength(10);
+      expect(user.saved.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+  });
+
+  describe('login challenge', () => {
+    it('should finish a login with a code and refuse the same code twice', async () => {
+      const user = buildUser();
+      const { secret } = await enrol(user);
+      const token = await twoFactor.createChallenge(user);
+      const challengeId = User.updateOne.mock.calls[0][1]['twoFactor.challengeId'];
+      user.twoFactor.challengeId = challengeId;
+      const code = totp.generateCode(secret, totp.timeStep());
+
+      const result = await twoFactor.completeChallenge(token, { code });
+
+      expect(result).toEqual({ user, method: 'totp' });
+      expect(jwt.decode(token)).toMatchObject({ id: USER_ID, cid: challengeId, type: 'two_factor' });
+
+      user.twoFactor.challengeId = challengeId;
+      await expect(twoFactor.completeChallenge(token, { code })).rejects.toThrow('Invalid two-factor code');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const user = buildUser();
+      const { recoveryCodes } = await enrol(user);
+      const token = await twoFactor.createChallenge(user);
+      const challengeId = User.updateOne.mock.calls[0][1]['twoFactor.challengeId'];
+
+      user.twoFactor.challengeId = challengeId;
+      const result = await twoFactor.completeChallenge(token, { recoveryCode: recoveryCodes[3].toUpperCase() });
+
+      expect(result.method).toBe('recovery_code');
+      expect(user.saved.twoFactor.recoveryCodes).toHaveLength(9);
+
+      user.twoFactor.challengeId = challengeId;
+      await expect(twoFactor.completeChallenge(token, { recoveryCode: recoveryCodes[3] })).rejects.toThrow('Invalid two-factor code');
+    });
+
+    it('should end the challenge after five wrong codes', async () => {
+      const user = buildUser();
+      await enrol(user);
+      const token = await twoFactor.createChallenge(user);
+      user.twoFactor.challengeId = User.updateOne.mock.calls[0][1]['twoFactor.challengeId'];
+      user.twoFactor.challengeAttempts = 4;
+
+      await expect(twoFactor.completeChallenge(token, { code: '000000' }, { ip: '10.0.0.9' })).rejects.toThrow('Invalid two-factor code');
+      expect(user.twoFactor.challengeId).toBeUndefined();
+      expect(recordFailedLogin).toHaveBeenCalledWith(user, { ip: '10.0.0.9' }, 'invalid_two_factor');
+
+      await expect(twoFactor.completeChallenge(token, { code: '000000' }))
+        .rejects.toThrow('Two-factor login has expired, please sign in again');
+    });
+
+    it('should reject tokens that are not two-factor challenges', async () => {
+      const token = jwt.sign({ cartId: 'abc', type: 'guest_cart' }, process.env.JWT_SECRET);
+
+      await expect(twoFactor.completeChallenge(token, { code: '123456' }))
+        .rejects.toThrow('Two-factor login has expired, please sign in again');
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    it('should require the password as well as a code', async () => {
+      const user = buildUser({ role: 'customer' });
+      const { secret } = await enrol(user);
+      const code = totp.generateCode(secret, totp.timeStep());
+
+      await expect(twoFactor.disableTwoFactor(USER_ID, { password: 'wrong', code })).rejects.toThrow('Password is incorrect');
+      expect(user.twoFactor.enabled).toBe(true);
+
+      await twoFactor.disableTwoFactor(USER_ID, { password: 'correct-horse', code });
+      expect(user.twoFactor).toEqual({ enabled: false });
+    });
+
+    it('should not let admins turn it off while the setting requires it', async () => {
+      const user = buildUser();
+      const { recoveryCodes } = await enrol(user);
+      mockSettings({ requireAdminTwoFactor: true });
+
+      await expect(twoFactor.disableTwoFactor(USER_ID, { password: 'correct-horse', recoveryCode: recoveryCodes[0] }))
+        .rejects.toThrow('Two-factor authentication is required for staff accounts');
+      expect(user.twoFactor.enabled).toBe(true);
+    });
+  });
+
+  describe('password reset', () => {
+    const resetToken = 'a1b2c3';
+
+    it('should end every session and challenge the second factor instead of signing in', async () => {
+      const user = buildUser({ twoFactor: { enabled: true } });
+      mockFindUser(user);
+
+      const res = await runHandler(resetPassword, buildRequest({
+        method: 'PUT',
+        params: { resettoken: resetToken },
+        body: { password: 'new-password' }
+      }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ success: true, twoFactorRequired: true, twoFactorToken: expect.any(String) });
+      expect(jwt.decode(res.body.twoFactorToken)).toMatchObject({ id: USER_ID, type: 'two_factor' });
+      expect(user.saved).toMatchObject({ password: 'new-password', resetPasswordToken: undefined });
+      expect(revokeUserSessions).toHaveBeenCalledWith(USER_ID, { reason: 'password_change' });
+      expect(createSession).not.toHaveBeenCalled();
+      expect(res.cookies.refreshToken).toBeUndefined();
+    });
+
+    it('should challenge the second factor after an OTP reset too', async () => {
+      const user = buildUser({ twoFactor: { enabled: true }, otp: '482913', otpExpire: Date.now() + 60 * 1000 });
+      mockFindUser(user);
+
+      const res = await runHandler(resetPasswordWithOTP, buildRequest({
+        method: 'PUT',
+        body: { email: user.email, otp: '482913', password: 'new-password' }
+      }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toEqual({ twoFactorRequired: true, twoFactorToken: expect.any(String) });
+      expect(user.saved.otp).toBeUndefined();
+      expect(createSession).not.toHaveBeenCalled();
+    });
+
+    it('should sign accounts without two-factor straight in', async () => {
+      mockFindUser(buildUser({ role: 'customer' }));
+
+      const res = await runHandler(resetPassword, buildRequest({
+        method: 'PUT',
+        params: { resettoken: resetToken },
+        body: { password: 'new-password' }
+      }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true, token: 'access-token', refreshToken: 'refresh-token' });
+      expect(res.cookies.refreshToken).toBe('refresh-token');
+    });
+
+    it('should refuse a wrong OTP without touching the password', async () => {
+      const user = buildUser({ otp: '482913', otpExpire: Date.now() + 60 * 1000 });
+      mockFindUser(user);
+
+      const res = await runHandler(resetPasswordWithOTP, buildRequest({
+        method: 'PUT',
+        body: { email: user.email, otp: '000000', password: 'new-password' }
+      }));
+
+      expect(res.statusCode).toBe(400);
+      expect(user.save).not.toHaveBeenCalled();
+      expect(revokeUserSessions).not.toHaveBeenCalled();
+    });
+  });
+});
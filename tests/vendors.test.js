@@ -0,0 +1,376 @@
+jest.mock('../src/models/CommissionRule', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Settings', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Order', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/VendorPayout', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Counter', () => require('./fixtures/doubles').mockModel({
+  next: jest.fn(async () => 7)
+}));
+jest.mock('../src/models/Vendor', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/models/Product', () => require('./fixtures/doubles').mockModel());
+jest.mock('../src/middlewares/cache', () => ({
+  invalidateCache: jest.fn()
+}));
+
+const CommissionRule = require('../src/models/CommissionRule');
+const Settings = require('../src/models/Settings');
+const Order = require('../src/models/Order');
+const VendorPayout = require('../src/models/VendorPayout');
+const Vendor = require('../src/models/Vendor');
+const Product = require('../src/models/Product');
+const { resolveCommissionRate, splitOrderByVendor } = require('../src/services/commissionService');
+const { transitionStatus } = require('../src/services/orderStatusService');
+const requireVendor = require('../src/middlewares/vendor');
+const validate = require('../src/middlewares/validators/zodValidator');
+const VendorValidator = require('../src/middlewares/validators/VendorValidator');
+const { updateProductSchema } = require('../src/utils/productValidationSchemas');
+const { applyAsVendor, updateMyProduct, updateMyOrderStatus } = require('../src/controllers/vendorController');
+const { createPayout } = require('../src/controllers/payoutController');
+const { IDS, buildAdmin, buildDoc, buildOrder, buildProduct, buildRequest, buildUser, mockQuery, runHandler } = require('./fixtures/doubles');
+
+const VENDOR_ID = '64b7f0c2a1b2c3d4e5f60e01';
+const OTHER_VENDOR_ID = '64b7f0c2a1b2c3d4e5f60e02';
+const RINGS = '64b7f0c2a1b2c3d4e5f60c01';
+const CHAINS = '64b7f0c2a1b2c3d4e5f60c02';
+const JUNE_15 = new Date('2026-06-15T10:00:00Z');
+
+const buildShare = (overrides = {}) => ({
+  vendor: VENDOR_ID,
+  status: 'pending',
+  statusHistory: [],
+  payout: null,
+  ...overrides
+});
+
+// The signed-in user's vendor profile, as requireVendor finds it
+const storeVendor = (overrides = {}) => {
+  const vendor = buildDoc({ _id: VENDOR_ID, user: IDS.customer, storeName: 'Noor Jewels', status: 'approved', ...overrides });
+  Vendor.findOne.mockImplementation(({ user }) => mockQuery(user === IDS.customer ? vendor : null));
+  Vendor.findById.mockImplementation(id => mockQuery(id === VENDOR_ID ? vendor : null));
+  return vendor;
+};
+
+const asVendor = (overrides = {}) => buildRequest({ user: buildUser(), ...overrides });
+
+describe('vendors', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Settings.findOne.mockReturnValue(mockQuery({ vendorCommissionRate: 10, currency: 'PKR' }));
+  });
+
+  describe('resolveCommissionRate', () => {
+    const rules = [
+      { vendor: null, category: RINGS, rate: 8 },
+      { vendor: VENDOR_ID, category: null, rate: 12 },
+      { vendor: VENDOR_ID, category: RINGS, rate: 15 }
+    ];
+
+    it('should prefer vendor and category, then vendor, then category, then the default', () => {
+      expect(resolveCommissionRate(rules, VENDOR_ID, RINGS, 10)).toBe(15);
+      expect(resolveCommissionRate(rules, VENDOR_ID, CHAINS, 10)).toBe(12);
+      expect(resolveCommissionRate(rules, OTHER_VENDOR_ID, RINGS, 10)).toBe(8);
+      expect(resolveCommissionRate(rules, OTHER_VENDOR_ID, CHAINS, 10)).toBe(10);
+    });
+  });
+
+  describe('splitOrderByVendor', () => {
+    it('should charge commission on sales after discount and leave store lines alone', async () => {
+      CommissionRule.find.mockReturnValue(mockQuery([{ vendor: VENDOR_ID, category: null, rate: 20 }]));
+
+      const { items, vendorOrders } = await splitOrderByVendor({
+        lines: [
+          { product: { vendor: VENDOR_ID, category: RINGS }, quantity: 2, subtotal: 1000 },
+          { product: { category: CHAINS }, quantity: 1, subtotal: 500 }
+        ],
+        items: [{ name: 'Ring' }, { name: 'Chain' }],
+        pricing: { lines: [{ discountAmount: 100 }, { discountAmount: 50 }] }
+      });
+
+      expect(items[0]).toMatchObject({ vendor: VENDOR_ID, commissionRate: 20, commissionAmount: 180 });
+      expect(items[1].vendor).toBeUndefined();
+      expect(vendorOrders).toEqual([expect.objectContaining({
+        vendor: VENDOR_ID,
+        status: 'pending',
+        itemCount: 2,
+        salesAmount: 900,
+        commissionAmount: 180,
+        payoutAmount: 720
+      })]);
+    });
+
+    it('should take the store default rate when no rule applies', async () => {
+      CommissionRule.find.mockReturnValue(mockQuery([]));
+
+      const { vendorOrders } = await splitOrderByVendor({
+        lines: [{ product: { vendor: VENDOR_ID, category: CHAINS }, quantity: 1, subtotal: 2000 }],
+        items: [{ name: 'Chain' }],
+        pricing: { lines: [{}] }
+      });
+
+      expect(vendorOrders[0]).toMatchObject({ commissionAmount: 200, payoutAmount: 1800 });
+    });
+
+    it('should not look up rules for orders without vendor items', async () => {
+      const quote = { lines: [{ product: {}, quantity: 1, subtotal: 500 }], items: [{}], pricing: { lines: [{}] } };
+
+      await expect(splitOrderByVendor(quote)).resolves.toEqual({ items: quote.items, vendorOrders: [] });
+      expect(CommissionRule.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('vendor order status', () => {
+    it('should deliver open shares when the order is delivered', () => {
+      const order = buildOrder({
+        orderStatus: 'shipped',
+        vendorOrders: [buildShare({ status: 'shipped' }), buildShare({ vendor: OTHER_VENDOR_ID, status: 'cancelled' })]
+      });
+
+      transitionStatus(order, 'orderStatus', 'delivered', { actor: buildAdmin() });
+
+      expect(order.vendorOrders[0]).toMatchObject({ status: 'delivered', deliveredAt: expect.any(Date) });
+      expect(order.vendorOrders[1].status).toBe('cancelled');
+    });
+
+    describe('PUT /api/vendors/me/orders/:id/status', () => {
+      const update = (body, req) => runHandler(
+        [requireVendor, validate(VendorValidator.orderStatusSchema), updateMyOrderStatus],
+        asVendor({ method: 'PUT', params: { id: IDS.order }, body, ...req })
+      );
+
+      let order;
+
+      beforeEach(() => {
+        order = buildOrder({
+          items: [
+            { product: IDS.product, vendor: VENDOR_ID, name: 'Gold Ring', quantity: 1 },
+            { product: IDS.product, vendor: OTHER_VENDOR_ID, name: 'Silver Chain', quantity: 1 }
+          ],
+          vendorOrders: [buildShare({ status: 'processing' }), buildShare({ vendor: OTHER_VENDOR_ID })]
+        });
+        Order.findOne.mockImplementation(filter => mockQuery(
+          filter._id === IDS.order && order.vendorOrders.some(share => share.vendor === filter['vendorOrders.vendor']) ? order : null
+        ));
+        storeVendor();
+      });
+
+      it('should ship the vendor\'s share and show only the vendor\'s items', async () => {
+        const res = await update({ status: 'shipped', carrier: 'Leopards', trackingNumber: 'LEO123456' });
+
+        expect(res.statusCode).toBe(200);
+        expect(order.saved.vendorOrders[0]).toMatchObject({
+          status: 'shipped',
+          carrier: 'Leopards',
+          trackingNumber: 'LEO123456',
+          shippedAt: expect.any(Date),
+          statusHistory: [expect.objectContaining({ from: 'processing', to: 'shipped', actor: IDS.customer })]
+        });
+        expect(order.saved.vendorOrders[1].status).toBe('pending');
+        expect(res.body.data.items.map(item => item.name)).toEqual(['Gold Ring']);
+      });
+
+      it('should refuse to move a share backwards', async () => {
+        order.vendorOrders[0].status = 'shipped';
+
+        const res = await update({ status: 'processing' });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Cannot change vendor order status from shipped to processing');
+        expect(order.save).not.toHaveBeenCalled();
+      });
+
+      it('should leave cancelling to the store', async () => {
+        const res = await update({ status: 'cancelled' });
+
+        expect(res.statusCode).toBe(400);
+        expect(order.save).not.toHaveBeenCalled();
+      });
+
+      it('should answer 404 for an order without the vendor\'s items', async () => {
+        order.vendorOrders = [buildShare({ vendor: OTHER_VENDOR_ID })];
+
+        const res = await update({ status: 'shipped' });
+
+        expect(res.statusCode).toBe(404);
+      });
+
+      it('should keep out vendors that are not approved', async () => {
+        storeVendor({ status: 'suspended' });
+
+        const res = await update({ status: 'shipped' });
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body.message).toBe('Your vendor account is suspended');
+        expect(Order.findOne).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('POST /api/admin/vendors/:id/payouts', () => {
+    const issue = (body = {}) => runHandler(
+      [validate(VendorValidator.payoutSchema), createPayout],
+      buildRequest({ method: 'POST', params: { id: VENDOR_ID }, body, user: buildAdmin() })
+    );
+
+    const storeOrder = (orderNumber, paymentStatus, share) => buildOrder({
+      _id: `order-${orderNumber}`,
+      orderNumber,
+      paymentStatus,
+      vendorOrders: [buildShare({ status: 'delivered', deliveredAt: JUNE_15, ...share })]
+    });
+
+    // Whether a share passes an arrayFilters entry such as { 'share.payout': null }
+    const matchesShare = (share, due) => Object.entries(due).every(([path, value]) => {
+      const field = share[path.replace('share.', '')];
+      if (value && value.$lte) {
+        return field <= value.$lte && (!value.$gte || field >= value.$gte);
+      }
+      return String(field) === String(value);
+    });
+
+    let orders;
+
+    beforeEach(() => {
+      storeVendor();
+      orders = [
+        storeOrder('ORD-1', 'completed', { salesAmount: 900, commissionAmount: 90, payoutAmount: 810 }),
+        storeOrder('ORD-2', 'completed', { salesAmount: 100.5, commissionAmount: 10.05, payoutAmount: 90.45 }),
+        storeOrder('ORD-3', 'pending', { salesAmount: 500, commissionAmount: 50, payoutAmount: 450 }),
+        storeOrder('ORD-4', 'completed', { salesAmount: 700, commissionAmount: 70, payoutAmount: 630, payout: 'earlier-statement' }),
+        storeOrder('ORD-5', 'completed', { vendor: OTHER_VENDOR_ID, salesAmount: 300, commissionAmount: 30, payoutAmount: 270 })
+      ];
+      Order.updateMany.mockImplementation(async (filter, { $set }, { arrayFilters: [due] }) => {
+        orders
+          .filter(order => !filter.paymentStatus || order.paymentStatus === filter.paymentStatus)
+          .flatMap(order => order.vendorOrders)
+          .filter(share => matchesShare(share, due))
+          .forEach((share) => {
+            share.payout = $set['vendorOrders.$[share].payout'];
+          });
+      });
+      Order.find.mockImplementation(filter => mockQuery(orders.filter(order => (
+        order.vendorOrders.some(share => String(share.payout) === String(filter['vendorOrders.payout']))
+      ))));
+      VendorPayout.create.mockImplementation(async data => buildDoc(data));
+    });
+
+    it('should put the paid, delivered shares on a statement and total them', async () => {
+      const res = await issue();
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data).toMatchObject({
+        statementNumber: 'PAY-000007',
+        orderCount: 2,
+        salesAmount: 1000.5,
+        commissionAmount: 100.05,
+        payoutAmount: 900.45,
+        currency: 'PKR',
+        createdBy: IDS.admin
+      });
+      expect(res.body.data.lines.map(line => line.orderNumber)).toEqual(['ORD-1', 'ORD-2']);
+      expect(orders.map(order => String(order.vendorOrders[0].payout))).toEqual([
+        String(res.body.data._id),
+        String(res.body.data._id),
+        'null',
+        'earlier-statement',
+        'null'
+      ]);
+    });
+
+    it('should not list an order on two statements', async () => {
+      await issue();
+
+      const second = await issue();
+
+      expect(second.statusCode).toBe(400);
+      expect(second.body.message).toBe('No delivered orders are due for payout in this period');
+      expect(VendorPayout.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hand the shares back when the statement cannot be written', async () => {
+      VendorPayout.create.mockRejectedValueOnce(new Error('write conflict'));
+
+      const res = await issue();
+
+      expect(res.statusCode).toBe(500);
+      expect(orders.map(order => order.vendorOrders[0].payout)).toEqual([null, null, null, 'earlier-statement', null]);
+    });
+
+    it('should refuse a period that ends before it starts', async () => {
+      const res = await issue({ from: '2026-07-01T00:00:00Z', to: '2026-06-01T00:00:00Z' });
+
+      expect(res.statusCode).toBe(400);
+      expect(Order.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('onboarding', () => {
+    const apply = body => runHandler(
+      [validate(VendorValidator.createSchema), applyAsVendor],
+      asVendor({ method: 'POST', body })
+    );
+
+    beforeEach(() => {
+      Vendor.create.mockImplementation(async data => buildDoc({ _id: VENDOR_ID, status: 'pending', ...data }));
+    });
+
+    it('should take an application for review', async () => {
+      Vendor.findOne.mockReturnValue(mockQuery(null));
+
+      const res = await apply({ storeName: 'Noor Jewels', phone: '+923001234567' });
+
+      expect(res.statusCode).toBe(201);
+      expect(Vendor.create).toHaveBeenCalledWith({ storeName: 'Noor Jewels', phone: '+923001234567', user: IDS.customer });
+      expect(res.body.data.status).toBe('pending');
+    });
+
+    it('should not take a second application while one is in review', async () => {
+      storeVendor({ status: 'pending' });
+
+      const res = await apply({ storeName: 'Noor Jewels' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Your vendor application is already being reviewed');
+      expect(Vendor.create).not.toHaveBeenCalled();
+    });
+
+    it('should put a rejected application back in review with the new details', async () => {
+      const vendor = storeVendor({ status: 'rejected', statusReason: 'Missing NTN', reviewedBy: IDS.admin });
+
+      const res = await apply({ storeName: 'Noor Fine Jewels' });
+
+      expect(res.statusCode).toBe(201);
+      expect(vendor.saved).toMatchObject({ storeName: 'Noor Fine Jewels', status: 'pending' });
+      expect(vendor.saved.statusReason).toBeUndefined();
+      expect(vendor.saved.reviewedBy).toBeUndefined();
+    });
+  });
+
+  describe('PUT /api/vendors/me/products/:id', () => {
+    const edit = (productId, body) => runHandler(
+      [requireVendor, validate(updateProductSchema), updateMyProduct],
+      asVendor({ method: 'PUT', params: { id: productId }, body })
+    );
+
+    beforeEach(() => {
+      storeVendor();
+      Product.findById.mockImplementation(id => mockQuery(
+        buildProduct({ _id: id, vendor: id === IDS.product ? VENDOR_ID : OTHER_VENDOR_ID })
+      ));
+      Product.findByIdAndUpdate.mockImplementation(async (id, data) => buildProduct({ _id: id, vendor: VENDOR_ID, ...data }));
+    });
+
+    it('should update the vendor\'s own product but not the fields the store manages', async () => {
+      const res = await edit(IDS.product, { name: 'Gold Band Ring', isFeatured: true });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toMatchObject({ name: 'Gold Band Ring', vendor: VENDOR_ID });
+      expect(Product.findByIdAndUpdate.mock.calls[0][1]).toEqual({ name: 'Gold Band Ring' });
+    });
+
+    it('should hide other vendors\' products behind a 404', async () => {
+      const res = await edit('64b7f0c2a1b2c3d4e5f60c08', { name: 'Mine now' });
+
+      expect(res.statusCode).toBe(404);
+      expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});